@@ -10,14 +10,25 @@ import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 
 import requestId from './middleware/requestId.js';
+import amountFormat from './middleware/amountFormat.js';
+import httpMetrics from './middleware/metrics.js';
+import rejectWhenDraining from './middleware/draining.js';
 import errorHandler from './middleware/errorHandler.js';
 import { generalLimiter } from './middleware/rateLimiter.js';
 import logger from './config/logger.js';
 import env from './config/env.js';
+import { register } from './config/metrics.js';
 
 import walletRoutes from './routes/wallet.routes.js';
 import transactionRoutes from './routes/transaction.routes.js';
 import systemRoutes from './routes/index.js';
+import adminRoutes from './routes/admin.routes.js';
+import assetTypeRoutes from './routes/assetType.routes.js';
+import webhookRoutes from './routes/webhook.routes.js';
+import eventRoutes from './routes/event.routes.js';
+import grantRoutes from './routes/grant.routes.js';
+import exchangeRoutes from './routes/exchange.routes.js';
+import ownerRoutes from './routes/owner.routes.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const require = createRequire(import.meta.url);
@@ -40,7 +51,12 @@ app.use(
     },
   }),
 );
-app.use(cors({ origin: '*', credentials: true }));
+app.use(
+  cors({
+    origin: env.CORS_ORIGINS === '*' ? '*' : env.CORS_ORIGINS.split(',').map((o) => o.trim()),
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key', 'X-Request-ID', 'X-Amount-Format', 'Last-Event-ID'],
+  }),
+);
 app.use(compression());
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -50,9 +66,16 @@ app.use(requestId);
 app.use(
   morgan(':method :url :status :res[content-length] - :response-time ms', {
     stream: { write: (msg) => logger.http(msg.trim()) },
-    skip: (req) => req.path === '/health' && env.NODE_ENV === 'production',
+    skip: (req) => (req.path.startsWith('/health') || req.path === '/metrics') && env.NODE_ENV === 'production',
   }),
 );
+app.use(httpMetrics);
+
+// ─── Shutdown ─────────────────────────────────────────────────────────────
+app.use(rejectWhenDraining);
+
+// ─── Response format ──────────────────────────────────────────────────────
+app.use('/api', amountFormat);
 
 // ─── Rate limiting ────────────────────────────────────────────────────────
 app.use('/api', generalLimiter);
@@ -74,9 +97,23 @@ const swaggerSpec = swaggerJsdoc({
     ],
     tags: [
       { name: 'Wallets',      description: 'Wallet balance and ledger history' },
+      { name: 'Owners',       description: "An owner's wallets across asset types" },
       { name: 'Transactions', description: 'Top-up, bonus, and spend flows' },
-      { name: 'System',       description: 'Health check and reference data' },
+      { name: 'Asset Types',  description: 'Virtual currency administration' },
+      { name: 'Webhooks',     description: 'Signed event delivery to subscriber URLs' },
+      { name: 'Events',       description: 'Sequenced ledger change feed (long-poll and SSE)' },
+      { name: 'Grants',       description: 'Scheduled and recurring bonus grants' },
+      { name: 'Exchange',     description: 'Conversion between asset types at quoted rates' },
+      { name: 'System',       description: 'Health, liveness and readiness checks' },
+      { name: 'Admin',        description: 'Operational and integrity tooling' },
     ],
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        BearerAuth: { type: 'http', scheme: 'bearer' },
+      },
+    },
+    security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
   },
   apis: [join(__dirname, 'routes', '*.js')],
 });
@@ -86,19 +123,25 @@ app.get('/docs', swaggerUi.setup(swaggerSpec, { explorer: true }));
 app.get('/docs.json', (req, res) => res.json(swaggerSpec));
 
 // ─── Routes ───────────────────────────────────────────────────────────────
-app.get('/health', async (req, res) => {
-  try {
-    const { ping } = await import('./config/db.js');
-    await ping();
-    res.json({ success: true, status: 'healthy', timestamp: new Date().toISOString(), uptime: process.uptime() });
-  } catch {
-    res.status(503).json({ success: false, status: 'unhealthy' });
-  }
+// Health probes are served at the root for orchestrators, and under /api/v1
+app.use(systemRoutes);
+
+// Prometheus scrape endpoint, unauthenticated like /health
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', register.contentType);
+  res.send(await register.metrics());
 });
 
 app.use('/api/v1', systemRoutes);
+app.use('/api/v1/asset-types', assetTypeRoutes);
 app.use('/api/v1/wallets', walletRoutes);
+app.use('/api/v1/owners', ownerRoutes);
 app.use('/api/v1/transactions', transactionRoutes);
+app.use('/api/v1/webhooks', webhookRoutes);
+app.use('/api/v1/events', eventRoutes);
+app.use('/api/v1/grant-schedules', grantRoutes);
+app.use('/api/v1/exchange', exchangeRoutes);
+app.use('/api/v1/admin', adminRoutes);
 
 // Root redirect to docs
 app.get('/', (req, res) => res.redirect('/docs'));
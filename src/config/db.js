@@ -2,19 +2,23 @@ import pg from 'pg';
 import env from './env.js';
 import logger from './logger.js';
 
-const { Pool } = pg;
+const { Pool, Client } = pg;
 
-const pool = new Pool({
+const connection = {
   host: env.DB_HOST,
   port: env.DB_PORT,
   database: env.DB_NAME,
   user: env.DB_USER,
   password: env.DB_PASSWORD,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+};
+
+const pool = new Pool({
+  ...connection,
   min: env.DB_POOL_MIN,
   max: env.DB_POOL_MAX,
   idleTimeoutMillis: 30000,
   connectionTimeoutMillis: 5000,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
 });
 
 pool.on('error', (err) => {
@@ -34,6 +38,10 @@ export const query = (text, params) => pool.query(text, params);
  */
 export const getClient = () => pool.connect();
 
+// withTransaction() calls still running, so shutdown can wait for them
+let activeTransactions = 0;
+let idleWaiters = [];
+
 /**
  * Run a function inside a PostgreSQL transaction.
  * Automatically commits on success or rolls back on error.
@@ -42,20 +50,66 @@ export const getClient = () => pool.connect();
  * @returns {Promise<*>} resolves to the return value of fn
  */
 export const withTransaction = async (fn) => {
-  const client = await pool.connect();
+  activeTransactions++;
   try {
-    await client.query('BEGIN');
-    const result = await fn(client);
-    await client.query('COMMIT');
-    return result;
-  } catch (err) {
-    await client.query('ROLLBACK');
-    throw err;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
   } finally {
-    client.release();
+    activeTransactions--;
+    if (activeTransactions === 0) {
+      idleWaiters.forEach((resolve) => resolve());
+      idleWaiters = [];
+    }
   }
 };
 
+/**
+ * Number of withTransaction() calls currently running.
+ */
+export const activeTransactionCount = () => activeTransactions;
+
+/**
+ * Wait until no withTransaction() call is running, or until timeoutMs passes.
+ *
+ * @param {number} timeoutMs
+ * @returns {Promise<boolean>} true if every transaction finished in time
+ */
+export const drainTransactions = (timeoutMs) => new Promise((resolve) => {
+  if (activeTransactions === 0) return resolve(true);
+  const timer = setTimeout(() => resolve(false), timeoutMs);
+  idleWaiters.push(() => {
+    clearTimeout(timer);
+    resolve(true);
+  });
+});
+
+/**
+ * Open a dedicated connection, outside the pool, that LISTENs on a channel.
+ * A listening connection is held for good, so it must not starve the pool.
+ * Call end() on the returned client to stop listening.
+ *
+ * @param {string} channel
+ * @param {function} onNotification - Receives each notification's payload
+ * @returns {Promise<pg.Client>}
+ */
+export const listen = async (channel, onNotification) => {
+  const client = new Client(connection);
+  await client.connect();
+  client.on('notification', (msg) => onNotification(msg.payload));
+  await client.query(`LISTEN ${client.escapeIdentifier(channel)}`);
+  return client;
+};
+
 /**
  * Health check — ping the database.
  */
@@ -20,6 +20,43 @@ const schema = Joi.object({
   RATE_LIMIT_MAX_REQUESTS: Joi.number().integer().default(100),
 
   IDEMPOTENCY_TTL_HOURS: Joi.number().integer().default(24),
+  // A retry may take over an in-progress key once its lock has been held this long
+  IDEMPOTENCY_LOCK_SECONDS: Joi.number().integer().min(1).default(60),
+
+  HOLD_TTL_SECONDS: Joi.number().integer().min(1).default(900),
+  HOLD_EXPIRY_INTERVAL_MS: Joi.number().integer().min(1000).default(60000),
+
+  CREDIT_EXPIRY_INTERVAL_MS: Joi.number().integer().min(1000).default(60000),
+  CREDIT_EXPIRY_BATCH_SIZE: Joi.number().integer().min(1).default(100),
+
+  EXCHANGE_QUOTE_TTL_SECONDS: Joi.number().integer().min(1).default(30),
+
+  WEBHOOK_DELIVERY_INTERVAL_MS: Joi.number().integer().min(100).default(5000),
+  WEBHOOK_BATCH_SIZE: Joi.number().integer().min(1).default(20),
+  WEBHOOK_TIMEOUT_MS: Joi.number().integer().min(100).default(10000),
+  WEBHOOK_MAX_ATTEMPTS: Joi.number().integer().min(1).default(10),
+  // Retry n waits WEBHOOK_RETRY_BASE_MS * 2^(n-1), capped at WEBHOOK_RETRY_MAX_MS
+  WEBHOOK_RETRY_BASE_MS: Joi.number().integer().min(0).default(30000),
+  WEBHOOK_RETRY_MAX_MS: Joi.number().integer().min(0).default(6 * 60 * 60 * 1000),
+
+  GRANT_SCHEDULER_INTERVAL_MS: Joi.number().integer().min(1000).default(30000),
+  GRANT_BATCH_SIZE: Joi.number().integer().min(1).default(10),
+  // A run not finished within its lease is picked up again by another instance
+  GRANT_RUN_LEASE_SECONDS: Joi.number().integer().min(10).default(600),
+
+  MAINTENANCE_INTERVAL_MS: Joi.number().integer().min(1000).default(300000),
+  // Expired idempotency keys are kept this long past expiry before being purged
+  IDEMPOTENCY_RETENTION_HOURS: Joi.number().integer().min(0).default(0),
+  IDEMPOTENCY_PURGE_BATCH_SIZE: Joi.number().integer().min(1).default(1000),
+  IDEMPOTENCY_PURGE_MAX_BATCHES: Joi.number().integer().min(1).default(10),
+
+  // Amounts are JSON strings by default; 'number' restores the legacy numeric format
+  AMOUNT_FORMAT: Joi.string().valid('string', 'number').default('string'),
+
+  CORS_ORIGINS: Joi.string().default('*'), // Comma-separated list, or * for any origin
+
+  // How long shutdown waits for in-flight requests and transactions before forcing exit
+  SHUTDOWN_TIMEOUT_MS: Joi.number().integer().min(1000).default(10000),
 
   LOG_LEVEL: Joi.string().valid('error', 'warn', 'info', 'http', 'debug').default('info'),
 }).unknown(true);
@@ -0,0 +1,13 @@
+/**
+ * Process lifecycle state shared by the server and the readiness check.
+ *
+ * Once shutdown begins the process is draining: readiness reports it so load
+ * balancers stop routing new traffic here while in-flight requests finish.
+ */
+let draining = false;
+
+export const isDraining = () => draining;
+
+export function startDraining() {
+  draining = true;
+}
@@ -0,0 +1,66 @@
+import client from 'prom-client';
+import pool from './db.js';
+
+/**
+ * Prometheus metrics, served in text format at GET /metrics.
+ * Counters are per process; Prometheus sums them across PM2 instances.
+ */
+export const register = new client.Registry();
+register.setDefaultLabels({ service: 'wallet-ledger' });
+client.collectDefaultMetrics({ register });
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route template',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register],
+});
+
+export const transactionsTotal = new client.Counter({
+  name: 'wallet_transactions_total',
+  help: 'Top-ups, bonuses and spends by asset type and outcome (completed or failed)',
+  labelNames: ['type', 'asset_type', 'status'],
+  registers: [register],
+});
+
+export const insufficientFundsTotal = new client.Counter({
+  name: 'wallet_insufficient_funds_total',
+  help: 'Flows rejected with InsufficientFundsError',
+  labelNames: ['type', 'asset_type'],
+  registers: [register],
+});
+
+export const idempotencyReplaysTotal = new client.Counter({
+  name: 'wallet_idempotency_replays_total',
+  help: 'Requests answered from an earlier result: a stored response (http) or an existing transaction (transaction)',
+  labelNames: ['layer'],
+  registers: [register],
+});
+
+export const idempotencyKeysPurgedTotal = new client.Counter({
+  name: 'wallet_idempotency_keys_purged_total',
+  help: 'Expired idempotency keys deleted by the maintenance sweep',
+  registers: [register],
+});
+
+export const lockWaitDuration = new client.Histogram({
+  name: 'wallet_lock_wait_seconds',
+  help: 'Time to acquire wallet row locks in lockWallets',
+  labelNames: ['wallets'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register],
+});
+
+// ── pg pool ──────────────────────────────────────────────────────────────────
+
+const poolGauge = (name, help, read) => new client.Gauge({
+  name,
+  help,
+  registers: [register],
+  collect() { this.set(read()); },
+});
+
+poolGauge('pg_pool_clients_total',   'Clients in the pg pool, idle or checked out', () => pool.totalCount);
+poolGauge('pg_pool_clients_idle',    'Idle clients in the pg pool',                 () => pool.idleCount);
+poolGauge('pg_pool_clients_waiting', 'Queries waiting for a pg pool client',        () => pool.waitingCount);
@@ -0,0 +1,19 @@
+import * as reconciliationService from '../services/reconciliation.service.js';
+import * as maintenanceService from '../services/maintenance.service.js';
+
+/**
+ * GET /api/v1/admin/ledger/verify
+ */
+export async function verifyLedger(req, res, next) {
+  try {
+    const report = await reconciliationService.verifyLedger();
+    res.json({ success: true, data: report });
+  } catch (err) { next(err); }
+}
+
+/**
+ * GET /api/v1/admin/maintenance
+ */
+export function getMaintenanceStats(req, res) {
+  res.json({ success: true, data: maintenanceService.getMaintenanceStats() });
+}
@@ -0,0 +1,61 @@
+import * as assetTypeService from '../services/assetType.service.js';
+
+/**
+ * GET /api/v1/asset-types
+ */
+export async function listAssetTypes(req, res, next) {
+  try {
+    const data = await assetTypeService.listAssetTypes({ includeInactive: req.query.includeInactive });
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * GET /api/v1/asset-types/:id
+ */
+export async function getAssetType(req, res, next) {
+  try {
+    const data = await assetTypeService.getAssetType(req.params.id);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/asset-types
+ */
+export async function createAssetType(req, res, next) {
+  try {
+    const data = await assetTypeService.createAssetType(req.body);
+    res.status(201).json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * PATCH /api/v1/asset-types/:id
+ */
+export async function updateAssetType(req, res, next) {
+  try {
+    const data = await assetTypeService.updateAssetType(req.params.id, req.body);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/asset-types/:id/deactivate
+ */
+export async function deactivateAssetType(req, res, next) {
+  try {
+    const data = await assetTypeService.setAssetTypeActive(req.params.id, false);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/asset-types/:id/activate
+ */
+export async function activateAssetType(req, res, next) {
+  try {
+    const data = await assetTypeService.setAssetTypeActive(req.params.id, true);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
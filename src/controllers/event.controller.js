@@ -0,0 +1,70 @@
+import * as eventService from '../services/event.service.js';
+import logger from '../config/logger.js';
+
+// Idle streams get a comment line this often, so proxies keep the connection open
+const HEARTBEAT_MS = 15000;
+const STREAM_BATCH_SIZE = 500;
+
+/**
+ * GET /api/v1/events?after=&limit=&wait=
+ * Long-polls for up to `wait` seconds when nothing is newer than `after`.
+ */
+export async function listEvents(req, res, next) {
+  const { after, limit, wait } = req.query;
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  try {
+    const events = await eventService.waitForEvents({ after, limit, timeoutMs: wait * 1000, signal: controller.signal });
+    res.json({
+      success: true,
+      data: events,
+      // Pass back as `after` on the next request
+      next: events.length ? events[events.length - 1].seq : after,
+    });
+  } catch (err) { next(err); }
+}
+
+/**
+ * GET /api/v1/events/stream?after=
+ * Server-Sent Events: `id` is the seq, so a reconnecting EventSource resumes
+ * from Last-Event-ID automatically.
+ */
+export async function streamEvents(req, res) {
+  const lastEventId = req.get('Last-Event-ID');
+  let after = req.query.after ?? (/^\d+$/.test(lastEventId ?? '') ? Number(lastEventId) : 0);
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform', // no-transform also keeps compression from buffering
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 3000\n\n');
+
+  try {
+    while (!controller.signal.aborted && !eventService.isClosed()) {
+      const events = await eventService.waitForEvents({
+        after,
+        limit: STREAM_BATCH_SIZE,
+        timeoutMs: HEARTBEAT_MS,
+        signal: controller.signal,
+      });
+      if (!events.length) {
+        res.write(': keep-alive\n\n');
+        continue;
+      }
+      for (const event of events) {
+        res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      }
+      after = events[events.length - 1].seq;
+    }
+    res.end();
+  } catch (err) {
+    logger.error('Event stream failed', { requestId: req.id, after, error: err.message });
+    res.destroy(err);
+  }
+}
@@ -0,0 +1,51 @@
+import * as exchangeService from '../services/exchange.service.js';
+
+/**
+ * GET /api/v1/exchange/rates
+ */
+export async function listRates(req, res, next) {
+  try {
+    const data = await exchangeService.listRates(req.query);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/exchange/rates
+ */
+export async function createRate(req, res, next) {
+  try {
+    const data = await exchangeService.createRate({ ...req.body, apiClientId: req.apiClient.id });
+    res.status(201).json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * PATCH /api/v1/exchange/rates/:id
+ */
+export async function updateRate(req, res, next) {
+  try {
+    const data = await exchangeService.updateRate(req.params.id, req.body);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/exchange/quotes
+ */
+export async function createQuote(req, res, next) {
+  try {
+    const data = await exchangeService.createQuote({ ...req.body, apiClientId: req.apiClient.id });
+    res.status(201).json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * GET /api/v1/exchange/quotes/:id
+ */
+export async function getQuote(req, res, next) {
+  try {
+    const data = await exchangeService.getQuote(req.params.id);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
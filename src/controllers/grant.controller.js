@@ -0,0 +1,51 @@
+import * as grantService from '../services/grant.service.js';
+
+/**
+ * GET /api/v1/grant-schedules
+ */
+export async function listSchedules(req, res, next) {
+  try {
+    const data = await grantService.listSchedules();
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/grant-schedules
+ */
+export async function createSchedule(req, res, next) {
+  try {
+    const data = await grantService.createSchedule({ ...req.body, apiClientId: req.apiClient.id });
+    res.status(201).json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * GET /api/v1/grant-schedules/:id
+ */
+export async function getSchedule(req, res, next) {
+  try {
+    const data = await grantService.getSchedule(req.params.id);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * PATCH /api/v1/grant-schedules/:id
+ */
+export async function updateSchedule(req, res, next) {
+  try {
+    const data = await grantService.updateSchedule(req.params.id, req.body);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * GET /api/v1/grant-schedules/:id/runs
+ */
+export async function listRuns(req, res, next) {
+  try {
+    const data = await grantService.listRuns(req.params.id, req.query);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
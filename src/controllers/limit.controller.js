@@ -0,0 +1,41 @@
+import * as limitService from '../services/limit.service.js';
+
+/**
+ * GET /api/v1/admin/limits
+ */
+export async function listLimits(req, res, next) {
+  try {
+    const data = await limitService.listLimits(req.query);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/admin/limits
+ */
+export async function createLimit(req, res, next) {
+  try {
+    const data = await limitService.createLimit(req.body);
+    res.status(201).json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * PATCH /api/v1/admin/limits/:id
+ */
+export async function updateLimit(req, res, next) {
+  try {
+    const data = await limitService.updateLimit(req.params.id, req.body);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * DELETE /api/v1/admin/limits/:id
+ */
+export async function deleteLimit(req, res, next) {
+  try {
+    await limitService.deleteLimit(req.params.id);
+    res.status(204).end();
+  } catch (err) { next(err); }
+}
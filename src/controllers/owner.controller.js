@@ -0,0 +1,21 @@
+import * as walletService from '../services/wallet.service.js';
+
+/**
+ * GET /api/v1/owners/:ownerId/wallets
+ */
+export async function listOwnerWallets(req, res, next) {
+  try {
+    const data = await walletService.listOwnerWallets(req.params.ownerId);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * GET /api/v1/owners/:ownerId/summary
+ */
+export async function getOwnerSummary(req, res, next) {
+  try {
+    const data = await walletService.getOwnerSummary(req.params.ownerId);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
@@ -6,7 +6,7 @@ import * as txnService from '../services/transaction.service.js';
 export async function topup(req, res, next) {
   try {
     const idempotencyKey = req.headers['idempotency-key'];
-    const txn = await txnService.topup({ ...req.body, idempotencyKey });
+    const txn = await txnService.topup({ ...req.body, idempotencyKey, apiClientId: req.apiClient.id });
     res.status(201).json({ success: true, data: txn });
   } catch (err) { next(err); }
 }
@@ -17,7 +17,7 @@ export async function topup(req, res, next) {
 export async function bonus(req, res, next) {
   try {
     const idempotencyKey = req.headers['idempotency-key'];
-    const txn = await txnService.bonus({ ...req.body, idempotencyKey });
+    const txn = await txnService.bonus({ ...req.body, idempotencyKey, apiClientId: req.apiClient.id });
     res.status(201).json({ success: true, data: txn });
   } catch (err) { next(err); }
 }
@@ -28,11 +28,96 @@ export async function bonus(req, res, next) {
 export async function spend(req, res, next) {
   try {
     const idempotencyKey = req.headers['idempotency-key'];
-    const txn = await txnService.spend({ ...req.body, idempotencyKey });
+    const txn = await txnService.spend({ ...req.body, idempotencyKey, apiClientId: req.apiClient.id });
     res.status(201).json({ success: true, data: txn });
   } catch (err) { next(err); }
 }
 
+/**
+ * POST /api/v1/transactions/transfer
+ */
+export async function transfer(req, res, next) {
+  try {
+    const idempotencyKey = req.headers['idempotency-key'];
+    const txn = await txnService.transfer({ ...req.body, idempotencyKey, apiClientId: req.apiClient.id });
+    res.status(201).json({ success: true, data: txn });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/transactions/journal
+ */
+export async function journal(req, res, next) {
+  try {
+    const idempotencyKey = req.headers['idempotency-key'];
+    const txn = await txnService.journal({ ...req.body, idempotencyKey, apiClientId: req.apiClient.id });
+    res.status(201).json({ success: true, data: txn });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/transactions/exchange
+ */
+export async function exchange(req, res, next) {
+  try {
+    const idempotencyKey = req.headers['idempotency-key'];
+    const txn = await txnService.exchange({ ...req.body, idempotencyKey, apiClientId: req.apiClient.id });
+    res.status(201).json({ success: true, data: txn });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/transactions/:id/reverse
+ */
+export async function reverse(req, res, next) {
+  try {
+    const idempotencyKey = req.headers['idempotency-key'];
+    const txn = await txnService.reverse({ ...req.body, transactionId: req.params.id, idempotencyKey, apiClientId: req.apiClient.id });
+    res.status(201).json({ success: true, data: txn });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/transactions/holds
+ */
+export async function hold(req, res, next) {
+  try {
+    const idempotencyKey = req.headers['idempotency-key'];
+    const txn = await txnService.hold({ ...req.body, idempotencyKey, apiClientId: req.apiClient.id });
+    res.status(201).json({ success: true, data: txn });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/transactions/holds/:id/capture
+ */
+export async function captureHold(req, res, next) {
+  try {
+    const txn = await txnService.captureHold({ ...req.body, holdId: req.params.id });
+    res.json({ success: true, data: txn });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/transactions/holds/:id/void
+ */
+export async function voidHold(req, res, next) {
+  try {
+    const txn = await txnService.voidHold({ ...req.body, holdId: req.params.id });
+    res.json({ success: true, data: txn });
+  } catch (err) { next(err); }
+}
+
+/**
+ * GET /api/v1/transactions
+ */
+export async function searchTransactions(req, res, next) {
+  try {
+    const result = await txnService.searchTransactions(req.query);
+    res.json({ success: true, ...result });
+  } catch (err) { next(err); }
+}
+
 /**
  * GET /api/v1/transactions/:id
  */
@@ -1,14 +1,19 @@
 import * as walletService from '../services/wallet.service.js';
+import * as statementService from '../services/statement.service.js';
+import * as lifecycleService from '../services/walletLifecycle.service.js';
+import logger from '../config/logger.js';
 
 /**
  * GET /api/v1/wallets
  */
 export async function listWallets(req, res, next) {
   try {
-    const { ownerType, page, limit } = req.query;
+    const { ownerType, status, cursor, page, limit } = req.query;
     const result = await walletService.listWallets({
       ownerType,
-      page: page ? parseInt(page) : 1,
+      status,
+      cursor,
+      page: page ? parseInt(page) : undefined,
       limit: limit ? Math.min(parseInt(limit), 100) : 20,
     });
     res.json({ success: true, ...result });
@@ -20,22 +25,103 @@ export async function listWallets(req, res, next) {
  */
 export async function getWallet(req, res, next) {
   try {
-    const wallet = await walletService.getWalletById(req.params.id);
+    const wallet = await walletService.getWalletById(req.params.id, { includeLots: true });
+    res.json({ success: true, data: wallet });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/wallets
+ */
+export async function createWallet(req, res, next) {
+  try {
+    const wallet = await lifecycleService.createWallet({ ...req.body, apiClientId: req.apiClient.id });
+    res.status(201).json({ success: true, data: wallet });
+  } catch (err) { next(err); }
+}
+
+/**
+ * PATCH /api/v1/wallets/:id
+ */
+export async function updateWallet(req, res, next) {
+  try {
+    const wallet = await lifecycleService.renameWallet(req.params.id, { ...req.body, apiClientId: req.apiClient.id });
     res.json({ success: true, data: wallet });
   } catch (err) { next(err); }
 }
 
+/**
+ * POST /api/v1/wallets/:id/freeze
+ */
+export async function freezeWallet(req, res, next) {
+  try {
+    const wallet = await lifecycleService.freezeWallet(req.params.id, { ...req.body, apiClientId: req.apiClient.id });
+    res.json({ success: true, data: wallet });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/wallets/:id/unfreeze
+ */
+export async function unfreezeWallet(req, res, next) {
+  try {
+    const wallet = await lifecycleService.unfreezeWallet(req.params.id, { ...req.body, apiClientId: req.apiClient.id });
+    res.json({ success: true, data: wallet });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/wallets/:id/close
+ */
+export async function closeWallet(req, res, next) {
+  try {
+    const wallet = await lifecycleService.closeWallet(req.params.id, { ...req.body, apiClientId: req.apiClient.id });
+    res.json({ success: true, data: wallet });
+  } catch (err) { next(err); }
+}
+
+/**
+ * GET /api/v1/wallets/:id/audit-log
+ */
+export async function getAuditLog(req, res, next) {
+  try {
+    const data = await lifecycleService.getAuditLog(req.params.id);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * GET /api/v1/wallets/balances?walletIds=&asOf=
+ */
+export async function getBalances(req, res, next) {
+  try {
+    const { walletIds, asOf } = req.query;
+    const data = await walletService.getBalancesAsOf([...new Set(walletIds.split(','))], asOf || new Date());
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
 /**
  * GET /api/v1/wallets/:id/balance
  */
 export async function getBalance(req, res, next) {
   try {
+    if (req.query.asOf) {
+      const data = await walletService.getBalanceAsOf(req.params.id, req.query.asOf);
+      return res.json({ success: true, data });
+    }
+
     const wallet = await walletService.getWalletById(req.params.id);
     res.json({
       success: true,
       data: {
         walletId: wallet.id,
         balance: wallet.balance,
+        ledgerBalance: wallet.balance,
+        availableBalance: wallet.availableBalance,
+        heldBalance: wallet.heldBalance,
+        expiringBalance: wallet.expiringBalance,
+        expiredBalance: wallet.expiredBalance,
         assetType: wallet.assetType,
         updatedAt: wallet.updatedAt,
       },
@@ -48,9 +134,10 @@ export async function getBalance(req, res, next) {
  */
 export async function getWalletTransactions(req, res, next) {
   try {
-    const { page, limit } = req.query;
+    const { cursor, page, limit } = req.query;
     const result = await walletService.getWalletTransactions(req.params.id, {
-      page: page ? parseInt(page) : 1,
+      cursor,
+      page: page ? parseInt(page) : undefined,
       limit: limit ? Math.min(parseInt(limit), 100) : 20,
     });
     res.json({ success: true, ...result });
@@ -58,11 +145,51 @@ export async function getWalletTransactions(req, res, next) {
 }
 
 /**
- * GET /api/v1/asset-types
+ * GET /api/v1/wallets/:id/statement?from=&to=&format=csv|jsonl
+ * Streams every ledger entry in the range; never buffers the whole statement.
  */
-export async function listAssetTypes(req, res, next) {
+export async function getStatement(req, res, next) {
+  const { from, to, format } = req.query;
+  const records = statementService.statementRecords(req.params.id, { from, to });
+  const serialize = format === 'jsonl' ? statementService.toJsonLine : statementService.toCsvLine;
+
+  let record;
   try {
-    const data = await walletService.listAssetTypes();
-    res.json({ success: true, data });
-  } catch (err) { next(err); }
+    // Pull the opening record before sending headers so a missing wallet still gets a JSON 404
+    record = await records.next();
+  } catch (err) { return next(err); }
+
+  res.status(200);
+  res.setHeader('Content-Type', format === 'jsonl' ? 'application/x-ndjson' : 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="statement-${req.params.id}.${format}"`);
+  if (format === 'csv') res.write(statementService.CSV_COLUMNS.join(',') + '\n');
+
+  try {
+    for (; !record.done && !res.destroyed; record = await records.next()) {
+      if (!res.write(serialize(record.value))) await waitForDrain(res);
+    }
+    res.end();
+  } catch (err) {
+    logger.error('Statement stream failed', { requestId: req.id, walletId: req.params.id, error: err.message });
+    res.destroy(err);
+  } finally {
+    await records.return();
+  }
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve once the response can take more data, or the client has gone away.
+ */
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
 }
@@ -0,0 +1,61 @@
+import * as webhookService from '../services/webhook.service.js';
+
+/**
+ * GET /api/v1/webhooks
+ */
+export async function listSubscriptions(req, res, next) {
+  try {
+    const data = await webhookService.listSubscriptions();
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/webhooks
+ */
+export async function createSubscription(req, res, next) {
+  try {
+    const data = await webhookService.createSubscription({ ...req.body, apiClientId: req.apiClient.id });
+    res.status(201).json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * GET /api/v1/webhooks/:id
+ */
+export async function getSubscription(req, res, next) {
+  try {
+    const data = await webhookService.getSubscription(req.params.id);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * PATCH /api/v1/webhooks/:id
+ */
+export async function updateSubscription(req, res, next) {
+  try {
+    const data = await webhookService.updateSubscription(req.params.id, req.body);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * GET /api/v1/webhooks/:id/deliveries
+ */
+export async function listDeliveries(req, res, next) {
+  try {
+    const data = await webhookService.listDeliveries(req.params.id, req.query);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
+
+/**
+ * POST /api/v1/webhooks/deliveries/:id/replay
+ */
+export async function replayDelivery(req, res, next) {
+  try {
+    const data = await webhookService.replayDelivery(req.params.id);
+    res.json({ success: true, data });
+  } catch (err) { next(err); }
+}
@@ -0,0 +1,35 @@
+/**
+ * Create an API client and print its key. The key is shown only once.
+ *
+ * Usage: node src/db/create-api-client.js <name> <scope[,scope...]>
+ *   e.g. node src/db/create-api-client.js game-server wallets:read,transactions:spend
+ */
+
+import { createApiClient, SCOPES } from '../services/apiClient.service.js';
+import { closePool } from '../config/db.js';
+
+async function main() {
+  const [name, scopeList] = process.argv.slice(2);
+  if (!name || !scopeList) {
+    console.error('Usage: node src/db/create-api-client.js <name> <scope[,scope...]>');
+    console.error(`Scopes: ${SCOPES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const { client, apiKey } = await createApiClient({ name, scopes: scopeList.split(',') });
+
+  console.log('\n✅ API client created\n');
+  console.log(`  id     : ${client.id}`);
+  console.log(`  name   : ${client.name}`);
+  console.log(`  scopes : ${client.scopes.join(', ')}`);
+  console.log(`  key    : ${apiKey}`);
+  console.log('\nStore the key now — it cannot be retrieved again.\n');
+}
+
+main()
+  .then(() => closePool())
+  .catch(async (err) => {
+    console.error(`\n✗ Failed to create API client:\n${err.message}`);
+    await closePool();
+    process.exit(1);
+  });
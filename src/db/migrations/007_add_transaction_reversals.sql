@@ -0,0 +1,11 @@
+-- Migration: 007_add_transaction_reversals
+-- A reversal is a compensating transaction that mirrors the ledger entries of a
+-- completed transaction. Partial reversals are allowed, so one transaction may be
+-- linked to several reversals whose amounts never exceed the original amount.
+
+ALTER TYPE transaction_type_enum ADD VALUE IF NOT EXISTS 'reversal';
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS reversed_transaction_id UUID NULL REFERENCES transactions (id);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_reversed_transaction_id ON transactions (reversed_transaction_id);
@@ -0,0 +1,39 @@
+-- Migration: 008_generalize_transaction_wallets
+-- Transactions move value from a source wallet to a destination wallet of any
+-- owner type. user_wallet_id / system_wallet_id are kept for the user <-> system
+-- flows (topup, bonus, spend, reversal) but are no longer required, which allows
+-- user-to-user transfers.
+
+ALTER TYPE transaction_type_enum ADD VALUE IF NOT EXISTS 'transfer';
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS source_wallet_id      UUID NULL REFERENCES wallets (id),
+  ADD COLUMN IF NOT EXISTS destination_wallet_id UUID NULL REFERENCES wallets (id);
+
+-- Backfill from the ledger: the debited wallet is the source, the credited one the destination
+UPDATE transactions t
+SET source_wallet_id      = (SELECT le.wallet_id FROM ledger_entries le
+                             WHERE le.transaction_id = t.id AND le.entry_type = 'debit' LIMIT 1),
+    destination_wallet_id = (SELECT le.wallet_id FROM ledger_entries le
+                             WHERE le.transaction_id = t.id AND le.entry_type = 'credit' LIMIT 1)
+WHERE t.source_wallet_id IS NULL;
+
+-- Transactions without entries (pending / failed) fall back to the flow direction
+UPDATE transactions
+SET source_wallet_id      = CASE WHEN type = 'spend' THEN user_wallet_id ELSE system_wallet_id END,
+    destination_wallet_id = CASE WHEN type = 'spend' THEN system_wallet_id ELSE user_wallet_id END
+WHERE source_wallet_id IS NULL OR destination_wallet_id IS NULL;
+
+ALTER TABLE transactions
+  ALTER COLUMN source_wallet_id      SET NOT NULL,
+  ALTER COLUMN destination_wallet_id SET NOT NULL,
+  ALTER COLUMN user_wallet_id        DROP NOT NULL,
+  ALTER COLUMN system_wallet_id      DROP NOT NULL;
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_wallets_differ;
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_source_destination_differ;
+ALTER TABLE transactions
+  ADD CONSTRAINT transactions_source_destination_differ CHECK (source_wallet_id <> destination_wallet_id);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_source_wallet_id      ON transactions (source_wallet_id);
+CREATE INDEX IF NOT EXISTS idx_transactions_destination_wallet_id ON transactions (destination_wallet_id);
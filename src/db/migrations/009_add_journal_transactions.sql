@@ -0,0 +1,16 @@
+-- Migration: 009_add_journal_transactions
+-- A journal is one business event posted as N debit/credit legs across many
+-- wallets (e.g. a spend split between revenue, creator and fee wallets).
+-- Journals have no single source/destination, so those columns become optional
+-- but must still be set together.
+
+ALTER TYPE transaction_type_enum ADD VALUE IF NOT EXISTS 'journal';
+
+ALTER TABLE transactions
+  ALTER COLUMN source_wallet_id      DROP NOT NULL,
+  ALTER COLUMN destination_wallet_id DROP NOT NULL;
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_source_destination_paired;
+ALTER TABLE transactions
+  ADD CONSTRAINT transactions_source_destination_paired
+  CHECK ((source_wallet_id IS NULL) = (destination_wallet_id IS NULL));
@@ -0,0 +1,12 @@
+-- Migration: 010_extend_transaction_enums_for_holds
+-- Two-phase spends: a 'hold' transaction is 'authorized' (reserving funds without
+-- moving them), then 'captured', 'voided', or 'expired'.
+-- Kept separate from 011 because new enum values cannot be used in the same
+-- transaction that adds them.
+
+ALTER TYPE transaction_type_enum ADD VALUE IF NOT EXISTS 'hold';
+
+ALTER TYPE transaction_status_enum ADD VALUE IF NOT EXISTS 'authorized';
+ALTER TYPE transaction_status_enum ADD VALUE IF NOT EXISTS 'captured';
+ALTER TYPE transaction_status_enum ADD VALUE IF NOT EXISTS 'voided';
+ALTER TYPE transaction_status_enum ADD VALUE IF NOT EXISTS 'expired';
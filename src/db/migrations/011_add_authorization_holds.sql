@@ -0,0 +1,17 @@
+-- Migration: 011_add_authorization_holds
+-- A hold reserves `amount` on its source wallet until `expires_at`.
+-- Capturing posts ledger entries for `captured_amount` (<= amount) and releases the rest.
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS captured_amount NUMERIC(20,6) NULL,
+  ADD COLUMN IF NOT EXISTS expires_at      TIMESTAMPTZ   NULL;
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_captured_amount_valid;
+ALTER TABLE transactions
+  ADD CONSTRAINT transactions_captured_amount_valid
+  CHECK (captured_amount IS NULL OR (captured_amount > 0 AND captured_amount <= amount));
+
+-- Outstanding holds per wallet, summed to derive the available balance
+CREATE INDEX IF NOT EXISTS idx_transactions_authorized_holds
+  ON transactions (source_wallet_id, expires_at)
+  WHERE status = 'authorized';
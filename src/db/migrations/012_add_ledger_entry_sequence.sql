@@ -0,0 +1,26 @@
+-- Migration: 012_add_ledger_entry_sequence
+-- Entries posted in one database transaction share created_at, so a monotonically
+-- increasing sequence gives each wallet's entries a strict order. Wallet rows are
+-- locked while entries are written, so per-wallet sequence order is posting order.
+-- Used to verify that each entry's balance_before chains to the previous balance_after.
+
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS seq BIGINT;
+
+CREATE SEQUENCE IF NOT EXISTS ledger_entries_seq_seq OWNED BY ledger_entries.seq;
+
+-- Backfill existing rows in posting order (debits were always written before credits)
+UPDATE ledger_entries le
+SET seq = ordered.rn
+FROM (
+  SELECT id, ROW_NUMBER() OVER (ORDER BY created_at, transaction_id, entry_type) AS rn
+  FROM ledger_entries
+) ordered
+WHERE ordered.id = le.id AND le.seq IS NULL;
+
+SELECT setval('ledger_entries_seq_seq', COALESCE((SELECT MAX(seq) FROM ledger_entries), 0) + 1, false);
+
+ALTER TABLE ledger_entries
+  ALTER COLUMN seq SET DEFAULT nextval('ledger_entries_seq_seq'),
+  ALTER COLUMN seq SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_entries_wallet_seq ON ledger_entries (wallet_id, seq);
@@ -0,0 +1,5 @@
+-- Migration: 013_add_ledger_entries_wallet_time_index
+-- Point-in-time balance lookups find a wallet's last entry at or before an instant
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_wallet_created_at
+  ON ledger_entries (wallet_id, created_at DESC, seq DESC);
@@ -0,0 +1,24 @@
+-- Migration: 014_create_api_clients
+-- API clients authenticate with a secret key; only its SHA-256 hash is stored.
+-- Scopes limit what each client may call (e.g. wallets:read, transactions:spend, admin).
+-- Every transaction records the client that created it.
+
+CREATE TABLE IF NOT EXISTS api_clients (
+  id           UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  name         VARCHAR(100) NOT NULL,
+  key_prefix   VARCHAR(16)  NOT NULL,   -- First characters of the key, for identification only
+  key_hash     CHAR(64)     NOT NULL,   -- Hex SHA-256 of the full key
+  scopes       TEXT[]       NOT NULL DEFAULT '{}',
+  is_active    BOOLEAN      NOT NULL DEFAULT TRUE,
+  last_used_at TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT api_clients_name_unique     UNIQUE (name),
+  CONSTRAINT api_clients_key_hash_unique UNIQUE (key_hash)
+);
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS api_client_id UUID NULL REFERENCES api_clients (id);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_api_client_id ON transactions (api_client_id);
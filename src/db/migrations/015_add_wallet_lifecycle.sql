@@ -0,0 +1,41 @@
+-- Migration: 015_add_wallet_lifecycle
+-- Wallets move through active → frozen ⇄ active → closed.
+-- is_active becomes a generated column so every flow that checks it
+-- automatically rejects frozen and closed wallets, and it can never drift from status.
+-- Every lifecycle change (create, rename, freeze, unfreeze, close) is written to wallet_audit_log.
+
+DO $$ BEGIN
+  CREATE TYPE wallet_status_enum AS ENUM ('active', 'frozen', 'closed');
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+ALTER TABLE wallets
+  ADD COLUMN IF NOT EXISTS status    wallet_status_enum NOT NULL DEFAULT 'active',
+  ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ NULL;
+
+-- Wallets deactivated by hand are treated as frozen
+UPDATE wallets SET status = 'frozen' WHERE is_active = FALSE;
+
+ALTER TABLE wallets DROP COLUMN is_active;
+ALTER TABLE wallets
+  ADD COLUMN is_active BOOLEAN GENERATED ALWAYS AS (status = 'active') STORED;
+
+CREATE INDEX IF NOT EXISTS idx_wallets_status ON wallets (status);
+
+CREATE TABLE IF NOT EXISTS wallet_audit_log (
+  id            UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  wallet_id     UUID         NOT NULL REFERENCES wallets (id),
+  action        VARCHAR(20)  NOT NULL,   -- created | renamed | frozen | unfrozen | closed
+  from_status   wallet_status_enum NULL,
+  to_status     wallet_status_enum NOT NULL,
+  reason        TEXT         NULL,
+  changes       JSONB        NOT NULL DEFAULT '{}',
+  api_client_id UUID         NULL REFERENCES api_clients (id),
+  created_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT wallet_audit_log_action_valid
+    CHECK (action IN ('created', 'renamed', 'frozen', 'unfrozen', 'closed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_audit_log_wallet_id ON wallet_audit_log (wallet_id, created_at);
@@ -0,0 +1,12 @@
+-- Migration: 016_add_asset_type_precision_and_supply
+-- Each asset type declares how many decimal places its amounts may carry
+-- (at most 6, the scale of every NUMERIC(20,6) amount column) and an optional
+-- cap on the total balance held in user wallets (circulating supply).
+
+ALTER TABLE asset_types
+  ADD COLUMN IF NOT EXISTS decimal_places SMALLINT      NOT NULL DEFAULT 6,
+  ADD COLUMN IF NOT EXISTS max_supply     NUMERIC(20,6) NULL;
+
+ALTER TABLE asset_types
+  ADD CONSTRAINT asset_types_decimal_places_range CHECK (decimal_places BETWEEN 0 AND 6),
+  ADD CONSTRAINT asset_types_max_supply_positive  CHECK (max_supply IS NULL OR max_supply > 0);
@@ -0,0 +1,64 @@
+-- Migration: 017_create_webhooks
+-- Outbound webhooks. Events are written to webhook_events (the outbox) in the same
+-- transaction as the change that caused them, fanned out to one webhook_deliveries row
+-- per matching subscription, and sent by a background worker with retries.
+-- Deliveries that exhaust their attempts are parked as 'dead' until replayed.
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id            UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  url           TEXT         NOT NULL,
+  event_types   TEXT[]       NOT NULL,
+  secret        VARCHAR(100) NOT NULL,   -- HMAC signing key; must be kept to sign payloads
+  description   TEXT         NULL,
+  is_active     BOOLEAN      NOT NULL DEFAULT TRUE,
+  api_client_id UUID         NULL REFERENCES api_clients (id),
+  created_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT webhook_subscriptions_event_types_not_empty CHECK (cardinality(event_types) > 0)
+);
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id          UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_type  VARCHAR(50)  NOT NULL,
+  payload     JSONB        NOT NULL,
+  created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+DO $$ BEGIN
+  CREATE TYPE webhook_delivery_status_enum AS ENUM ('pending', 'delivered', 'dead');
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id               UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id         UUID         NOT NULL REFERENCES webhook_events (id),
+  subscription_id  UUID         NOT NULL REFERENCES webhook_subscriptions (id),
+  status           webhook_delivery_status_enum NOT NULL DEFAULT 'pending',
+  attempts         INTEGER      NOT NULL DEFAULT 0,
+  next_attempt_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  last_error       TEXT         NULL,
+  response_status  INTEGER      NULL,
+  delivered_at     TIMESTAMPTZ  NULL,
+  created_at       TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT webhook_deliveries_event_subscription_unique UNIQUE (event_id, subscription_id)
+);
+
+-- The worker only ever scans deliveries that are still due
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+  ON webhook_deliveries (next_attempt_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+  ON webhook_deliveries (subscription_id, created_at);
+
+-- Debits that take a wallet below this balance publish a balance.low event
+ALTER TABLE asset_types
+  ADD COLUMN IF NOT EXISTS low_balance_threshold NUMERIC(20,6) NULL;
+
+ALTER TABLE asset_types
+  ADD CONSTRAINT asset_types_low_balance_threshold_positive
+    CHECK (low_balance_threshold IS NULL OR low_balance_threshold > 0);
@@ -0,0 +1,28 @@
+-- Migration: 018_create_ledger_events
+-- Append-only change feed of every ledger change, for consumers that tail it in order.
+-- Rows are written in the same transaction as the ledger entries they describe.
+-- Writers serialize on an advisory lock taken just before the insert, so seq order is
+-- commit order: a reader that has seen seq N can never later find a new row below N.
+-- seq may have gaps (rolled-back inserts), but is never reused.
+
+CREATE TABLE IF NOT EXISTS ledger_events (
+  seq             BIGSERIAL    PRIMARY KEY,
+  event_type      VARCHAR(50)  NOT NULL,
+  transaction_id  UUID         NOT NULL REFERENCES transactions (id),
+  payload         JSONB        NOT NULL,
+  created_at      TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_events_transaction_id ON ledger_events (transaction_id);
+
+-- Append-only: the feed must never change under a consumer
+CREATE OR REPLACE FUNCTION ledger_events_append_only() RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'ledger_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_events_no_update_delete ON ledger_events;
+CREATE TRIGGER ledger_events_no_update_delete
+  BEFORE UPDATE OR DELETE ON ledger_events
+  FOR EACH ROW EXECUTE FUNCTION ledger_events_append_only();
@@ -0,0 +1,54 @@
+-- Migration: 019_create_spending_limits
+-- Velocity controls on spending: caps on the amount and/or number of spends per
+-- calendar day, week or month (UTC), set on a single wallet or on an owner.
+-- An owner limit with an asset type covers that asset's wallet; one without
+-- an asset type may only cap the count, since amounts of different assets don't add up.
+-- Asset types gain a max single-transaction amount and a max balance per user wallet.
+
+DO $$ BEGIN
+  CREATE TYPE limit_period_enum AS ENUM ('daily', 'weekly', 'monthly');
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS spending_limits (
+  id             UUID              PRIMARY KEY DEFAULT gen_random_uuid(),
+  wallet_id      UUID              NULL REFERENCES wallets (id),
+  owner_id       UUID              NULL,
+  asset_type_id  UUID              NULL REFERENCES asset_types (id),
+  period         limit_period_enum NOT NULL,
+  max_amount     NUMERIC(20,6)     NULL,
+  max_count      INTEGER           NULL,
+  created_at     TIMESTAMPTZ       NOT NULL DEFAULT NOW(),
+  updated_at     TIMESTAMPTZ       NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT spending_limits_one_target        CHECK ((wallet_id IS NULL) <> (owner_id IS NULL)),
+  CONSTRAINT spending_limits_wallet_no_asset   CHECK (wallet_id IS NULL OR asset_type_id IS NULL),
+  CONSTRAINT spending_limits_has_cap           CHECK (max_amount IS NOT NULL OR max_count IS NOT NULL),
+  CONSTRAINT spending_limits_amount_positive   CHECK (max_amount IS NULL OR max_amount > 0),
+  CONSTRAINT spending_limits_count_positive    CHECK (max_count IS NULL OR max_count > 0),
+  CONSTRAINT spending_limits_owner_amount_asset CHECK (owner_id IS NULL OR max_amount IS NULL OR asset_type_id IS NOT NULL)
+);
+
+-- One limit per target and period
+CREATE UNIQUE INDEX IF NOT EXISTS idx_spending_limits_wallet_period
+  ON spending_limits (wallet_id, period)
+  WHERE wallet_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_spending_limits_owner_period
+  ON spending_limits (owner_id, COALESCE(asset_type_id, '00000000-0000-0000-0000-000000000000'), period)
+  WHERE owner_id IS NOT NULL;
+
+-- Usage is summed over a wallet's recent spends and holds
+CREATE INDEX IF NOT EXISTS idx_transactions_spend_velocity
+  ON transactions (source_wallet_id, created_at)
+  WHERE type IN ('spend', 'hold');
+
+ALTER TABLE asset_types
+  ADD COLUMN IF NOT EXISTS max_transaction_amount NUMERIC(20,6) NULL,
+  ADD COLUMN IF NOT EXISTS max_balance            NUMERIC(20,6) NULL;
+
+ALTER TABLE asset_types
+  ADD CONSTRAINT asset_types_max_transaction_amount_positive
+    CHECK (max_transaction_amount IS NULL OR max_transaction_amount > 0),
+  ADD CONSTRAINT asset_types_max_balance_positive
+    CHECK (max_balance IS NULL OR max_balance > 0);
@@ -0,0 +1,62 @@
+-- Migration: 020_create_grant_schedules
+-- Recurring bonus grants (daily login rewards, subscription credits, …).
+-- A schedule pays a fixed amount from a bonus-pool wallet to one wallet, or to the
+-- wallets of an asset type held by a set of owners, on a UTC cron schedule.
+-- Each due occurrence becomes one grant_runs row; (schedule_id, occurrence_at) is
+-- unique, so however many instances notice it, an occurrence is run once.
+
+CREATE TABLE IF NOT EXISTS grant_schedules (
+  id               UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  name             VARCHAR(100)  NOT NULL,
+  schedule         VARCHAR(100)  NOT NULL,   -- Five-field cron expression, UTC
+  wallet_id        UUID          NULL REFERENCES wallets (id),
+  owner_ids        UUID[]        NULL,
+  asset_type_id    UUID          NULL REFERENCES asset_types (id),
+  system_wallet_id UUID          NOT NULL REFERENCES wallets (id),
+  amount           NUMERIC(20,6) NOT NULL,
+  reason           VARCHAR(255)  NOT NULL,
+  description      VARCHAR(500)  NULL,
+  is_active        BOOLEAN       NOT NULL DEFAULT TRUE,
+  next_run_at      TIMESTAMPTZ   NOT NULL,
+  api_client_id    UUID          NULL REFERENCES api_clients (id),
+  created_at       TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT grant_schedules_one_target      CHECK ((wallet_id IS NULL) <> (owner_ids IS NULL)),
+  CONSTRAINT grant_schedules_owners_asset    CHECK (owner_ids IS NULL OR (asset_type_id IS NOT NULL AND cardinality(owner_ids) > 0)),
+  CONSTRAINT grant_schedules_amount_positive CHECK (amount > 0)
+);
+
+-- The scheduler only ever scans active schedules that are due
+CREATE INDEX IF NOT EXISTS idx_grant_schedules_due
+  ON grant_schedules (next_run_at)
+  WHERE is_active;
+
+DO $$ BEGIN
+  CREATE TYPE grant_run_status_enum AS ENUM ('pending', 'running', 'completed', 'partial', 'failed');
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS grant_runs (
+  id               UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  schedule_id      UUID          NOT NULL REFERENCES grant_schedules (id),
+  occurrence_at    TIMESTAMPTZ   NOT NULL,
+  amount           NUMERIC(20,6) NOT NULL,   -- Per wallet, as scheduled when the run was created
+  status           grant_run_status_enum NOT NULL DEFAULT 'pending',
+  attempts         INTEGER       NOT NULL DEFAULT 0,
+  lease_expires_at TIMESTAMPTZ   NULL,       -- A running run whose lease has passed is picked up again
+  wallet_count     INTEGER       NOT NULL DEFAULT 0,
+  granted_count    INTEGER       NOT NULL DEFAULT 0,
+  failed_count     INTEGER       NOT NULL DEFAULT 0,
+  failures         JSONB         NOT NULL DEFAULT '[]',
+  started_at       TIMESTAMPTZ   NULL,
+  finished_at      TIMESTAMPTZ   NULL,
+  created_at       TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT grant_runs_schedule_occurrence_unique UNIQUE (schedule_id, occurrence_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_grant_runs_unfinished
+  ON grant_runs (occurrence_at)
+  WHERE status IN ('pending', 'running');
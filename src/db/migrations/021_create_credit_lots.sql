@@ -0,0 +1,45 @@
+-- Migration: 021_create_credit_lots
+-- Expiring credits. A bonus (or a top-up given an expiry) credits a lot that records
+-- how much of the wallet's balance expires, and when. Debits consume lots soonest
+-- expiry first; whatever a lot still holds when it expires is swept back to the
+-- wallet that funded it by an 'expiry' transaction.
+-- Credits without an expiry are not tracked as lots: they are the part of the balance
+-- not covered by any lot, so a wallet's lots never add up to more than its balance.
+-- The new enum value is only used by the application, never in this migration.
+
+ALTER TYPE transaction_type_enum ADD VALUE IF NOT EXISTS 'expiry';
+
+CREATE TABLE IF NOT EXISTS credit_lots (
+  id                    UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  wallet_id             UUID          NOT NULL REFERENCES wallets (id),
+  transaction_id        UUID          NOT NULL REFERENCES transactions (id),   -- The credit that created it
+  return_wallet_id      UUID          NOT NULL REFERENCES wallets (id),        -- Receives the expired remainder
+  amount                NUMERIC(20,6) NOT NULL,
+  remaining             NUMERIC(20,6) NOT NULL,
+  expires_at            TIMESTAMPTZ   NOT NULL,
+  expiry_transaction_id UUID          NULL REFERENCES transactions (id),
+  created_at            TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT credit_lots_amount_positive  CHECK (amount > 0),
+  CONSTRAINT credit_lots_remaining_valid  CHECK (remaining >= 0 AND remaining <= amount)
+);
+
+-- Consumption order within a wallet, and the sweep's scan for expired remainders
+CREATE INDEX IF NOT EXISTS idx_credit_lots_open
+  ON credit_lots (wallet_id, expires_at, created_at)
+  WHERE remaining > 0;
+
+CREATE INDEX IF NOT EXISTS idx_credit_lots_expiring
+  ON credit_lots (expires_at)
+  WHERE remaining > 0;
+
+CREATE INDEX IF NOT EXISTS idx_credit_lots_transaction ON credit_lots (transaction_id);
+
+-- Bonuses credit lots expiring this many days later unless the request says otherwise
+ALTER TABLE asset_types
+  ADD COLUMN IF NOT EXISTS bonus_expiry_days INTEGER NULL;
+
+ALTER TABLE asset_types
+  ADD CONSTRAINT asset_types_bonus_expiry_days_positive
+    CHECK (bonus_expiry_days IS NULL OR bonus_expiry_days > 0);
@@ -0,0 +1,54 @@
+-- Migration: 022_create_exchange
+-- Currency exchange between asset types (e.g. Gold Coins into Diamonds).
+-- An exchange posts four legs so each asset type stays balanced on its own:
+--   user's source-asset wallet   DEBIT   fromAmount  ┐ source asset
+--   source-asset system wallet   CREDIT  fromAmount  ┘
+--   target-asset system wallet   DEBIT   toAmount    ┐ target asset
+--   user's target-asset wallet   CREDIT  toAmount    ┘
+-- Admins manage the rates and their validity windows. A quote locks in a rate and
+-- both amounts for a short time, and can be executed once.
+-- The new enum value is only used by the application, never in this migration.
+
+ALTER TYPE transaction_type_enum ADD VALUE IF NOT EXISTS 'exchange';
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id                    UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  from_asset_type_id    UUID          NOT NULL REFERENCES asset_types (id),
+  to_asset_type_id      UUID          NOT NULL REFERENCES asset_types (id),
+  rate                  NUMERIC(24,12) NOT NULL,   -- Units of the target asset per unit of the source asset
+  from_system_wallet_id UUID          NOT NULL REFERENCES wallets (id),   -- Receives the source asset
+  to_system_wallet_id   UUID          NOT NULL REFERENCES wallets (id),   -- Pays out the target asset
+  valid_from            TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  valid_until           TIMESTAMPTZ   NULL,                               -- NULL = until replaced
+  api_client_id         UUID          NULL REFERENCES api_clients (id),
+  created_at            TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT exchange_rates_distinct_assets CHECK (from_asset_type_id <> to_asset_type_id),
+  CONSTRAINT exchange_rates_rate_positive   CHECK (rate > 0),
+  CONSTRAINT exchange_rates_valid_window    CHECK (valid_until IS NULL OR valid_until > valid_from)
+);
+
+-- Finding the rate in force for a pair
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_pair
+  ON exchange_rates (from_asset_type_id, to_asset_type_id, valid_from DESC);
+
+CREATE TABLE IF NOT EXISTS exchange_quotes (
+  id             UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  rate_id        UUID          NOT NULL REFERENCES exchange_rates (id),
+  from_wallet_id UUID          NOT NULL REFERENCES wallets (id),
+  to_wallet_id   UUID          NOT NULL REFERENCES wallets (id),
+  from_amount    NUMERIC(20,6) NOT NULL,
+  to_amount      NUMERIC(20,6) NOT NULL,
+  rate           NUMERIC(24,12) NOT NULL,   -- Copied from the rate, which may change after quoting
+  expires_at     TIMESTAMPTZ   NOT NULL,
+  transaction_id UUID          NULL REFERENCES transactions (id),   -- Set once the quote is executed
+  api_client_id  UUID          NULL REFERENCES api_clients (id),
+  created_at     TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT exchange_quotes_amounts_positive CHECK (from_amount > 0 AND to_amount > 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_exchange_quotes_transaction
+  ON exchange_quotes (transaction_id)
+  WHERE transaction_id IS NOT NULL;
@@ -0,0 +1,9 @@
+-- Migration: 023_add_transaction_search_indexes
+-- Transaction search (GET /transactions). Type, status, reference_id, wallet and
+-- created_at filters use the indexes from 003 and 008. Pages are read in
+-- (created_at, id) or (amount, id) order, so both get a keyset index, and metadata
+-- key filters use a GIN index.
+
+CREATE INDEX IF NOT EXISTS idx_transactions_created_at_id ON transactions (created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_transactions_amount_id     ON transactions (amount DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_transactions_metadata      ON transactions USING GIN (metadata);
@@ -0,0 +1,8 @@
+-- Migration: 024_add_keyset_pagination_indexes
+-- Wallet listings and wallet ledger history are paginated by (created_at, id),
+-- newest first, instead of LIMIT/OFFSET.
+
+CREATE INDEX IF NOT EXISTS idx_wallets_created_at_id ON wallets (created_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_wallet_created_at_id
+  ON ledger_entries (wallet_id, created_at DESC, id DESC);
@@ -0,0 +1,36 @@
+-- Migration: 025_rework_idempotency_keys
+-- Idempotency keys become per API client, and each one is bound to the request it
+-- was first used with (a SHA-256 fingerprint of method, path and validated body).
+-- A row is written as 'in_progress' before the handler runs, so a concurrent
+-- duplicate is turned away instead of racing the first request; the row becomes
+-- 'completed' with the stored response once it has been sent. locked_until lets a
+-- retry take over a marker left behind by a request that never finished.
+-- Rows written before this migration have no client and are never matched again;
+-- they age out through expires_at.
+
+ALTER TABLE idempotency_keys
+  ADD COLUMN IF NOT EXISTS api_client_id UUID        NULL REFERENCES api_clients (id),
+  ADD COLUMN IF NOT EXISTS request_hash  CHAR(64)    NULL,
+  ADD COLUMN IF NOT EXISTS status        VARCHAR(20) NOT NULL DEFAULT 'completed',
+  ADD COLUMN IF NOT EXISTS locked_until  TIMESTAMPTZ NULL,
+  ALTER COLUMN response_status DROP NOT NULL,
+  ALTER COLUMN response_body   DROP NOT NULL;
+
+ALTER TABLE idempotency_keys
+  DROP CONSTRAINT IF EXISTS idempotency_keys_key_path_unique,
+  ADD CONSTRAINT idempotency_keys_status_valid CHECK (status IN ('in_progress', 'completed')),
+  ADD CONSTRAINT idempotency_keys_response_when_completed
+    CHECK (status <> 'completed' OR (response_status IS NOT NULL AND response_body IS NOT NULL));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_idempotency_keys_client_key
+  ON idempotency_keys (api_client_id, key)
+  WHERE api_client_id IS NOT NULL;
+
+-- The transaction-level duplicate check follows the same scope: one client's key
+-- never resolves to another client's transaction. Transactions posted without a
+-- client (scheduled grants, expiry sweeps) share one scope between them.
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_idempotency_key_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_client_idempotency_key
+  ON transactions (COALESCE(api_client_id, '00000000-0000-0000-0000-000000000000'::UUID), idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
@@ -0,0 +1,19 @@
+-- Migration: 026_create_credit_lot_draws
+-- Which lots each debit drew on. Reversing a debit credits the funds back, and the
+-- portions that came out of unexpired lots are recreated as lots on the credited
+-- wallet with their original expiry, so refunded bonus credits still expire.
+-- restored tracks how much of a draw partial reversals have already given back.
+
+CREATE TABLE IF NOT EXISTS credit_lot_draws (
+  id             UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  credit_lot_id  UUID          NOT NULL REFERENCES credit_lots (id),
+  transaction_id UUID          NOT NULL REFERENCES transactions (id),   -- The debit
+  amount         NUMERIC(20,6) NOT NULL,
+  restored       NUMERIC(20,6) NOT NULL DEFAULT 0,
+  created_at     TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT credit_lot_draws_amount_positive CHECK (amount > 0),
+  CONSTRAINT credit_lot_draws_restored_valid  CHECK (restored >= 0 AND restored <= amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_lot_draws_transaction ON credit_lot_draws (transaction_id);
@@ -0,0 +1,9 @@
+-- Migration: 027_add_transfers_to_spend_velocity_index
+-- Outgoing transfers now count toward spending limits, so the usage index from 019
+-- has to cover them too.
+
+DROP INDEX IF EXISTS idx_transactions_spend_velocity;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_spend_velocity
+  ON transactions (source_wallet_id, created_at)
+  WHERE type IN ('spend', 'hold', 'transfer');
@@ -0,0 +1,49 @@
+/**
+ * Ledger verification — runs every reconciliation check and prints discrepancies.
+ * Exits with code 1 if the ledger is not consistent, so it can run from cron/CI.
+ *
+ * Usage: node src/db/verify-ledger.js [--json]
+ */
+
+import { verifyLedger } from '../services/reconciliation.service.js';
+import { closePool } from '../config/db.js';
+
+async function main() {
+  const report = await verifyLedger();
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    const { summary } = report;
+    console.log('🔎 Verifying ledger...\n');
+    console.log(`  transactions checked : ${summary.transactionsChecked}`);
+    console.log(`  wallets checked      : ${summary.walletsChecked}`);
+    console.log(`  entries checked      : ${summary.entriesChecked}`);
+    console.log(`  opening balances     : ${report.openingBalances.length}`);
+
+    for (const d of report.discrepancies) {
+      console.log(
+        `  ✗ ${d.type.padEnd(22)} wallet=${d.walletId ?? '-'} txn=${d.transactionId ?? '-'} — ${d.message}`,
+      );
+    }
+
+    console.log(
+      report.healthy
+        ? '\n✅ Ledger is consistent.\n'
+        : `\n❌ ${summary.discrepancies} discrepancy(ies) found.\n`,
+    );
+  }
+
+  return report.healthy;
+}
+
+main()
+  .then(async (healthy) => {
+    await closePool();
+    process.exit(healthy ? 0 : 1);
+  })
+  .catch(async (err) => {
+    console.error(`\n✗ Ledger verification error:\n${err.message}`);
+    await closePool();
+    process.exit(1);
+  });
@@ -23,6 +23,18 @@ export class ValidationError extends AppError {
   }
 }
 
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, 401, 'UNAUTHORIZED');
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Insufficient permissions') {
+    super(message, 403, 'FORBIDDEN');
+  }
+}
+
 export class NotFoundError extends AppError {
   constructor(resource = 'Resource') {
     super(`${resource} not found`, 404, 'NOT_FOUND');
@@ -46,6 +58,12 @@ export class InsufficientFundsError extends AppError {
   }
 }
 
+export class LimitExceededError extends AppError {
+  constructor(message, details) {
+    super(message, 422, 'LIMIT_EXCEEDED', details);
+  }
+}
+
 export class IdempotencyConflictError extends AppError {
   constructor() {
     super(
@@ -55,3 +73,19 @@ export class IdempotencyConflictError extends AppError {
     );
   }
 }
+
+export class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service temporarily unavailable') {
+    super(message, 503, 'SERVICE_UNAVAILABLE');
+  }
+}
+
+export class IdempotencyMismatchError extends AppError {
+  constructor() {
+    super(
+      'This idempotency key was already used with a different request',
+      422,
+      'IDEMPOTENCY_KEY_MISMATCH',
+    );
+  }
+}
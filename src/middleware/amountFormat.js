@@ -0,0 +1,33 @@
+import env from '../config/env.js';
+import { AMOUNT_FIELDS, isDecimalString, toNumber } from '../utils/money.js';
+
+/**
+ * Amount format negotiation.
+ *
+ * Amounts are serialized as exact decimal strings. Clients not yet ready for
+ * that can send `X-Amount-Format: number` (or the server can default to it via
+ * AMOUNT_FORMAT) to receive them as JSON numbers, as before. Streamed statements
+ * are unaffected, and so is client-supplied `metadata`, which is returned as sent.
+ */
+export default function amountFormat(req, res, next) {
+  const requested = req.headers['x-amount-format'];
+  const format = ['string', 'number'].includes(requested) ? requested : env.AMOUNT_FORMAT;
+  res.setHeader('X-Amount-Format', format);
+  if (format !== 'number') return next();
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => originalJson(toLegacyNumbers(body));
+  return next();
+}
+
+function toLegacyNumbers(value) {
+  if (Array.isArray(value)) return value.map(toLegacyNumbers);
+  if (value === null || typeof value !== 'object' || value.constructor !== Object) return value;
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => [
+      key,
+      key === 'metadata' ? v : AMOUNT_FIELDS.has(key) && isDecimalString(v) ? toNumber(v) : toLegacyNumbers(v),
+    ]),
+  );
+}
@@ -0,0 +1,40 @@
+import { findActiveClientByKey, touchApiClient } from '../services/apiClient.service.js';
+import { UnauthorizedError, ForbiddenError } from '../errors/AppError.js';
+import logger from '../config/logger.js';
+
+/**
+ * API key authentication middleware.
+ *
+ * Accepts the key in an `X-API-Key` header or as `Authorization: Bearer <key>`,
+ * and attaches the calling client to `req.apiClient` ({ id, name, scopes }).
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const bearer = req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+    const apiKey = req.headers['x-api-key'] || bearer;
+    if (!apiKey) throw new UnauthorizedError('Missing API key');
+
+    const client = await findActiveClientByKey(apiKey);
+    if (!client) throw new UnauthorizedError('Invalid API key');
+
+    req.apiClient = client;
+    touchApiClient(client.id).catch((err) => {
+      logger.warn('Failed to record API client usage', { clientId: client.id, error: err.message });
+    });
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Returns a middleware that requires the authenticated client to hold the scope.
+ * The `admin` scope grants everything. Must run after `authenticate`.
+ *
+ * @param {string} scope
+ */
+export const requireScope = (scope) => (req, res, next) => {
+  const scopes = req.apiClient?.scopes || [];
+  if (scopes.includes('admin') || scopes.includes(scope)) return next();
+  return next(new ForbiddenError(`Missing required scope: ${scope}`));
+};
@@ -0,0 +1,21 @@
+import { isDraining } from '../config/lifecycle.js';
+import { ServiceUnavailableError } from '../errors/AppError.js';
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Turns away new mutations once the process has begun shutting down, so nothing
+ * starts that shutdown would have to wait for. Reads are still served.
+ *
+ * While draining, every response closes its connection so clients reconnect to
+ * another instance. A rejected mutation never reached a handler and is safe to retry.
+ */
+export default function rejectWhenDraining(req, res, next) {
+  if (!isDraining()) return next();
+
+  res.set('Connection', 'close');
+  if (SAFE_METHODS.has(req.method)) return next();
+
+  res.set('Retry-After', '1');
+  return next(new ServiceUnavailableError('Server is shutting down — retry the request'));
+}
@@ -1,62 +1,127 @@
+import crypto from 'crypto';
 import { query } from '../config/db.js';
 import env from '../config/env.js';
 import logger from '../config/logger.js';
+import { idempotencyReplaysTotal } from '../config/metrics.js';
+import { IdempotencyConflictError, IdempotencyMismatchError } from '../errors/AppError.js';
 
 /**
  * Idempotency middleware.
  *
- * If an `Idempotency-Key` header is present:
- *   1. Check the DB for a stored response for (key + path).
- *   2. If found and not expired → return cached response immediately (no handler called).
- *   3. If not found → proceed, then store the response before sending.
+ * If an `Idempotency-Key` header is present, keys are scoped to the calling API client:
+ *   1. Fingerprint the request (method + path + validated body) — must run after validateBody.
+ *   2. Claim the key by writing an in-progress marker before the handler runs.
+ *   3. If the key is already taken:
+ *        - different fingerprint        → 422 IdempotencyMismatchError
+ *        - still in progress            → 409 IdempotencyConflictError
+ *        - completed                    → return the stored response (no handler called)
+ *   4. Otherwise proceed, then store the response before sending. 5xx responses are
+ *      not stored: the marker is released so the request can be retried.
+ *
+ * An in-progress marker older than IDEMPOTENCY_LOCK_SECONDS (e.g. the process died
+ * mid-request) can be taken over by a retry of the same request.
  *
  * This guarantees that retried requests (e.g. after network timeout) are safe.
  */
-export default function idempotency(req, res, next) {
+export default async function idempotency(req, res, next) {
   const key = req.headers['idempotency-key'];
   if (!key) return next(); // Idempotency is optional on GET routes
 
-  const requestPath = req.path;
+  try {
+    const apiClientId = req.apiClient.id;
+    const requestPath = `${req.baseUrl}${req.path}`;
+    const requestHash = fingerprint(req.method, requestPath, req.body);
+
+    const claimedId = await claim(key, apiClientId, requestPath, requestHash);
+    if (!claimedId) {
+      const { rows: [existing] } = await query(
+        `SELECT request_hash, status, response_status, response_body
+         FROM idempotency_keys
+         WHERE api_client_id = $1 AND key = $2`,
+        [apiClientId, key],
+      );
+      // Released by a failed request in the meantime: the caller may simply retry
+      if (!existing) throw new IdempotencyConflictError();
+      if (existing.request_hash !== requestHash) throw new IdempotencyMismatchError();
+      if (existing.status === 'in_progress') throw new IdempotencyConflictError();
 
-  // Wrap res.json to intercept the response body before it's sent
-  const originalJson = res.json.bind(res);
-  let responseCaptured = false;
+      logger.info('Idempotency cache hit', { key, path: requestPath, requestId: req.id });
+      idempotencyReplaysTotal.inc({ layer: 'http' });
+      res.setHeader('X-Idempotency-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
 
-  res.json = async function (body) {
-    if (!responseCaptured && res.statusCode < 500) {
-      responseCaptured = true;
+    // Wrap res.json to store the response body before it's sent
+    const originalJson = res.json.bind(res);
+    res.json = async function (body) {
+      res.json = originalJson;
       try {
-        const ttlHours = env.IDEMPOTENCY_TTL_HOURS;
-        await query(
-          `INSERT INTO idempotency_keys (key, request_path, response_status, response_body, expires_at)
-           VALUES ($1, $2, $3, $4, NOW() + ($5 || ' hours')::INTERVAL)
-           ON CONFLICT (key, request_path) DO NOTHING`,
-          [key, requestPath, res.statusCode, JSON.stringify(body), ttlHours],
-        );
+        if (res.statusCode < 500) {
+          await query(
+            `UPDATE idempotency_keys
+             SET status = 'completed', response_status = $2, response_body = $3, locked_until = NULL
+             WHERE id = $1`,
+            [claimedId, res.statusCode, JSON.stringify(body)],
+          );
+        } else {
+          await query('DELETE FROM idempotency_keys WHERE id = $1', [claimedId]);
+        }
       } catch (storeErr) {
-        // Non-fatal — log and proceed, don't block the response
+        // Non-fatal — log and proceed, the marker's lock lapses on its own
         logger.error('Failed to store idempotency key', { key, error: storeErr.message });
       }
-    }
-    return originalJson(body);
-  };
-
-  // Check for existing cached response
-  query(
-    `SELECT response_status, response_body
-     FROM idempotency_keys
-     WHERE key = $1 AND request_path = $2 AND expires_at > NOW()`,
-    [key, requestPath],
-  )
-    .then(({ rows }) => {
-      if (rows.length > 0) {
-        const cached = rows[0];
-        logger.info('Idempotency cache hit', { key, path: requestPath, requestId: req.id });
-        res.setHeader('X-Idempotency-Replayed', 'true');
-        responseCaptured = true; // Don't re-store the cached response
-        return res.status(cached.response_status).json(cached.response_body);
-      }
-      next();
-    })
-    .catch(next);
+      return originalJson(body);
+    };
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Write the in-progress marker. Also takes over an expired key, or a lapsed
+ * marker for the same request. Returns the row ID, or null if the key is taken.
+ */
+async function claim(key, apiClientId, requestPath, requestHash) {
+  const { rows } = await query(
+    `INSERT INTO idempotency_keys
+       (key, api_client_id, request_path, request_hash, status, locked_until, expires_at)
+     VALUES ($1, $2, $3, $4, 'in_progress',
+             NOW() + make_interval(secs => $5), NOW() + make_interval(hours => $6))
+     ON CONFLICT (api_client_id, key) WHERE api_client_id IS NOT NULL DO UPDATE
+       SET request_path = EXCLUDED.request_path,
+           request_hash = EXCLUDED.request_hash,
+           status = 'in_progress',
+           response_status = NULL,
+           response_body = NULL,
+           locked_until = EXCLUDED.locked_until,
+           created_at = NOW(),
+           expires_at = EXCLUDED.expires_at
+       WHERE idempotency_keys.expires_at <= NOW()
+          OR (idempotency_keys.status = 'in_progress'
+              AND idempotency_keys.locked_until <= NOW()
+              AND idempotency_keys.request_hash = EXCLUDED.request_hash)
+     RETURNING id`,
+    [key, apiClientId, requestPath, requestHash, env.IDEMPOTENCY_LOCK_SECONDS, env.IDEMPOTENCY_TTL_HOURS],
+  );
+  return rows[0]?.id ?? null;
+}
+
+// SHA-256 over the request, with object keys sorted so field order doesn't matter
+function fingerprint(method, path, body) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([method, path, canonical(body ?? null)]))
+    .digest('hex');
+}
+
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+  return Object.fromEntries(
+    Object.keys(value).sort().map((k) => [k, canonical(value[k])]),
+  );
 }
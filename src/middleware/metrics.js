@@ -0,0 +1,16 @@
+import { httpRequestDuration } from '../config/metrics.js';
+
+/**
+ * Records each request's latency in the http_request_duration_seconds histogram.
+ *
+ * Requests are labelled by route template (e.g. /api/v1/wallets/:id), not by URL,
+ * so IDs don't multiply the series. Requests that matched no route share one label.
+ */
+export default function httpMetrics(req, res, next) {
+  const end = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    end({ method: req.method, route, status_code: res.statusCode });
+  });
+  next();
+}
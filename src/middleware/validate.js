@@ -1,5 +1,7 @@
 import Joi from 'joi';
 import { ValidationError } from '../errors/AppError.js';
+import * as money from '../utils/money.js';
+import { EVENT_TYPES } from '../services/webhook.service.js';
 
 /**
  * Returns an Express middleware that validates req.body against the given Joi schema.
@@ -42,35 +44,373 @@ export const validateParams = (schema) => (req, res, next) => {
   return next();
 };
 
+/**
+ * Returns an Express middleware that validates req.query against the given Joi schema.
+ */
+export const validateQuery = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true,
+  });
+  if (error) {
+    const details = error.details.map((d) => ({
+      field: d.path.join('.'),
+      message: d.message.replace(/['"]/g, ''),
+    }));
+    return next(new ValidationError('Invalid query parameters', details));
+  }
+  // req.query is a getter in Express 5, so shadow it with the coerced value
+  Object.defineProperty(req, 'query', { value, writable: true, configurable: true, enumerable: true });
+  return next();
+};
+
 // ── Reusable field schemas ─────────────────────────────────────────────────
+// NUMERIC(20,6) holds at most 14 integer digits
+const MAX_AMOUNT_MICROS = 10n ** 20n;
+
+/**
+ * A positive exact decimal amount, sent as a JSON string ("10.25") or number.
+ * Normalized to a canonical decimal string; per-asset precision is checked by the services.
+ */
+const amount = () => Joi.any().custom((value, helpers) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return helpers.message('{{#label}} must be a decimal string or number');
+  }
+  let micros;
+  try {
+    micros = money.toMicros(value);
+  } catch {
+    return helpers.message(`{{#label}} must be a plain decimal with at most ${money.SCALE} decimal places`);
+  }
+  if (micros <= 0n) return helpers.message('{{#label}} must be greater than 0');
+  if (micros >= MAX_AMOUNT_MICROS) return helpers.message('{{#label}} is too large');
+  return money.format(micros);
+}, 'exact decimal amount');
+
 export const uuidParam = Joi.object({
   id: Joi.string().uuid().required(),
 });
 
+export const ownerIdParam = Joi.object({
+  ownerId: Joi.string().uuid().required(),
+});
+
+const UUID_LIST_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(,[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}){0,99}$/i;
+
+// ── Wallet query schemas ───────────────────────────────────────────────────
+export const listWalletsQuerySchema = Joi.object({
+  ownerType:      Joi.string().valid('user', 'system').optional(),
+  status:         Joi.string().valid('active', 'frozen', 'closed').optional(),
+  cursor:         Joi.string().max(500).optional().description('pagination.next or pagination.prev of another page'),
+  page:           Joi.number().integer().min(1).optional().description('Legacy offset pagination'),
+  limit:          Joi.number().integer().min(1).optional(),
+}).oxor('cursor', 'page');
+
+export const walletTransactionsQuerySchema = Joi.object({
+  cursor:         Joi.string().max(500).optional().description('pagination.next or pagination.prev of another page'),
+  page:           Joi.number().integer().min(1).optional().description('Legacy offset pagination'),
+  limit:          Joi.number().integer().min(1).optional(),
+}).oxor('cursor', 'page');
+
+export const balanceQuerySchema = Joi.object({
+  asOf:           Joi.date().iso().max('now').optional().description('Historical instant (ISO 8601)'),
+});
+
+export const bulkBalanceQuerySchema = Joi.object({
+  walletIds:      Joi.string().pattern(UUID_LIST_PATTERN).required()
+    .messages({ 'string.pattern.base': 'walletIds must be 1-100 comma-separated UUIDs' }),
+  asOf:           Joi.date().iso().max('now').optional(),
+});
+
+export const statementQuerySchema = Joi.object({
+  from:           Joi.date().iso().optional().description('Exclusive start; opening balance is as of this instant'),
+  to:             Joi.date().iso().optional()
+    .when('from', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('from')) })
+    .description('Inclusive end; defaults to now'),
+  format:         Joi.string().valid('csv', 'jsonl').default('csv'),
+});
+
+// ── Asset type schemas ─────────────────────────────────────────────────────
+export const listAssetTypesQuerySchema = Joi.object({
+  includeInactive: Joi.boolean().default(false),
+});
+
+export const createAssetTypeSchema = Joi.object({
+  name:           Joi.string().max(100).required(),
+  symbol:         Joi.string().max(20).required(),
+  description:    Joi.string().max(500).optional(),
+  decimalPlaces:  Joi.number().integer().min(0).max(6).default(6),
+  maxSupply:      amount().optional().description('Cap on the total balance of user wallets'),
+  lowBalanceThreshold: amount().optional().description('Debits that take a wallet below it publish balance.low'),
+  maxTransactionAmount: amount().optional().description('Largest single top-up, spend, transfer or hold'),
+  maxBalance:     amount().optional().description('Ceiling on each user wallet balance'),
+  bonusExpiryDays: Joi.number().integer().min(1).max(3650).optional().description('Bonus credits expire this many days later'),
+});
+
+export const updateAssetTypeSchema = Joi.object({
+  name:           Joi.string().max(100).optional(),
+  description:    Joi.string().max(500).allow(null).optional(),
+  decimalPlaces:  Joi.number().integer().min(0).max(6).optional(),
+  maxSupply:      amount().allow(null).optional().description('null removes the cap'),
+  lowBalanceThreshold: amount().allow(null).optional(),
+  maxTransactionAmount: amount().allow(null).optional(),
+  maxBalance:     amount().allow(null).optional(),
+  bonusExpiryDays: Joi.number().integer().min(1).max(3650).allow(null).optional(),
+}).min(1);
+
+// ── Wallet request schemas ─────────────────────────────────────────────────
+export const createWalletSchema = Joi.object({
+  ownerId:        Joi.string().uuid().required(),
+  ownerType:      Joi.string().valid('user', 'system').default('user'),
+  assetTypeId:    Joi.string().uuid().required(),
+  name:           Joi.string().max(100).optional(),
+});
+
+export const renameWalletSchema = Joi.object({
+  name:           Joi.string().max(100).required(),
+});
+
+export const walletStatusChangeSchema = Joi.object({
+  reason:         Joi.string().max(500).required().description('Why the wallet is being frozen, unfrozen or closed'),
+});
+
+// ── Transaction query schemas ──────────────────────────────────────────────
+const TRANSACTION_TYPES = ['topup', 'bonus', 'spend', 'transfer', 'journal', 'reversal', 'hold', 'expiry', 'exchange'];
+const TRANSACTION_STATUSES = ['pending', 'completed', 'failed', 'authorized', 'captured', 'voided', 'expired'];
+
+export const searchTransactionsQuerySchema = Joi.object({
+  type:           Joi.array().items(Joi.string().valid(...TRANSACTION_TYPES)).single().unique().optional(),
+  status:         Joi.array().items(Joi.string().valid(...TRANSACTION_STATUSES)).single().unique().optional(),
+  walletId:       Joi.string().uuid().optional(),
+  ownerId:        Joi.string().uuid().optional(),
+  referenceId:    Joi.string().max(255).optional(),
+  minAmount:      amount().optional(),
+  maxAmount:      amount().optional(),
+  from:           Joi.date().iso().optional().description('Created at or after (inclusive)'),
+  to:             Joi.date().iso().optional()
+    .when('from', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('from')) })
+    .description('Created before (exclusive)'),
+  metadata:       Joi.array().items(Joi.string().min(1).max(500).pattern(/^[^:]+(:.*)?$/)).single().max(10).optional()
+    .messages({ 'string.pattern.base': 'metadata filters are key or key:value' })
+    .description('key (has the key) or key:value (value as text); repeatable'),
+  sort:           Joi.string().valid('createdAt', 'amount').default('createdAt'),
+  order:          Joi.string().valid('asc', 'desc').default('desc'),
+  limit:          Joi.number().integer().min(1).max(100).default(20),
+  cursor:         Joi.string().max(1000).optional().description('nextCursor of the previous page'),
+});
+
 // ── Transaction request schemas ────────────────────────────────────────────
 export const topupSchema = Joi.object({
   walletId:       Joi.string().uuid().required().description('User wallet UUID'),
   systemWalletId: Joi.string().uuid().required().description('Treasury wallet UUID'),
-  amount:         Joi.number().positive().precision(6).required(),
+  amount:         amount().required(),
   referenceId:    Joi.string().max(255).required().description('External payment reference'),
+  expiresInDays:  Joi.number().integer().min(1).max(3650).optional().description('Credits expire this many days later'),
   description:    Joi.string().max(500).optional(),
   metadata:       Joi.object().optional().default({}),
 });
 
 export const bonusSchema = Joi.object({
   walletId:         Joi.string().uuid().required().description('User wallet UUID'),
-  amount:           Joi.number().positive().precision(6).required(),
+  amount:           amount().required(),
   systemWalletId:   Joi.string().uuid().required().description('Bonus-pool wallet UUID'),
   reason:           Joi.string().max(255).required().description('e.g. referral, daily_login'),
+  expiresInDays:    Joi.number().integer().min(1).max(3650).allow(null).optional()
+    .description("Defaults to the asset type's bonusExpiryDays; null never expires"),
   description:      Joi.string().max(500).optional(),
   metadata:         Joi.object().optional().default({}),
 });
 
 export const spendSchema = Joi.object({
   walletId:         Joi.string().uuid().required().description('User wallet UUID'),
-  amount:           Joi.number().positive().precision(6).required(),
+  amount:           amount().required(),
   systemWalletId:   Joi.string().uuid().required().description('Revenue wallet UUID'),
   serviceId:        Joi.string().max(255).required().description('Service or item being purchased'),
   description:      Joi.string().max(500).optional(),
   metadata:         Joi.object().optional().default({}),
 });
+
+export const transferSchema = Joi.object({
+  fromWalletId:     Joi.string().uuid().required().description('Sender wallet UUID'),
+  toWalletId:       Joi.string().uuid().required().invalid(Joi.ref('fromWalletId'))
+    .messages({ 'any.invalid': 'toWalletId must differ from fromWalletId' })
+    .description('Recipient wallet UUID'),
+  amount:           amount().required(),
+  description:      Joi.string().max(500).optional(),
+  metadata:         Joi.object().optional().default({}),
+});
+
+const journalLegSchema = Joi.object({
+  walletId:         Joi.string().uuid().required(),
+  entryType:        Joi.string().valid('debit', 'credit').required(),
+  amount:           amount().required(),
+});
+
+export const journalSchema = Joi.object({
+  legs:             Joi.array().items(journalLegSchema).min(2).max(50).required()
+    .description('Debit and credit legs; must sum to zero per asset type'),
+  referenceId:      Joi.string().max(255).optional(),
+  description:      Joi.string().max(500).optional(),
+  metadata:         Joi.object().optional().default({}),
+});
+
+export const holdSchema = Joi.object({
+  walletId:         Joi.string().uuid().required().description('User wallet UUID'),
+  amount:           amount().required(),
+  systemWalletId:   Joi.string().uuid().required().description('Revenue wallet UUID credited on capture'),
+  serviceId:        Joi.string().max(255).required().description('Service or item being purchased'),
+  ttlSeconds:       Joi.number().integer().min(1).max(7 * 24 * 3600).optional().description('Defaults to HOLD_TTL_SECONDS'),
+  description:      Joi.string().max(500).optional(),
+  metadata:         Joi.object().optional().default({}),
+});
+
+export const captureHoldSchema = Joi.object({
+  amount:           amount().optional().description('Defaults to the full held amount'),
+});
+
+export const voidHoldSchema = Joi.object({
+  reason:           Joi.string().max(255).optional(),
+});
+
+export const reverseSchema = Joi.object({
+  amount:           amount().optional().description('Defaults to the unreversed remainder'),
+  reason:           Joi.string().max(255).required().description('e.g. duplicate_charge, fraud'),
+  description:      Joi.string().max(500).optional(),
+  metadata:         Joi.object().optional().default({}),
+});
+
+// ── Webhook schemas ────────────────────────────────────────────────────────
+const webhookUrl = () => Joi.string().uri({ scheme: ['http', 'https'] }).max(2000);
+const eventTypes = () => Joi.array().items(Joi.string().valid(...EVENT_TYPES)).min(1).unique();
+
+export const createWebhookSchema = Joi.object({
+  url:            webhookUrl().required(),
+  eventTypes:     eventTypes().required(),
+  description:    Joi.string().max(500).optional(),
+  secret:         Joi.string().min(16).max(100).optional().description('Signing secret; generated when omitted'),
+});
+
+export const updateWebhookSchema = Joi.object({
+  url:            webhookUrl().optional(),
+  eventTypes:     eventTypes().optional(),
+  description:    Joi.string().max(500).allow(null).optional(),
+  isActive:       Joi.boolean().optional(),
+}).min(1);
+
+export const listWebhookDeliveriesQuerySchema = Joi.object({
+  status:         Joi.string().valid('pending', 'delivered', 'dead').optional(),
+  limit:          Joi.number().integer().min(1).max(200).default(50),
+});
+
+// ── Change feed schemas ────────────────────────────────────────────────────
+export const listEventsQuerySchema = Joi.object({
+  after:          Joi.number().integer().min(0).default(0).description('Last seq already processed'),
+  limit:          Joi.number().integer().min(1).max(1000).default(100),
+  wait:           Joi.number().integer().min(0).max(30).default(0).description('Seconds to wait for new events'),
+});
+
+export const streamEventsQuerySchema = Joi.object({
+  after:          Joi.number().integer().min(0).optional().description('Overrides Last-Event-ID'),
+});
+
+// ── Spending limit schemas ─────────────────────────────────────────────────
+export const listSpendingLimitsQuerySchema = Joi.object({
+  walletId:       Joi.string().uuid().optional(),
+  ownerId:        Joi.string().uuid().optional(),
+});
+
+export const createSpendingLimitSchema = Joi.object({
+  walletId:       Joi.string().uuid().optional(),
+  ownerId:        Joi.string().uuid().optional(),
+  assetTypeId:    Joi.string().uuid().optional().description('Owner limits only; required to cap an amount'),
+  period:         Joi.string().valid('daily', 'weekly', 'monthly').required(),
+  maxAmount:      amount().optional(),
+  maxCount:       Joi.number().integer().min(1).optional(),
+})
+  .xor('walletId', 'ownerId')
+  .without('walletId', 'assetTypeId')
+  .or('maxAmount', 'maxCount');
+
+export const updateSpendingLimitSchema = Joi.object({
+  maxAmount:      amount().allow(null).optional(),
+  maxCount:       Joi.number().integer().min(1).allow(null).optional(),
+}).min(1);
+
+// ── Grant schedule schemas ─────────────────────────────────────────────────
+export const createGrantScheduleSchema = Joi.object({
+  name:           Joi.string().max(100).required(),
+  schedule:       Joi.string().max(100).required().description('Five-field cron expression, UTC, e.g. "0 0 * * *"'),
+  walletId:       Joi.string().uuid().optional(),
+  ownerIds:       Joi.array().items(Joi.string().uuid()).min(1).max(1000).unique().optional(),
+  assetTypeId:    Joi.string().uuid().optional(),
+  systemWalletId: Joi.string().uuid().required().description('Bonus-pool wallet UUID'),
+  amount:         amount().required().description('Paid to each wallet at each occurrence'),
+  reason:         Joi.string().max(255).required().description('e.g. daily_login, subscription'),
+  description:    Joi.string().max(500).optional(),
+})
+  .xor('walletId', 'ownerIds')
+  .with('ownerIds', 'assetTypeId')
+  .without('walletId', 'assetTypeId');
+
+export const updateGrantScheduleSchema = Joi.object({
+  name:           Joi.string().max(100).optional(),
+  schedule:       Joi.string().max(100).optional(),
+  amount:         amount().optional(),
+  reason:         Joi.string().max(255).optional(),
+  description:    Joi.string().max(500).allow(null).optional(),
+  isActive:       Joi.boolean().optional(),
+}).min(1);
+
+export const listGrantRunsQuerySchema = Joi.object({
+  status:         Joi.string().valid('pending', 'running', 'completed', 'partial', 'failed').optional(),
+  limit:          Joi.number().integer().min(1).max(200).default(50),
+});
+
+// ── Exchange schemas ───────────────────────────────────────────────────────
+/**
+ * A positive exchange rate, sent as a JSON string ("0.05") or number.
+ * NUMERIC(24,12) holds at most 12 integer and 12 decimal digits.
+ */
+const rate = () => Joi.any().custom((value, helpers) => {
+  const text = typeof value === 'number' ? String(value) : value;
+  if (!money.isRate(text)) {
+    return helpers.message(`{{#label}} must be a positive decimal with at most ${money.RATE_SCALE} decimal places`);
+  }
+  if (text.split('.')[0].replace(/^0+/, '').length > 12) return helpers.message('{{#label}} is too large');
+  return money.formatRate(text.replace(/^0+(?=\d)/, ''));
+}, 'exchange rate');
+
+export const listExchangeRatesQuerySchema = Joi.object({
+  fromAssetTypeId:    Joi.string().uuid().optional(),
+  toAssetTypeId:      Joi.string().uuid().optional(),
+  current:            Joi.boolean().optional().default(false).description('Only rates in force now'),
+});
+
+export const createExchangeRateSchema = Joi.object({
+  fromAssetTypeId:    Joi.string().uuid().required(),
+  toAssetTypeId:      Joi.string().uuid().required(),
+  rate:               rate().required().description('Units of the target asset per unit of the source asset'),
+  fromSystemWalletId: Joi.string().uuid().required().description('System wallet of the source asset; receives it'),
+  toSystemWalletId:   Joi.string().uuid().required().description('System wallet of the target asset; pays it out'),
+  validFrom:          Joi.date().iso().optional().description('Defaults to now'),
+  validUntil:         Joi.date().iso().optional().description('Open-ended by default'),
+});
+
+export const updateExchangeRateSchema = Joi.object({
+  validUntil:         Joi.date().iso().allow(null).required().description('null makes the rate open-ended'),
+});
+
+export const createExchangeQuoteSchema = Joi.object({
+  fromWalletId:       Joi.string().uuid().required().description('Wallet of the source asset'),
+  toWalletId:         Joi.string().uuid().required().invalid(Joi.ref('fromWalletId'))
+    .messages({ 'any.invalid': 'toWalletId must differ from fromWalletId' })
+    .description("The same owner's wallet of the target asset"),
+  amount:             amount().required().description('In the source asset'),
+});
+
+export const exchangeSchema = Joi.object({
+  quoteId:            Joi.string().uuid().required(),
+  description:        Joi.string().max(500).optional(),
+  metadata:           Joi.object().optional().default({}),
+});
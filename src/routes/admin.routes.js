@@ -0,0 +1,157 @@
+import { Router } from 'express';
+import * as adminController from '../controllers/admin.controller.js';
+import * as limitController from '../controllers/limit.controller.js';
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  uuidParam,
+  listSpendingLimitsQuerySchema,
+  createSpendingLimitSchema,
+  updateSpendingLimitSchema,
+} from '../middleware/validate.js';
+import { mutationLimiter } from '../middleware/rateLimiter.js';
+import { authenticate, requireScope } from '../middleware/authenticate.js';
+
+const router = Router();
+
+router.use(authenticate, requireScope('admin'));
+
+/**
+ * @swagger
+ * /admin/ledger/verify:
+ *   get:
+ *     summary: Verify ledger integrity
+ *     description: >
+ *       Proves each transaction's debits equal its credits per asset type, each entry's
+ *       balance_before chains to the wallet's previous balance_after, and each wallet's
+ *       balance equals its opening balance plus the sum of its ledger entries.
+ *       Every discrepancy is reported with wallet and transaction IDs.
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Verification report (check `healthy` and `discrepancies`)
+ */
+router.get('/ledger/verify', adminController.verifyLedger);
+
+/**
+ * @swagger
+ * /admin/maintenance:
+ *   get:
+ *     summary: Maintenance counters for this instance
+ *     description: >
+ *       Runs, runs skipped because another instance held the maintenance lock, and
+ *       expired idempotency keys purged since this process started.
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Counters, and when the last run finished and how much it purged
+ */
+router.get('/maintenance', adminController.getMaintenanceStats);
+
+/**
+ * @swagger
+ * /admin/limits:
+ *   get:
+ *     summary: List spending limits
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: walletId
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: ownerId
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Spending limits
+ */
+router.get('/limits', validateQuery(listSpendingLimitsQuerySchema), limitController.listLimits);
+
+/**
+ * @swagger
+ * /admin/limits:
+ *   post:
+ *     summary: Set a spending limit on a wallet or an owner
+ *     description: >
+ *       Caps the amount and/or number of spends (including holds and outgoing transfers) per calendar day, ISO week
+ *       or month in UTC. Set exactly one of walletId or ownerId. An owner limit applies to the
+ *       owner's wallet of assetTypeId, or, without one, counts spends across all their wallets
+ *       (and may then only cap the count). Exceeding a limit returns 422 LIMIT_EXCEEDED.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [period]
+ *             properties:
+ *               walletId:    { type: string, format: uuid }
+ *               ownerId:     { type: string, format: uuid }
+ *               assetTypeId: { type: string, format: uuid }
+ *               period:      { type: string, enum: [daily, weekly, monthly] }
+ *               maxAmount:   { type: string, example: "500" }
+ *               maxCount:    { type: integer, minimum: 1 }
+ *     responses:
+ *       201:
+ *         description: Limit created
+ *       409:
+ *         description: The target already has a limit for this period
+ */
+router.post('/limits', mutationLimiter, validateBody(createSpendingLimitSchema), limitController.createLimit);
+
+/**
+ * @swagger
+ * /admin/limits/{id}:
+ *   patch:
+ *     summary: Change a spending limit's caps
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               maxAmount: { type: string, nullable: true }
+ *               maxCount:  { type: integer, nullable: true }
+ *     responses:
+ *       200:
+ *         description: Limit updated
+ *       404:
+ *         description: Limit not found
+ */
+router.patch(
+  '/limits/:id',
+  mutationLimiter,
+  validateParams(uuidParam),
+  validateBody(updateSpendingLimitSchema),
+  limitController.updateLimit,
+);
+
+/**
+ * @swagger
+ * /admin/limits/{id}:
+ *   delete:
+ *     summary: Remove a spending limit
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       204:
+ *         description: Limit removed
+ *       404:
+ *         description: Limit not found
+ */
+router.delete('/limits/:id', mutationLimiter, validateParams(uuidParam), limitController.deleteLimit);
+
+export default router;
@@ -0,0 +1,193 @@
+import { Router } from 'express';
+import * as assetTypeController from '../controllers/assetType.controller.js';
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  uuidParam,
+  listAssetTypesQuerySchema,
+  createAssetTypeSchema,
+  updateAssetTypeSchema,
+} from '../middleware/validate.js';
+import { mutationLimiter } from '../middleware/rateLimiter.js';
+import { authenticate, requireScope } from '../middleware/authenticate.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /asset-types:
+ *   get:
+ *     summary: List asset types
+ *     tags: [Asset Types]
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: Asset types with precision and max supply
+ */
+router.get(
+  '/',
+  requireScope('wallets:read'),
+  validateQuery(listAssetTypesQuerySchema),
+  assetTypeController.listAssetTypes,
+);
+
+/**
+ * @swagger
+ * /asset-types:
+ *   post:
+ *     summary: Create an asset type
+ *     tags: [Asset Types]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, symbol]
+ *             properties:
+ *               name:          { type: string }
+ *               symbol:        { type: string }
+ *               description:   { type: string }
+ *               decimalPlaces: { type: integer, minimum: 0, maximum: 6, default: 6 }
+ *               maxSupply:     { type: string, example: "1000000", description: "Cap on the total balance of user wallets" }
+ *               lowBalanceThreshold: { type: string, example: "10", description: "Debits that take a wallet below it publish balance.low" }
+ *               maxTransactionAmount: { type: string, example: "5000", description: "Largest single top-up, spend, transfer or hold" }
+ *               maxBalance:    { type: string, example: "100000", description: "Ceiling on each user wallet balance" }
+ *               bonusExpiryDays: { type: integer, minimum: 1, example: 30, description: "Bonus credits expire back to the pool this many days later" }
+ *     responses:
+ *       201:
+ *         description: Asset type created
+ *       409:
+ *         description: Name or symbol already in use
+ */
+router.post(
+  '/',
+  requireScope('admin'),
+  mutationLimiter,
+  validateBody(createAssetTypeSchema),
+  assetTypeController.createAssetType,
+);
+
+/**
+ * @swagger
+ * /asset-types/{id}:
+ *   get:
+ *     summary: Get asset type by ID
+ *     tags: [Asset Types]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Asset type details
+ *       404:
+ *         description: Asset type not found
+ */
+router.get('/:id', requireScope('wallets:read'), validateParams(uuidParam), assetTypeController.getAssetType);
+
+/**
+ * @swagger
+ * /asset-types/{id}:
+ *   patch:
+ *     summary: Update an asset type
+ *     description: >
+ *       Precision can only be lowered when no wallet balance has more decimal places.
+ *       Max supply cannot be set below the current circulating supply; send null to remove the cap.
+ *     tags: [Asset Types]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:          { type: string }
+ *               description:   { type: string, nullable: true }
+ *               decimalPlaces: { type: integer, minimum: 0, maximum: 6 }
+ *               maxSupply:     { type: string, nullable: true, example: "1000000" }
+ *               lowBalanceThreshold: { type: string, nullable: true, example: "10" }
+ *               maxTransactionAmount: { type: string, nullable: true, example: "5000" }
+ *               maxBalance:    { type: string, nullable: true, example: "100000" }
+ *               bonusExpiryDays: { type: integer, nullable: true, example: 30 }
+ *     responses:
+ *       200:
+ *         description: Asset type updated
+ *       404:
+ *         description: Asset type not found
+ *       409:
+ *         description: Name in use, or the change conflicts with existing balances
+ */
+router.patch(
+  '/:id',
+  requireScope('admin'),
+  mutationLimiter,
+  validateParams(uuidParam),
+  validateBody(updateAssetTypeSchema),
+  assetTypeController.updateAssetType,
+);
+
+/**
+ * @swagger
+ * /asset-types/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate an asset type
+ *     description: Every wallet of an inactive asset type rejects new transactions until it is reactivated.
+ *     tags: [Asset Types]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Asset type deactivated
+ *       404:
+ *         description: Asset type not found
+ */
+router.post(
+  '/:id/deactivate',
+  requireScope('admin'),
+  mutationLimiter,
+  validateParams(uuidParam),
+  assetTypeController.deactivateAssetType,
+);
+
+/**
+ * @swagger
+ * /asset-types/{id}/activate:
+ *   post:
+ *     summary: Reactivate an asset type
+ *     tags: [Asset Types]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Asset type activated
+ *       404:
+ *         description: Asset type not found
+ */
+router.post(
+  '/:id/activate',
+  requireScope('admin'),
+  mutationLimiter,
+  validateParams(uuidParam),
+  assetTypeController.activateAssetType,
+);
+
+export default router;
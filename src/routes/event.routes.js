@@ -0,0 +1,63 @@
+import { Router } from 'express';
+import * as eventController from '../controllers/event.controller.js';
+import { validateQuery, listEventsQuerySchema, streamEventsQuerySchema } from '../middleware/validate.js';
+import { authenticate, requireScope } from '../middleware/authenticate.js';
+
+const router = Router();
+
+router.use(authenticate, requireScope('events:read'));
+
+/**
+ * @swagger
+ * /events:
+ *   get:
+ *     summary: Read the ledger change feed
+ *     description: >
+ *       Every completed transaction and hold capture, with the ledger entries it posted,
+ *       in commit order. Pass the returned `next` as `after` to resume exactly where you
+ *       left off; seq values can have gaps but never repeat. With `wait`, the request is
+ *       held open until an event arrives or the wait elapses (long polling).
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: after
+ *         schema: { type: integer, default: 0 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 100, maximum: 1000 }
+ *       - in: query
+ *         name: wait
+ *         schema: { type: integer, default: 0, maximum: 30 }
+ *         description: Seconds to wait when no events are newer than `after`
+ *     responses:
+ *       200:
+ *         description: Events after `after`, oldest first, and the `next` cursor
+ */
+router.get('/', validateQuery(listEventsQuerySchema), eventController.listEvents);
+
+/**
+ * @swagger
+ * /events/stream:
+ *   get:
+ *     summary: Stream the ledger change feed (Server-Sent Events)
+ *     description: >
+ *       Each event's SSE `id` is its seq. Reconnecting clients send `Last-Event-ID`
+ *       (EventSource does this automatically) and resume after it.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: after
+ *         schema: { type: integer }
+ *         description: Start after this seq; overrides Last-Event-ID
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: text/event-stream of events
+ *         content:
+ *           text/event-stream: {}
+ */
+router.get('/stream', validateQuery(streamEventsQuerySchema), eventController.streamEvents);
+
+export default router;
@@ -0,0 +1,195 @@
+import { Router } from 'express';
+import * as exchangeController from '../controllers/exchange.controller.js';
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  uuidParam,
+  listExchangeRatesQuerySchema,
+  createExchangeRateSchema,
+  updateExchangeRateSchema,
+  createExchangeQuoteSchema,
+} from '../middleware/validate.js';
+import { mutationLimiter } from '../middleware/rateLimiter.js';
+import { authenticate, requireScope } from '../middleware/authenticate.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /exchange/rates:
+ *   get:
+ *     summary: List exchange rates, most recent first per pair
+ *     tags: [Exchange]
+ *     parameters:
+ *       - in: query
+ *         name: fromAssetTypeId
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: toAssetTypeId
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: current
+ *         description: Only rates in force now
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: Exchange rates, each flagged isCurrent when in force
+ */
+router.get(
+  '/rates',
+  requireScope('wallets:read'),
+  validateQuery(listExchangeRatesQuerySchema),
+  exchangeController.listRates,
+);
+
+/**
+ * @swagger
+ * /exchange/rates:
+ *   post:
+ *     summary: Publish an exchange rate (admin)
+ *     description: >
+ *       Sets how many units of the target asset one unit of the source asset buys, from
+ *       validFrom (default now) until validUntil (default open-ended). While several rates
+ *       for a pair are in force, the one with the latest validFrom is used. The source
+ *       system wallet takes in the converted credits and the target system wallet pays
+ *       out the new ones.
+ *     tags: [Exchange]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fromAssetTypeId, toAssetTypeId, rate, fromSystemWalletId, toSystemWalletId]
+ *             properties:
+ *               fromAssetTypeId:    { type: string, format: uuid }
+ *               toAssetTypeId:      { type: string, format: uuid }
+ *               rate:               { type: string, example: "0.05", description: "Up to 12 decimal places" }
+ *               fromSystemWalletId: { type: string, format: uuid }
+ *               toSystemWalletId:   { type: string, format: uuid }
+ *               validFrom:          { type: string, format: date-time }
+ *               validUntil:         { type: string, format: date-time }
+ *     responses:
+ *       201:
+ *         description: Rate created
+ *       404:
+ *         description: System wallet not found
+ *       409:
+ *         description: System wallet asset types do not match the rate
+ *       422:
+ *         description: Validation error
+ */
+router.post(
+  '/rates',
+  requireScope('admin'),
+  mutationLimiter,
+  validateBody(createExchangeRateSchema),
+  exchangeController.createRate,
+);
+
+/**
+ * @swagger
+ * /exchange/rates/{id}:
+ *   patch:
+ *     summary: End an exchange rate, or reschedule its end (admin)
+ *     description: Quotes already given keep their rate until they expire.
+ *     tags: [Exchange]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [validUntil]
+ *             properties:
+ *               validUntil: { type: string, format: date-time, nullable: true }
+ *     responses:
+ *       200:
+ *         description: Rate updated
+ *       404:
+ *         description: Rate not found
+ *       422:
+ *         description: validUntil is not after validFrom
+ */
+router.patch(
+  '/rates/:id',
+  requireScope('admin'),
+  mutationLimiter,
+  validateParams(uuidParam),
+  validateBody(updateExchangeRateSchema),
+  exchangeController.updateRate,
+);
+
+/**
+ * @swagger
+ * /exchange/quotes:
+ *   post:
+ *     summary: Quote a conversion between two of an owner's wallets
+ *     description: >
+ *       Locks in the rate in force now and both amounts for EXCHANGE_QUOTE_TTL_SECONDS.
+ *       toAmount is rounded down to the target asset's decimal places. Execute the quote
+ *       with POST /transactions/exchange.
+ *     tags: [Exchange]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fromWalletId, toWalletId, amount]
+ *             properties:
+ *               fromWalletId: { type: string, format: uuid }
+ *               toWalletId:   { type: string, format: uuid }
+ *               amount:       { type: string, example: "100", description: "In the source asset" }
+ *     responses:
+ *       201:
+ *         description: Quote with fromAmount, toAmount, rate and expiresAt
+ *       404:
+ *         description: Wallet not found, or no rate in force for the pair
+ *       409:
+ *         description: Not two active user wallets of one owner and different asset types
+ *       422:
+ *         description: Amount too small to convert, or validation error
+ */
+router.post(
+  '/quotes',
+  requireScope('transactions:exchange'),
+  mutationLimiter,
+  validateBody(createExchangeQuoteSchema),
+  exchangeController.createQuote,
+);
+
+/**
+ * @swagger
+ * /exchange/quotes/{id}:
+ *   get:
+ *     summary: Get an exchange quote
+ *     description: transactionId is set once the quote has been executed.
+ *     tags: [Exchange]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Quote details
+ *       404:
+ *         description: Quote not found
+ */
+router.get(
+  '/quotes/:id',
+  requireScope('transactions:exchange'),
+  validateParams(uuidParam),
+  exchangeController.getQuote,
+);
+
+export default router;
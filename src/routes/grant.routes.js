@@ -0,0 +1,169 @@
+import { Router } from 'express';
+import * as grantController from '../controllers/grant.controller.js';
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  uuidParam,
+  createGrantScheduleSchema,
+  updateGrantScheduleSchema,
+  listGrantRunsQuerySchema,
+} from '../middleware/validate.js';
+import { mutationLimiter } from '../middleware/rateLimiter.js';
+import { authenticate, requireScope } from '../middleware/authenticate.js';
+
+const router = Router();
+
+router.use(authenticate, requireScope('grants:manage'));
+
+/**
+ * @swagger
+ * /grant-schedules:
+ *   get:
+ *     summary: List grant schedules
+ *     tags: [Grants]
+ *     responses:
+ *       200:
+ *         description: Grant schedules
+ */
+router.get('/', grantController.listSchedules);
+
+/**
+ * @swagger
+ * /grant-schedules:
+ *   post:
+ *     summary: Schedule a recurring bonus grant
+ *     description: >
+ *       Pays `amount` from a bonus-pool wallet at every occurrence of a five-field cron
+ *       expression, evaluated in UTC. Set walletId to pay one wallet, or ownerIds and
+ *       assetTypeId to pay each of those owners' wallets of that asset type. Every wallet is
+ *       paid through the bonus flow with the idempotency key
+ *       `grant:<scheduleId>:<occurrence>:<walletId>`, so an occurrence never pays a wallet
+ *       twice, however many instances run the scheduler or how often a run is retried.
+ *     tags: [Grants]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, schedule, systemWalletId, amount, reason]
+ *             properties:
+ *               name:           { type: string, example: "Daily login reward" }
+ *               schedule:       { type: string, example: "0 0 * * *" }
+ *               walletId:       { type: string, format: uuid }
+ *               ownerIds:       { type: array, items: { type: string, format: uuid } }
+ *               assetTypeId:    { type: string, format: uuid }
+ *               systemWalletId: { type: string, format: uuid }
+ *               amount:         { type: string, example: "10" }
+ *               reason:         { type: string, example: "daily_login" }
+ *               description:    { type: string }
+ *     responses:
+ *       201:
+ *         description: Schedule created, with its first nextRunAt
+ *       404:
+ *         description: Wallet not found
+ *       409:
+ *         description: Wallet asset types do not match
+ *       422:
+ *         description: Invalid cron expression or target
+ */
+router.post(
+  '/',
+  mutationLimiter,
+  validateBody(createGrantScheduleSchema),
+  grantController.createSchedule,
+);
+
+/**
+ * @swagger
+ * /grant-schedules/{id}:
+ *   get:
+ *     summary: Get a grant schedule
+ *     tags: [Grants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Schedule details
+ *       404:
+ *         description: Schedule not found
+ */
+router.get('/:id', validateParams(uuidParam), grantController.getSchedule);
+
+/**
+ * @swagger
+ * /grant-schedules/{id}:
+ *   patch:
+ *     summary: Update, pause or resume a grant schedule
+ *     description: >
+ *       Changing the cron expression, or resuming a paused schedule, restarts it from the
+ *       next occurrence after now. Occurrences missed while paused are not paid.
+ *     tags: [Grants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:        { type: string }
+ *               schedule:    { type: string }
+ *               amount:      { type: string, example: "10" }
+ *               reason:      { type: string }
+ *               description: { type: string, nullable: true }
+ *               isActive:    { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Schedule updated
+ *       404:
+ *         description: Schedule not found
+ */
+router.patch(
+  '/:id',
+  mutationLimiter,
+  validateParams(uuidParam),
+  validateBody(updateGrantScheduleSchema),
+  grantController.updateSchedule,
+);
+
+/**
+ * @swagger
+ * /grant-schedules/{id}/runs:
+ *   get:
+ *     summary: List a schedule's runs, most recent first
+ *     description: One run per occurrence, with how many wallets were paid and why any were not.
+ *     tags: [Grants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, running, completed, partial, failed] }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50 }
+ *     responses:
+ *       200:
+ *         description: Run history
+ *       404:
+ *         description: Schedule not found
+ */
+router.get(
+  '/:id/runs',
+  validateParams(uuidParam),
+  validateQuery(listGrantRunsQuerySchema),
+  grantController.listRuns,
+);
+
+export default router;
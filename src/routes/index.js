@@ -1,6 +1,6 @@
 import { Router } from 'express';
 import { ping } from '../config/db.js';
-import * as walletController from '../controllers/wallet.controller.js';
+import { getLiveness, getReadiness } from '../services/health.service.js';
 
 const router = Router();
 
@@ -9,7 +9,9 @@ const router = Router();
  * /health:
  *   get:
  *     summary: Health check
+ *     description: Database ping, kept for existing monitors. Prefer /health/live and /health/ready.
  *     tags: [System]
+ *     security: []
  *     responses:
  *       200:
  *         description: Service is healthy
@@ -36,14 +38,40 @@ router.get('/health', async (req, res) => {
 
 /**
  * @swagger
- * /asset-types:
+ * /health/live:
  *   get:
- *     summary: List all asset types
+ *     summary: Liveness probe
+ *     description: The process is up. Checks no dependencies, so a database outage doesn't get instances restarted.
  *     tags: [System]
+ *     security: []
  *     responses:
  *       200:
- *         description: List of active asset types
+ *         description: Process is alive
  */
-router.get('/asset-types', walletController.listAssetTypes);
+router.get('/health/live', (req, res) => {
+  res.json({ success: true, ...getLiveness() });
+});
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Readiness probe
+ *     description: >
+ *       Reports each check — database, pending migrations, pg pool saturation, the system
+ *       wallets that grant schedules and exchange rates pay from or into, and whether the
+ *       process is draining for shutdown. Any failing check makes the instance not ready.
+ *     tags: [System]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Ready to take traffic, with the per-check report
+ *       503:
+ *         description: Not ready, with the per-check report
+ */
+router.get('/health/ready', async (req, res) => {
+  const report = await getReadiness();
+  res.status(report.ready ? 200 : 503).json({ success: report.ready, ...report });
+});
 
 export default router;
@@ -0,0 +1,54 @@
+import { Router } from 'express';
+import * as ownerController from '../controllers/owner.controller.js';
+import { validateParams, ownerIdParam } from '../middleware/validate.js';
+import { authenticate, requireScope } from '../middleware/authenticate.js';
+
+const router = Router();
+
+router.use(authenticate, requireScope('wallets:read'));
+
+/**
+ * @swagger
+ * /owners/{ownerId}/wallets:
+ *   get:
+ *     summary: List an owner's wallets across asset types
+ *     description: One wallet per asset type, with balances and lastActivityAt (the wallet's latest ledger entry).
+ *     tags: [Owners]
+ *     parameters:
+ *       - in: path
+ *         name: ownerId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: The owner's wallets
+ *       404:
+ *         description: The owner has no wallets
+ */
+router.get('/:ownerId/wallets', validateParams(ownerIdParam), ownerController.listOwnerWallets);
+
+/**
+ * @swagger
+ * /owners/{ownerId}/summary:
+ *   get:
+ *     summary: Get an owner's portfolio summary
+ *     description: >
+ *       Per asset type: the wallet's ledger, available and held balances, lifetime totals of
+ *       completed top-ups, bonuses and spends (captured holds count as spends; reversals are
+ *       not netted off) and its last activity. lastActivityAt at the top is the latest across
+ *       all of the owner's wallets.
+ *     tags: [Owners]
+ *     parameters:
+ *       - in: path
+ *         name: ownerId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Portfolio summary
+ *       404:
+ *         description: The owner has no wallets
+ */
+router.get('/:ownerId/summary', validateParams(ownerIdParam), ownerController.getOwnerSummary);
+
+export default router;
@@ -3,29 +3,41 @@ import * as txnController from '../controllers/transaction.controller.js';
 import {
   validateBody,
   validateParams,
+  validateQuery,
   uuidParam,
+  searchTransactionsQuerySchema,
   topupSchema,
   bonusSchema,
   spendSchema,
+  transferSchema,
+  journalSchema,
+  exchangeSchema,
+  holdSchema,
+  captureHoldSchema,
+  voidHoldSchema,
+  reverseSchema,
 } from '../middleware/validate.js';
 import idempotency from '../middleware/idempotency.js';
 import { mutationLimiter } from '../middleware/rateLimiter.js';
+import { authenticate, requireScope } from '../middleware/authenticate.js';
 
 const router = Router();
 
+router.use(authenticate);
+
 /**
  * @swagger
  * /transactions/topup:
  *   post:
  *     summary: Wallet top-up (purchase credits)
- *     description: Credits a user's wallet from the system treasury. Requires an Idempotency-Key header to prevent duplicate credits.
+ *     description: Credits a user's wallet from the system treasury. Send an Idempotency-Key header so retries never credit twice.
  *     tags: [Transactions]
  *     parameters:
  *       - in: header
  *         name: Idempotency-Key
- *         required: true
+ *         required: false
  *         schema: { type: string }
- *         description: Unique key to ensure safe retries
+ *         description: Optional unique key; retries with the same key replay the original response
  *     requestBody:
  *       required: true
  *       content:
@@ -36,8 +48,9 @@ const router = Router();
  *             properties:
  *               walletId:       { type: string, format: uuid }
  *               systemWalletId: { type: string, format: uuid }
- *               amount:         { type: number, minimum: 0.000001 }
+ *               amount:         { type: string, example: "100.5", description: "Decimal string (numbers are also accepted)" }
  *               referenceId:    { type: string, description: "External payment reference (e.g. Stripe charge ID)" }
+ *               expiresInDays:  { type: integer, minimum: 1, description: "Credits expire back to the treasury this many days later; never by default" }
  *               description:    { type: string }
  *               metadata:       { type: object }
  *     responses:
@@ -48,19 +61,22 @@ const router = Router();
  *       422:
  *         description: Validation error or insufficient funds
  */
-router.post('/topup',  mutationLimiter, idempotency, validateBody(topupSchema), txnController.topup);
+router.post('/topup', requireScope('transactions:topup'), mutationLimiter, validateBody(topupSchema), idempotency, txnController.topup);
 
 /**
  * @swagger
  * /transactions/bonus:
  *   post:
  *     summary: Issue bonus/incentive credits
- *     description: Issues free credits from a bonus-pool wallet to a user (e.g. referral reward).
+ *     description: >
+ *       Issues free credits from a bonus-pool wallet to a user (e.g. referral reward).
+ *       The credits expire back to the pool after expiresInDays, or the asset type's
+ *       bonusExpiryDays when omitted; send null for credits that never expire.
  *     tags: [Transactions]
  *     parameters:
  *       - in: header
  *         name: Idempotency-Key
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *     requestBody:
  *       required: true
@@ -72,8 +88,9 @@ router.post('/topup',  mutationLimiter, idempotency, validateBody(topupSchema),
  *             properties:
  *               walletId:       { type: string, format: uuid }
  *               systemWalletId: { type: string, format: uuid }
- *               amount:         { type: number, minimum: 0.000001 }
+ *               amount:         { type: string, example: "100.5", description: "Decimal string (numbers are also accepted)" }
  *               reason:         { type: string }
+ *               expiresInDays:  { type: integer, minimum: 1, nullable: true }
  *               metadata:       { type: object }
  *     responses:
  *       201:
@@ -81,7 +98,7 @@ router.post('/topup',  mutationLimiter, idempotency, validateBody(topupSchema),
  *       422:
  *         description: Validation error or insufficient pool funds
  */
-router.post('/bonus', mutationLimiter, idempotency, validateBody(bonusSchema), txnController.bonus);
+router.post('/bonus', requireScope('transactions:bonus'), mutationLimiter, validateBody(bonusSchema), idempotency, txnController.bonus);
 
 /**
  * @swagger
@@ -93,7 +110,7 @@ router.post('/bonus', mutationLimiter, idempotency, validateBody(bonusSchema), t
  *     parameters:
  *       - in: header
  *         name: Idempotency-Key
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *     requestBody:
  *       required: true
@@ -105,7 +122,7 @@ router.post('/bonus', mutationLimiter, idempotency, validateBody(bonusSchema), t
  *             properties:
  *               walletId:       { type: string, format: uuid }
  *               systemWalletId: { type: string, format: uuid }
- *               amount:         { type: number, minimum: 0.000001 }
+ *               amount:         { type: string, example: "100.5", description: "Decimal string (numbers are also accepted)" }
  *               serviceId:      { type: string }
  *               description:    { type: string }
  *               metadata:       { type: object }
@@ -115,7 +132,351 @@ router.post('/bonus', mutationLimiter, idempotency, validateBody(bonusSchema), t
  *       422:
  *         description: Insufficient funds or validation error
  */
-router.post('/spend', mutationLimiter, idempotency, validateBody(spendSchema), txnController.spend);
+router.post('/spend', requireScope('transactions:spend'), mutationLimiter, validateBody(spendSchema), idempotency, txnController.spend);
+
+/**
+ * @swagger
+ * /transactions/transfer:
+ *   post:
+ *     summary: Transfer credits between two users
+ *     description: Debits the sender's wallet and credits the recipient's wallet of the same asset type. Both must be user wallets.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fromWalletId, toWalletId, amount]
+ *             properties:
+ *               fromWalletId: { type: string, format: uuid }
+ *               toWalletId:   { type: string, format: uuid }
+ *               amount:       { type: string, example: "100.5", description: "Decimal string (numbers are also accepted)" }
+ *               description:  { type: string }
+ *               metadata:     { type: object }
+ *     responses:
+ *       201:
+ *         description: Transfer completed
+ *       409:
+ *         description: Not two user wallets, inactive wallet, or asset type mismatch
+ *       422:
+ *         description: Insufficient funds or validation error
+ */
+router.post('/transfer', requireScope('transactions:transfer'), mutationLimiter, validateBody(transferSchema), idempotency, txnController.transfer);
+
+/**
+ * @swagger
+ * /transactions/journal:
+ *   post:
+ *     summary: Post a multi-leg journal atomically
+ *     description: Applies N debit and credit legs across many wallets in one database transaction. Legs must sum to zero per asset type; wallets are locked in ascending UUID order.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [legs]
+ *             properties:
+ *               legs:
+ *                 type: array
+ *                 minItems: 2
+ *                 items:
+ *                   type: object
+ *                   required: [walletId, entryType, amount]
+ *                   properties:
+ *                     walletId:  { type: string, format: uuid }
+ *                     entryType: { type: string, enum: [debit, credit] }
+ *                     amount:    { type: string, example: "100.5", description: "Decimal string (numbers are also accepted)" }
+ *               referenceId: { type: string }
+ *               description: { type: string }
+ *               metadata:    { type: object }
+ *     responses:
+ *       201:
+ *         description: Journal posted
+ *       404:
+ *         description: One or more wallets not found
+ *       409:
+ *         description: A wallet is inactive
+ *       422:
+ *         description: Unbalanced legs, insufficient funds, or validation error
+ */
+router.post('/journal', requireScope('transactions:journal'), mutationLimiter, validateBody(journalSchema), idempotency, txnController.journal);
+
+/**
+ * @swagger
+ * /transactions/exchange:
+ *   post:
+ *     summary: Convert credits into another asset type at a quoted rate
+ *     description: >
+ *       Executes a quote from POST /exchange/quotes. Debits the user's source-asset wallet and
+ *       credits their target-asset wallet; the source asset goes to the rate's source system
+ *       wallet and the target asset is paid out of its target system wallet, so each asset type
+ *       balances on its own. A quote can be executed once, before it expires.
+ *     tags: [Exchange]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [quoteId]
+ *             properties:
+ *               quoteId:     { type: string, format: uuid }
+ *               description: { type: string }
+ *               metadata:    { type: object }
+ *     responses:
+ *       201:
+ *         description: Exchange completed
+ *       404:
+ *         description: Quote not found
+ *       409:
+ *         description: Quote expired or already used, or a wallet is inactive
+ *       422:
+ *         description: Insufficient funds, a limit exceeded, or validation error
+ */
+router.post('/exchange', requireScope('transactions:exchange'), mutationLimiter, validateBody(exchangeSchema), idempotency, txnController.exchange);
+
+/**
+ * @swagger
+ * /transactions/holds:
+ *   post:
+ *     summary: Place an authorization hold (two-phase spend)
+ *     description: Reserves funds on a user wallet without moving them. The hold reduces the available balance until it is captured, voided, or expires after ttlSeconds.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [walletId, systemWalletId, amount, serviceId]
+ *             properties:
+ *               walletId:       { type: string, format: uuid }
+ *               systemWalletId: { type: string, format: uuid }
+ *               amount:         { type: string, example: "100.5", description: "Decimal string (numbers are also accepted)" }
+ *               serviceId:      { type: string }
+ *               ttlSeconds:     { type: integer, minimum: 1 }
+ *               description:    { type: string }
+ *               metadata:       { type: object }
+ *     responses:
+ *       201:
+ *         description: Hold authorized
+ *       422:
+ *         description: Insufficient available funds or validation error
+ */
+router.post('/holds', requireScope('transactions:spend'), mutationLimiter, validateBody(holdSchema), idempotency, txnController.hold);
+
+/**
+ * @swagger
+ * /transactions/holds/{id}/capture:
+ *   post:
+ *     summary: Capture an authorization hold
+ *     description: Moves the captured amount from the user wallet to the revenue wallet and releases any remainder. Omit amount to capture the full hold.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount: { type: string, example: "100.5", description: "Decimal string (numbers are also accepted)" }
+ *     responses:
+ *       200:
+ *         description: Hold captured
+ *       404:
+ *         description: Hold not found
+ *       409:
+ *         description: Hold is not authorized, has expired, or amount exceeds the hold
+ */
+router.post(
+  '/holds/:id/capture',
+  requireScope('transactions:spend'),
+  mutationLimiter,
+  validateParams(uuidParam),
+  validateBody(captureHoldSchema),
+  idempotency,
+  txnController.captureHold,
+);
+
+/**
+ * @swagger
+ * /transactions/holds/{id}/void:
+ *   post:
+ *     summary: Void an authorization hold
+ *     description: Releases the reserved funds without moving them.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string }
+ *     responses:
+ *       200:
+ *         description: Hold voided
+ *       404:
+ *         description: Hold not found
+ *       409:
+ *         description: Hold is not authorized or has expired
+ */
+router.post(
+  '/holds/:id/void',
+  requireScope('transactions:spend'),
+  mutationLimiter,
+  validateParams(uuidParam),
+  validateBody(voidHoldSchema),
+  idempotency,
+  txnController.voidHold,
+);
+
+/**
+ * @swagger
+ * /transactions/{id}/reverse:
+ *   post:
+ *     summary: Reverse (refund) a completed transaction
+ *     description: Posts a linked compensating transaction with mirrored ledger entries. Omit amount to reverse the full unreversed remainder; partial reversals can never exceed it.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               amount:      { type: string, example: "100.5", description: "Decimal string (numbers are also accepted)" }
+ *               reason:      { type: string }
+ *               description: { type: string }
+ *               metadata:    { type: object }
+ *     responses:
+ *       201:
+ *         description: Reversal completed
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Already fully reversed, not reversible, or amount exceeds the remainder
+ *       422:
+ *         description: Validation error or insufficient funds in the wallet being debited
+ */
+router.post(
+  '/:id/reverse',
+  requireScope('transactions:reverse'),
+  mutationLimiter,
+  validateParams(uuidParam),
+  validateBody(reverseSchema),
+  idempotency,
+  txnController.reverse,
+);
+
+/**
+ * @swagger
+ * /transactions:
+ *   get:
+ *     summary: Search transactions
+ *     description: >
+ *       Filters combine with AND; type, status and metadata may be repeated. A wallet matches
+ *       the transactions it is the source or destination of or has a ledger entry in, and an
+ *       owner matches through any of their wallets. Results are keyset-paginated: pass
+ *       pagination.nextCursor back as `cursor`, with the same filters, sort and order, until it is null.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema: { type: array, items: { type: string, enum: [topup, bonus, spend, transfer, journal, reversal, hold, expiry, exchange] } }
+ *       - in: query
+ *         name: status
+ *         schema: { type: array, items: { type: string, enum: [pending, completed, failed, authorized, captured, voided, expired] } }
+ *       - in: query
+ *         name: walletId
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: ownerId
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: referenceId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: minAmount
+ *         schema: { type: string, example: "10" }
+ *       - in: query
+ *         name: maxAmount
+ *         schema: { type: string, example: "100" }
+ *       - in: query
+ *         name: from
+ *         description: Created at or after (inclusive)
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         description: Created before (exclusive)
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: metadata
+ *         description: "`key` (metadata has the key) or `key:value` (its value, as text, equals value)"
+ *         schema: { type: array, items: { type: string, example: "serviceId:sword-001" } }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [createdAt, amount], default: createdAt }
+ *       - in: query
+ *         name: order
+ *         schema: { type: string, enum: [asc, desc], default: desc }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 100 }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: A page of transactions, with pagination.nextCursor
+ *       422:
+ *         description: Invalid filter or cursor
+ */
+router.get('/', requireScope('transactions:read'), validateQuery(searchTransactionsQuerySchema), txnController.searchTransactions);
 
 /**
  * @swagger
@@ -134,6 +495,6 @@ router.post('/spend', mutationLimiter, idempotency, validateBody(spendSchema), t
  *       404:
  *         description: Transaction not found
  */
-router.get('/:id', validateParams(uuidParam), txnController.getTransaction);
+router.get('/:id', requireScope('transactions:read'), validateParams(uuidParam), txnController.getTransaction);
 
 export default router;
@@ -1,9 +1,27 @@
 import { Router } from 'express';
 import * as walletController from '../controllers/wallet.controller.js';
-import { validateParams, uuidParam } from '../middleware/validate.js';
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  uuidParam,
+  listWalletsQuerySchema,
+  walletTransactionsQuerySchema,
+  createWalletSchema,
+  renameWalletSchema,
+  walletStatusChangeSchema,
+  balanceQuerySchema,
+  bulkBalanceQuerySchema,
+  statementQuerySchema,
+} from '../middleware/validate.js';
+import idempotency from '../middleware/idempotency.js';
+import { mutationLimiter } from '../middleware/rateLimiter.js';
+import { authenticate, requireScope } from '../middleware/authenticate.js';
 
 const router = Router();
 
+router.use(authenticate);
+
 /**
  * @swagger
  * /wallets:
@@ -15,22 +33,96 @@ const router = Router();
  *         name: ownerType
  *         schema: { type: string, enum: [user, system] }
  *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [active, frozen, closed] }
+ *       - in: query
+ *         name: cursor
+ *         description: pagination.next or pagination.prev of another page
+ *         schema: { type: string }
+ *       - in: query
  *         name: page
- *         schema: { type: integer, default: 1 }
+ *         description: Legacy offset pagination, with a total count; cannot be combined with cursor
+ *         schema: { type: integer }
  *       - in: query
  *         name: limit
  *         schema: { type: integer, default: 20, maximum: 100 }
  *     responses:
  *       200:
- *         description: Paginated list of wallets
+ *         description: >
+ *           Wallets, newest first. pagination has next and prev cursors (null at either end),
+ *           or page, total and pages when page is given.
+ */
+router.get('/', requireScope('wallets:read'), validateQuery(listWalletsQuerySchema), walletController.listWallets);
+
+/**
+ * @swagger
+ * /wallets:
+ *   post:
+ *     summary: Create a wallet
+ *     description: Creates an empty wallet for an owner and asset type. An owner may hold only one wallet per asset type.
+ *     tags: [Wallets]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ownerId, assetTypeId]
+ *             properties:
+ *               ownerId:     { type: string, format: uuid }
+ *               ownerType:   { type: string, enum: [user, system], default: user }
+ *               assetTypeId: { type: string, format: uuid }
+ *               name:        { type: string }
+ *     responses:
+ *       201:
+ *         description: Wallet created
+ *       404:
+ *         description: Asset type not found
+ *       409:
+ *         description: Owner already has a wallet for this asset type, or the asset type is inactive
+ */
+router.post(
+  '/',
+  requireScope('wallets:write'),
+  mutationLimiter,
+  validateBody(createWalletSchema),
+  idempotency,
+  walletController.createWallet,
+);
+
+/**
+ * @swagger
+ * /wallets/balances:
+ *   get:
+ *     summary: Get balances of many wallets at one instant
+ *     description: Reconstructs each wallet's balance from ledger_entries as of the given timestamp (defaults to now).
+ *     tags: [Wallets]
+ *     parameters:
+ *       - in: query
+ *         name: walletIds
+ *         required: true
+ *         schema: { type: string }
+ *         description: Comma-separated wallet UUIDs (max 100)
+ *       - in: query
+ *         name: asOf
+ *         schema: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: One balance per requested wallet, in request order
+ *       404:
+ *         description: One or more wallets not found
  */
-router.get('/', walletController.listWallets);
+router.get('/balances', requireScope('wallets:read'), validateQuery(bulkBalanceQuerySchema), walletController.getBalances);
 
 /**
  * @swagger
  * /wallets/{id}:
  *   get:
  *     summary: Get wallet by ID
+ *     description: >
+ *       Includes creditLots, the expiring credits still in the wallet, soonest expiry first.
+ *       Spends draw on them in that order. expiredBalance is credit past its expiry that
+ *       has not yet been swept back; it is excluded from availableBalance.
  *     tags: [Wallets]
  *     parameters:
  *       - in: path
@@ -43,7 +135,125 @@ router.get('/', walletController.listWallets);
  *       404:
  *         description: Wallet not found
  */
-router.get('/:id', validateParams(uuidParam), walletController.getWallet);
+router.get('/:id', requireScope('wallets:read'), validateParams(uuidParam), walletController.getWallet);
+
+/**
+ * @swagger
+ * /wallets/{id}:
+ *   patch:
+ *     summary: Rename a wallet
+ *     tags: [Wallets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string }
+ *     responses:
+ *       200:
+ *         description: Wallet renamed
+ *       404:
+ *         description: Wallet not found
+ *       409:
+ *         description: Wallet is closed
+ */
+router.patch(
+  '/:id',
+  requireScope('wallets:write'),
+  mutationLimiter,
+  validateParams(uuidParam),
+  validateBody(renameWalletSchema),
+  walletController.updateWallet,
+);
+
+/**
+ * @swagger
+ * /wallets/{id}/{action}:
+ *   post:
+ *     summary: Freeze, unfreeze or close a wallet
+ *     description: >
+ *       freeze: active → frozen. unfreeze: frozen → active. close: active or frozen → closed (permanent;
+ *       requires a zero balance and no outstanding holds). Frozen and closed wallets are rejected by every
+ *       transaction flow, except that reversals still apply to frozen wallets. Each change is recorded in the wallet's audit log.
+ *     tags: [Wallets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema: { type: string, enum: [freeze, unfreeze, close] }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string }
+ *     responses:
+ *       200:
+ *         description: Wallet status changed
+ *       404:
+ *         description: Wallet not found
+ *       409:
+ *         description: Transition not allowed from the current status, non-zero balance, or outstanding holds
+ */
+router.post(
+  '/:id/freeze',
+  requireScope('wallets:manage'),
+  mutationLimiter,
+  validateParams(uuidParam),
+  validateBody(walletStatusChangeSchema),
+  walletController.freezeWallet,
+);
+router.post(
+  '/:id/unfreeze',
+  requireScope('wallets:manage'),
+  mutationLimiter,
+  validateParams(uuidParam),
+  validateBody(walletStatusChangeSchema),
+  walletController.unfreezeWallet,
+);
+router.post(
+  '/:id/close',
+  requireScope('wallets:manage'),
+  mutationLimiter,
+  validateParams(uuidParam),
+  validateBody(walletStatusChangeSchema),
+  walletController.closeWallet,
+);
+
+/**
+ * @swagger
+ * /wallets/{id}/audit-log:
+ *   get:
+ *     summary: Get a wallet's lifecycle audit log
+ *     description: Every creation, rename, freeze, unfreeze and close, oldest first, with reason and API client.
+ *     tags: [Wallets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *       404:
+ *         description: Wallet not found
+ */
+router.get('/:id/audit-log', requireScope('wallets:read'), validateParams(uuidParam), walletController.getAuditLog);
 
 /**
  * @swagger
@@ -56,11 +266,21 @@ router.get('/:id', validateParams(uuidParam), walletController.getWallet);
  *         name: id
  *         required: true
  *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: asOf
+ *         schema: { type: string, format: date-time }
+ *         description: Return the ledger balance at this past instant instead of the live balance
  *     responses:
  *       200:
- *         description: Current balance with asset type info
+ *         description: Ledger balance, available balance (ledger minus outstanding holds) and asset type info
  */
-router.get('/:id/balance', validateParams(uuidParam), walletController.getBalance);
+router.get(
+  '/:id/balance',
+  requireScope('wallets:read'),
+  validateParams(uuidParam),
+  validateQuery(balanceQuerySchema),
+  walletController.getBalance,
+);
 
 /**
  * @swagger
@@ -74,15 +294,66 @@ router.get('/:id/balance', validateParams(uuidParam), walletController.getBalanc
  *         required: true
  *         schema: { type: string, format: uuid }
  *       - in: query
+ *         name: cursor
+ *         description: pagination.next or pagination.prev of another page
+ *         schema: { type: string }
+ *       - in: query
  *         name: page
- *         schema: { type: integer, default: 1 }
+ *         description: Legacy offset pagination, with a total count; cannot be combined with cursor
+ *         schema: { type: integer }
  *       - in: query
  *         name: limit
- *         schema: { type: integer, default: 20 }
+ *         schema: { type: integer, default: 20, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: >
+ *           Ledger entries, newest first. pagination has next and prev cursors (null at either end),
+ *           or page, total and pages when page is given.
+ */
+router.get(
+  '/:id/transactions',
+  requireScope('wallets:read'),
+  validateParams(uuidParam),
+  validateQuery(walletTransactionsQuerySchema),
+  walletController.getWalletTransactions,
+);
+
+/**
+ * @swagger
+ * /wallets/{id}/statement:
+ *   get:
+ *     summary: Download a wallet statement
+ *     description: >
+ *       Streams every ledger entry in (from, to] with an opening record, running balance,
+ *       running credit/debit totals and transaction descriptions, then a closing record.
+ *       Read through a database cursor, so very large histories are never loaded into memory.
+ *     tags: [Wallets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, jsonl], default: csv }
  *     responses:
  *       200:
- *         description: Paginated ledger entries
+ *         description: Statement file (text/csv or application/x-ndjson)
+ *       404:
+ *         description: Wallet not found
  */
-router.get('/:id/transactions', validateParams(uuidParam), walletController.getWalletTransactions);
+router.get(
+  '/:id/statement',
+  requireScope('wallets:read'),
+  validateParams(uuidParam),
+  validateQuery(statementQuerySchema),
+  walletController.getStatement,
+);
 
 export default router;
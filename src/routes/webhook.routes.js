@@ -0,0 +1,182 @@
+import { Router } from 'express';
+import * as webhookController from '../controllers/webhook.controller.js';
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  uuidParam,
+  createWebhookSchema,
+  updateWebhookSchema,
+  listWebhookDeliveriesQuerySchema,
+} from '../middleware/validate.js';
+import { mutationLimiter } from '../middleware/rateLimiter.js';
+import { authenticate, requireScope } from '../middleware/authenticate.js';
+
+const router = Router();
+
+router.use(authenticate, requireScope('webhooks:manage'));
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: List webhook subscriptions
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Subscriptions (secrets are never returned)
+ */
+router.get('/', webhookController.listSubscriptions);
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Subscribe a URL to events
+ *     description: >
+ *       Each delivery is a POST of `{ id, type, createdAt, data }` signed with the subscription secret.
+ *       `X-Webhook-Signature` is `v1=` followed by the hex HMAC-SHA256 of `<X-Webhook-Timestamp>.<raw body>`.
+ *       Any 2xx response acknowledges the delivery; anything else is retried with exponential backoff.
+ *       Receivers should de-duplicate on `X-Webhook-Id`, as delivery is at least once.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, eventTypes]
+ *             properties:
+ *               url:         { type: string, format: uri }
+ *               eventTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [transaction.completed, transaction.failed, wallet.frozen, balance.low]
+ *               description: { type: string }
+ *               secret:      { type: string, description: "Signing secret; generated when omitted" }
+ *     responses:
+ *       201:
+ *         description: Subscription created; the response is the only time the secret is shown
+ */
+router.post(
+  '/',
+  mutationLimiter,
+  validateBody(createWebhookSchema),
+  webhookController.createSubscription,
+);
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook subscription
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Subscription details
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:id', validateParams(uuidParam), webhookController.getSubscription);
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   patch:
+ *     summary: Update or deactivate a webhook subscription
+ *     description: Deliveries queued while a subscription is inactive are sent once it is reactivated.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:         { type: string, format: uri }
+ *               eventTypes:  { type: array, items: { type: string } }
+ *               description: { type: string, nullable: true }
+ *               isActive:    { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Subscription updated
+ *       404:
+ *         description: Subscription not found
+ */
+router.patch(
+  '/:id',
+  mutationLimiter,
+  validateParams(uuidParam),
+  validateBody(updateWebhookSchema),
+  webhookController.updateSubscription,
+);
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List a subscription's deliveries, newest first
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, delivered, dead] }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
+ *     responses:
+ *       200:
+ *         description: Deliveries with attempt count, last response status and error
+ *       404:
+ *         description: Subscription not found
+ */
+router.get(
+  '/:id/deliveries',
+  validateParams(uuidParam),
+  validateQuery(listWebhookDeliveriesQuerySchema),
+  webhookController.listDeliveries,
+);
+
+/**
+ * @swagger
+ * /webhooks/deliveries/{id}/replay:
+ *   post:
+ *     summary: Replay a dead or delivered webhook delivery
+ *     description: Queues the same event for immediate delivery with a fresh attempt budget.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Delivery queued
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: Delivery is already pending
+ */
+router.post(
+  '/deliveries/:id/replay',
+  mutationLimiter,
+  validateParams(uuidParam),
+  webhookController.replayDelivery,
+);
+
+export default router;
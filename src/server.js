@@ -1,8 +1,14 @@
 import 'dotenv/config';
 import app from './app.js';
 import env from './config/env.js';
-import { closePool, ping } from './config/db.js';
+import { closePool, ping, drainTransactions, activeTransactionCount } from './config/db.js';
 import logger from './config/logger.js';
+import { expireHolds, expireCredits } from './services/transaction.service.js';
+import { deliverDueWebhooks } from './services/webhook.service.js';
+import { closeEventFeed } from './services/event.service.js';
+import { runDueGrants } from './services/grant.service.js';
+import { runMaintenance } from './services/maintenance.service.js';
+import { isDraining, startDraining } from './config/lifecycle.js';
 
 const server = app.listen(env.PORT, async () => {
   try {
@@ -18,21 +24,63 @@ const server = app.listen(env.PORT, async () => {
   }
 });
 
+// ─── Background jobs ──────────────────────────────────────────────────────
+// Runs in progress are kept so shutdown can wait for them before closing the pool
+const runningJobs = new Set();
+
+const every = (intervalMs, job, failureMessage) => setInterval(() => {
+  const run = job()
+    .catch((err) => logger.error(failureMessage, { error: err.message }))
+    .finally(() => runningJobs.delete(run));
+  runningJobs.add(run);
+}, intervalMs);
+
+const holdExpiryTimer   = every(env.HOLD_EXPIRY_INTERVAL_MS, expireHolds, 'Hold expiry sweep failed');
+const creditExpiryTimer = every(env.CREDIT_EXPIRY_INTERVAL_MS, expireCredits, 'Credit expiry sweep failed');
+const webhookTimer      = every(env.WEBHOOK_DELIVERY_INTERVAL_MS, deliverDueWebhooks, 'Webhook delivery run failed');
+const grantTimer        = every(env.GRANT_SCHEDULER_INTERVAL_MS, runDueGrants, 'Grant scheduler run failed');
+const maintenanceTimer  = every(env.MAINTENANCE_INTERVAL_MS, runMaintenance, 'Maintenance run failed');
+
 // ─── Graceful Shutdown ────────────────────────────────────────────────────
+// 1. Drain: readiness fails and new mutations get 503 (see middleware/draining.js)
+// 2. Stop background jobs and stop accepting connections
+// 3. Wait for job runs already in progress, in-flight requests and withTransaction()
+//    calls, up to SHUTDOWN_TIMEOUT_MS
+// 4. Close the pg pool and exit
 const shutdown = async (signal) => {
+  if (isDraining()) return; // Already shutting down
   logger.info(`${signal} received — shutting down gracefully...`);
-  server.close(async () => {
-    logger.info('HTTP server closed');
-    await closePool();
-    logger.info('DB pool closed');
-    process.exit(0);
-  });
-
-  // Force kill after 10 seconds
+  startDraining();
+
+  // Force kill once the deadline passes
   setTimeout(() => {
-    logger.error('Graceful shutdown timed out — forcing exit');
+    logger.error('Graceful shutdown timed out — forcing exit', { activeTransactions: activeTransactionCount() });
     process.exit(1);
-  }, 10_000);
+  }, env.SHUTDOWN_TIMEOUT_MS).unref();
+
+  clearInterval(holdExpiryTimer);
+  clearInterval(creditExpiryTimer);
+  clearInterval(webhookTimer);
+  clearInterval(grantTimer);
+  clearInterval(maintenanceTimer);
+  // Ends open event streams, which would otherwise keep server.close() waiting
+  closeEventFeed().catch((err) => logger.error('Closing event feed failed', { error: err.message }));
+
+  // Resolves once every in-flight request has been answered. Connections kept alive
+  // by requests already past the draining middleware close right after their response.
+  server.keepAliveTimeout = 1;
+  const serverClosed = new Promise((resolve) => server.close(resolve));
+
+  // A sweep between two of its transactions would otherwise start the next one on a closed pool
+  await Promise.all(runningJobs);
+  logger.info('Background jobs finished');
+  if (!(await drainTransactions(env.SHUTDOWN_TIMEOUT_MS))) return; // The deadline timer exits
+  logger.info('In-flight transactions finished');
+  await serverClosed;
+  logger.info('HTTP server closed');
+  await closePool();
+  logger.info('DB pool closed');
+  process.exit(0);
 };
 
 process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,91 @@
+import { createHash, randomBytes } from 'crypto';
+import { query } from '../config/db.js';
+import { ValidationError } from '../errors/AppError.js';
+
+/**
+ * ApiClientService — API keys and their scopes.
+ *
+ * Keys are random 32-byte secrets shown once at creation. Only a SHA-256 hash
+ * is stored: keys carry enough entropy that a slow password hash adds nothing,
+ * and a fast hash keeps per-request authentication cheap.
+ */
+
+export const SCOPES = [
+  'wallets:read',
+  'wallets:write',  // Create and rename wallets
+  'wallets:manage', // Freeze, unfreeze and close wallets
+  'transactions:read',
+  'transactions:topup',
+  'transactions:bonus',
+  'transactions:spend',
+  'transactions:transfer',
+  'transactions:journal',
+  'transactions:reverse',
+  'transactions:exchange', // Exchange quotes, and executing them
+  'events:read',     // The ledger change feed
+  'webhooks:manage', // Webhook subscriptions, deliveries and replays
+  'grants:manage',   // Scheduled and recurring bonus grants
+  'admin', // Implies every other scope
+];
+
+const KEY_PREFIX = 'wl_';
+
+export function hashApiKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Create a client and return it with its plaintext key (never retrievable again).
+ *
+ * @param {object} params
+ * @param {string} params.name
+ * @param {string[]} params.scopes
+ */
+export async function createApiClient({ name, scopes }) {
+  const unknown = scopes.filter((s) => !SCOPES.includes(s));
+  if (unknown.length) {
+    throw new ValidationError(`Unknown scopes: ${unknown.join(', ')}`, unknown.map((s) => ({ field: 'scopes', message: s })));
+  }
+
+  const apiKey = KEY_PREFIX + randomBytes(32).toString('base64url');
+  const { rows: [client] } = await query(
+    `INSERT INTO api_clients (name, key_prefix, key_hash, scopes)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, name, key_prefix, scopes, is_active, created_at`,
+    [name, apiKey.slice(0, 11), hashApiKey(apiKey), scopes],
+  );
+  return { client: formatApiClient(client), apiKey };
+}
+
+/**
+ * Look up an active client by its plaintext key. Returns null if none matches.
+ */
+export async function findActiveClientByKey(apiKey) {
+  const { rows } = await query(
+    'SELECT id, name, key_prefix, scopes, is_active, created_at FROM api_clients WHERE key_hash = $1 AND is_active = TRUE',
+    [hashApiKey(apiKey)],
+  );
+  return rows.length ? formatApiClient(rows[0]) : null;
+}
+
+/**
+ * Record that a client was used. Throttled to one write per minute per client.
+ */
+export async function touchApiClient(clientId) {
+  await query(
+    `UPDATE api_clients SET last_used_at = NOW()
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+    [clientId],
+  );
+}
+
+function formatApiClient(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    keyPrefix: row.key_prefix,
+    scopes: row.scopes,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+  };
+}
@@ -0,0 +1,198 @@
+import { withTransaction, query } from '../config/db.js';
+import { NotFoundError, ConflictError } from '../errors/AppError.js';
+import logger from '../config/logger.js';
+import * as money from '../utils/money.js';
+
+/**
+ * AssetTypeService — administration of the virtual currencies.
+ *
+ * Deactivating an asset type does not touch its wallets; TransactionService
+ * treats every wallet of an inactive asset type as inactive, so no new
+ * transactions can be posted in it until the asset type is reactivated.
+ */
+
+/**
+ * List asset types, active ones only unless `includeInactive` is set.
+ */
+export async function listAssetTypes({ includeInactive = false } = {}) {
+  const { rows } = await query(
+    `SELECT * FROM asset_types
+     ${includeInactive ? '' : 'WHERE is_active = TRUE'}
+     ORDER BY name`,
+  );
+  return rows.map(formatAssetType);
+}
+
+/**
+ * Retrieve an asset type by ID. Throws 404 if not found.
+ */
+export async function getAssetType(assetTypeId) {
+  const { rows } = await query('SELECT * FROM asset_types WHERE id = $1', [assetTypeId]);
+  if (!rows.length) throw new NotFoundError('Asset type');
+  return formatAssetType(rows[0]);
+}
+
+/**
+ * Create an asset type. Name and symbol must be unique.
+ *
+ * @param {object} params
+ * @param {string} params.name
+ * @param {string} params.symbol
+ * @param {string} [params.description]
+ * @param {number} [params.decimalPlaces] - 0–6, defaults to 6
+ * @param {string} [params.maxSupply]     - Cap on the total balance of user wallets
+ * @param {string} [params.lowBalanceThreshold]  - Debits below it publish balance.low
+ * @param {string} [params.maxTransactionAmount] - Largest single top-up, spend, transfer or hold
+ * @param {string} [params.maxBalance]           - Ceiling on each user wallet's balance
+ * @param {number} [params.bonusExpiryDays]      - Default expiry of bonus credits
+ */
+export async function createAssetType({
+  name,
+  symbol,
+  description,
+  decimalPlaces = 6,
+  maxSupply = null,
+  lowBalanceThreshold = null,
+  maxTransactionAmount = null,
+  maxBalance = null,
+  bonusExpiryDays = null,
+}) {
+  try {
+    const { rows: [assetType] } = await query(
+      `INSERT INTO asset_types
+         (name, symbol, description, decimal_places, max_supply, low_balance_threshold, max_transaction_amount, max_balance,
+          bonus_expiry_days)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [name, symbol, description || null, decimalPlaces, maxSupply, lowBalanceThreshold, maxTransactionAmount, maxBalance, bonusExpiryDays],
+    );
+    logger.info('Asset type created', { assetTypeId: assetType.id, symbol });
+    return formatAssetType(assetType);
+  } catch (err) {
+    throw translateUniqueViolation(err);
+  }
+}
+
+/**
+ * Update an asset type's name, description, precision, max supply, low balance
+ * threshold, max transaction amount, max wallet balance or bonus expiry.
+ *
+ * Precision can only be lowered if no wallet balance has more decimal places,
+ * and max supply can never be set below the current circulating supply.
+ * Pass null to remove any of the caps or the threshold. Lowering max balance
+ * leaves wallets already above it alone; they just cannot be credited.
+ */
+export async function updateAssetType(assetTypeId, changes) {
+  return withTransaction(async (client) => {
+    // Row lock serializes with issuance flows, which lock it to check max supply
+    const { rows: [current] } = await client.query(
+      'SELECT * FROM asset_types WHERE id = $1 FOR UPDATE',
+      [assetTypeId],
+    );
+    if (!current) throw new NotFoundError('Asset type');
+
+    if (changes.decimalPlaces !== undefined && changes.decimalPlaces < current.decimal_places) {
+      const { rows: [{ exceeds }] } = await client.query(
+        `SELECT EXISTS (
+           SELECT 1 FROM wallets WHERE asset_type_id = $1 AND balance <> ROUND(balance, $2)
+         ) AS exceeds`,
+        [assetTypeId, changes.decimalPlaces],
+      );
+      if (exceeds) {
+        throw new ConflictError(`Existing balances have more than ${changes.decimalPlaces} decimal places`);
+      }
+    }
+
+    if (changes.maxSupply != null) {
+      const circulating = await circulatingSupply(client, assetTypeId);
+      if (money.gt(circulating, changes.maxSupply)) {
+        throw new ConflictError(`Max supply cannot be below the circulating supply (${money.format(circulating)})`);
+      }
+    }
+
+    try {
+      const { rows: [updated] } = await client.query(
+        `UPDATE asset_types SET
+           name           = $2,
+           description    = $3,
+           decimal_places = $4,
+           max_supply     = $5,
+           low_balance_threshold  = $6,
+           max_transaction_amount = $7,
+           max_balance            = $8,
+           bonus_expiry_days      = $9,
+           updated_at     = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [
+          assetTypeId,
+          changes.name ?? current.name,
+          changes.description !== undefined ? changes.description : current.description,
+          changes.decimalPlaces ?? current.decimal_places,
+          changes.maxSupply !== undefined ? changes.maxSupply : current.max_supply,
+          changes.lowBalanceThreshold !== undefined ? changes.lowBalanceThreshold : current.low_balance_threshold,
+          changes.maxTransactionAmount !== undefined ? changes.maxTransactionAmount : current.max_transaction_amount,
+          changes.maxBalance !== undefined ? changes.maxBalance : current.max_balance,
+          changes.bonusExpiryDays !== undefined ? changes.bonusExpiryDays : current.bonus_expiry_days,
+        ],
+      );
+      return formatAssetType(updated);
+    } catch (err) {
+      throw translateUniqueViolation(err);
+    }
+  });
+}
+
+/**
+ * Activate or deactivate an asset type. Idempotent.
+ */
+export async function setAssetTypeActive(assetTypeId, isActive) {
+  const { rows } = await query(
+    'UPDATE asset_types SET is_active = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+    [assetTypeId, isActive],
+  );
+  if (!rows.length) throw new NotFoundError('Asset type');
+  logger.info(isActive ? 'Asset type activated' : 'Asset type deactivated', { assetTypeId });
+  return formatAssetType(rows[0]);
+}
+
+/**
+ * Total balance held in user wallets of an asset type, as a NUMERIC string.
+ */
+export async function circulatingSupply(client, assetTypeId) {
+  const { rows: [{ circulating }] } = await client.query(
+    `SELECT COALESCE(SUM(balance), 0) AS circulating
+     FROM wallets
+     WHERE asset_type_id = $1 AND owner_type = 'user'`,
+    [assetTypeId],
+  );
+  return circulating;
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function translateUniqueViolation(err) {
+  if (err.code === '23505' && err.constraint?.startsWith('asset_types_')) {
+    const field = err.constraint === 'asset_types_symbol_unique' ? 'symbol' : 'name';
+    return new ConflictError(`An asset type with this ${field} already exists`);
+  }
+  return err;
+}
+
+function formatAssetType(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    symbol: row.symbol,
+    description: row.description,
+    decimalPlaces: row.decimal_places,
+    maxSupply: money.formatOrNull(row.max_supply),
+    lowBalanceThreshold: money.formatOrNull(row.low_balance_threshold),
+    maxTransactionAmount: money.formatOrNull(row.max_transaction_amount),
+    maxBalance: money.formatOrNull(row.max_balance),
+    bonusExpiryDays: row.bonus_expiry_days,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
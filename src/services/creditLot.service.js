@@ -0,0 +1,198 @@
+import { query } from '../config/db.js';
+import * as money from '../utils/money.js';
+
+/**
+ * CreditLotService — which part of a wallet's balance expires, and when.
+ *
+ * Only expiring credits are tracked. The rest of the balance (everything not in
+ * a lot) never expires. TransactionService keeps three rules, under the wallet lock:
+ *
+ *  1. CONSUMPTION — every debit of a user wallet draws on its unexpired lots
+ *                   first, soonest expiry first, then on the untracked balance
+ *  2. COVERAGE    — a wallet's lots never add up to more than its balance
+ *  3. RESTORATION — reversing a debit recreates the lots it drew on, with
+ *                   their original expiries, on the wallet credited back
+ *
+ * Expired remainders are excluded from the available balance until the sweep
+ * (TransactionService.expireCredits) returns them to the wallet that funded them.
+ */
+
+/**
+ * Record that part of a credit expires. Either `expiresAt` or `expiresInDays`
+ * (counted from the database clock) must be given.
+ *
+ * @param {object} client - pg client inside the crediting transaction
+ * @param {object} params
+ * @param {string} params.walletId
+ * @param {string} params.transactionId  - The credit
+ * @param {string} params.returnWalletId - Where the expired remainder goes
+ * @param {string} params.amount
+ * @param {Date|string} [params.expiresAt]
+ * @param {number} [params.expiresInDays]
+ */
+export async function createLot(client, { walletId, transactionId, returnWalletId, amount, expiresAt, expiresInDays }) {
+  const { rows: [lot] } = await client.query(
+    `INSERT INTO credit_lots (wallet_id, transaction_id, return_wallet_id, amount, remaining, expires_at)
+     VALUES ($1, $2, $3, $4, $4, COALESCE($5::TIMESTAMPTZ, NOW() + make_interval(days => $6)))
+     RETURNING *`,
+    [walletId, transactionId, returnWalletId, money.format(amount), expiresAt ?? null, expiresInDays ?? null],
+  );
+  return lot;
+}
+
+/**
+ * Draw a debit from a locked wallet's lots. Call before the wallet's balance is
+ * reduced. Records each draw against the debit so a reversal can restore it,
+ * and returns the portions taken from unexpired lots, so a transfer can give the
+ * receiver lots with the same expiries.
+ *
+ * @param {object} client
+ * @param {object} wallet - Locked wallet row, with its balance before the debit
+ * @param {string} amount
+ * @param {string} transactionId - The debit
+ * @param {object} [options]
+ * @param {string} [options.preferTransactionId] - Draw on this credit's lot first (used by reversals)
+ * @returns {Promise<Array<{amount: string, expiresAt: Date, returnWalletId: string}>>}
+ */
+export async function consumeLots(client, wallet, amount, transactionId, { preferTransactionId = null } = {}) {
+  const { rows: lots } = await client.query(
+    `SELECT id, transaction_id, return_wallet_id, remaining, expires_at, expires_at <= NOW() AS is_expired
+     FROM credit_lots
+     WHERE wallet_id = $1 AND remaining > 0
+     ORDER BY transaction_id IS NOT DISTINCT FROM $2 DESC, expires_at, created_at`,
+    [wallet.id, preferTransactionId],
+  );
+  if (!lots.length) return [];
+
+  const consumed = [];
+  const drawnFrom = [];
+  let left = money.toMicros(amount);
+  for (const lot of lots) {
+    if (left === 0n) break;
+    if (lot.is_expired && lot.transaction_id !== preferTransactionId) continue;
+    const take = minMicros(left, money.toMicros(lot.remaining));
+    lot.remaining = money.sub(lot.remaining, take);
+    left -= take;
+    drawnFrom.push(lot.id);
+    consumed.push({ amount: money.format(take), expiresAt: lot.expires_at, returnWalletId: lot.return_wallet_id });
+  }
+
+  // The rest came out of the untracked balance. If that was not enough (funds
+  // reserved by a hold were captured after their lot expired), trim expired lots
+  // so the lots still fit within the new balance.
+  const newBalance = money.toMicros(wallet.balance) - money.toMicros(amount);
+  let excess = lots.reduce((total, lot) => total + money.toMicros(lot.remaining), 0n) - newBalance;
+  for (const lot of lots) {
+    if (excess <= 0n) break;
+    const trim = minMicros(excess, money.toMicros(lot.remaining));
+    lot.remaining = money.sub(lot.remaining, trim);
+    excess -= trim;
+  }
+
+  await client.query(
+    `UPDATE credit_lots l SET remaining = v.remaining::NUMERIC, updated_at = NOW()
+     FROM UNNEST($1::UUID[], $2::TEXT[]) AS v(id, remaining)
+     WHERE l.id = v.id AND l.remaining <> v.remaining::NUMERIC`,
+    [lots.map((l) => l.id), lots.map((l) => l.remaining)],
+  );
+  if (consumed.length) {
+    await client.query(
+      `INSERT INTO credit_lot_draws (credit_lot_id, transaction_id, amount)
+       SELECT id, $1, amount::NUMERIC FROM UNNEST($2::UUID[], $3::TEXT[]) AS v(id, amount)`,
+      [transactionId, drawnFrom, consumed.map((c) => c.amount)],
+    );
+  }
+  return consumed;
+}
+
+/**
+ * Give a reversed debit's lot draws back to the wallet it is credited to, as new
+ * lots with the original expiries and return wallets. Draws are restored in the
+ * order they were taken, up to `amount`; anything beyond them came out of the
+ * untracked balance and is credited without a lot.
+ *
+ * @param {object} client - pg client inside the reversal, with the wallet locked
+ * @param {object} params
+ * @param {string} params.walletId
+ * @param {string} params.debitTransactionId - The transaction being reversed
+ * @param {string} params.transactionId      - The reversal, which credits the new lots
+ * @param {string} params.amount             - How much is credited back to the wallet
+ * @returns {Promise<object[]>} the lots created
+ */
+export async function restoreLots(client, { walletId, debitTransactionId, transactionId, amount }) {
+  const { rows: draws } = await client.query(
+    `SELECT d.id, d.amount - d.restored AS unrestored, l.expires_at, l.return_wallet_id
+     FROM credit_lot_draws d
+     JOIN credit_lots l ON l.id = d.credit_lot_id
+     WHERE d.transaction_id = $1 AND l.wallet_id = $2 AND d.restored < d.amount
+     ORDER BY d.created_at, l.expires_at
+     FOR UPDATE OF d`,
+    [debitTransactionId, walletId],
+  );
+
+  const restored = [];
+  let left = money.toMicros(amount);
+  for (const draw of draws) {
+    if (left === 0n) break;
+    const take = minMicros(left, money.toMicros(draw.unrestored));
+    left -= take;
+    await client.query(
+      'UPDATE credit_lot_draws SET restored = restored + $2 WHERE id = $1',
+      [draw.id, money.format(take)],
+    );
+    restored.push(await createLot(client, {
+      walletId,
+      transactionId,
+      returnWalletId: draw.return_wallet_id,
+      amount: money.format(take),
+      expiresAt: draw.expires_at,
+    }));
+  }
+  return restored;
+}
+
+/**
+ * Sum of expired, not yet swept lot remainders per wallet.
+ *
+ * @returns {Promise<Map<string, string>>}
+ */
+export async function expiredBalances(client, walletIds) {
+  const { rows } = await client.query(
+    `SELECT wallet_id, SUM(remaining) AS expired
+     FROM credit_lots
+     WHERE wallet_id = ANY($1::UUID[]) AND remaining > 0 AND expires_at <= NOW()
+     GROUP BY wallet_id`,
+    [walletIds],
+  );
+  return new Map(rows.map((r) => [r.wallet_id, r.expired]));
+}
+
+/**
+ * A wallet's lots that still hold credits, soonest expiry first.
+ */
+export async function listOpenLots(walletId) {
+  const { rows } = await query(
+    `SELECT *, expires_at <= NOW() AS is_expired
+     FROM credit_lots
+     WHERE wallet_id = $1 AND remaining > 0
+     ORDER BY expires_at, created_at`,
+    [walletId],
+  );
+  return rows.map(formatLot);
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+const minMicros = (a, b) => (a < b ? a : b);
+
+function formatLot(row) {
+  return {
+    id: row.id,
+    transactionId: row.transaction_id,
+    amount: money.format(row.amount),
+    remaining: money.format(row.remaining),
+    expiresAt: row.expires_at,
+    isExpired: row.is_expired,
+    createdAt: row.created_at,
+  };
+}
@@ -0,0 +1,171 @@
+import { EventEmitter } from 'events';
+import { query, listen } from '../config/db.js';
+import logger from '../config/logger.js';
+
+/**
+ * EventService — the sequence-numbered ledger change feed.
+ *
+ *  1. ATOMICITY   — appendEvent() runs on the flow's own client, so an event is
+ *                   visible exactly when the ledger entries it describes are
+ *  2. ORDERING    — appends serialize on a transaction-scoped advisory lock, so
+ *                   seq order is commit order and a consumer resuming after seq N
+ *                   can never miss an event committed later with a lower seq
+ *  3. WAKE-UPS    — each append NOTIFYs on commit; waiting readers share one
+ *                   LISTEN connection and fall back to polling if it drops
+ *
+ * Consumers resume with `after=<last seq seen>`. seq can have gaps, never repeats.
+ */
+
+const CHANNEL = 'ledger_events';
+
+// Arbitrary, but must not be reused by any other advisory lock in the app
+const APPEND_LOCK_KEY = 7_460_013;
+
+// Waiting readers re-check at least this often, in case a notification was lost
+const POLL_FALLBACK_MS = 5000;
+
+const notifier = new EventEmitter();
+notifier.setMaxListeners(0);
+
+let listener = null;
+let notifications = 0;
+let closed = false;
+
+/**
+ * Append an event to the feed. Must be the last write of the caller's transaction:
+ * the lock it takes is held until commit and blocks every other append meanwhile.
+ *
+ * @param {object} client - pg client inside an open transaction
+ * @param {string} eventType
+ * @param {string} transactionId
+ * @param {object} payload
+ */
+export async function appendEvent(client, eventType, transactionId, payload) {
+  await client.query('SELECT pg_advisory_xact_lock($1)', [APPEND_LOCK_KEY]);
+  const { rows: [event] } = await client.query(
+    `INSERT INTO ledger_events (event_type, transaction_id, payload)
+     VALUES ($1, $2, $3)
+     RETURNING seq`,
+    [eventType, transactionId, JSON.stringify(payload)],
+  );
+  // Delivered to listeners only if and when the transaction commits
+  await client.query('SELECT pg_notify($1, $2)', [CHANNEL, event.seq]);
+}
+
+/**
+ * Events with seq greater than `after`, oldest first.
+ *
+ * @param {object} [params]
+ * @param {number} [params.after] - Last seq the consumer has seen (0 for the start)
+ * @param {number} [params.limit]
+ */
+export async function listEvents({ after = 0, limit = 100 } = {}) {
+  const { rows } = await query(
+    `SELECT seq, event_type, transaction_id, payload, created_at
+     FROM ledger_events
+     WHERE seq > $1
+     ORDER BY seq
+     LIMIT $2`,
+    [after, limit],
+  );
+  return rows.map(formatEvent);
+}
+
+/**
+ * Like listEvents(), but when nothing is newer than `after`, wait up to
+ * `timeoutMs` for an append before returning (possibly still empty).
+ *
+ * @param {object} params
+ * @param {number} params.after
+ * @param {number} [params.limit]
+ * @param {number} params.timeoutMs
+ * @param {AbortSignal} [params.signal] - Stops waiting, e.g. when the client disconnects
+ */
+export async function waitForEvents({ after, limit, timeoutMs, signal }) {
+  // Listen before the first read so an append committed in between still wakes us
+  if (timeoutMs > 0) await ensureListener();
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const seen = notifications;
+    const events = await listEvents({ after, limit });
+    const remaining = deadline - Date.now();
+    if (events.length || remaining <= 0 || closed || signal?.aborted) return events;
+    await nextNotification(seen, Math.min(remaining, POLL_FALLBACK_MS), signal);
+  }
+}
+
+/**
+ * Whether the feed has been shut down; open streams should end.
+ */
+export function isClosed() {
+  return closed;
+}
+
+/**
+ * Release waiting readers and close the LISTEN connection (used on shutdown).
+ */
+export async function closeEventFeed() {
+  closed = true;
+  notifier.emit('notify');
+  const client = await listener;
+  listener = null;
+  await client?.end();
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function ensureListener() {
+  if (!listener && !closed) {
+    listener = listen(CHANNEL, onNotification)
+      .then((client) => {
+        client.on('error', (err) => {
+          logger.error('Ledger event listener failed', { error: err.message });
+          listener = null;
+          client.end().catch(() => {});
+          onNotification();
+        });
+        return client;
+      })
+      .catch((err) => {
+        // Readers keep working by polling; the next wait retries the connection
+        logger.error('Could not listen for ledger events', { error: err.message });
+        listener = null;
+        return null;
+      });
+  }
+  return listener;
+}
+
+function onNotification() {
+  notifications++;
+  notifier.emit('notify');
+}
+
+/**
+ * Resolve on the next notification after `seen`, a timeout or an abort.
+ */
+function nextNotification(seen, timeoutMs, signal) {
+  if (notifications !== seen) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      notifier.off('notify', done);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, timeoutMs);
+    notifier.on('notify', done);
+    signal?.addEventListener('abort', done);
+  });
+}
+
+function formatEvent(row) {
+  return {
+    seq: Number(row.seq),
+    type: row.event_type,
+    transactionId: row.transaction_id,
+    data: row.payload,
+    createdAt: row.created_at,
+  };
+}
@@ -0,0 +1,237 @@
+import { query } from '../config/db.js';
+import { NotFoundError, ConflictError, ValidationError } from '../errors/AppError.js';
+import logger from '../config/logger.js';
+import env from '../config/env.js';
+import * as money from '../utils/money.js';
+
+/**
+ * ExchangeService — exchange rates between asset types, and quotes against them.
+ *
+ *  1. RATES  — set by admins per (source asset, target asset) pair, each with a
+ *              validity window and the two system wallets that take in the source
+ *              asset and pay out the target asset; the rate in force is the one
+ *              whose window contains now, latest valid_from first
+ *  2. QUOTES — lock in the current rate and both amounts for
+ *              EXCHANGE_QUOTE_TTL_SECONDS; TransactionService.exchange() executes
+ *              a quote at most once, however the rate changes in the meantime
+ *
+ * Converted amounts are rounded down to the target asset's decimal places.
+ */
+
+/**
+ * List rates, optionally for one pair, most recent first.
+ *
+ * @param {object} [params]
+ * @param {string} [params.fromAssetTypeId]
+ * @param {string} [params.toAssetTypeId]
+ * @param {boolean} [params.current] - Only rates in force now
+ */
+export async function listRates({ fromAssetTypeId, toAssetTypeId, current = false } = {}) {
+  const { rows } = await query(
+    `SELECT *, ${IN_FORCE} AS is_current
+     FROM exchange_rates
+     WHERE ($1::UUID IS NULL OR from_asset_type_id = $1)
+       AND ($2::UUID IS NULL OR to_asset_type_id = $2)
+       AND (NOT $3::BOOLEAN OR ${IN_FORCE})
+     ORDER BY from_asset_type_id, to_asset_type_id, valid_from DESC, created_at DESC`,
+    [fromAssetTypeId || null, toAssetTypeId || null, current],
+  );
+  return rows.map(formatRate);
+}
+
+/**
+ * Publish a rate. A rate with a later valid_from supersedes earlier ones for the
+ * same pair while it is in force.
+ *
+ * @param {object} params
+ * @param {string} params.fromAssetTypeId
+ * @param {string} params.toAssetTypeId
+ * @param {string} params.rate               - Target units per source unit
+ * @param {string} params.fromSystemWalletId - System wallet of the source asset
+ * @param {string} params.toSystemWalletId   - System wallet of the target asset
+ * @param {Date}   [params.validFrom]        - Defaults to now
+ * @param {Date}   [params.validUntil]       - Open-ended by default
+ * @param {string} [params.apiClientId]
+ */
+export async function createRate({
+  fromAssetTypeId,
+  toAssetTypeId,
+  rate,
+  fromSystemWalletId,
+  toSystemWalletId,
+  validFrom,
+  validUntil,
+  apiClientId,
+}) {
+  if (fromAssetTypeId === toAssetTypeId) {
+    const message = 'An exchange rate needs two different asset types';
+    throw new ValidationError(message, [{ field: 'toAssetTypeId', message }]);
+  }
+
+  const { rows: wallets } = await query(
+    'SELECT id, owner_type, asset_type_id FROM wallets WHERE id = ANY($1::UUID[])',
+    [[fromSystemWalletId, toSystemWalletId]],
+  );
+  const fromWallet = wallets.find((w) => w.id === fromSystemWalletId);
+  const toWallet   = wallets.find((w) => w.id === toSystemWalletId);
+  if (!fromWallet || fromWallet.owner_type !== 'system') throw new NotFoundError('Source system wallet');
+  if (!toWallet || toWallet.owner_type !== 'system')     throw new NotFoundError('Target system wallet');
+  if (fromWallet.asset_type_id !== fromAssetTypeId || toWallet.asset_type_id !== toAssetTypeId) {
+    throw new ConflictError('System wallet asset types do not match the rate');
+  }
+
+  try {
+    const { rows: [created] } = await query(
+      `INSERT INTO exchange_rates
+         (from_asset_type_id, to_asset_type_id, rate, from_system_wallet_id, to_system_wallet_id,
+          valid_from, valid_until, api_client_id)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()), $7, $8)
+       RETURNING *, ${IN_FORCE} AS is_current`,
+      [
+        fromAssetTypeId, toAssetTypeId, rate, fromSystemWalletId, toSystemWalletId,
+        validFrom ?? null, validUntil ?? null, apiClientId || null,
+      ],
+    );
+    logger.info('Exchange rate created', { rateId: created.id, fromAssetTypeId, toAssetTypeId, rate });
+    return formatRate(created);
+  } catch (err) {
+    throw invalidWindow(err);
+  }
+}
+
+/**
+ * Change when a rate stops being in force: retire it now, schedule its end, or
+ * make it open-ended again (validUntil null). Quotes already given keep their rate.
+ */
+export async function updateRate(rateId, { validUntil }) {
+  try {
+    const { rows } = await query(
+      `UPDATE exchange_rates SET valid_until = $2, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *, ${IN_FORCE} AS is_current`,
+      [rateId, validUntil],
+    );
+    if (!rows.length) throw new NotFoundError('Exchange rate');
+    logger.info('Exchange rate updated', { rateId, validUntil });
+    return formatRate(rows[0]);
+  } catch (err) {
+    throw invalidWindow(err);
+  }
+}
+
+/**
+ * Quote converting `amount` from one of an owner's wallets into their wallet of
+ * another asset type, at the rate in force now.
+ *
+ * @param {object} params
+ * @param {string} params.fromWalletId - Wallet of the source asset
+ * @param {string} params.toWalletId   - Same owner's wallet of the target asset
+ * @param {string} params.amount       - In the source asset
+ * @param {string} [params.apiClientId]
+ */
+export async function createQuote({ fromWalletId, toWalletId, amount, apiClientId }) {
+  const { rows: wallets } = await query(
+    `SELECT w.id, w.owner_id, w.owner_type, w.asset_type_id, w.is_active,
+            at.is_active AS asset_type_is_active, at.decimal_places, at.symbol
+     FROM wallets w
+     JOIN asset_types at ON at.id = w.asset_type_id
+     WHERE w.id = ANY($1::UUID[])`,
+    [[fromWalletId, toWalletId]],
+  );
+  const fromWallet = wallets.find((w) => w.id === fromWalletId);
+  const toWallet   = wallets.find((w) => w.id === toWalletId);
+
+  if (!fromWallet || !toWallet) throw new NotFoundError('One or both wallets');
+  if (fromWallet.owner_type !== 'user' || toWallet.owner_type !== 'user') {
+    throw new ConflictError('Exchanges are only allowed between user wallets');
+  }
+  if (fromWallet.owner_id !== toWallet.owner_id) {
+    throw new ConflictError('Exchanges are only allowed between wallets of the same owner');
+  }
+  if (fromWallet.asset_type_id === toWallet.asset_type_id) {
+    throw new ConflictError('Both wallets hold the same asset type');
+  }
+  if (!fromWallet.is_active || !fromWallet.asset_type_is_active) throw new ConflictError('Source wallet is inactive');
+  if (!toWallet.is_active || !toWallet.asset_type_is_active)     throw new ConflictError('Destination wallet is inactive');
+
+  if (money.decimalPlaces(amount) > fromWallet.decimal_places) {
+    const message = `Amount ${money.format(amount)} exceeds the ${fromWallet.decimal_places} decimal place(s) allowed for ${fromWallet.symbol}`;
+    throw new ValidationError(message, [{ field: 'amount', message }]);
+  }
+
+  const { rows: [rate] } = await query(
+    `SELECT * FROM exchange_rates
+     WHERE from_asset_type_id = $1 AND to_asset_type_id = $2 AND ${IN_FORCE}
+     ORDER BY valid_from DESC, created_at DESC
+     LIMIT 1`,
+    [fromWallet.asset_type_id, toWallet.asset_type_id],
+  );
+  if (!rate) throw new NotFoundError('Exchange rate');
+
+  const toAmount = money.convert(amount, rate.rate, toWallet.decimal_places);
+  if (money.isZero(toAmount)) {
+    const message = `Amount is too small to convert into ${toWallet.symbol}`;
+    throw new ValidationError(message, [{ field: 'amount', message }]);
+  }
+
+  const { rows: [quote] } = await query(
+    `INSERT INTO exchange_quotes
+       (rate_id, from_wallet_id, to_wallet_id, from_amount, to_amount, rate, expires_at, api_client_id)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(secs => $7), $8)
+     RETURNING *`,
+    [rate.id, fromWalletId, toWalletId, amount, toAmount, rate.rate, env.EXCHANGE_QUOTE_TTL_SECONDS, apiClientId || null],
+  );
+  logger.info('Exchange quoted', { quoteId: quote.id, fromWalletId, toWalletId, amount, toAmount });
+  return formatQuote(quote);
+}
+
+/**
+ * Retrieve a quote by ID. Throws 404 if not found.
+ */
+export async function getQuote(quoteId) {
+  const { rows } = await query('SELECT * FROM exchange_quotes WHERE id = $1', [quoteId]);
+  if (!rows.length) throw new NotFoundError('Exchange quote');
+  return formatQuote(rows[0]);
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+const IN_FORCE = '(valid_from <= NOW() AND (valid_until IS NULL OR valid_until > NOW()))';
+
+// valid_until must come after valid_from
+function invalidWindow(err) {
+  if (err.code !== '23514') return err;
+  const message = 'validUntil must be after validFrom';
+  return new ValidationError(message, [{ field: 'validUntil', message }]);
+}
+
+function formatRate(row) {
+  return {
+    id: row.id,
+    fromAssetTypeId: row.from_asset_type_id,
+    toAssetTypeId: row.to_asset_type_id,
+    rate: money.formatRate(row.rate),
+    fromSystemWalletId: row.from_system_wallet_id,
+    toSystemWalletId: row.to_system_wallet_id,
+    validFrom: row.valid_from,
+    validUntil: row.valid_until,
+    isCurrent: row.is_current,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function formatQuote(row) {
+  return {
+    id: row.id,
+    rateId: row.rate_id,
+    fromWalletId: row.from_wallet_id,
+    toWalletId: row.to_wallet_id,
+    fromAmount: money.format(row.from_amount),
+    toAmount: money.format(row.to_amount),
+    rate: money.formatRate(row.rate),
+    expiresAt: row.expires_at,
+    transactionId: row.transaction_id,
+    createdAt: row.created_at,
+  };
+}
@@ -0,0 +1,355 @@
+import { query, withTransaction } from '../config/db.js';
+import { NotFoundError, ConflictError, ValidationError } from '../errors/AppError.js';
+import logger from '../config/logger.js';
+import env from '../config/env.js';
+import { bonus } from './transaction.service.js';
+import { parseCron, nextOccurrence } from '../utils/cron.js';
+import * as money from '../utils/money.js';
+
+/**
+ * GrantService — recurring bonus grants and the scheduler that pays them.
+ *
+ *  1. OCCURRENCES — each due occurrence of a schedule becomes one grant_runs row,
+ *                   unique per (schedule, occurrence), claimed with SKIP LOCKED, so
+ *                   every instance can run the scheduler and each occurrence runs once
+ *  2. EXACTLY ONCE — each wallet is paid through bonus() with the idempotency key
+ *                   grant:<schedule>:<occurrence>:<wallet>; re-running an occurrence
+ *                   after a crash only pays the wallets it had not reached
+ *  3. LEASES      — a claimed run is leased for GRANT_RUN_LEASE_SECONDS; a run whose
+ *                   worker died is picked up again once the lease passes
+ *  4. NO BACKFILL — a schedule that fell behind (e.g. while every instance was down)
+ *                   runs its oldest missed occurrence once and then resumes from now
+ */
+
+const MAX_RECORDED_FAILURES = 100;
+
+/**
+ * Create a schedule. It first runs at the next occurrence after now.
+ *
+ * @param {object} params
+ * @param {string} params.name
+ * @param {string} params.schedule         - Five-field cron expression, UTC
+ * @param {string} [params.walletId]       - A single wallet to pay...
+ * @param {string[]} [params.ownerIds]     - ...or these owners' wallets of assetTypeId
+ * @param {string} [params.assetTypeId]
+ * @param {string} params.systemWalletId   - Bonus-pool wallet
+ * @param {string} params.amount           - Per wallet, per occurrence
+ * @param {string} params.reason
+ * @param {string} [params.description]
+ * @param {string} [params.apiClientId]
+ */
+export async function createSchedule({
+  name,
+  schedule,
+  walletId,
+  ownerIds,
+  assetTypeId,
+  systemWalletId,
+  amount,
+  reason,
+  description,
+  apiClientId,
+}) {
+  const nextRunAt = firstOccurrence(schedule);
+
+  const { rows: [pool] } = await query('SELECT owner_type, asset_type_id FROM wallets WHERE id = $1', [systemWalletId]);
+  if (!pool || pool.owner_type !== 'system') throw new NotFoundError('System wallet');
+
+  let targetAssetTypeId = assetTypeId;
+  if (walletId) {
+    const { rows: [wallet] } = await query('SELECT owner_type, asset_type_id FROM wallets WHERE id = $1', [walletId]);
+    if (!wallet || wallet.owner_type !== 'user') throw new NotFoundError('User wallet');
+    targetAssetTypeId = wallet.asset_type_id;
+  }
+  if (targetAssetTypeId !== pool.asset_type_id) {
+    throw new ConflictError('Wallet asset types do not match');
+  }
+
+  const { rows: [created] } = await query(
+    `INSERT INTO grant_schedules
+       (name, schedule, wallet_id, owner_ids, asset_type_id, system_wallet_id, amount, reason, description, next_run_at, api_client_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      name, schedule, walletId || null, ownerIds || null, walletId ? null : assetTypeId,
+      systemWalletId, amount, reason, description || null, nextRunAt, apiClientId || null,
+    ],
+  );
+  logger.info('Grant schedule created', { scheduleId: created.id, name, schedule, nextRunAt });
+  return formatSchedule(created);
+}
+
+export async function listSchedules() {
+  const { rows } = await query('SELECT * FROM grant_schedules ORDER BY created_at, id');
+  return rows.map(formatSchedule);
+}
+
+/**
+ * Retrieve a schedule by ID. Throws 404 if not found.
+ */
+export async function getSchedule(scheduleId) {
+  const { rows } = await query('SELECT * FROM grant_schedules WHERE id = $1', [scheduleId]);
+  if (!rows.length) throw new NotFoundError('Grant schedule');
+  return formatSchedule(rows[0]);
+}
+
+/**
+ * Change a schedule's name, cron expression, amount, reason or description, or
+ * pause and resume it. A new expression, or resuming, restarts from the next
+ * occurrence after now; occurrences missed while paused are not paid.
+ */
+export async function updateSchedule(scheduleId, changes) {
+  return withTransaction(async (client) => {
+    const { rows: [current] } = await client.query(
+      'SELECT * FROM grant_schedules WHERE id = $1 FOR UPDATE',
+      [scheduleId],
+    );
+    if (!current) throw new NotFoundError('Grant schedule');
+
+    const schedule = changes.schedule ?? current.schedule;
+    const resumed = changes.isActive === true && !current.is_active;
+    const nextRunAt = changes.schedule !== undefined || resumed ? firstOccurrence(schedule) : current.next_run_at;
+
+    const { rows: [updated] } = await client.query(
+      `UPDATE grant_schedules SET
+         name        = COALESCE($2, name),
+         schedule    = $3,
+         amount      = COALESCE($4, amount),
+         reason      = COALESCE($5, reason),
+         description = CASE WHEN $6::BOOLEAN THEN $7 ELSE description END,
+         is_active   = COALESCE($8, is_active),
+         next_run_at = $9,
+         updated_at  = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        scheduleId,
+        changes.name ?? null,
+        schedule,
+        changes.amount ?? null,
+        changes.reason ?? null,
+        changes.description !== undefined,
+        changes.description ?? null,
+        changes.isActive ?? null,
+        nextRunAt,
+      ],
+    );
+    logger.info('Grant schedule updated', { scheduleId, changes: Object.keys(changes) });
+    return formatSchedule(updated);
+  });
+}
+
+/**
+ * A schedule's runs, most recent occurrence first.
+ *
+ * @param {string} scheduleId
+ * @param {object} [filters]
+ * @param {string} [filters.status] - pending | running | completed | partial | failed
+ * @param {number} [filters.limit]
+ */
+export async function listRuns(scheduleId, { status, limit = 50 } = {}) {
+  await getSchedule(scheduleId);
+  const { rows } = await query(
+    `SELECT * FROM grant_runs
+     WHERE schedule_id = $1
+       AND ($2::grant_run_status_enum IS NULL OR status = $2)
+     ORDER BY occurrence_at DESC
+     LIMIT $3`,
+    [scheduleId, status || null, limit],
+  );
+  return rows.map(formatRun);
+}
+
+/**
+ * Create runs for every due occurrence, then execute a batch of runs.
+ * Safe to run concurrently from every instance.
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit] - Defaults to GRANT_BATCH_SIZE
+ * @returns {Promise<{runs: number, granted: number, failed: number}>}
+ */
+export async function runDueGrants({ limit = env.GRANT_BATCH_SIZE } = {}) {
+  await scheduleDueRuns(limit);
+
+  const { rows: claimed } = await query(
+    `UPDATE grant_runs
+     SET status = 'running', attempts = attempts + 1,
+         lease_expires_at = NOW() + make_interval(secs => $2),
+         started_at = COALESCE(started_at, NOW())
+     WHERE id IN (
+       SELECT id FROM grant_runs
+       WHERE status = 'pending' OR (status = 'running' AND lease_expires_at <= NOW())
+       ORDER BY occurrence_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, env.GRANT_RUN_LEASE_SECONDS],
+  );
+
+  const totals = { runs: claimed.length, granted: 0, failed: 0 };
+  for (const run of claimed) {
+    const { granted, failed } = await executeRun(run);
+    totals.granted += granted;
+    totals.failed += failed;
+  }
+  return totals;
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function firstOccurrence(schedule) {
+  let next;
+  try {
+    next = nextOccurrence(parseCron(schedule), new Date());
+  } catch (err) {
+    throw new ValidationError(err.message, [{ field: 'schedule', message: err.message }]);
+  }
+  if (!next) {
+    const message = 'Schedule never occurs';
+    throw new ValidationError(message, [{ field: 'schedule', message }]);
+  }
+  return next;
+}
+
+/**
+ * Turn due schedules into pending runs and move each schedule on to its next occurrence.
+ */
+async function scheduleDueRuns(limit) {
+  await withTransaction(async (client) => {
+    const { rows: due } = await client.query(
+      `SELECT id, schedule, amount, next_run_at FROM grant_schedules
+       WHERE is_active AND next_run_at <= NOW()
+       ORDER BY next_run_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [limit],
+    );
+
+    for (const schedule of due) {
+      await client.query(
+        `INSERT INTO grant_runs (schedule_id, occurrence_at, amount)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (schedule_id, occurrence_at) DO NOTHING`,
+        [schedule.id, schedule.next_run_at, schedule.amount],
+      );
+
+      const now = new Date();
+      const next = nextOccurrence(schedule.schedule, schedule.next_run_at > now ? schedule.next_run_at : now);
+      if (next) {
+        await client.query('UPDATE grant_schedules SET next_run_at = $2 WHERE id = $1', [schedule.id, next]);
+      } else {
+        logger.warn('Grant schedule has no further occurrences — deactivating', { scheduleId: schedule.id });
+        await client.query('UPDATE grant_schedules SET is_active = FALSE, updated_at = NOW() WHERE id = $1', [schedule.id]);
+      }
+    }
+  });
+}
+
+async function executeRun(run) {
+  const { rows: [schedule] } = await query('SELECT * FROM grant_schedules WHERE id = $1', [run.schedule_id]);
+  const walletIds = await targetWallets(schedule);
+  const occurrence = run.occurrence_at.toISOString();
+
+  let granted = 0;
+  const failures = [];
+  for (const walletId of walletIds) {
+    try {
+      await bonus({
+        walletId,
+        systemWalletId: schedule.system_wallet_id,
+        amount: money.format(run.amount),
+        reason: schedule.reason,
+        description: schedule.description,
+        metadata: { grantScheduleId: schedule.id, grantRunId: run.id, occurrenceAt: occurrence },
+        idempotencyKey: `grant:${schedule.id}:${occurrence}:${walletId}`,
+        apiClientId: schedule.api_client_id,
+      });
+      granted++;
+    } catch (err) {
+      // Another worker paid this wallet after our lease lapsed
+      if (err.code === '23505') {
+        granted++;
+      } else if (err.isOperational) {
+        failures.push({ walletId, code: err.code, message: err.message });
+      } else {
+        // Unexpected (e.g. the database went away): leave the run leased so it is retried
+        logger.error('Grant run interrupted', { runId: run.id, scheduleId: schedule.id, error: err.message });
+        return { granted, failed: failures.length };
+      }
+    }
+  }
+
+  const status = !failures.length ? 'completed' : granted ? 'partial' : 'failed';
+  // Only the latest claim may finish the run
+  await query(
+    `UPDATE grant_runs
+     SET status = $3, wallet_count = $4, granted_count = $5, failed_count = $6, failures = $7,
+         lease_expires_at = NULL, finished_at = NOW()
+     WHERE id = $1 AND attempts = $2`,
+    [run.id, run.attempts, status, walletIds.length, granted, failures.length, JSON.stringify(failures.slice(0, MAX_RECORDED_FAILURES))],
+  );
+
+  logger[failures.length ? 'warn' : 'info']('Grant run finished', {
+    runId: run.id,
+    scheduleId: schedule.id,
+    occurrenceAt: occurrence,
+    status,
+    granted,
+    failed: failures.length,
+  });
+  return { granted, failed: failures.length };
+}
+
+/**
+ * Wallets a schedule pays: its wallet, or its owners' wallets of its asset type.
+ * Closed wallets are skipped; frozen ones are attempted and recorded as failures.
+ */
+async function targetWallets(schedule) {
+  if (schedule.wallet_id) return [schedule.wallet_id];
+  const { rows } = await query(
+    `SELECT id FROM wallets
+     WHERE owner_id = ANY($1::UUID[]) AND asset_type_id = $2 AND owner_type = 'user' AND status <> 'closed'
+     ORDER BY id`,
+    [schedule.owner_ids, schedule.asset_type_id],
+  );
+  return rows.map((r) => r.id);
+}
+
+function formatSchedule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    schedule: row.schedule,
+    walletId: row.wallet_id,
+    ownerIds: row.owner_ids,
+    assetTypeId: row.asset_type_id,
+    systemWalletId: row.system_wallet_id,
+    amount: money.format(row.amount),
+    reason: row.reason,
+    description: row.description,
+    isActive: row.is_active,
+    nextRunAt: row.is_active ? row.next_run_at : null,
+    apiClientId: row.api_client_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function formatRun(row) {
+  return {
+    id: row.id,
+    scheduleId: row.schedule_id,
+    occurrenceAt: row.occurrence_at,
+    amount: money.format(row.amount),
+    status: row.status,
+    attempts: row.attempts,
+    walletCount: row.wallet_count,
+    grantedCount: row.granted_count,
+    failedCount: row.failed_count,
+    failures: row.failures,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    createdAt: row.created_at,
+  };
+}
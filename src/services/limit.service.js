@@ -0,0 +1,206 @@
+import { query } from '../config/db.js';
+import { NotFoundError, ConflictError, ValidationError, LimitExceededError } from '../errors/AppError.js';
+import logger from '../config/logger.js';
+import * as money from '../utils/money.js';
+
+/**
+ * LimitService — velocity limits on spending, and the per-asset caps on
+ * transaction size and wallet balance.
+ *
+ * The assert* functions are called by TransactionService after it has locked
+ * the wallet, so usage is read and the new spend is written under the same lock
+ * and concurrent spends cannot both slip under a cap. Owner-wide limits span
+ * several wallets, so they additionally serialize on a per-owner advisory lock.
+ *
+ * Periods are calendar periods in UTC: the day, the ISO week (from Monday) or the month.
+ */
+
+const PERIOD_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+const PERIOD_NAMES = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+
+/**
+ * List spending limits, optionally only those set on a wallet or an owner.
+ */
+export async function listLimits({ walletId, ownerId } = {}) {
+  const { rows } = await query(
+    `SELECT * FROM spending_limits
+     WHERE ($1::UUID IS NULL OR wallet_id = $1)
+       AND ($2::UUID IS NULL OR owner_id = $2)
+     ORDER BY created_at, id`,
+    [walletId || null, ownerId || null],
+  );
+  return rows.map(formatLimit);
+}
+
+/**
+ * Set a spending limit on a wallet, or on an owner (optionally for one asset type).
+ * Each target has at most one limit per period.
+ *
+ * @param {object} params
+ * @param {string} [params.walletId]
+ * @param {string} [params.ownerId]
+ * @param {string} [params.assetTypeId] - Owner limits only; required to cap an amount
+ * @param {string} params.period        - daily | weekly | monthly
+ * @param {string} [params.maxAmount]
+ * @param {number} [params.maxCount]
+ */
+export async function createLimit({ walletId, ownerId, assetTypeId, period, maxAmount, maxCount }) {
+  if (ownerId && maxAmount != null && !assetTypeId) {
+    const message = 'An owner limit on amount needs an assetTypeId';
+    throw new ValidationError(message, [{ field: 'assetTypeId', message }]);
+  }
+  if (walletId) await assertExists('wallets', walletId, 'Wallet');
+  if (assetTypeId) await assertExists('asset_types', assetTypeId, 'Asset type');
+
+  try {
+    const { rows: [limit] } = await query(
+      `INSERT INTO spending_limits (wallet_id, owner_id, asset_type_id, period, max_amount, max_count)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [walletId || null, ownerId || null, assetTypeId || null, period, maxAmount ?? null, maxCount ?? null],
+    );
+    logger.info('Spending limit created', { limitId: limit.id, walletId, ownerId, period });
+    return formatLimit(limit);
+  } catch (err) {
+    if (err.code === '23505') throw new ConflictError(`A ${period} limit already exists for this ${walletId ? 'wallet' : 'owner'}`);
+    throw err;
+  }
+}
+
+/**
+ * Change a limit's caps. Pass null to remove one; at least one must remain.
+ */
+export async function updateLimit(limitId, changes) {
+  const { rows: [current] } = await query('SELECT * FROM spending_limits WHERE id = $1', [limitId]);
+  if (!current) throw new NotFoundError('Spending limit');
+
+  const maxAmount = changes.maxAmount !== undefined ? changes.maxAmount : current.max_amount;
+  const maxCount  = changes.maxCount  !== undefined ? changes.maxCount  : current.max_count;
+  if (maxAmount == null && maxCount == null) {
+    throw new ValidationError('A limit needs maxAmount, maxCount or both');
+  }
+  if (current.owner_id && maxAmount != null && !current.asset_type_id) {
+    throw new ValidationError('An owner limit on amount needs an assetTypeId');
+  }
+
+  const { rows: [updated] } = await query(
+    `UPDATE spending_limits SET max_amount = $2, max_count = $3, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [limitId, maxAmount, maxCount],
+  );
+  return formatLimit(updated);
+}
+
+export async function deleteLimit(limitId) {
+  const { rowCount } = await query('DELETE FROM spending_limits WHERE id = $1', [limitId]);
+  if (!rowCount) throw new NotFoundError('Spending limit');
+  logger.info('Spending limit deleted', { limitId });
+}
+
+// ── Enforcement (wallet rows come from TransactionService's lockWallets) ──
+
+/**
+ * Reject amounts above the asset type's max single-transaction amount.
+ */
+export function assertTransactionSize(wallet, amount) {
+  const max = wallet.asset_max_transaction_amount;
+  if (max != null && money.gt(amount, max)) {
+    throw new LimitExceededError(
+      `Amount ${money.format(amount)} exceeds the max transaction amount of ${money.format(max)} ${wallet.asset_symbol}`,
+      { limit: 'max_transaction_amount', max: money.format(max), requested: money.format(amount) },
+    );
+  }
+}
+
+/**
+ * Reject credits that would take a user wallet above the asset type's max balance.
+ */
+export function assertBalanceCeiling(wallet, amount) {
+  const max = wallet.asset_max_balance;
+  if (wallet.owner_type !== 'user' || max == null) return;
+  if (money.gt(money.add(wallet.balance, amount), max)) {
+    throw new LimitExceededError(
+      `Balance would exceed the max balance of ${money.format(max)} ${wallet.asset_symbol}`,
+      { limit: 'max_balance', max: money.format(max), balance: money.format(wallet.balance), requested: money.format(amount) },
+    );
+  }
+}
+
+/**
+ * Reject a spend, hold or outgoing transfer that would take the wallet or its
+ * owner past any daily, weekly or monthly cap. Spends and transfers count when
+ * completed; holds count while authorized and, once captured, for the captured amount.
+ */
+export async function assertSpendWithinLimits(client, wallet, amount) {
+  const { rows: limits } = await client.query(
+    `SELECT * FROM spending_limits
+     WHERE wallet_id = $1
+        OR (owner_id = $2 AND (asset_type_id IS NULL OR asset_type_id = $3))`,
+    [wallet.id, wallet.owner_id, wallet.asset_type_id],
+  );
+  if (!limits.length) return;
+
+  // Owner-wide limits count spends from wallets we have not locked
+  let ownerWallets = [];
+  if (limits.some((l) => l.owner_id)) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtextextended($1, 0))', [`spending-limits:${wallet.owner_id}`]);
+    ({ rows: ownerWallets } = await client.query('SELECT id, asset_type_id FROM wallets WHERE owner_id = $1', [wallet.owner_id]));
+  }
+
+  for (const limit of limits) {
+    const walletIds = limit.wallet_id
+      ? [wallet.id]
+      : ownerWallets.filter((w) => !limit.asset_type_id || w.asset_type_id === limit.asset_type_id).map((w) => w.id);
+    const { rows: [used] } = await client.query(
+      `SELECT COALESCE(SUM(CASE WHEN status = 'captured' THEN captured_amount ELSE amount END), 0) AS amount,
+              COUNT(*) AS count
+       FROM transactions
+       WHERE source_wallet_id = ANY($1::UUID[])
+         AND created_at >= date_trunc($2, NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+         AND ((type IN ('spend', 'transfer') AND status = 'completed')
+           OR (type = 'hold' AND (status = 'captured' OR (status = 'authorized' AND expires_at > NOW()))))`,
+      [walletIds, PERIOD_UNITS[limit.period]],
+    );
+
+    const scope = limit.wallet_id ? 'wallet' : 'owner';
+    const name = `${PERIOD_NAMES[limit.period]} ${scope} spend limit`;
+
+    if (limit.max_count != null && parseInt(used.count) + 1 > limit.max_count) {
+      throw new LimitExceededError(`${name} of ${limit.max_count} spends reached`, {
+        limit: 'spend_count', limitId: limit.id, scope, period: limit.period,
+        maxCount: limit.max_count, usedCount: parseInt(used.count),
+      });
+    }
+    if (limit.max_amount != null && money.gt(money.add(used.amount, amount), limit.max_amount)) {
+      throw new LimitExceededError(
+        `${name} of ${money.format(limit.max_amount)} ${wallet.asset_symbol} exceeded (used ${money.format(used.amount)}, requested ${money.format(amount)})`,
+        {
+          limit: 'spend_amount', limitId: limit.id, scope, period: limit.period,
+          max: money.format(limit.max_amount), used: money.format(used.amount), requested: money.format(amount),
+        },
+      );
+    }
+  }
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+async function assertExists(table, id, resource) {
+  const { rows } = await query(`SELECT 1 FROM ${table} WHERE id = $1`, [id]);
+  if (!rows.length) throw new NotFoundError(resource);
+}
+
+function formatLimit(row) {
+  return {
+    id: row.id,
+    walletId: row.wallet_id,
+    ownerId: row.owner_id,
+    assetTypeId: row.asset_type_id,
+    period: row.period,
+    maxAmount: money.formatOrNull(row.max_amount),
+    maxCount: row.max_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
@@ -0,0 +1,100 @@
+import { getClient } from '../config/db.js';
+import logger from '../config/logger.js';
+import env from '../config/env.js';
+import { idempotencyKeysPurgedTotal } from '../config/metrics.js';
+
+/**
+ * MaintenanceService — housekeeping that keeps tables from growing without bound.
+ *
+ *  1. RETENTION  — idempotency_keys rows are purged IDEMPOTENCY_RETENTION_HOURS after
+ *                  they expire (0 = as soon as they expire); an expired key is never
+ *                  matched again, so keeping it longer only helps when auditing
+ *  2. BATCHES    — rows are deleted IDEMPOTENCY_PURGE_BATCH_SIZE at a time, each batch
+ *                  its own statement, and at most IDEMPOTENCY_PURGE_MAX_BATCHES per run,
+ *                  so a large backlog is worked off over several runs without long locks
+ *  3. ONE SWEEPER — a run holds a session-level advisory lock; an instance that cannot
+ *                  take it skips the run, so a PM2 cluster sweeps once per interval
+ *  4. METRICS    — runs, skipped runs and rows purged are counted per process and
+ *                  reported by getMaintenanceStats(); rows purged are also exported
+ *                  to Prometheus
+ */
+
+// Arbitrary, but must not be reused by any other advisory lock in the app
+export const MAINTENANCE_LOCK_KEY = 7_460_014;
+
+const stats = {
+  runs: 0,
+  skippedRuns: 0,
+  idempotencyKeysPurged: 0,
+  lastRunAt: null,
+  lastRunPurged: 0,
+};
+
+/**
+ * Run every retention policy once, unless another instance is already running them.
+ *
+ * @param {object} [options]
+ * @param {number} [options.retentionHours] - Defaults to IDEMPOTENCY_RETENTION_HOURS
+ * @param {number} [options.batchSize]      - Defaults to IDEMPOTENCY_PURGE_BATCH_SIZE
+ * @param {number} [options.maxBatches]     - Defaults to IDEMPOTENCY_PURGE_MAX_BATCHES
+ * @returns {Promise<{ skipped: boolean, idempotencyKeysPurged: number }>}
+ */
+export async function runMaintenance({
+  retentionHours = env.IDEMPOTENCY_RETENTION_HOURS,
+  batchSize = env.IDEMPOTENCY_PURGE_BATCH_SIZE,
+  maxBatches = env.IDEMPOTENCY_PURGE_MAX_BATCHES,
+} = {}) {
+  const client = await getClient();
+  try {
+    const { rows: [lock] } = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [MAINTENANCE_LOCK_KEY]);
+    if (!lock.acquired) {
+      stats.skippedRuns++;
+      logger.debug('Maintenance run skipped — another instance holds the lock');
+      return { skipped: true, idempotencyKeysPurged: 0 };
+    }
+
+    try {
+      const purged = await purgeIdempotencyKeys(client, { retentionHours, batchSize, maxBatches });
+
+      stats.runs++;
+      stats.idempotencyKeysPurged += purged;
+      stats.lastRunAt = new Date();
+      stats.lastRunPurged = purged;
+      idempotencyKeysPurgedTotal.inc(purged);
+      if (purged) logger.info('Purged expired idempotency keys', { count: purged });
+      return { skipped: false, idempotencyKeysPurged: purged };
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MAINTENANCE_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Counters for this process since it started.
+ */
+export function getMaintenanceStats() {
+  return { ...stats };
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+async function purgeIdempotencyKeys(client, { retentionHours, batchSize, maxBatches }) {
+  let purged = 0;
+  for (let batch = 0; batch < maxBatches; batch++) {
+    const { rowCount } = await client.query(
+      `DELETE FROM idempotency_keys
+       WHERE id IN (
+         SELECT id FROM idempotency_keys
+         WHERE expires_at <= NOW() - make_interval(hours => $1)
+         ORDER BY expires_at
+         LIMIT $2
+       )`,
+      [retentionHours, batchSize],
+    );
+    purged += rowCount;
+    if (rowCount < batchSize) break;
+  }
+  return purged;
+}
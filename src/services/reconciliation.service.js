@@ -0,0 +1,198 @@
+import { getClient } from '../config/db.js';
+import logger from '../config/logger.js';
+import * as money from '../utils/money.js';
+
+/**
+ * ReconciliationService — proves the ledger is internally consistent.
+ *
+ *  1. TRANSACTION_UNBALANCED — a transaction's debits ≠ credits for an asset type
+ *  2. ENTRY_ARITHMETIC       — balance_after ≠ balance_before ± amount
+ *  3. CHAIN_BREAK            — balance_before ≠ the wallet's previous balance_after
+ *  4. BALANCE_MISMATCH       — wallet balance ≠ opening balance + sum of its entries
+ *
+ * Balances seeded directly into `wallets` (before any ledger entry) show up as the
+ * first entry's balance_before; they are reported under `openingBalances` rather
+ * than as discrepancies.
+ *
+ * All checks read from one REPEATABLE READ snapshot so the report is consistent
+ * while transactions keep posting.
+ */
+
+/**
+ * Run every integrity check and return a report of all discrepancies.
+ */
+export async function verifyLedger() {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+    const discrepancies = [
+      ...(await findUnbalancedTransactions(client)),
+      ...(await findEntryArithmeticErrors(client)),
+      ...(await findChainBreaks(client)),
+      ...(await findBalanceMismatches(client)),
+    ];
+    const openingBalances = await findOpeningBalances(client);
+
+    const { rows: [counts] } = await client.query(
+      `SELECT
+         (SELECT COUNT(*) FROM transactions)   AS transactions,
+         (SELECT COUNT(*) FROM wallets)        AS wallets,
+         (SELECT COUNT(*) FROM ledger_entries) AS entries`,
+    );
+
+    await client.query('COMMIT');
+
+    const report = {
+      healthy: discrepancies.length === 0,
+      checkedAt: new Date().toISOString(),
+      summary: {
+        transactionsChecked: parseInt(counts.transactions),
+        walletsChecked: parseInt(counts.wallets),
+        entriesChecked: parseInt(counts.entries),
+        discrepancies: discrepancies.length,
+      },
+      discrepancies,
+      openingBalances,
+    };
+
+    if (!report.healthy) {
+      logger.error('Ledger verification found discrepancies', { count: discrepancies.length });
+    }
+    return report;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── Checks ─────────────────────────────────────────────────────────────────
+
+// Per-wallet opening balance (first entry's balance_before, or the balance itself
+// for wallets that never posted) and net movement across all entries.
+const WALLET_TOTALS_CTE = `
+  WITH firsts AS (
+    SELECT DISTINCT ON (wallet_id) wallet_id, balance_before
+    FROM ledger_entries
+    ORDER BY wallet_id, seq
+  ),
+  lasts AS (
+    SELECT DISTINCT ON (wallet_id) wallet_id, transaction_id
+    FROM ledger_entries
+    ORDER BY wallet_id, seq DESC
+  ),
+  sums AS (
+    SELECT wallet_id, SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END) AS net
+    FROM ledger_entries
+    GROUP BY wallet_id
+  ),
+  totals AS (
+    SELECT w.id AS wallet_id,
+           w.balance,
+           COALESCE(f.balance_before, w.balance) AS opening,
+           COALESCE(s.net, 0)                    AS net,
+           l.transaction_id                      AS last_transaction_id
+    FROM wallets w
+    LEFT JOIN firsts f ON f.wallet_id = w.id
+    LEFT JOIN lasts  l ON l.wallet_id = w.id
+    LEFT JOIN sums   s ON s.wallet_id = w.id
+  )`;
+
+
+async function findUnbalancedTransactions(client) {
+  const { rows } = await client.query(
+    `SELECT
+       le.transaction_id,
+       w.asset_type_id,
+       SUM(le.amount) FILTER (WHERE le.entry_type = 'debit')  AS debits,
+       SUM(le.amount) FILTER (WHERE le.entry_type = 'credit') AS credits
+     FROM ledger_entries le
+     JOIN wallets w ON w.id = le.wallet_id
+     GROUP BY le.transaction_id, w.asset_type_id
+     HAVING COALESCE(SUM(le.amount) FILTER (WHERE le.entry_type = 'debit'), 0)
+         <> COALESCE(SUM(le.amount) FILTER (WHERE le.entry_type = 'credit'), 0)
+     ORDER BY le.transaction_id`,
+  );
+  return rows.map((r) => ({
+    type: 'TRANSACTION_UNBALANCED',
+    transactionId: r.transaction_id,
+    assetTypeId: r.asset_type_id,
+    expected: money.format(r.debits ?? 0),
+    actual: money.format(r.credits ?? 0),
+    message: `Debits ${money.format(r.debits ?? 0)} do not equal credits ${money.format(r.credits ?? 0)}`,
+  }));
+}
+
+async function findEntryArithmeticErrors(client) {
+  const { rows } = await client.query(
+    `SELECT id, transaction_id, wallet_id, entry_type, amount, balance_before, balance_after,
+            CASE WHEN entry_type = 'credit' THEN balance_before + amount
+                 ELSE balance_before - amount END AS expected_after
+     FROM ledger_entries
+     WHERE balance_after <> CASE WHEN entry_type = 'credit' THEN balance_before + amount
+                                 ELSE balance_before - amount END
+     ORDER BY wallet_id, seq`,
+  );
+  return rows.map((r) => ({
+    type: 'ENTRY_ARITHMETIC',
+    walletId: r.wallet_id,
+    transactionId: r.transaction_id,
+    entryId: r.id,
+    expected: money.format(r.expected_after),
+    actual: money.format(r.balance_after),
+    message: `${r.entry_type} of ${r.amount} from ${r.balance_before} should leave ${r.expected_after}`,
+  }));
+}
+
+async function findChainBreaks(client) {
+  const { rows } = await client.query(
+    `SELECT id, transaction_id, wallet_id, balance_before, previous_after, previous_entry_id
+     FROM (
+       SELECT le.*,
+              LAG(le.balance_after) OVER w AS previous_after,
+              LAG(le.id)            OVER w AS previous_entry_id
+       FROM ledger_entries le
+       WINDOW w AS (PARTITION BY le.wallet_id ORDER BY le.seq)
+     ) chained
+     WHERE previous_after IS NOT NULL AND balance_before <> previous_after
+     ORDER BY wallet_id, seq`,
+  );
+  return rows.map((r) => ({
+    type: 'CHAIN_BREAK',
+    walletId: r.wallet_id,
+    transactionId: r.transaction_id,
+    entryId: r.id,
+    previousEntryId: r.previous_entry_id,
+    expected: money.format(r.previous_after),
+    actual: money.format(r.balance_before),
+    message: `balance_before ${r.balance_before} does not match previous balance_after ${r.previous_after}`,
+  }));
+}
+
+async function findBalanceMismatches(client) {
+  const { rows } = await client.query(
+    `${WALLET_TOTALS_CTE}
+     SELECT wallet_id, balance, opening + net AS expected, last_transaction_id
+     FROM totals
+     WHERE balance <> opening + net
+     ORDER BY wallet_id`,
+  );
+  return rows.map((r) => ({
+    type: 'BALANCE_MISMATCH',
+    walletId: r.wallet_id,
+    transactionId: r.last_transaction_id,
+    expected: money.format(r.expected),
+    actual: money.format(r.balance),
+    message: `Wallet balance ${r.balance} does not equal ledger total ${r.expected}`,
+  }));
+}
+
+async function findOpeningBalances(client) {
+  const { rows } = await client.query(
+    `${WALLET_TOTALS_CTE}
+     SELECT wallet_id, opening FROM totals WHERE opening <> 0 ORDER BY wallet_id`,
+  );
+  return rows.map((r) => ({ walletId: r.wallet_id, openingBalance: money.format(r.opening) }));
+}
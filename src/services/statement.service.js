@@ -0,0 +1,161 @@
+import { getClient } from '../config/db.js';
+import { getWalletById, getBalanceAsOf } from './wallet.service.js';
+import * as money from '../utils/money.js';
+
+/**
+ * StatementService — full ledger statements for a wallet over a time range.
+ *
+ * Entries are read through a server-side cursor in fixed-size batches, so a
+ * wallet with millions of entries never has to fit in memory. The opening
+ * balance and every entry come from one REPEATABLE READ snapshot, so running
+ * totals always reconcile to the closing balance. Entries are listed in seq
+ * (posting) order; created_at only bounds the range, since a flow that waited
+ * on the wallet lock carries the earlier time its database transaction began.
+ */
+
+const DEFAULT_BATCH_SIZE = 500;
+
+export const CSV_COLUMNS = [
+  'record_type',
+  'entry_id',
+  'transaction_id',
+  'transaction_type',
+  'created_at',
+  'description',
+  'entry_type',
+  'amount',
+  'balance',
+  'total_credits',
+  'total_debits',
+];
+
+/**
+ * Yield the statement records for a wallet in order:
+ *   one `opening` record, one `entry` record per ledger entry, one `closing` record.
+ *
+ * The range is (from, to]: the opening balance is the balance as of `from`.
+ * Throws 404 before yielding anything if the wallet does not exist.
+ *
+ * @param {string} walletId
+ * @param {object} [options]
+ * @param {Date} [options.from] - Defaults to the wallet's creation time
+ * @param {Date} [options.to]   - Defaults to now
+ * @param {number} [options.batchSize]
+ */
+export async function* statementRecords(walletId, { from, to, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  const wallet = await getWalletById(walletId);
+  const rangeFrom = from || new Date(wallet.createdAt);
+  const rangeTo = to || new Date();
+
+  const client = await getClient();
+  let inTransaction = false;
+  try {
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    inTransaction = true;
+
+    const opening = await getBalanceAsOf(walletId, rangeFrom, client);
+    yield {
+      recordType: 'opening',
+      walletId,
+      assetType: wallet.assetType,
+      createdAt: rangeFrom.toISOString(),
+      balance: opening.balance,
+    };
+
+    await client.query(
+      `DECLARE statement_cursor NO SCROLL CURSOR FOR
+       SELECT
+         le.id, le.entry_type, le.amount, le.balance_after, le.created_at,
+         t.id AS transaction_id, t.type AS transaction_type, t.description
+       FROM ledger_entries le
+       JOIN transactions t ON t.id = le.transaction_id
+       WHERE le.wallet_id = $1 AND le.created_at > $2 AND le.created_at <= $3
+       ORDER BY le.seq`,
+      [walletId, rangeFrom, rangeTo],
+    );
+
+    // Running totals are kept in BigInt micro-units so amounts add exactly
+    let credits = 0n;
+    let debits = 0n;
+    let balance = opening.balance;
+    let entryCount = 0;
+
+    for (;;) {
+      const { rows } = await client.query(`FETCH ${parseInt(batchSize)} FROM statement_cursor`);
+      if (!rows.length) break;
+
+      for (const row of rows) {
+        const micros = money.toMicros(row.amount);
+        if (row.entry_type === 'credit') credits += micros;
+        else debits += micros;
+        balance = money.format(row.balance_after);
+        entryCount++;
+
+        yield {
+          recordType: 'entry',
+          entryId: row.id,
+          transactionId: row.transaction_id,
+          transactionType: row.transaction_type,
+          createdAt: row.created_at.toISOString(),
+          description: row.description,
+          entryType: row.entry_type,
+          amount: money.format(row.amount),
+          balance,
+          totalCredits: money.format(credits),
+          totalDebits: money.format(debits),
+        };
+      }
+    }
+
+    await client.query('CLOSE statement_cursor');
+    await client.query('COMMIT');
+    inTransaction = false;
+
+    yield {
+      recordType: 'closing',
+      walletId,
+      createdAt: rangeTo.toISOString(),
+      balance,
+      totalCredits: money.format(credits),
+      totalDebits: money.format(debits),
+      entryCount,
+    };
+  } finally {
+    // Also runs when the consumer stops early (e.g. the HTTP client disconnected)
+    if (inTransaction) await client.query('ROLLBACK').catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Serialize one statement record as a CSV line (RFC 4180 quoting).
+ */
+export function toCsvLine(record) {
+  const values = {
+    record_type: record.recordType,
+    entry_id: record.entryId,
+    transaction_id: record.transactionId,
+    transaction_type: record.transactionType,
+    created_at: record.createdAt,
+    description: record.description,
+    entry_type: record.entryType,
+    amount: record.amount,
+    balance: record.balance,
+    total_credits: record.totalCredits,
+    total_debits: record.totalDebits,
+  };
+  return CSV_COLUMNS.map((col) => csvField(values[col])).join(',') + '\n';
+}
+
+/**
+ * Serialize one statement record as a JSON Lines line.
+ */
+export function toJsonLine(record) {
+  return JSON.stringify(record) + '\n';
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
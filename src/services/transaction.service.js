@@ -1,15 +1,48 @@
-import { withTransaction } from '../config/db.js';
-import { InsufficientFundsError, NotFoundError, ConflictError } from '../errors/AppError.js';
+import { withTransaction, query } from '../config/db.js';
+import {
+  InsufficientFundsError,
+  LimitExceededError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+} from '../errors/AppError.js';
 import logger from '../config/logger.js';
+import env from '../config/env.js';
+import { isDraining } from '../config/lifecycle.js';
+import { circulatingSupply } from './assetType.service.js';
+import { publishEvent } from './webhook.service.js';
+import { appendEvent } from './event.service.js';
+import { assertTransactionSize, assertBalanceCeiling, assertSpendWithinLimits } from './limit.service.js';
+import { createLot, consumeLots, restoreLots, expiredBalances } from './creditLot.service.js';
+import * as money from '../utils/money.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import {
+  transactionsTotal,
+  insufficientFundsTotal,
+  idempotencyReplaysTotal,
+  lockWaitDuration,
+} from '../config/metrics.js';
 
 /**
- * TransactionService — implements all 3 transaction flows with:
+ * TransactionService — implements all transaction flows with:
  *
  *  1. CONCURRENCY SAFETY   — SELECT ... FOR UPDATE acquires row-level locks
  *  2. DEADLOCK AVOIDANCE   — wallets always locked in ascending UUID order
- *  3. DOUBLE-ENTRY LEDGER  — every flow produces exactly 2 ledger entries
+ *  3. DOUBLE-ENTRY LEDGER  — debits equal credits (2 entries per flow, N for journals)
  *  4. ATOMICITY            — entire flow runs in a single PG transaction
  *  5. AUDIT TRAIL          — balance_before / balance_after captured per entry
+ *  6. EXACT AMOUNTS        — decimal strings and BigInt micro-units, never floats
+ *  7. WEBHOOK EVENTS       — published to the outbox on the flow's own client, so they
+ *                            commit or roll back with the ledger write
+ *  8. CHANGE FEED          — every ledger change is appended to the sequenced event log
+ *                            as the flow's last write
+ *  9. LIMITS               — transaction size, balance ceilings and spend velocity are
+ *                            checked under the same wallet locks as the funds check
+ * 10. EXPIRING CREDITS     — debits of user wallets draw on credit lots soonest expiry
+ *                            first; expired remainders are not available and are swept
+ *                            back to the wallet that funded them
+ * 11. EXCHANGE             — conversions between asset types post one debit and one
+ *                            credit per asset type, so each asset balances on its own
  */
 
 // ─── Flow 1: Wallet Top-up ────────────────────────────────────────────────
@@ -23,6 +56,7 @@ import logger from '../config/logger.js';
  * @param {string} params.systemWalletId - Treasury wallet ID
  * @param {number} params.amount
  * @param {string} params.referenceId    - External payment reference
+ * @param {number} [params.expiresInDays] - Credits expire this many days later; never by default
  * @param {string} [params.description]
  * @param {object} [params.metadata]
  * @param {string} [params.idempotencyKey]
@@ -32,18 +66,21 @@ export async function topup({
   systemWalletId,
   amount,
   referenceId,
+  expiresInDays,
   description,
   metadata = {},
   idempotencyKey,
+  apiClientId,
 }) {
-  return withTransaction(async (client) => {
+  return runFlow('topup', { walletId, systemWalletId, amount, idempotencyKey }, async (client, run) => {
     // Check for duplicate idempotency key before doing anything
     if (idempotencyKey) {
       const { rows: existing } = await client.query(
-        'SELECT id FROM transactions WHERE idempotency_key = $1',
-        [idempotencyKey],
+        'SELECT id FROM transactions WHERE idempotency_key = $1 AND api_client_id IS NOT DISTINCT FROM $2',
+        [idempotencyKey, apiClientId || null],
       );
       if (existing.length) {
+        idempotencyReplaysTotal.inc({ layer: 'transaction' });
         const { rows: txRows } = await client.query(
           'SELECT * FROM transactions WHERE id = $1',
           [existing[0].id],
@@ -61,6 +98,7 @@ export async function topup({
 
     if (!systemWallet) throw new NotFoundError('System wallet');
     if (!userWallet)   throw new NotFoundError('User wallet');
+    run.assetType = userWallet.asset_symbol;
 
     if (!systemWallet.is_active) throw new ConflictError('System wallet is inactive');
     if (!userWallet.is_active)   throw new ConflictError('User wallet is inactive');
@@ -70,18 +108,25 @@ export async function topup({
       throw new ConflictError('Wallet asset types do not match');
     }
 
+    assertPrecision(userWallet, amount);
+
     // Treasury must have enough supply
-    if (parseFloat(systemWallet.balance) < amount) {
-      throw new InsufficientFundsError(systemWallet.balance, amount);
+    if (money.lt(systemWallet.balance, amount)) {
+      throw new InsufficientFundsError(money.format(systemWallet.balance), money.format(amount));
     }
 
+    assertTransactionSize(userWallet, amount);
+    assertBalanceCeiling(userWallet, amount);
+    await assertWithinMaxSupply(client, userWallet.asset_type_id, amount);
+
     // ── Create transaction record ────────────────────────────────────────
     const { rows: [txn] } = await client.query(
       `INSERT INTO transactions
-         (type, status, user_wallet_id, system_wallet_id, amount, reference_id, idempotency_key, description, metadata)
-       VALUES ('topup', 'pending', $1, $2, $3, $4, $5, $6, $7)
+         (type, status, user_wallet_id, system_wallet_id, source_wallet_id, destination_wallet_id,
+          amount, reference_id, idempotency_key, description, metadata, api_client_id)
+       VALUES ('topup', 'pending', $1, $2, $2, $1, $3, $4, $5, $6, $7, $8)
        RETURNING *`,
-      [walletId, systemWalletId, amount, referenceId, idempotencyKey || null, description || null, JSON.stringify(metadata)],
+      [walletId, systemWalletId, amount, referenceId, idempotencyKey || null, description || null, JSON.stringify(metadata), apiClientId || null],
     );
 
     // ── Debit system wallet (treasury loses supply) ──────────────────────
@@ -89,15 +134,15 @@ export async function topup({
 
     // ── Credit user wallet ───────────────────────────────────────────────
     await creditWallet(client, userWallet, amount, txn.id);
+    if (expiresInDays) {
+      await createLot(client, { walletId, transactionId: txn.id, returnWalletId: systemWalletId, amount, expiresInDays });
+    }
 
     // ── Mark transaction completed ───────────────────────────────────────
-    const { rows: [completed] } = await client.query(
-      "UPDATE transactions SET status = 'completed', updated_at = NOW() WHERE id = $1 RETURNING *",
-      [txn.id],
-    );
+    const completed = await completeTransaction(client, txn.id);
 
     logger.info('Topup completed', { transactionId: txn.id, walletId, amount });
-    return formatTransaction(completed);
+    return completed;
   });
 }
 
@@ -112,13 +157,15 @@ export async function bonus({
   systemWalletId,
   amount,
   reason,
+  expiresInDays,
   description,
   metadata = {},
   idempotencyKey,
+  apiClientId,
 }) {
-  return withTransaction(async (client) => {
+  return runFlow('bonus', { walletId, systemWalletId, amount, idempotencyKey }, async (client, run) => {
     if (idempotencyKey) {
-      const dup = await checkDuplicate(client, idempotencyKey);
+      const dup = await checkDuplicate(client, idempotencyKey, apiClientId);
       if (dup) return dup;
     }
 
@@ -130,34 +177,44 @@ export async function bonus({
 
     if (!systemWallet) throw new NotFoundError('System wallet');
     if (!userWallet)   throw new NotFoundError('User wallet');
+    run.assetType = userWallet.asset_symbol;
     if (!systemWallet.is_active) throw new ConflictError('Bonus pool wallet is inactive');
     if (!userWallet.is_active)   throw new ConflictError('User wallet is inactive');
     if (systemWallet.asset_type_id !== userWallet.asset_type_id) {
       throw new ConflictError('Wallet asset types do not match');
     }
 
-    if (parseFloat(systemWallet.balance) < amount) {
-      throw new InsufficientFundsError(systemWallet.balance, amount);
+    assertPrecision(userWallet, amount);
+
+    if (money.lt(systemWallet.balance, amount)) {
+      throw new InsufficientFundsError(money.format(systemWallet.balance), money.format(amount));
     }
 
+    assertBalanceCeiling(userWallet, amount);
+    await assertWithinMaxSupply(client, userWallet.asset_type_id, amount);
+
     const { rows: [txn] } = await client.query(
       `INSERT INTO transactions
-         (type, status, user_wallet_id, system_wallet_id, amount, idempotency_key, description, metadata)
-       VALUES ('bonus', 'pending', $1, $2, $3, $4, $5, $6)
+         (type, status, user_wallet_id, system_wallet_id, source_wallet_id, destination_wallet_id,
+          amount, idempotency_key, description, metadata, api_client_id)
+       VALUES ('bonus', 'pending', $1, $2, $2, $1, $3, $4, $5, $6, $7)
        RETURNING *`,
-      [walletId, systemWalletId, amount, idempotencyKey || null, description || ('Bonus: ' + reason), JSON.stringify({ reason, ...metadata })],
+      [walletId, systemWalletId, amount, idempotencyKey || null, description || ('Bonus: ' + reason), JSON.stringify({ reason, ...metadata }), apiClientId || null],
     );
 
     await debitWallet(client, systemWallet, amount, txn.id);
     await creditWallet(client, userWallet, amount, txn.id);
 
-    const { rows: [completed] } = await client.query(
-      "UPDATE transactions SET status = 'completed', updated_at = NOW() WHERE id = $1 RETURNING *",
-      [txn.id],
-    );
+    // Promotional credits expire back to the bonus pool
+    const expiryDays = expiresInDays !== undefined ? expiresInDays : userWallet.asset_bonus_expiry_days;
+    if (expiryDays) {
+      await createLot(client, { walletId, transactionId: txn.id, returnWalletId: systemWalletId, amount, expiresInDays: expiryDays });
+    }
 
-    logger.info('Bonus issued', { transactionId: txn.id, walletId, amount, reason });
-    return formatTransaction(completed);
+    const completed = await completeTransaction(client, txn.id);
+
+    logger.info('Bonus issued', { transactionId: txn.id, walletId, amount, reason, expiresInDays: expiryDays ?? null });
+    return completed;
   });
 }
 
@@ -175,10 +232,11 @@ export async function spend({
   description,
   metadata = {},
   idempotencyKey,
+  apiClientId,
 }) {
-  return withTransaction(async (client) => {
+  return runFlow('spend', { walletId, systemWalletId, amount, idempotencyKey }, async (client, run) => {
     if (idempotencyKey) {
-      const dup = await checkDuplicate(client, idempotencyKey);
+      const dup = await checkDuplicate(client, idempotencyKey, apiClientId);
       if (dup) return dup;
     }
 
@@ -189,6 +247,7 @@ export async function spend({
     const systemWallet = wallets.find((w) => w.id === systemWalletId);
 
     if (!userWallet)   throw new NotFoundError('User wallet');
+    run.assetType = userWallet.asset_symbol;
     if (!systemWallet) throw new NotFoundError('Revenue wallet');
     if (!userWallet.is_active)   throw new ConflictError('User wallet is inactive');
     if (!systemWallet.is_active) throw new ConflictError('Revenue wallet is inactive');
@@ -196,30 +255,619 @@ export async function spend({
       throw new ConflictError('Wallet asset types do not match');
     }
 
-    // Critical: ensure user has enough balance
-    if (parseFloat(userWallet.balance) < amount) {
-      throw new InsufficientFundsError(parseFloat(userWallet.balance), amount);
+    assertPrecision(userWallet, amount);
+
+    // Critical: ensure user has enough balance once outstanding holds are set aside
+    if (money.lt(availableBalance(userWallet), amount)) {
+      throw new InsufficientFundsError(availableBalance(userWallet), money.format(amount));
     }
 
+    assertTransactionSize(userWallet, amount);
+    await assertSpendWithinLimits(client, userWallet, amount);
+
     const { rows: [txn] } = await client.query(
       `INSERT INTO transactions
-         (type, status, user_wallet_id, system_wallet_id, amount, idempotency_key, description, metadata)
-       VALUES ('spend', 'pending', $1, $2, $3, $4, $5, $6)
+         (type, status, user_wallet_id, system_wallet_id, source_wallet_id, destination_wallet_id,
+          amount, idempotency_key, description, metadata, api_client_id)
+       VALUES ('spend', 'pending', $1, $2, $1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-      [walletId, systemWalletId, amount, idempotencyKey || null, description || ('Purchase: ' + serviceId), JSON.stringify({ serviceId, ...metadata })],
+      [walletId, systemWalletId, amount, idempotencyKey || null, description || ('Purchase: ' + serviceId), JSON.stringify({ serviceId, ...metadata }), apiClientId || null],
     );
 
     // Debit user first, then credit system
     await debitWallet(client, userWallet, amount, txn.id);
     await creditWallet(client, systemWallet, amount, txn.id);
 
-    const { rows: [completed] } = await client.query(
-      "UPDATE transactions SET status = 'completed', updated_at = NOW() WHERE id = $1 RETURNING *",
-      [txn.id],
-    );
+    const completed = await completeTransaction(client, txn.id);
 
     logger.info('Spend completed', { transactionId: txn.id, walletId, amount, serviceId });
-    return formatTransaction(completed);
+    return completed;
+  });
+}
+
+// ─── Flow 4: User-to-user Transfer ────────────────────────────────────────
+/**
+ * User sends credits to another user's wallet of the same asset type.
+ * Sender wallet     →  DEBIT
+ * Recipient wallet  →  CREDIT
+ *
+ * @param {object} params
+ * @param {string} params.fromWalletId - Sender's wallet ID
+ * @param {string} params.toWalletId   - Recipient's wallet ID
+ * @param {number} params.amount
+ * @param {string} [params.description]
+ * @param {object} [params.metadata]
+ * @param {string} [params.idempotencyKey]
+ */
+export async function transfer({
+  fromWalletId,
+  toWalletId,
+  amount,
+  description,
+  metadata = {},
+  idempotencyKey,
+  apiClientId,
+}) {
+  return runFlow('transfer', { fromWalletId, toWalletId, amount, idempotencyKey }, async (client, run) => {
+    if (idempotencyKey) {
+      const dup = await checkDuplicate(client, idempotencyKey, apiClientId);
+      if (dup) return dup;
+    }
+
+    const [firstId, secondId] = sortIds(fromWalletId, toWalletId);
+    const wallets = await lockWallets(client, firstId, secondId);
+
+    const fromWallet = wallets.find((w) => w.id === fromWalletId);
+    const toWallet   = wallets.find((w) => w.id === toWalletId);
+    run.assetType = fromWallet.asset_symbol;
+
+    if (fromWallet.owner_type !== 'user' || toWallet.owner_type !== 'user') {
+      throw new ConflictError('Transfers are only allowed between user wallets');
+    }
+    if (!fromWallet.is_active) throw new ConflictError('Source wallet is inactive');
+    if (!toWallet.is_active)   throw new ConflictError('Destination wallet is inactive');
+    if (fromWallet.asset_type_id !== toWallet.asset_type_id) {
+      throw new ConflictError('Wallet asset types do not match');
+    }
+
+    assertPrecision(fromWallet, amount);
+
+    if (money.lt(availableBalance(fromWallet), amount)) {
+      throw new InsufficientFundsError(availableBalance(fromWallet), money.format(amount));
+    }
+
+    assertTransactionSize(fromWallet, amount);
+    assertBalanceCeiling(toWallet, amount);
+    await assertSpendWithinLimits(client, fromWallet, amount);
+
+    const { rows: [txn] } = await client.query(
+      `INSERT INTO transactions
+         (type, status, source_wallet_id, destination_wallet_id, amount, idempotency_key, description, metadata, api_client_id)
+       VALUES ('transfer', 'pending', $1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [fromWalletId, toWalletId, amount, idempotencyKey || null, description || 'Transfer', JSON.stringify(metadata), apiClientId || null],
+    );
+
+    // Expiring credits keep their expiry in the recipient's wallet
+    const lots = await debitWallet(client, fromWallet, amount, txn.id);
+    await creditWallet(client, toWallet, amount, txn.id);
+    for (const lot of lots) {
+      await createLot(client, { walletId: toWalletId, transactionId: txn.id, ...lot });
+    }
+
+    const completed = await completeTransaction(client, txn.id);
+
+    logger.info('Transfer completed', { transactionId: txn.id, fromWalletId, toWalletId, amount });
+    return completed;
+  });
+}
+
+// ─── Flow 5: Multi-leg Journal ────────────────────────────────────────────
+/**
+ * Post one business event that touches many wallets at once, e.g. a spend
+ * split between a revenue wallet, a creator wallet and a fee wallet.
+ * Each leg debits or credits one wallet; legs must sum to zero per asset type.
+ * Every wallet is locked in ascending UUID order and the whole journal
+ * commits or rolls back as a unit.
+ *
+ * @param {object} params
+ * @param {Array<{walletId: string, entryType: 'debit'|'credit', amount: number}>} params.legs
+ * @param {string} [params.referenceId]
+ * @param {string} [params.description]
+ * @param {object} [params.metadata]
+ * @param {string} [params.idempotencyKey]
+ */
+export async function journal({
+  legs,
+  referenceId,
+  description,
+  metadata = {},
+  idempotencyKey,
+  apiClientId,
+}) {
+  return runFlow('journal', { legs, idempotencyKey }, async (client) => {
+    if (idempotencyKey) {
+      const dup = await checkDuplicate(client, idempotencyKey, apiClientId);
+      if (dup) return dup;
+    }
+
+    const wallets = await lockWallets(client, ...sortIds(...legs.map((l) => l.walletId)));
+    for (const wallet of wallets) {
+      if (!wallet.is_active) throw new ConflictError(`Wallet ${wallet.id} is inactive`);
+    }
+
+    const byId = new Map(wallets.map((w) => [w.id, w]));
+    for (const leg of legs) assertPrecision(byId.get(leg.walletId), leg.amount);
+
+    assertLegsBalanced(wallets, legs);
+    assertLegsFunded(wallets, legs);
+
+    // The journal amount is the total of its debit legs
+    const amount = money.sum(legs.filter((l) => l.entryType === 'debit').map((l) => l.amount));
+
+    const { rows: [txn] } = await client.query(
+      `INSERT INTO transactions
+         (type, status, amount, reference_id, idempotency_key, description, metadata, api_client_id)
+       VALUES ('journal', 'pending', $1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [amount, referenceId || null, idempotencyKey || null, description || null, JSON.stringify(metadata), apiClientId || null],
+    );
+
+    await postLegs(client, wallets, legs, txn.id);
+
+    const completed = await completeTransaction(client, txn.id);
+
+    logger.info('Journal posted', { transactionId: txn.id, legs: legs.length, amount });
+    return completed;
+  });
+}
+
+// ─── Flow 6: Reversal / Refund ────────────────────────────────────────────
+/**
+ * Undo a completed transaction (mistaken spend, fraudulent top-up, etc.)
+ * by posting a linked compensating transaction with mirrored entries.
+ * Wallet originally credited  →  DEBIT
+ * Wallet originally debited   →  CREDIT
+ *
+ * Partial reversals are allowed; the sum of all reversals can never exceed
+ * the original amount. Journals and exchanges are reversed in full. The original row is locked first so concurrent
+ * reversals of the same transaction are serialized.
+ *
+ * @param {object} params
+ * @param {string} params.transactionId - Transaction being reversed
+ * @param {number} [params.amount]      - Defaults to the unreversed remainder
+ * @param {string} params.reason
+ * @param {string} [params.description]
+ * @param {object} [params.metadata]
+ * @param {string} [params.idempotencyKey]
+ */
+export async function reverse({
+  transactionId,
+  amount,
+  reason,
+  description,
+  metadata = {},
+  idempotencyKey,
+  apiClientId,
+}) {
+  return runFlow('reversal', { transactionId, amount, idempotencyKey }, async (client) => {
+    if (idempotencyKey) {
+      const dup = await checkDuplicate(client, idempotencyKey, apiClientId);
+      if (dup) return dup;
+    }
+
+    const { rows: [original] } = await client.query(
+      'SELECT * FROM transactions WHERE id = $1 FOR UPDATE',
+      [transactionId],
+    );
+    if (!original) throw new NotFoundError('Transaction');
+    if (original.type === 'reversal') throw new ConflictError('A reversal cannot itself be reversed');
+    // Its lot is spent; reversing it would hand back credits that no longer expire
+    if (original.type === 'expiry') throw new ConflictError('Expired credits cannot be reversed');
+    if (!['completed', 'captured'].includes(original.status)) {
+      throw new ConflictError(`Only completed transactions can be reversed (status: ${original.status})`);
+    }
+
+    // A captured hold only moved its captured amount
+    const { rows: [{ remaining }] } = await client.query(
+      `SELECT $2::NUMERIC - COALESCE(SUM(amount), 0) AS remaining
+       FROM transactions
+       WHERE reversed_transaction_id = $1 AND status = 'completed'`,
+      [transactionId, original.captured_amount ?? original.amount],
+    );
+    if (!money.gt(remaining, 0)) throw new ConflictError('Transaction has already been fully reversed');
+
+    const reversalAmount = money.format(amount ?? remaining);
+    if (money.gt(reversalAmount, remaining)) {
+      throw new ConflictError(`Reversal amount exceeds the unreversed remainder of ${money.format(remaining)}`);
+    }
+
+    // Mirror the original: money flows back the way it came
+    let legs;
+    if (['journal', 'exchange'].includes(original.type)) {
+      if (money.lt(reversalAmount, remaining)) {
+        throw new ConflictError(`${original.type === 'journal' ? 'Journal' : 'Exchange'} transactions can only be reversed in full`);
+      }
+      const { rows: entries } = await client.query(
+        'SELECT wallet_id, entry_type, amount FROM ledger_entries WHERE transaction_id = $1',
+        [transactionId],
+      );
+      legs = entries.map((e) => ({
+        walletId: e.wallet_id,
+        entryType: e.entry_type === 'debit' ? 'credit' : 'debit',
+        amount: money.format(e.amount),
+      }));
+    } else {
+      legs = [
+        { walletId: original.destination_wallet_id, entryType: 'debit',  amount: reversalAmount },
+        { walletId: original.source_wallet_id,      entryType: 'credit', amount: reversalAmount },
+      ];
+    }
+
+    // Frozen wallets can still be corrected (e.g. clawing back a fraudulent top-up); closed ones are final
+    const wallets = await lockWallets(client, ...sortIds(...legs.map((l) => l.walletId)));
+    for (const wallet of wallets) {
+      if (wallet.status === 'closed') throw new ConflictError(`Wallet ${wallet.id} is closed`);
+      if (!wallet.asset_type_is_active) throw new ConflictError(`Wallet ${wallet.id} is inactive`);
+    }
+    const byId = new Map(wallets.map((w) => [w.id, w]));
+    for (const leg of legs) assertPrecision(byId.get(leg.walletId), leg.amount);
+
+    // A reversed credit's own lot is drawn on first even once expired (see consumeLots),
+    // so its unswept remainder is still available to this reversal
+    const { rows: ownExpired } = await client.query(
+      `SELECT wallet_id, SUM(remaining) AS expired
+       FROM credit_lots
+       WHERE transaction_id = $1 AND remaining > 0 AND expires_at <= NOW()
+       GROUP BY wallet_id`,
+      [transactionId],
+    );
+    for (const { wallet_id: walletId, expired } of ownExpired) {
+      const wallet = byId.get(walletId);
+      if (wallet) wallet.expired_balance = money.sub(wallet.expired_balance, expired);
+    }
+
+    // Credited wallets may have spent the funds since
+    assertLegsFunded(wallets, legs);
+
+    const { rows: [txn] } = await client.query(
+      `INSERT INTO transactions
+         (type, status, user_wallet_id, system_wallet_id, source_wallet_id, destination_wallet_id,
+          amount, reference_id, reversed_transaction_id, idempotency_key, description, metadata, api_client_id)
+       VALUES ('reversal', 'pending', $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        original.user_wallet_id,
+        original.system_wallet_id,
+        original.destination_wallet_id,
+        original.source_wallet_id,
+        reversalAmount,
+        original.reference_id,
+        transactionId,
+        idempotencyKey || null,
+        description || (`Reversal of ${original.type}: ` + reason),
+        JSON.stringify({ reason, ...metadata }),
+        apiClientId || null,
+      ],
+    );
+
+    // Taking back a bonus draws on the lot it credited before any other
+    await postLegs(client, wallets, legs, txn.id, { preferTransactionId: transactionId });
+
+    // Refunded credits that came out of expiring lots keep their expiry
+    for (const leg of legs.filter((l) => l.entryType === 'credit')) {
+      if (byId.get(leg.walletId).owner_type !== 'user') continue;
+      await restoreLots(client, { walletId: leg.walletId, debitTransactionId: transactionId, transactionId: txn.id, amount: leg.amount });
+    }
+
+    const completed = await completeTransaction(client, txn.id);
+
+    logger.info('Reversal completed', { transactionId: txn.id, reversedTransactionId: transactionId, amount: reversalAmount, reason });
+    return completed;
+  });
+}
+
+// ─── Flow 7: Authorization Hold (reserve → capture / void) ───────────────
+/**
+ * Reserve funds for a purchase that is confirmed asynchronously.
+ * No ledger entries are posted; the held amount is simply excluded from the
+ * wallet's available balance until the hold is captured, voided or expires.
+ *
+ * @param {object} params
+ * @param {string} params.walletId       - User's wallet ID
+ * @param {string} params.systemWalletId - Revenue wallet credited on capture
+ * @param {number} params.amount
+ * @param {string} params.serviceId
+ * @param {number} [params.ttlSeconds]   - Defaults to HOLD_TTL_SECONDS
+ * @param {string} [params.description]
+ * @param {object} [params.metadata]
+ * @param {string} [params.idempotencyKey]
+ */
+export async function hold({
+  walletId,
+  systemWalletId,
+  amount,
+  serviceId,
+  ttlSeconds = env.HOLD_TTL_SECONDS,
+  description,
+  metadata = {},
+  idempotencyKey,
+  apiClientId,
+}) {
+  return runFlow('hold', { walletId, systemWalletId, amount, idempotencyKey }, async (client, run) => {
+    if (idempotencyKey) {
+      const dup = await checkDuplicate(client, idempotencyKey, apiClientId);
+      if (dup) return dup;
+    }
+
+    const [firstId, secondId] = sortIds(walletId, systemWalletId);
+    const wallets = await lockWallets(client, firstId, secondId);
+
+    const userWallet   = wallets.find((w) => w.id === walletId);
+    const systemWallet = wallets.find((w) => w.id === systemWalletId);
+    run.assetType = userWallet.asset_symbol;
+
+    if (!userWallet.is_active)   throw new ConflictError('User wallet is inactive');
+    if (!systemWallet.is_active) throw new ConflictError('Revenue wallet is inactive');
+    if (userWallet.asset_type_id !== systemWallet.asset_type_id) {
+      throw new ConflictError('Wallet asset types do not match');
+    }
+
+    assertPrecision(userWallet, amount);
+
+    if (money.lt(availableBalance(userWallet), amount)) {
+      throw new InsufficientFundsError(availableBalance(userWallet), money.format(amount));
+    }
+
+    // Holds are limited when authorized; capturing one never exceeds what was held
+    assertTransactionSize(userWallet, amount);
+    await assertSpendWithinLimits(client, userWallet, amount);
+
+    const { rows: [txn] } = await client.query(
+      `INSERT INTO transactions
+         (type, status, user_wallet_id, system_wallet_id, source_wallet_id, destination_wallet_id,
+          amount, idempotency_key, description, metadata, expires_at, api_client_id)
+       VALUES ('hold', 'authorized', $1, $2, $1, $2, $3, $4, $5, $6, NOW() + make_interval(secs => $7), $8)
+       RETURNING *`,
+      [walletId, systemWalletId, amount, idempotencyKey || null, description || ('Hold: ' + serviceId), JSON.stringify({ serviceId, ...metadata }), ttlSeconds, apiClientId || null],
+    );
+
+    logger.info('Hold authorized', { transactionId: txn.id, walletId, amount, serviceId, expiresAt: txn.expires_at });
+    return formatTransaction(txn);
+  });
+}
+
+/**
+ * Capture an authorized hold, fully or partially.
+ * User wallet    →  DEBIT  (captured amount)
+ * Revenue wallet →  CREDIT
+ * Any uncaptured remainder is released.
+ *
+ * @param {object} params
+ * @param {string} params.holdId
+ * @param {number} [params.amount] - Defaults to the full held amount
+ */
+export async function captureHold({ holdId, amount }) {
+  return runFlow('capture', { holdId, amount }, async (client) => {
+    const held = await lockHold(client, holdId);
+
+    const captureAmount = money.format(amount ?? held.amount);
+    if (money.gt(captureAmount, held.amount)) {
+      throw new ConflictError(`Capture amount exceeds the held amount of ${money.format(held.amount)}`);
+    }
+
+    const [firstId, secondId] = sortIds(held.source_wallet_id, held.destination_wallet_id);
+    const wallets = await lockWallets(client, firstId, secondId);
+
+    const userWallet   = wallets.find((w) => w.id === held.source_wallet_id);
+    const systemWallet = wallets.find((w) => w.id === held.destination_wallet_id);
+
+    if (!userWallet.is_active)   throw new ConflictError('User wallet is inactive');
+    if (!systemWallet.is_active) throw new ConflictError('Revenue wallet is inactive');
+
+    assertPrecision(userWallet, captureAmount);
+
+    // This hold's own reservation is what is being consumed
+    const spendable = money.add(availableBalance(userWallet), held.amount);
+    if (money.lt(spendable, captureAmount)) {
+      throw new InsufficientFundsError(spendable, captureAmount);
+    }
+
+    await debitWallet(client, userWallet, captureAmount, held.id);
+    await creditWallet(client, systemWallet, captureAmount, held.id);
+
+    const { rows: [captured] } = await client.query(
+      `UPDATE transactions
+       SET status = 'captured', captured_amount = $2, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [held.id, captureAmount],
+    );
+    const result = formatTransaction(captured);
+    await publishEvent(client, 'transaction.completed', result);
+    await appendLedgerEvent(client, 'hold.captured', result);
+
+    logger.info('Hold captured', { transactionId: held.id, amount: captureAmount, heldAmount: money.format(held.amount) });
+    return result;
+  });
+}
+
+/**
+ * Void an authorized hold, releasing the reserved funds without moving them.
+ *
+ * @param {object} params
+ * @param {string} params.holdId
+ * @param {string} [params.reason]
+ */
+export async function voidHold({ holdId, reason }) {
+  return withTransaction(async (client) => {
+    const held = await lockHold(client, holdId);
+
+    const { rows: [voided] } = await client.query(
+      `UPDATE transactions
+       SET status = 'voided', metadata = metadata || $2::JSONB, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [held.id, JSON.stringify(reason ? { voidReason: reason } : {})],
+    );
+
+    logger.info('Hold voided', { transactionId: held.id, reason });
+    return formatTransaction(voided);
+  });
+}
+
+/**
+ * Mark authorized holds past their TTL as expired.
+ * Available balances already ignore them; this only settles their status.
+ * Safe to run concurrently from every instance.
+ *
+ * @returns {Promise<number>} number of holds expired
+ */
+export async function expireHolds() {
+  const { rowCount } = await query(
+    `UPDATE transactions
+     SET status = 'expired', updated_at = NOW()
+     WHERE type = 'hold' AND status = 'authorized' AND expires_at <= NOW()`,
+  );
+  if (rowCount) logger.info('Expired authorization holds', { count: rowCount });
+  return rowCount;
+}
+
+// ─── Flow 8: Credit Expiry ────────────────────────────────────────────────
+/**
+ * Sweep what is left of expired credit lots back to the wallets that funded them.
+ * User wallet    →  DEBIT  (the expired remainder)
+ * Funding wallet →  CREDIT (bonus pool or treasury)
+ *
+ * Each lot is swept by its own 'expiry' transaction. Credits still reserved by a
+ * hold are left in place and retried on a later sweep. Frozen wallets are swept too.
+ * Safe to run concurrently from every instance.
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit] - Defaults to CREDIT_EXPIRY_BATCH_SIZE
+ * @returns {Promise<number>} number of lots swept
+ */
+export async function expireCredits({ limit = env.CREDIT_EXPIRY_BATCH_SIZE } = {}) {
+  const { rows: due } = await query(
+    `SELECT id, wallet_id, return_wallet_id FROM credit_lots
+     WHERE remaining > 0 AND expires_at <= NOW()
+     ORDER BY expires_at
+     LIMIT $1`,
+    [limit],
+  );
+
+  let swept = 0;
+  for (const lot of due) {
+    // Shutting down: the rest are left to the next sweep, on this or another instance
+    if (isDraining()) break;
+    try {
+      if (await expireLot(lot)) swept++;
+    } catch (err) {
+      logger.error('Credit lot expiry failed', { creditLotId: lot.id, walletId: lot.wallet_id, error: err.message });
+    }
+  }
+  if (swept) logger.info('Expired credit lots', { count: swept });
+  return swept;
+}
+
+// ─── Flow 9: Currency Exchange ────────────────────────────────────────────
+/**
+ * Execute a quote from ExchangeService.createQuote(), converting credits of one
+ * asset type into the same owner's wallet of another at the quoted rate.
+ * User source wallet    →  DEBIT  fromAmount (source asset)
+ * Source system wallet  →  CREDIT fromAmount (source asset)
+ * Target system wallet  →  DEBIT  toAmount   (target asset)
+ * User target wallet    →  CREDIT toAmount   (target asset)
+ *
+ * The quote row is locked first, so a quote is executed at most once; an
+ * expired quote is rejected and the caller must ask for a new one.
+ *
+ * @param {object} params
+ * @param {string} params.quoteId
+ * @param {string} [params.description]
+ * @param {object} [params.metadata]
+ * @param {string} [params.idempotencyKey]
+ */
+export async function exchange({
+  quoteId,
+  description,
+  metadata = {},
+  idempotencyKey,
+  apiClientId,
+}) {
+  return runFlow('exchange', { quoteId, idempotencyKey }, async (client) => {
+    if (idempotencyKey) {
+      const dup = await checkDuplicate(client, idempotencyKey, apiClientId);
+      if (dup) return dup;
+    }
+
+    const { rows: [quote] } = await client.query(
+      `SELECT q.*, r.from_system_wallet_id, r.to_system_wallet_id, q.expires_at <= NOW() AS is_expired
+       FROM exchange_quotes q
+       JOIN exchange_rates r ON r.id = q.rate_id
+       WHERE q.id = $1
+       FOR UPDATE OF q`,
+      [quoteId],
+    );
+    if (!quote) throw new NotFoundError('Exchange quote');
+    if (quote.transaction_id) throw new ConflictError('Exchange quote has already been used');
+    if (quote.is_expired) throw new ConflictError('Exchange quote has expired');
+
+    const fromAmount = money.format(quote.from_amount);
+    const toAmount   = money.format(quote.to_amount);
+    const legs = [
+      { walletId: quote.from_wallet_id,        entryType: 'debit',  amount: fromAmount },
+      { walletId: quote.from_system_wallet_id, entryType: 'credit', amount: fromAmount },
+      { walletId: quote.to_system_wallet_id,   entryType: 'debit',  amount: toAmount },
+      { walletId: quote.to_wallet_id,          entryType: 'credit', amount: toAmount },
+    ];
+
+    const wallets = await lockWallets(client, ...sortIds(...legs.map((l) => l.walletId)));
+    for (const wallet of wallets) {
+      if (!wallet.is_active) throw new ConflictError(`Wallet ${wallet.id} is inactive`);
+    }
+    const fromWallet = wallets.find((w) => w.id === quote.from_wallet_id);
+    const toWallet   = wallets.find((w) => w.id === quote.to_wallet_id);
+
+    assertLegsBalanced(wallets, legs);
+    // The user's available balance, and the target system wallet's supply
+    assertLegsFunded(wallets, legs);
+
+    assertTransactionSize(fromWallet, fromAmount);
+    assertBalanceCeiling(toWallet, toAmount);
+    await assertWithinMaxSupply(client, toWallet.asset_type_id, toAmount);
+
+    const { rows: [txn] } = await client.query(
+      `INSERT INTO transactions
+         (type, status, user_wallet_id, source_wallet_id, destination_wallet_id,
+          amount, idempotency_key, description, metadata, api_client_id)
+       VALUES ('exchange', 'pending', $1, $1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        quote.from_wallet_id,
+        quote.to_wallet_id,
+        fromAmount,
+        idempotencyKey || null,
+        description || `Exchange ${fromWallet.asset_symbol} to ${toWallet.asset_symbol}`,
+        JSON.stringify({
+          ...metadata,
+          quoteId,
+          rate: money.formatRate(quote.rate),
+          fromAssetTypeId: fromWallet.asset_type_id,
+          toAssetTypeId: toWallet.asset_type_id,
+          toAmount,
+        }),
+        apiClientId || null,
+      ],
+    );
+
+    await postLegs(client, wallets, legs, txn.id);
+    await client.query('UPDATE exchange_quotes SET transaction_id = $2 WHERE id = $1', [quoteId, txn.id]);
+
+    const completed = await completeTransaction(client, txn.id);
+
+    logger.info('Exchange completed', { transactionId: txn.id, quoteId, fromAmount, toAmount });
+    return completed;
   });
 }
 
@@ -235,7 +883,17 @@ export async function getTransaction(client_or_query, transactionId) {
   const { rows } = await fn(
     `SELECT
        t.*,
-       json_agg(le ORDER BY le.created_at) AS ledger_entries
+       COALESCE(
+         json_agg(
+           json_build_object(
+             'id', le.id, 'transaction_id', le.transaction_id, 'wallet_id', le.wallet_id,
+             'entry_type', le.entry_type, 'amount', le.amount::TEXT,
+             'balance_before', le.balance_before::TEXT, 'balance_after', le.balance_after::TEXT,
+             'seq', le.seq, 'created_at', le.created_at
+           ) ORDER BY le.created_at, le.seq
+         ) FILTER (WHERE le.id IS NOT NULL),
+         '[]'
+       ) AS ledger_entries
      FROM transactions t
      LEFT JOIN ledger_entries le ON le.transaction_id = t.id
      WHERE t.id = $1
@@ -246,81 +904,514 @@ export async function getTransaction(client_or_query, transactionId) {
   return formatTransaction(rows[0]);
 }
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d{1,6})?([+-]\d{2}(:?\d{2})?|Z)?$/;
+
+// Sort keys are carried in cursors as the column's PostgreSQL text form
+const SEARCH_SORTS = {
+  createdAt: { column: 't.created_at', type: 'TIMESTAMPTZ', isKey: (key) => TIMESTAMP_PATTERN.test(key) },
+  amount:    { column: 't.amount',     type: 'NUMERIC',     isKey: (key) => money.isDecimalString(key) },
+};
+
+/**
+ * Search transactions, newest first by default, one keyset page at a time.
+ * A wallet matches a transaction it is the source or destination of, or has a
+ * ledger entry in (journal and exchange legs); an owner matches through any of
+ * their wallets. Metadata filters are `key` (has the key) or `key:value` (the
+ * key's value, as text, equals value).
+ *
+ * @param {object} [filters]
+ * @param {string[]} [filters.type]
+ * @param {string[]} [filters.status]
+ * @param {string} [filters.walletId]
+ * @param {string} [filters.ownerId]
+ * @param {string} [filters.referenceId]
+ * @param {string} [filters.minAmount]   - Inclusive
+ * @param {string} [filters.maxAmount]   - Inclusive
+ * @param {Date}   [filters.from]        - Created at or after
+ * @param {Date}   [filters.to]          - Created before
+ * @param {string[]} [filters.metadata]
+ * @param {string} [filters.sort]        - createdAt | amount
+ * @param {string} [filters.order]       - desc | asc
+ * @param {number} [filters.limit]
+ * @param {string} [filters.cursor]      - nextCursor of the previous page
+ * @returns {Promise<{data: object[], pagination: {limit: number, nextCursor: string|null}}>}
+ */
+export async function searchTransactions({
+  type,
+  status,
+  walletId,
+  ownerId,
+  referenceId,
+  minAmount,
+  maxAmount,
+  from,
+  to,
+  metadata = [],
+  sort = 'createdAt',
+  order = 'desc',
+  limit = 20,
+  cursor,
+} = {}) {
+  const conditions = [];
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (type?.length)   conditions.push(`t.type = ANY(${param(type)}::transaction_type_enum[])`);
+  if (status?.length) conditions.push(`t.status = ANY(${param(status)}::transaction_status_enum[])`);
+  if (walletId) {
+    const p = param(walletId);
+    conditions.push(
+      `(t.source_wallet_id = ${p} OR t.destination_wallet_id = ${p}
+        OR EXISTS (SELECT 1 FROM ledger_entries le WHERE le.transaction_id = t.id AND le.wallet_id = ${p}))`,
+    );
+  }
+  if (ownerId) {
+    conditions.push(
+      `EXISTS (
+         SELECT 1 FROM wallets w
+         WHERE w.owner_id = ${param(ownerId)}
+           AND (w.id IN (t.source_wallet_id, t.destination_wallet_id)
+                OR EXISTS (SELECT 1 FROM ledger_entries le WHERE le.transaction_id = t.id AND le.wallet_id = w.id))
+       )`,
+    );
+  }
+  if (referenceId) conditions.push(`t.reference_id = ${param(referenceId)}`);
+  if (minAmount)   conditions.push(`t.amount >= ${param(minAmount)}`);
+  if (maxAmount)   conditions.push(`t.amount <= ${param(maxAmount)}`);
+  if (from)        conditions.push(`t.created_at >= ${param(from)}`);
+  if (to)          conditions.push(`t.created_at < ${param(to)}`);
+  for (const filter of metadata) {
+    const separator = filter.indexOf(':');
+    if (separator === -1) {
+      conditions.push(`t.metadata ? ${param(filter)}`);
+    } else {
+      conditions.push(`t.metadata ->> ${param(filter.slice(0, separator))} = ${param(filter.slice(separator + 1))}`);
+    }
+  }
+
+  const { column, type: keyType } = SEARCH_SORTS[sort];
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  if (cursor) {
+    const after = decodeSearchCursor(cursor, sort, order);
+    conditions.push(
+      `(${column}, t.id) ${order === 'asc' ? '>' : '<'} (${param(after.key)}::${keyType}, ${param(after.id)}::UUID)`,
+    );
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { rows } = await query(
+    `SELECT t.*, ${column}::TEXT AS cursor_key
+     FROM transactions t
+     ${where}
+     ORDER BY ${column} ${direction}, t.id ${direction}
+     LIMIT ${param(limit + 1)}`,
+    params,
+  );
+
+  // One extra row tells us whether there is a next page
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    data: page.map(formatTransaction),
+    pagination: {
+      limit,
+      nextCursor: rows.length > limit ? encodeCursor({ sort, order, key: last.cursor_key, id: last.id }) : null,
+    },
+  };
+}
+
 // ─── Internal helpers ─────────────────────────────────────────────────────
 
+// Flows counted in wallet_transactions_total
+const COUNTED_FLOWS = new Set(['topup', 'bonus', 'spend']);
+
 /**
- * Lock two wallets by primary key in ascending UUID order.
+ * Run a flow in a DB transaction. A flow declined by a business rule rolls back,
+ * taking any outbox writes with it, so its transaction.failed event is published
+ * in a transaction of its own. Malformed requests (404, 422 validation) are not events.
+ *
+ * fn receives (client, run); a flow sets run.assetType once it has locked its
+ * wallets, to label its metrics. A flow that returned a duplicate never sets it
+ * and is not counted again.
+ */
+async function runFlow(flow, details, fn) {
+  const run = {};
+  try {
+    const result = await withTransaction((client) => fn(client, run));
+    if (COUNTED_FLOWS.has(flow) && run.assetType) {
+      transactionsTotal.inc({ type: flow, asset_type: run.assetType, status: 'completed' });
+    }
+    return result;
+  } catch (err) {
+    const assetType = run.assetType ?? 'unknown';
+    if (COUNTED_FLOWS.has(flow)) transactionsTotal.inc({ type: flow, asset_type: assetType, status: 'failed' });
+    if (err instanceof InsufficientFundsError) insufficientFundsTotal.inc({ type: flow, asset_type: assetType });
+
+    if (err instanceof InsufficientFundsError || err instanceof LimitExceededError || err instanceof ConflictError) {
+      await withTransaction((client) => publishEvent(client, 'transaction.failed', {
+        flow,
+        ...details,
+        error: { code: err.code, message: err.message },
+      })).catch((publishErr) => {
+        logger.error('Failed to publish transaction.failed event', { flow, error: publishErr.message });
+      });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Mark a pending transaction completed, publish transaction.completed and
+ * append it to the change feed.
+ */
+async function completeTransaction(client, transactionId) {
+  const { rows: [completed] } = await client.query(
+    "UPDATE transactions SET status = 'completed', updated_at = NOW() WHERE id = $1 RETURNING *",
+    [transactionId],
+  );
+  const result = formatTransaction(completed);
+  await publishEvent(client, 'transaction.completed', result);
+  await appendLedgerEvent(client, 'transaction.completed', result);
+  return result;
+}
+
+/**
+ * Append a transaction and the ledger entries it posted to the change feed.
+ * Serializes with every other append until commit, so it must come last.
+ */
+async function appendLedgerEvent(client, eventType, transaction) {
+  const { rows: entries } = await client.query(
+    `SELECT wallet_id, entry_type, amount, balance_before, balance_after
+     FROM ledger_entries
+     WHERE transaction_id = $1
+     ORDER BY seq`,
+    [transaction.id],
+  );
+  await appendEvent(client, eventType, transaction.id, {
+    transaction,
+    entries: entries.map((e) => ({
+      walletId: e.wallet_id,
+      entryType: e.entry_type,
+      amount: money.format(e.amount),
+      balanceBefore: money.format(e.balance_before),
+      balanceAfter: money.format(e.balance_after),
+    })),
+  });
+}
+
+/**
+ * Lock wallets by primary key in ascending UUID order.
  * Consistent ordering is the key deadlock-avoidance strategy.
  * When all transactions acquire locks in the same order, circular wait (deadlock) is impossible.
  */
-async function lockWallets(client, id1, id2) {
+async function lockWallets(client, ...ids) {
+  const endLockWait = lockWaitDuration.startTimer({ wallets: ids.length });
   const { rows } = await client.query(
-    `SELECT * FROM wallets WHERE id IN ($1, $2) ORDER BY id FOR UPDATE`,
-    [id1, id2],
+    `SELECT w.*,
+            at.is_active      AS asset_type_is_active,
+            at.decimal_places AS asset_decimal_places,
+            at.symbol         AS asset_symbol,
+            at.low_balance_threshold  AS asset_low_balance_threshold,
+            at.max_transaction_amount AS asset_max_transaction_amount,
+            at.max_balance            AS asset_max_balance,
+            at.bonus_expiry_days      AS asset_bonus_expiry_days
+     FROM wallets w
+     JOIN asset_types at ON at.id = w.asset_type_id
+     WHERE w.id = ANY($1::UUID[])
+     ORDER BY w.id
+     FOR UPDATE OF w`,
+    [ids],
+  );
+  endLockWait();
+  if (rows.length < ids.length) {
+    throw new NotFoundError(ids.length === 2 ? 'One or both wallets' : 'One or more wallets');
+  }
+
+  // Summed in a separate statement so the snapshot is taken after the locks
+  // are granted and includes holds committed while we were waiting.
+  const { rows: held } = await client.query(
+    `SELECT source_wallet_id, SUM(amount) AS held_balance
+     FROM transactions
+     WHERE source_wallet_id = ANY($1::UUID[]) AND status = 'authorized' AND expires_at > NOW()
+     GROUP BY source_wallet_id`,
+    [ids],
   );
-  if (rows.length < 2) throw new NotFoundError('One or both wallets');
+  const expired = await expiredBalances(client, ids);
+  for (const row of rows) {
+    row.held_balance = held.find((h) => h.source_wallet_id === row.id)?.held_balance ?? '0';
+    row.expired_balance = expired.get(row.id) ?? '0';
+    // Wallets of a deactivated asset type fail every flow's is_active check
+    row.is_active = row.is_active && row.asset_type_is_active;
+  }
   return rows;
 }
 
 /**
- * Sort two wallet IDs so locks are always acquired in ascending order.
+ * Balance not reserved by outstanding authorization holds, nor expired and awaiting the sweep.
+ */
+function availableBalance(wallet) {
+  return money.max(money.sub(money.sub(wallet.balance, wallet.held_balance), wallet.expired_balance), 0);
+}
+
+/**
+ * Reject amounts with more decimal places than the wallet's asset type allows.
+ */
+function assertPrecision(wallet, amount) {
+  const places = wallet.asset_decimal_places;
+  if (money.decimalPlaces(amount) > places) {
+    const message = `Amount ${money.format(amount)} exceeds the ${places} decimal place(s) allowed for ${wallet.asset_symbol}`;
+    throw new ValidationError(message, [{ field: 'amount', message }]);
+  }
+}
+
+/**
+ * Max supply caps issuance: top-ups and bonuses may not push the total balance
+ * of user wallets above the asset type's max_supply. The asset type row lock
+ * serializes concurrent issuance of the same asset type; it is taken after the
+ * wallet locks, and only when a cap is set (uncapped assets skip the lock).
+ */
+async function assertWithinMaxSupply(client, assetTypeId, amount) {
+  const { rows: [capped] } = await client.query(
+    'SELECT max_supply, symbol FROM asset_types WHERE id = $1 AND max_supply IS NOT NULL FOR UPDATE',
+    [assetTypeId],
+  );
+  if (!capped) return;
+
+  // Summed after the lock is granted so it sees issuance committed while we waited
+  const circulating = await circulatingSupply(client, assetTypeId);
+  if (money.gt(money.add(circulating, amount), capped.max_supply)) {
+    throw new ConflictError(
+      `Max supply of ${money.format(capped.max_supply)} ${capped.symbol} would be exceeded (circulating: ${money.format(circulating)})`,
+    );
+  }
+}
+
+/**
+ * Sweep one expired lot, under its wallets' locks.
+ */
+async function expireLot({ id, wallet_id: walletId, return_wallet_id: returnWalletId }) {
+  return withTransaction(async (client) => {
+    const wallets = await lockWallets(client, ...sortIds(walletId, returnWalletId));
+    const userWallet   = wallets.find((w) => w.id === walletId);
+    const returnWallet = wallets.find((w) => w.id === returnWalletId);
+
+    // Re-read under the wallet lock: another instance may have swept it meanwhile
+    const { rows: [lot] } = await client.query(
+      'SELECT * FROM credit_lots WHERE id = $1 AND remaining > 0 AND expires_at <= NOW()',
+      [id],
+    );
+    if (!lot) return null;
+
+    const unreserved = money.max(money.sub(userWallet.balance, userWallet.held_balance), 0);
+    const amount = money.min(lot.remaining, unreserved);
+    if (money.isZero(amount)) return null;
+
+    const { rows: [txn] } = await client.query(
+      `INSERT INTO transactions
+         (type, status, user_wallet_id, system_wallet_id, source_wallet_id, destination_wallet_id,
+          amount, description, metadata)
+       VALUES ('expiry', 'pending', $1, $2, $1, $2, $3, 'Expired credits', $4)
+       RETURNING *`,
+      [walletId, returnWalletId, amount, JSON.stringify({ creditLotId: id, creditTransactionId: lot.transaction_id, expiresAt: lot.expires_at })],
+    );
+
+    await debitWallet(client, userWallet, amount, txn.id, { lots: false });
+    await creditWallet(client, returnWallet, amount, txn.id);
+    await client.query(
+      `UPDATE credit_lots SET remaining = remaining - $2, expiry_transaction_id = $3, updated_at = NOW()
+       WHERE id = $1`,
+      [id, amount, txn.id],
+    );
+
+    const completed = await completeTransaction(client, txn.id);
+    logger.info('Credits expired', { transactionId: txn.id, creditLotId: id, walletId, amount });
+    return completed;
+  });
+}
+
+/**
+ * Lock a hold transaction, flagging whether its TTL has elapsed (by DB clock).
+ */
+async function lockHold(client, holdId) {
+  const { rows: [hold] } = await client.query(
+    `SELECT *, expires_at <= NOW() AS is_expired
+     FROM transactions
+     WHERE id = $1 AND type = 'hold'
+     FOR UPDATE`,
+    [holdId],
+  );
+  if (!hold) throw new NotFoundError('Hold');
+  if (hold.status !== 'authorized') throw new ConflictError(`Hold is already ${hold.status}`);
+  if (hold.is_expired) throw new ConflictError('Hold has expired');
+  return hold;
+}
+
+/**
+ * Decode a search cursor, which must come from a search with the same sort and order.
+ */
+function decodeSearchCursor(cursor, sort, order) {
+  let after;
+  try {
+    after = decodeCursor(cursor);
+  } catch (err) {
+    throw new ValidationError('Invalid cursor', [{ field: 'cursor', message: err.message }]);
+  }
+  if (after.sort !== sort || after.order !== order) {
+    const message = 'cursor was not issued for this sort and order';
+    throw new ValidationError('Invalid cursor', [{ field: 'cursor', message }]);
+  }
+  if (typeof after.key !== 'string' || !SEARCH_SORTS[sort].isKey(after.key) || !UUID_PATTERN.test(after.id)) {
+    throw new ValidationError('Invalid cursor', [{ field: 'cursor', message: 'Malformed cursor' }]);
+  }
+  return after;
+}
+
+/**
+ * Sort (and de-duplicate) wallet IDs so locks are always acquired in ascending order.
  * This is the deadlock avoidance mechanism.
  */
-function sortIds(a, b) {
-  return a < b ? [a, b] : [b, a];
+function sortIds(...ids) {
+  return [...new Set(ids)].sort();
+}
+
+/**
+ * Ensure the debit and credit legs cancel out for every asset type involved.
+ * Amounts are summed in BigInt micro-units so six-decimal values sum exactly.
+ */
+function assertLegsBalanced(wallets, legs) {
+  const byId = new Map(wallets.map((w) => [w.id, w]));
+  const totals = new Map();
+
+  for (const leg of legs) {
+    const assetTypeId = byId.get(leg.walletId).asset_type_id;
+    const total = totals.get(assetTypeId) || { debits: 0n, credits: 0n };
+    total[leg.entryType === 'debit' ? 'debits' : 'credits'] += money.toMicros(leg.amount);
+    totals.set(assetTypeId, total);
+  }
+
+  const unbalanced = [...totals.entries()]
+    .filter(([, t]) => t.debits !== t.credits)
+    .map(([assetTypeId, t]) => ({ assetTypeId, debits: money.format(t.debits), credits: money.format(t.credits) }));
+
+  if (unbalanced.length) {
+    throw new ValidationError('Journal legs must balance per asset type', unbalanced);
+  }
+}
+
+/**
+ * Ensure no wallet ends up below its held amount once all of its legs are applied.
+ */
+function assertLegsFunded(wallets, legs) {
+  for (const wallet of wallets) {
+    const net = legs
+      .filter((l) => l.walletId === wallet.id)
+      .reduce((sum, l) => sum + (l.entryType === 'debit' ? -1n : 1n) * money.toMicros(l.amount), 0n);
+    if (net < 0n && money.toMicros(availableBalance(wallet)) + net < 0n) {
+      throw new InsufficientFundsError(availableBalance(wallet), money.format(-net));
+    }
+  }
+}
+
+/**
+ * Apply a set of legs to already-locked wallets.
+ * Credits are posted first so a wallet that is both debited and credited
+ * never dips below zero part-way through.
+ */
+async function postLegs(client, wallets, legs, transactionId, debitOptions) {
+  const byId = new Map(wallets.map((w) => [w.id, w]));
+  for (const leg of legs.filter((l) => l.entryType === 'credit')) {
+    await creditWallet(client, byId.get(leg.walletId), leg.amount, transactionId);
+  }
+  for (const leg of legs.filter((l) => l.entryType === 'debit')) {
+    await debitWallet(client, byId.get(leg.walletId), leg.amount, transactionId, debitOptions);
+  }
 }
 
 /**
  * Debit (subtract) from a wallet and insert a ledger entry.
- * Updates wallet balance in-place on the locked row.
+ * Updates wallet balance in-place on the locked row (and on the in-memory
+ * row, so several legs against the same wallet chain their snapshots).
+ * User wallet debits draw on credit lots; returns the unexpired portions taken.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.lots]              - false when the caller settles lots itself (the sweep)
+ * @param {string} [options.preferTransactionId] - Draw on this credit's lot first
  */
-async function debitWallet(client, wallet, amount, transactionId) {
-  const balanceBefore = parseFloat(wallet.balance);
-  const balanceAfter  = balanceBefore - amount;
+async function debitWallet(client, wallet, amount, transactionId, { lots = true, preferTransactionId } = {}) {
+  const balanceBefore = money.format(wallet.balance);
+  const balanceAfter  = money.sub(balanceBefore, amount);
+
+  const consumed = lots && wallet.owner_type === 'user'
+    ? await consumeLots(client, wallet, amount, transactionId, { preferTransactionId })
+    : [];
 
   // Update balance (DB-level check constraint will reject negatives)
   await client.query(
     'UPDATE wallets SET balance = balance - $1, updated_at = NOW() WHERE id = $2',
-    [amount, wallet.id],
+    [money.format(amount), wallet.id],
   );
 
   await client.query(
     `INSERT INTO ledger_entries (transaction_id, wallet_id, entry_type, amount, balance_before, balance_after)
      VALUES ($1, $2, 'debit', $3, $4, $5)`,
-    [transactionId, wallet.id, amount, balanceBefore, balanceAfter],
+    [transactionId, wallet.id, money.format(amount), balanceBefore, balanceAfter],
   );
+
+  // Only the debit that crosses the threshold alerts, not every one below it
+  const threshold = wallet.asset_low_balance_threshold;
+  if (threshold != null && !money.lt(balanceBefore, threshold) && money.lt(balanceAfter, threshold)) {
+    await publishEvent(client, 'balance.low', {
+      walletId: wallet.id,
+      ownerId: wallet.owner_id,
+      ownerType: wallet.owner_type,
+      assetTypeId: wallet.asset_type_id,
+      balance: balanceAfter,
+      threshold: money.format(threshold),
+      transactionId,
+    });
+  }
+
+  wallet.balance = balanceAfter;
+  return consumed;
 }
 
 /**
  * Credit (add) to a wallet and insert a ledger entry.
  */
 async function creditWallet(client, wallet, amount, transactionId) {
-  const balanceBefore = parseFloat(wallet.balance);
-  const balanceAfter  = balanceBefore + amount;
+  const balanceBefore = money.format(wallet.balance);
+  const balanceAfter  = money.add(balanceBefore, amount);
 
   await client.query(
     'UPDATE wallets SET balance = balance + $1, updated_at = NOW() WHERE id = $2',
-    [amount, wallet.id],
+    [money.format(amount), wallet.id],
   );
 
   await client.query(
     `INSERT INTO ledger_entries (transaction_id, wallet_id, entry_type, amount, balance_before, balance_after)
      VALUES ($1, $2, 'credit', $3, $4, $5)`,
-    [transactionId, wallet.id, amount, balanceBefore, balanceAfter],
+    [transactionId, wallet.id, money.format(amount), balanceBefore, balanceAfter],
   );
+
+  wallet.balance = balanceAfter;
 }
 
 /**
- * Check if a transaction with this idempotency key already exists.
+ * Check if this API client already posted a transaction with this idempotency key.
  * Returns formatted transaction if found, null otherwise.
  */
-async function checkDuplicate(client, idempotencyKey) {
+async function checkDuplicate(client, idempotencyKey, apiClientId) {
   const { rows } = await client.query(
-    'SELECT * FROM transactions WHERE idempotency_key = $1',
-    [idempotencyKey],
+    'SELECT * FROM transactions WHERE idempotency_key = $1 AND api_client_id IS NOT DISTINCT FROM $2',
+    [idempotencyKey, apiClientId || null],
   );
   if (rows.length) {
     logger.info('Idempotency DB hit (transaction layer)', { idempotencyKey });
+    idempotencyReplaysTotal.inc({ layer: 'transaction' });
     return formatTransaction(rows[0]);
   }
   return null;
@@ -333,13 +1424,29 @@ function formatTransaction(row) {
     status: row.status,
     userWalletId: row.user_wallet_id,
     systemWalletId: row.system_wallet_id,
-    amount: parseFloat(row.amount),
+    sourceWalletId: row.source_wallet_id,
+    destinationWalletId: row.destination_wallet_id,
+    amount: money.format(row.amount),
     referenceId: row.reference_id,
+    reversedTransactionId: row.reversed_transaction_id ?? null,
+    capturedAmount: money.formatOrNull(row.captured_amount),
+    expiresAt: row.expires_at ?? null,
     idempotencyKey: row.idempotency_key,
+    apiClientId: row.api_client_id ?? null,
     description: row.description,
     metadata: row.metadata,
-    ledgerEntries: row.ledger_entries || undefined,
+    ledgerEntries: row.ledger_entries?.map(formatLedgerEntry),
     createdAt: row.created_at,
     updatedAt: row.updated_at,
   };
 }
+
+// Amounts are aggregated as text (JSON numbers would be parsed as doubles)
+function formatLedgerEntry(entry) {
+  return {
+    ...entry,
+    amount: money.format(entry.amount),
+    balance_before: money.format(entry.balance_before),
+    balance_after: money.format(entry.balance_after),
+  };
+}
@@ -1,15 +1,41 @@
 import { query } from '../config/db.js';
-import { NotFoundError } from '../errors/AppError.js';
+import { NotFoundError, ValidationError } from '../errors/AppError.js';
+import * as money from '../utils/money.js';
+import { decodeKeysetCursor, keysetClause, keysetPage } from '../utils/cursor.js';
+import { listOpenLots } from './creditLot.service.js';
 
 /**
  * WalletService — read-only queries for wallet data.
- * All mutations go through TransactionService.
+ * Balance mutations go through TransactionService; lifecycle changes through WalletLifecycleService.
  */
 
+// Outstanding authorization holds, and expired credits awaiting the sweep,
+// reduce the available (but not the ledger) balance
+const HELD_BALANCE_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT SUM(h.amount) AS held
+    FROM transactions h
+    WHERE h.source_wallet_id = w.id AND h.status = 'authorized' AND h.expires_at > NOW()
+  ) holds ON TRUE
+  LEFT JOIN LATERAL (
+    SELECT SUM(l.remaining) FILTER (WHERE l.expires_at > NOW())  AS expiring,
+           SUM(l.remaining) FILTER (WHERE l.expires_at <= NOW()) AS expired
+    FROM credit_lots l
+    WHERE l.wallet_id = w.id AND l.remaining > 0
+  ) lots ON TRUE`;
+
+const HELD_BALANCE_COLUMNS = `
+  COALESCE(holds.held, 0)             AS held_balance,
+  COALESCE(lots.expiring, 0)          AS expiring_balance,
+  COALESCE(lots.expired, 0)           AS expired_balance,
+  GREATEST(w.balance - COALESCE(holds.held, 0) - COALESCE(lots.expired, 0), 0) AS available_balance`;
+
 /**
  * Retrieve a wallet by ID. Throws 404 if not found.
+ * `balance` is the ledger balance; `availableBalance` excludes outstanding holds
+ * and expired credits. `includeLots` adds the credit lots that still hold credits.
  */
-export async function getWalletById(walletId) {
+export async function getWalletById(walletId, { includeLots = false } = {}) {
   const { rows } = await query(
     `SELECT
        w.id,
@@ -18,113 +44,307 @@ export async function getWalletById(walletId) {
        w.owner_type,
        w.balance,
        w.is_active,
+       w.status,
+       w.closed_at,
        w.created_at,
        w.updated_at,
        at.id   AS asset_type_id,
        at.name AS asset_type_name,
-       at.symbol AS asset_type_symbol
+       at.symbol AS asset_type_symbol,
+       ${HELD_BALANCE_COLUMNS}
      FROM wallets w
      JOIN asset_types at ON at.id = w.asset_type_id
+     ${HELD_BALANCE_JOIN}
      WHERE w.id = $1`,
     [walletId],
   );
   if (!rows.length) throw new NotFoundError('Wallet');
-  return formatWallet(rows[0]);
+  const wallet = formatWallet(rows[0]);
+  if (includeLots) wallet.creditLots = await listOpenLots(walletId);
+  return wallet;
 }
 
 /**
- * List all wallets with optional filters.
+ * List all wallets with optional filters, newest first.
+ * Keyset-paginated by (created_at, id) with `next`/`prev` cursors; passing `page`
+ * instead selects the legacy LIMIT/OFFSET page with a total count.
  */
-export async function listWallets({ ownerType, page = 1, limit = 20 } = {}) {
+export async function listWallets({ ownerType, status, cursor, page, limit = 20 } = {}) {
   const conditions = [];
   const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
 
-  if (ownerType) {
-    conditions.push(`w.owner_type = $${params.length + 1}`);
-    params.push(ownerType);
-  }
+  if (ownerType) conditions.push(`w.owner_type = ${param(ownerType)}`);
+  if (status)    conditions.push(`w.status = ${param(status)}`);
+  const filters = [...conditions];
+  const filterParams = [...params];
 
-  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
-  const offset = (page - 1) * limit;
+  const after = cursor && !page ? readCursor(cursor) : null;
+  const keyset = keysetClause('w', after, param);
+  if (keyset.condition) conditions.push(keyset.condition);
 
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
   const { rows } = await query(
     `SELECT
-       w.id, w.name, w.owner_id, w.owner_type, w.balance, w.is_active,
-       w.created_at, w.updated_at,
-       at.id AS asset_type_id, at.name AS asset_type_name, at.symbol AS asset_type_symbol
+       w.id, w.name, w.owner_id, w.owner_type, w.balance, w.is_active, w.status, w.closed_at,
+       w.created_at, w.updated_at, w.created_at::TEXT AS cursor_key,
+       at.id AS asset_type_id, at.name AS asset_type_name, at.symbol AS asset_type_symbol,
+       ${HELD_BALANCE_COLUMNS}
      FROM wallets w
      JOIN asset_types at ON at.id = w.asset_type_id
+     ${HELD_BALANCE_JOIN}
      ${where}
-     ORDER BY w.created_at DESC
-     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
-    [...params, limit, offset],
-  );
-
-  const { rows: countRows } = await query(
-    `SELECT COUNT(*) AS total FROM wallets w ${where}`,
+     ORDER BY ${page ? 'w.created_at DESC, w.id DESC' : keyset.order}
+     ${page ? `LIMIT ${param(limit)} OFFSET ${param((page - 1) * limit)}` : `LIMIT ${param(limit + 1)}`}`,
     params,
   );
 
-  return {
-    data: rows.map(formatWallet),
-    pagination: {
-      page,
-      limit,
-      total: parseInt(countRows[0].total),
-      pages: Math.ceil(parseInt(countRows[0].total) / limit),
-    },
-  };
+  if (page) {
+    const { rows: countRows } = await query(
+      `SELECT COUNT(*) AS total FROM wallets w ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}`,
+      filterParams,
+    );
+    return { data: rows.map(formatWallet), pagination: offsetPagination(page, limit, countRows[0].total) };
+  }
+
+  const result = keysetPage(rows, limit, after);
+  return { data: result.rows.map(formatWallet), pagination: { limit, next: result.next, prev: result.prev } };
 }
 
 /**
- * Get paginated ledger transaction history for a wallet.
+ * Get a wallet's ledger history, newest first. Paginated like listWallets().
  */
-export async function getWalletTransactions(walletId, { page = 1, limit = 20 } = {}) {
+export async function getWalletTransactions(walletId, { cursor, page, limit = 20 } = {}) {
   // Verify wallet exists
   await getWalletById(walletId);
 
-  const offset = (page - 1) * limit;
+  const params = [walletId];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const after = cursor && !page ? readCursor(cursor) : null;
+  const keyset = keysetClause('le', after, param);
 
   const { rows } = await query(
     `SELECT
        le.id, le.entry_type, le.amount, le.balance_before, le.balance_after, le.created_at,
+       le.created_at::TEXT AS cursor_key,
        t.id AS transaction_id, t.type AS transaction_type, t.status,
        t.reference_id, t.description, t.metadata
      FROM ledger_entries le
      JOIN transactions t ON t.id = le.transaction_id
-     WHERE le.wallet_id = $1
-     ORDER BY le.created_at DESC
-     LIMIT $2 OFFSET $3`,
-    [walletId, limit, offset],
+     WHERE le.wallet_id = $1 ${keyset.condition ? `AND ${keyset.condition}` : ''}
+     ORDER BY ${page ? 'le.created_at DESC, le.id DESC' : keyset.order}
+     ${page ? `LIMIT ${param(limit)} OFFSET ${param((page - 1) * limit)}` : `LIMIT ${param(limit + 1)}`}`,
+    params,
   );
 
-  const { rows: countRows } = await query(
-    'SELECT COUNT(*) AS total FROM ledger_entries WHERE wallet_id = $1',
-    [walletId],
-  );
+  const format = (row) => ({
+    id: row.id,
+    entry_type: row.entry_type,
+    amount: money.format(row.amount),
+    balance_before: money.format(row.balance_before),
+    balance_after: money.format(row.balance_after),
+    created_at: row.created_at,
+    transaction_id: row.transaction_id,
+    transaction_type: row.transaction_type,
+    status: row.status,
+    reference_id: row.reference_id,
+    description: row.description,
+    metadata: row.metadata,
+  });
+
+  if (page) {
+    const { rows: countRows } = await query(
+      'SELECT COUNT(*) AS total FROM ledger_entries WHERE wallet_id = $1',
+      [walletId],
+    );
+    return { data: rows.map(format), pagination: offsetPagination(page, limit, countRows[0].total) };
+  }
+
+  const result = keysetPage(rows, limit, after);
+  return { data: result.rows.map(format), pagination: { limit, next: result.next, prev: result.prev } };
+}
+
+/**
+ * All of an owner's wallets, one per asset type, with balances and the time of
+ * each wallet's latest ledger entry. Throws 404 if the owner has no wallets.
+ */
+export async function listOwnerWallets(ownerId) {
+  const rows = await ownerWalletRows(ownerId);
+  return rows.map((row) => ({ ...formatWallet(row), lastActivityAt: row.last_activity_at }));
+}
+
+/**
+ * An owner's portfolio: per asset type, the balances of their wallet and the
+ * lifetime totals of top-ups, bonuses and spends (captured holds included;
+ * gross, so reversals are not netted off). Throws 404 if the owner has no wallets.
+ */
+export async function getOwnerSummary(ownerId) {
+  const rows = await ownerWalletRows(ownerId);
+  const lastActivity = rows.map((r) => r.last_activity_at).filter(Boolean).sort((a, b) => b - a)[0];
 
   return {
-    data: rows,
-    pagination: {
-      page,
-      limit,
-      total: parseInt(countRows[0].total),
-      pages: Math.ceil(parseInt(countRows[0].total) / limit),
-    },
+    ownerId,
+    walletCount: rows.length,
+    lastActivityAt: lastActivity ?? null,
+    assets: rows.map((row) => ({
+      assetType: { id: row.asset_type_id, name: row.asset_type_name, symbol: row.asset_type_symbol },
+      walletId: row.id,
+      status: row.status,
+      balance: money.format(row.balance),
+      availableBalance: money.format(row.available_balance),
+      heldBalance: money.format(row.held_balance),
+      totals: {
+        topups: money.format(row.total_topups),
+        bonuses: money.format(row.total_bonuses),
+        spends: money.format(row.total_spends),
+      },
+      lastActivityAt: row.last_activity_at,
+    })),
   };
 }
 
 /**
- * List all active asset types.
+ * Balance of one wallet at a past instant, reconstructed from ledger_entries.
+ * Throws 404 if the wallet does not exist.
+ *
+ * @param {string} walletId
+ * @param {Date} asOf
+ * @param {object} [client] - Pool client to read from (e.g. inside a snapshot)
+ */
+export async function getBalanceAsOf(walletId, asOf, client = null) {
+  const [balance] = await getBalancesAsOf([walletId], asOf, client);
+  return balance;
+}
+
+/**
+ * Balances of many wallets at the same past instant.
+ *
+ * For each wallet the balance is the balance_after of its last entry at or
+ * before `asOf`. With no earlier entry it is the balance_before of its first
+ * later entry (its opening balance), or — for a wallet that never posted —
+ * its current balance if it already existed at `asOf`, otherwise 0.
+ * Entries are ordered by seq, not created_at: created_at is when the posting
+ * database transaction began, so a flow that waited on the wallet lock can
+ * carry an earlier created_at than entries posted before it.
+ *
+ * @param {string[]} walletIds
+ * @param {Date} asOf
+ * @param {object} [client] - Pool client to read from (e.g. inside a snapshot)
  */
-export async function listAssetTypes() {
+export async function getBalancesAsOf(walletIds, asOf, client = null) {
+  const run = client ? (text, params) => client.query(text, params) : query;
+  const { rows } = await run(
+    `SELECT
+       w.id,
+       w.created_at,
+       at.id     AS asset_type_id,
+       at.name   AS asset_type_name,
+       at.symbol AS asset_type_symbol,
+       last_entry.id         AS last_entry_id,
+       last_entry.created_at AS last_entry_at,
+       COALESCE(
+         last_entry.balance_after,
+         (SELECT le.balance_before
+          FROM ledger_entries le
+          WHERE le.wallet_id = w.id AND le.created_at > $2
+          ORDER BY le.seq
+          LIMIT 1),
+         CASE WHEN w.created_at <= $2 THEN w.balance ELSE 0 END
+       ) AS balance
+     FROM wallets w
+     JOIN asset_types at ON at.id = w.asset_type_id
+     LEFT JOIN LATERAL (
+       SELECT le.id, le.balance_after, le.created_at
+       FROM ledger_entries le
+       WHERE le.wallet_id = w.id AND le.created_at <= $2
+       ORDER BY le.seq DESC
+       LIMIT 1
+     ) last_entry ON TRUE
+     WHERE w.id = ANY($1::UUID[])`,
+    [walletIds, asOf],
+  );
+
+  const missing = walletIds.filter((id) => !rows.some((r) => r.id === id));
+  if (missing.length) throw new NotFoundError(missing.length === 1 ? 'Wallet' : 'One or more wallets');
+
+  // Preserve the caller's ordering
+  return walletIds.map((id) => {
+    const row = rows.find((r) => r.id === id);
+    return {
+      walletId: row.id,
+      balance: money.format(row.balance),
+      asOf: asOf.toISOString(),
+      lastEntryId: row.last_entry_id ?? null,
+      lastEntryAt: row.last_entry_at ?? null,
+      assetType: {
+        id: row.asset_type_id,
+        name: row.asset_type_name,
+        symbol: row.asset_type_symbol,
+      },
+    };
+  });
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+// Looked up by idx_wallets_owner_id; totals and activity are per wallet
+async function ownerWalletRows(ownerId) {
   const { rows } = await query(
-    'SELECT * FROM asset_types WHERE is_active = TRUE ORDER BY name',
+    `SELECT
+       w.id, w.name, w.owner_id, w.owner_type, w.balance, w.is_active, w.status, w.closed_at,
+       w.created_at, w.updated_at,
+       at.id AS asset_type_id, at.name AS asset_type_name, at.symbol AS asset_type_symbol,
+       ${HELD_BALANCE_COLUMNS},
+       totals.topups   AS total_topups,
+       totals.bonuses  AS total_bonuses,
+       totals.spends   AS total_spends,
+       activity.last_activity_at
+     FROM wallets w
+     JOIN asset_types at ON at.id = w.asset_type_id
+     ${HELD_BALANCE_JOIN}
+     LEFT JOIN LATERAL (
+       SELECT
+         COALESCE(SUM(t.amount) FILTER (WHERE t.type = 'topup'), 0) AS topups,
+         COALESCE(SUM(t.amount) FILTER (WHERE t.type = 'bonus'), 0) AS bonuses,
+         COALESCE(SUM(COALESCE(t.captured_amount, t.amount)) FILTER (WHERE t.type IN ('spend', 'hold')), 0) AS spends
+       FROM transactions t
+       WHERE (t.destination_wallet_id = w.id AND t.type IN ('topup', 'bonus') AND t.status = 'completed')
+          OR (t.source_wallet_id = w.id AND ((t.type = 'spend' AND t.status = 'completed')
+                                             OR (t.type = 'hold' AND t.status = 'captured')))
+     ) totals ON TRUE
+     LEFT JOIN LATERAL (
+       SELECT MAX(le.created_at) AS last_activity_at FROM ledger_entries le WHERE le.wallet_id = w.id
+     ) activity ON TRUE
+     WHERE w.owner_id = $1
+     ORDER BY at.symbol, w.created_at`,
+    [ownerId],
   );
+  if (!rows.length) throw new NotFoundError('Owner');
   return rows;
 }
 
-// ── Helpers ────────────────────────────────────────────────────────────────
+function readCursor(cursor) {
+  try {
+    return decodeKeysetCursor(cursor);
+  } catch (err) {
+    throw new ValidationError('Invalid cursor', [{ field: 'cursor', message: err.message }]);
+  }
+}
+
+function offsetPagination(page, limit, total) {
+  return {
+    page,
+    limit,
+    total: parseInt(total),
+    pages: Math.ceil(parseInt(total) / limit),
+  };
+}
 
 function formatWallet(row) {
   return {
@@ -132,8 +352,14 @@ function formatWallet(row) {
     name: row.name ?? null,
     ownerId: row.owner_id,
     ownerType: row.owner_type,
-    balance: parseFloat(row.balance),
+    balance: money.format(row.balance),
+    availableBalance: money.format(row.available_balance),
+    heldBalance: money.format(row.held_balance),
+    expiringBalance: money.format(row.expiring_balance),
+    expiredBalance: money.format(row.expired_balance),
     isActive: row.is_active,
+    status: row.status,
+    closedAt: row.closed_at ?? null,
     assetType: {
       id: row.asset_type_id,
       name: row.asset_type_name,
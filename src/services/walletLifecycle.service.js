@@ -0,0 +1,190 @@
+import { withTransaction, query } from '../config/db.js';
+import { NotFoundError, ConflictError } from '../errors/AppError.js';
+import { getWalletById } from './wallet.service.js';
+import { publishEvent } from './webhook.service.js';
+import logger from '../config/logger.js';
+import * as money from '../utils/money.js';
+
+/**
+ * WalletLifecycleService — creating, renaming, freezing, unfreezing and closing wallets.
+ *
+ * Balances are never touched here; all balance mutations go through TransactionService.
+ * Each change locks the wallet row (so it serializes with in-flight flows) and writes
+ * a wallet_audit_log row in the same transaction. Freezing also publishes wallet.frozen.
+ */
+
+// Allowed status transitions, keyed by the action name used in the API
+const TRANSITIONS = {
+  freeze:   { action: 'frozen',   from: ['active'],           to: 'frozen' },
+  unfreeze: { action: 'unfrozen', from: ['frozen'],           to: 'active' },
+  close:    { action: 'closed',   from: ['active', 'frozen'], to: 'closed' },
+};
+
+/**
+ * Create a wallet for an owner. An owner may hold only one wallet per asset type.
+ *
+ * @param {object} params
+ * @param {string} params.ownerId
+ * @param {string} [params.ownerType] - 'user' (default) or 'system'
+ * @param {string} params.assetTypeId
+ * @param {string} [params.name]
+ * @param {string} [params.apiClientId]
+ */
+export async function createWallet({ ownerId, ownerType = 'user', assetTypeId, name, apiClientId }) {
+  const walletId = await withTransaction(async (client) => {
+    const { rows: [assetType] } = await client.query(
+      'SELECT id, is_active FROM asset_types WHERE id = $1',
+      [assetTypeId],
+    );
+    if (!assetType) throw new NotFoundError('Asset type');
+    if (!assetType.is_active) throw new ConflictError('Asset type is inactive');
+
+    const { rows: [wallet] } = await client.query(
+      `INSERT INTO wallets (owner_id, owner_type, asset_type_id, name)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT ON CONSTRAINT wallets_owner_asset_unique DO NOTHING
+       RETURNING id, status`,
+      [ownerId, ownerType, assetTypeId, name || null],
+    );
+    if (!wallet) throw new ConflictError('Owner already has a wallet for this asset type');
+
+    await writeAuditLog(client, {
+      walletId: wallet.id,
+      action: 'created',
+      fromStatus: null,
+      toStatus: wallet.status,
+      changes: { ownerId, ownerType, assetTypeId, name: name || null },
+      apiClientId,
+    });
+    return wallet.id;
+  });
+
+  logger.info('Wallet created', { walletId, ownerId, assetTypeId });
+  return getWalletById(walletId);
+}
+
+/**
+ * Rename a wallet. Closed wallets cannot be renamed.
+ */
+export async function renameWallet(walletId, { name, apiClientId }) {
+  await withTransaction(async (client) => {
+    const wallet = await lockWallet(client, walletId);
+    if (wallet.status === 'closed') throw new ConflictError('Wallet is closed');
+
+    await client.query('UPDATE wallets SET name = $2, updated_at = NOW() WHERE id = $1', [walletId, name]);
+    await writeAuditLog(client, {
+      walletId,
+      action: 'renamed',
+      fromStatus: wallet.status,
+      toStatus: wallet.status,
+      changes: { name: { from: wallet.name, to: name } },
+      apiClientId,
+    });
+  });
+  return getWalletById(walletId);
+}
+
+/** Freeze an active wallet: every flow but reversal rejects it until it is unfrozen. */
+export const freezeWallet = (walletId, params) => changeStatus(walletId, 'freeze', params);
+
+/** Return a frozen wallet to active. */
+export const unfreezeWallet = (walletId, params) => changeStatus(walletId, 'unfreeze', params);
+
+/** Permanently close a wallet. Requires a zero balance and no outstanding holds. */
+export const closeWallet = (walletId, params) => changeStatus(walletId, 'close', params);
+
+/**
+ * Audit trail of a wallet's lifecycle changes, oldest first. Throws 404 if the wallet does not exist.
+ */
+export async function getAuditLog(walletId) {
+  await getWalletById(walletId);
+  const { rows } = await query(
+    `SELECT id, action, from_status, to_status, reason, changes, api_client_id, created_at
+     FROM wallet_audit_log
+     WHERE wallet_id = $1
+     ORDER BY created_at, id`,
+    [walletId],
+  );
+  return rows.map((row) => ({
+    id: row.id,
+    action: row.action,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    reason: row.reason,
+    changes: row.changes,
+    apiClientId: row.api_client_id,
+    createdAt: row.created_at,
+  }));
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+async function changeStatus(walletId, transitionName, { reason, apiClientId }) {
+  const transition = TRANSITIONS[transitionName];
+
+  await withTransaction(async (client) => {
+    const wallet = await lockWallet(client, walletId);
+    if (!transition.from.includes(wallet.status)) {
+      throw new ConflictError(`Cannot ${transitionName} a wallet that is ${wallet.status}`);
+    }
+
+    if (transitionName === 'close') {
+      if (!money.isZero(wallet.balance)) {
+        throw new ConflictError(`Wallet balance must be zero to close (current: ${money.format(wallet.balance)})`);
+      }
+      const { rows: [holds] } = await client.query(
+        `SELECT COUNT(*) AS count FROM transactions
+         WHERE status = 'authorized' AND (source_wallet_id = $1 OR destination_wallet_id = $1)`,
+        [walletId],
+      );
+      if (parseInt(holds.count) > 0) throw new ConflictError('Wallet has outstanding holds');
+    }
+
+    await client.query(
+      `UPDATE wallets
+       SET status     = $2::wallet_status_enum,
+           closed_at  = CASE WHEN $2::wallet_status_enum = 'closed' THEN NOW() ELSE closed_at END,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [walletId, transition.to],
+    );
+    await writeAuditLog(client, {
+      walletId,
+      action: transition.action,
+      fromStatus: wallet.status,
+      toStatus: transition.to,
+      reason,
+      apiClientId,
+    });
+
+    if (transitionName === 'freeze') {
+      await publishEvent(client, 'wallet.frozen', {
+        walletId,
+        ownerId: wallet.owner_id,
+        fromStatus: wallet.status,
+        reason,
+        apiClientId: apiClientId || null,
+      });
+    }
+  });
+
+  logger.info(`Wallet ${transition.action}`, { walletId, reason });
+  return getWalletById(walletId);
+}
+
+async function lockWallet(client, walletId) {
+  const { rows } = await client.query(
+    'SELECT id, owner_id, name, status, balance FROM wallets WHERE id = $1 FOR UPDATE',
+    [walletId],
+  );
+  if (!rows.length) throw new NotFoundError('Wallet');
+  return rows[0];
+}
+
+async function writeAuditLog(client, { walletId, action, fromStatus, toStatus, reason, changes = {}, apiClientId }) {
+  await client.query(
+    `INSERT INTO wallet_audit_log (wallet_id, action, from_status, to_status, reason, changes, api_client_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [walletId, action, fromStatus, toStatus, reason || null, JSON.stringify(changes), apiClientId || null],
+  );
+}
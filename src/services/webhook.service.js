@@ -0,0 +1,307 @@
+import { createHmac, randomBytes } from 'crypto';
+import { query } from '../config/db.js';
+import { NotFoundError, ConflictError } from '../errors/AppError.js';
+import logger from '../config/logger.js';
+import env from '../config/env.js';
+
+/**
+ * WebhookService — subscriptions, the event outbox and the delivery worker.
+ *
+ *  1. OUTBOX      — publishEvent() runs on the caller's client, so an event is
+ *                   committed or rolled back together with the change it describes
+ *  2. FAN-OUT     — one delivery row per active subscription to the event type
+ *  3. LEASING     — the worker claims due deliveries with SKIP LOCKED and pushes
+ *                   next_attempt_at past the request timeout before sending, so
+ *                   several instances never send the same attempt twice
+ *  4. RETRIES     — failed attempts back off exponentially; after
+ *                   WEBHOOK_MAX_ATTEMPTS a delivery is dead until replayed
+ *  5. SIGNATURES  — HMAC-SHA256 over "<timestamp>.<body>" with the subscription secret
+ */
+
+export const EVENT_TYPES = [
+  'transaction.completed',
+  'transaction.failed',
+  'wallet.frozen',
+  'balance.low',
+];
+
+const SECRET_PREFIX = 'whsec_';
+
+/**
+ * Register a subscription. The signing secret is generated unless one is supplied,
+ * and is only ever returned here.
+ *
+ * @param {object} params
+ * @param {string} params.url
+ * @param {string[]} params.eventTypes
+ * @param {string} [params.description]
+ * @param {string} [params.secret]
+ * @param {string} [params.apiClientId]
+ */
+export async function createSubscription({ url, eventTypes, description, secret, apiClientId }) {
+  const signingSecret = secret || SECRET_PREFIX + randomBytes(24).toString('base64url');
+  const { rows: [subscription] } = await query(
+    `INSERT INTO webhook_subscriptions (url, event_types, secret, description, api_client_id)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [url, eventTypes, signingSecret, description || null, apiClientId || null],
+  );
+  logger.info('Webhook subscription created', { subscriptionId: subscription.id, url, eventTypes });
+  return { ...formatSubscription(subscription), secret: signingSecret };
+}
+
+export async function listSubscriptions() {
+  const { rows } = await query('SELECT * FROM webhook_subscriptions ORDER BY created_at, id');
+  return rows.map(formatSubscription);
+}
+
+/**
+ * Retrieve a subscription by ID. Throws 404 if not found.
+ */
+export async function getSubscription(subscriptionId) {
+  const { rows } = await query('SELECT * FROM webhook_subscriptions WHERE id = $1', [subscriptionId]);
+  if (!rows.length) throw new NotFoundError('Webhook subscription');
+  return formatSubscription(rows[0]);
+}
+
+/**
+ * Update a subscription's URL, event types, description or active flag.
+ * Deliveries already queued for a deactivated subscription wait until it is reactivated.
+ */
+export async function updateSubscription(subscriptionId, changes) {
+  const { rows } = await query(
+    `UPDATE webhook_subscriptions SET
+       url         = COALESCE($2, url),
+       event_types = COALESCE($3, event_types),
+       description = CASE WHEN $4::BOOLEAN THEN $5 ELSE description END,
+       is_active   = COALESCE($6, is_active),
+       updated_at  = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [
+      subscriptionId,
+      changes.url ?? null,
+      changes.eventTypes ?? null,
+      changes.description !== undefined,
+      changes.description ?? null,
+      changes.isActive ?? null,
+    ],
+  );
+  if (!rows.length) throw new NotFoundError('Webhook subscription');
+  return formatSubscription(rows[0]);
+}
+
+/**
+ * Recent deliveries of a subscription, newest first.
+ *
+ * @param {string} subscriptionId
+ * @param {object} [filters]
+ * @param {string} [filters.status] - pending | delivered | dead
+ * @param {number} [filters.limit]
+ */
+export async function listDeliveries(subscriptionId, { status, limit = 50 } = {}) {
+  await getSubscription(subscriptionId);
+  const { rows } = await query(
+    `SELECT d.*, e.event_type
+     FROM webhook_deliveries d
+     JOIN webhook_events e ON e.id = d.event_id
+     WHERE d.subscription_id = $1
+       AND ($2::webhook_delivery_status_enum IS NULL OR d.status = $2)
+     ORDER BY d.created_at DESC, d.id DESC
+     LIMIT $3`,
+    [subscriptionId, status || null, limit],
+  );
+  return rows.map(formatDelivery);
+}
+
+/**
+ * Queue a dead or delivered delivery to be sent again straight away, with a fresh
+ * attempt budget. The event payload is resent unchanged, under the same event ID.
+ */
+export async function replayDelivery(deliveryId) {
+  const { rows: [current] } = await query('SELECT status FROM webhook_deliveries WHERE id = $1', [deliveryId]);
+  if (!current) throw new NotFoundError('Webhook delivery');
+
+  const { rows } = await query(
+    `UPDATE webhook_deliveries d
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL, updated_at = NOW()
+     FROM webhook_events e
+     WHERE d.id = $1 AND e.id = d.event_id AND d.status <> 'pending'
+     RETURNING d.*, e.event_type`,
+    [deliveryId],
+  );
+  if (!rows.length) throw new ConflictError('Delivery is already pending');
+
+  logger.info('Webhook delivery replayed', { deliveryId, previousStatus: current.status });
+  return formatDelivery(rows[0]);
+}
+
+/**
+ * Write an event to the outbox and queue a delivery for every active subscription
+ * to its type. Must be called with the client of the transaction making the change.
+ * Nothing is written when no subscription wants the event.
+ *
+ * @param {object} client - pg client inside an open transaction
+ * @param {string} eventType - One of EVENT_TYPES
+ * @param {object} data - Event payload
+ */
+export async function publishEvent(client, eventType, data) {
+  await client.query(
+    `WITH subscribers AS (
+       SELECT id FROM webhook_subscriptions WHERE is_active AND $1 = ANY(event_types)
+     ), event AS (
+       INSERT INTO webhook_events (event_type, payload)
+       SELECT $1, $2 WHERE EXISTS (SELECT 1 FROM subscribers)
+       RETURNING id
+     )
+     INSERT INTO webhook_deliveries (event_id, subscription_id)
+     SELECT event.id, subscribers.id FROM event CROSS JOIN subscribers`,
+    [eventType, JSON.stringify(data)],
+  );
+}
+
+/**
+ * Send one batch of due deliveries. Safe to run concurrently from every instance.
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit] - Defaults to WEBHOOK_BATCH_SIZE
+ * @returns {Promise<{delivered: number, failed: number}>}
+ */
+export async function deliverDueWebhooks({ limit = env.WEBHOOK_BATCH_SIZE } = {}) {
+  // The lease outlasts the request timeout, so a crashed worker's claims are retried
+  const leaseSeconds = Math.ceil(env.WEBHOOK_TIMEOUT_MS / 1000) + 30;
+  const { rows: claimed } = await query(
+    `WITH claimed AS (
+       UPDATE webhook_deliveries
+       SET attempts = attempts + 1, next_attempt_at = NOW() + make_interval(secs => $2), updated_at = NOW()
+       WHERE id IN (
+         SELECT d.id
+         FROM webhook_deliveries d
+         JOIN webhook_subscriptions s ON s.id = d.subscription_id
+         WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND s.is_active
+         ORDER BY d.next_attempt_at
+         LIMIT $1
+         FOR UPDATE OF d SKIP LOCKED
+       )
+       RETURNING *
+     )
+     SELECT c.id, c.attempts, c.subscription_id, s.url, s.secret,
+            e.id AS event_id, e.event_type, e.payload, e.created_at AS event_created_at
+     FROM claimed c
+     JOIN webhook_subscriptions s ON s.id = c.subscription_id
+     JOIN webhook_events e        ON e.id = c.event_id`,
+    [limit, leaseSeconds],
+  );
+
+  const results = await Promise.all(claimed.map(attemptDelivery));
+  const delivered = results.filter(Boolean).length;
+  return { delivered, failed: results.length - delivered };
+}
+
+/**
+ * Signature sent in X-Webhook-Signature. Receivers recompute it over the raw
+ * request body and the X-Webhook-Timestamp header, and compare in constant time.
+ */
+export function signPayload(secret, timestamp, body) {
+  return 'v1=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify({
+    id: delivery.event_id,
+    type: delivery.event_type,
+    createdAt: delivery.event_created_at,
+    data: delivery.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    const res = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(env.WEBHOOK_TIMEOUT_MS),
+    });
+    responseStatus = res.status;
+    await res.body?.cancel();
+    if (!res.ok) error = `HTTP ${res.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `Timed out after ${env.WEBHOOK_TIMEOUT_MS} ms` : err.message;
+  }
+
+  if (!error) {
+    await query(
+      `UPDATE webhook_deliveries
+       SET status = 'delivered', delivered_at = NOW(), response_status = $2, last_error = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [delivery.id, responseStatus],
+    );
+    return true;
+  }
+
+  const dead = delivery.attempts >= env.WEBHOOK_MAX_ATTEMPTS;
+  await query(
+    `UPDATE webhook_deliveries
+     SET status          = $2::webhook_delivery_status_enum,
+         next_attempt_at = NOW() + make_interval(secs => $3),
+         response_status = $4,
+         last_error      = $5,
+         updated_at      = NOW()
+     WHERE id = $1`,
+    [delivery.id, dead ? 'dead' : 'pending', retryDelayMs(delivery.attempts) / 1000, responseStatus, error],
+  );
+
+  logger[dead ? 'error' : 'warn'](dead ? 'Webhook delivery dead' : 'Webhook delivery failed', {
+    deliveryId: delivery.id,
+    subscriptionId: delivery.subscription_id,
+    eventType: delivery.event_type,
+    attempts: delivery.attempts,
+    error,
+  });
+  return false;
+}
+
+function retryDelayMs(attempts) {
+  return Math.min(env.WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1), env.WEBHOOK_RETRY_MAX_MS);
+}
+
+function formatSubscription(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    eventTypes: row.event_types,
+    description: row.description,
+    isActive: row.is_active,
+    apiClientId: row.api_client_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function formatDelivery(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    subscriptionId: row.subscription_id,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    responseStatus: row.response_status,
+    lastError: row.last_error,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+  };
+}
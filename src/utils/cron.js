@@ -0,0 +1,126 @@
+/**
+ * Minimal five-field cron expressions, evaluated in UTC.
+ *
+ *   ┌──────── minute        0-59
+ *   │ ┌────── hour          0-23
+ *   │ │ ┌──── day of month  1-31
+ *   │ │ │ ┌── month         1-12
+ *   │ │ │ │ ┌ day of week   0-7 (0 and 7 are Sunday)
+ *   * * * * *
+ *
+ * Each field accepts `*`, numbers, ranges (`1-5`), steps (`*\/15`, `0-30/10`) and
+ * comma-separated lists of those. As in Vixie cron, when both day fields are
+ * restricted a day matches if either does. `@hourly`, `@daily`, `@weekly`,
+ * `@monthly` and `@yearly` are accepted as shorthands.
+ */
+
+const FIELDS = [
+  { name: 'minute',     min: 0, max: 59 },
+  { name: 'hour',       min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month',      min: 1, max: 12 },
+  { name: 'dayOfWeek',  min: 0, max: 7 },
+];
+
+const SHORTHANDS = {
+  '@hourly':  '0 * * * *',
+  '@daily':   '0 0 * * *',
+  '@weekly':  '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly':  '0 0 1 1 *',
+};
+
+// An expression that matches nothing in this long is treated as never matching (e.g. 30 February)
+const SEARCH_YEARS = 5;
+
+/**
+ * Parse an expression. Throws a RangeError describing the first invalid field.
+ *
+ * @param {string} expression
+ * @returns {object} Parsed schedule, for nextOccurrence()
+ */
+export function parseCron(expression) {
+  const source = SHORTHANDS[expression.trim()] ?? expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new RangeError(`Cron expression must have ${FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseField(parts[i], field);
+  });
+  // 7 is an alias for Sunday
+  if (schedule.dayOfWeek.has(7)) schedule.dayOfWeek.add(0);
+  schedule.dayOfMonthRestricted = !parts[2].startsWith('*');
+  schedule.dayOfWeekRestricted = !parts[4].startsWith('*');
+  return schedule;
+}
+
+/**
+ * The first matching minute strictly after `after`, or null if there is none
+ * within the next few years.
+ *
+ * @param {string|object} cron - Expression or the result of parseCron()
+ * @param {Date} after
+ * @returns {Date|null}
+ */
+export function nextOccurrence(cron, after) {
+  const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+  const limit = after.getUTCFullYear() + SEARCH_YEARS;
+
+  const t = new Date(after.getTime());
+  t.setUTCSeconds(0, 0);
+  t.setUTCMinutes(t.getUTCMinutes() + 1);
+
+  while (t.getUTCFullYear() <= limit) {
+    if (!schedule.month.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0);
+    } else if (!matchesDay(schedule, t)) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0);
+    } else if (!schedule.hour.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0);
+    } else if (!schedule.minute.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1);
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const item of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+    if (!match) throw new RangeError(`Invalid ${name} field: ${text}`);
+
+    const [, range, start, end, step] = match;
+    let from = min;
+    let to = max;
+    if (range !== '*') {
+      from = Number(start);
+      // A bare number with a step ("5/15") runs to the end of the range
+      to = end !== undefined ? Number(end) : (step ? max : from);
+    }
+    const increment = step ? Number(step) : 1;
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new RangeError(`Invalid ${name} field: ${text} (allowed ${min}-${max})`);
+    }
+    for (let v = from; v <= to; v += increment) values.add(v);
+  }
+  return values;
+}
+
+function matchesDay(schedule, t) {
+  const dom = schedule.dayOfMonth.has(t.getUTCDate());
+  const dow = schedule.dayOfWeek.has(t.getUTCDay());
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) return dom || dow;
+  if (schedule.dayOfMonthRestricted) return dom;
+  if (schedule.dayOfWeekRestricted) return dow;
+  return true;
+}
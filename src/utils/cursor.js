@@ -0,0 +1,104 @@
+/**
+ * Opaque cursors for keyset pagination.
+ *
+ * A cursor carries the sort key of the last row of a page (and whatever else
+ * the list needs to check that it is being resumed with the same ordering),
+ * base64url-encoded JSON. Clients must treat it as opaque; its contents can
+ * change between releases.
+ */
+
+/**
+ * @param {object} payload
+ * @returns {string}
+ */
+export function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * @param {string} cursor
+ * @returns {object}
+ * @throws {RangeError} if the cursor was not produced by encodeCursor()
+ */
+export function decodeCursor(cursor) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new RangeError('Malformed cursor');
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new RangeError('Malformed cursor');
+  }
+  return payload;
+}
+
+// ── Keyset pages over (created_at, id), newest first ───────────────────────
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d{1,6})?([+-]\d{2}(:?\d{2})?|Z)?$/;
+
+/**
+ * Decode a `next` or `prev` cursor from keysetPage().
+ *
+ * @param {string} cursor
+ * @returns {{key: string, id: string, direction: 'next'|'prev'}}
+ *   key is the row's created_at in PostgreSQL text form, which keeps microseconds
+ * @throws {RangeError}
+ */
+export function decodeKeysetCursor(cursor) {
+  const { key, id, direction } = decodeCursor(cursor);
+  if (typeof key !== 'string' || !TIMESTAMP_PATTERN.test(key) || !UUID_PATTERN.test(id) || !['next', 'prev'].includes(direction)) {
+    throw new RangeError('Malformed cursor');
+  }
+  return { key, id, direction };
+}
+
+/**
+ * SQL for one keyset page of a table aliased `alias`, ordered by (created_at, id)
+ * descending. Rows after a `next` cursor are older; rows before a `prev` cursor
+ * are newer and are read in ascending order, then put back in page order by keysetPage().
+ *
+ * @param {string} alias - e.g. "w"
+ * @param {object|null} after - Decoded cursor, or null for the first page
+ * @param {function(*): string} param - Adds a bind parameter and returns its placeholder
+ * @returns {{condition: string|null, order: string}}
+ */
+export function keysetClause(alias, after, param) {
+  const backwards = after?.direction === 'prev';
+  const direction = backwards ? 'ASC' : 'DESC';
+  return {
+    condition: after
+      ? `(${alias}.created_at, ${alias}.id) ${backwards ? '>' : '<'} (${param(after.key)}::TIMESTAMPTZ, ${param(after.id)}::UUID)`
+      : null,
+    order: `${alias}.created_at ${direction}, ${alias}.id ${direction}`,
+  };
+}
+
+/**
+ * Turn the rows of a keyset query (LIMIT limit + 1, each with `cursor_key`, its
+ * created_at as text) into a page with `next` and `prev` cursors, null at either end.
+ *
+ * @param {object[]} rows
+ * @param {number} limit
+ * @param {object|null} after - The decoded cursor the page was read with
+ * @returns {{rows: object[], next: string|null, prev: string|null}}
+ */
+export function keysetPage(rows, limit, after) {
+  const backwards = after?.direction === 'prev';
+  const more = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const cursorAt = (row, direction) => encodeCursor({ key: row.cursor_key, id: row.id, direction });
+  const first = page[0];
+  const last = page[page.length - 1];
+  // The cursor a page was read with proves there are rows on its far side
+  const hasNext = backwards ? Boolean(after) : more;
+  const hasPrev = backwards ? more : Boolean(after);
+  return {
+    rows: page,
+    next: hasNext && last ? cursorAt(last, 'next') : null,
+    prev: hasPrev && first ? cursorAt(first, 'prev') : null,
+  };
+}
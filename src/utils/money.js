@@ -0,0 +1,138 @@
+/**
+ * Exact decimal money arithmetic.
+ *
+ * Every amount column is NUMERIC(20,6), so amounts are held as BigInt counts of
+ * micro-units (10^-6) while computing, and as canonical decimal strings
+ * ("1234.5", "0.000001") everywhere else: service parameters, SQL parameters and
+ * API responses. JavaScript numbers are accepted as input but never used for
+ * arithmetic.
+ */
+
+export const SCALE = 6;
+
+const UNIT = 10n ** BigInt(SCALE);
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Response fields that hold amounts. The legacy numeric amount format
+ * converts exactly these keys back to JSON numbers.
+ */
+export const AMOUNT_FIELDS = new Set([
+  'amount', 'balance', 'ledgerBalance', 'availableBalance', 'heldBalance', 'capturedAmount',
+  'balanceBefore', 'balanceAfter', 'openingBalance', 'closingBalance', 'runningBalance',
+  'totalCredits', 'totalDebits', 'debits', 'credits', 'available', 'required', 'maxSupply',
+  'lowBalanceThreshold', 'maxTransactionAmount', 'maxBalance', 'maxAmount', 'max', 'used', 'requested',
+  'remaining', 'expiringBalance', 'expiredBalance', 'fromAmount', 'toAmount', 'topups', 'bonuses', 'spends',
+  'expected', 'actual', 'balance_before', 'balance_after',
+]);
+
+/**
+ * Parse a decimal string, number or BigInt micro-unit count into micro-units.
+ * Throws a RangeError for malformed values or more than SCALE decimal places.
+ *
+ * @param {string|number|bigint} value
+ * @returns {bigint}
+ */
+export function toMicros(value) {
+  if (typeof value === 'bigint') return value;
+
+  const str = typeof value === 'number' ? numberToString(value) : String(value).trim();
+  if (!DECIMAL_PATTERN.test(str)) throw new RangeError(`Invalid decimal amount: ${value}`);
+
+  const negative = str.startsWith('-');
+  const [whole, fraction = ''] = (negative ? str.slice(1) : str).split('.');
+  if (/[1-9]/.test(fraction.slice(SCALE))) {
+    throw new RangeError(`Amount has more than ${SCALE} decimal places: ${value}`);
+  }
+
+  const micros = BigInt(whole) * UNIT + BigInt(fraction.slice(0, SCALE).padEnd(SCALE, '0'));
+  return negative ? -micros : micros;
+}
+
+/**
+ * Canonical decimal string without trailing zeros, e.g. "100", "0.25", "-3.000001".
+ *
+ * @param {string|number|bigint} value
+ * @returns {string}
+ */
+export function format(value) {
+  const micros = toMicros(value);
+  const abs = micros < 0n ? -micros : micros;
+  const whole = abs / UNIT;
+  const fraction = (abs % UNIT).toString().padStart(SCALE, '0').replace(/0+$/, '');
+  return `${micros < 0n ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/** Like `format`, but passes null/undefined through as null. */
+export const formatOrNull = (value) => (value == null ? null : format(value));
+
+export const add = (a, b) => format(toMicros(a) + toMicros(b));
+export const sub = (a, b) => format(toMicros(a) - toMicros(b));
+
+/** -1, 0 or 1 as `a` is less than, equal to or greater than `b`. */
+export function compare(a, b) {
+  const diff = toMicros(a) - toMicros(b);
+  return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+}
+
+export const lt  = (a, b) => compare(a, b) < 0;
+export const gt  = (a, b) => compare(a, b) > 0;
+export const eq  = (a, b) => compare(a, b) === 0;
+export const isZero = (a) => toMicros(a) === 0n;
+
+export const min = (a, b) => format(lt(a, b) ? a : b);
+export const max = (a, b) => format(gt(a, b) ? a : b);
+
+// Exchange rates carry more precision than amounts
+export const RATE_SCALE = 12;
+const RATE_UNIT = 10n ** BigInt(RATE_SCALE);
+const RATE_PATTERN = new RegExp(`^\\d+(\\.\\d{1,${RATE_SCALE}})?$`);
+
+/** True for a positive decimal rate string with at most RATE_SCALE decimal places. */
+export const isRate = (value) => typeof value === 'string' && RATE_PATTERN.test(value) && /[1-9]/.test(value);
+
+/** A rate as a decimal string without trailing zeros. */
+export const formatRate = (value) => String(value).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '');
+
+/**
+ * `amount` × `rate`, rounded down to `decimalPlaces` (the target asset's precision),
+ * so a conversion never pays out more than the rate allows.
+ *
+ * @param {string} amount
+ * @param {string} rate - Decimal string, see isRate()
+ * @param {number} decimalPlaces - 0–SCALE
+ * @returns {string}
+ */
+export function convert(amount, rate, decimalPlaces) {
+  const [whole, fraction = ''] = String(rate).split('.');
+  const rateUnits = BigInt(whole) * RATE_UNIT + BigInt(fraction.padEnd(RATE_SCALE, '0'));
+  const micros = (toMicros(amount) * rateUnits) / RATE_UNIT;
+  const step = 10n ** BigInt(SCALE - decimalPlaces);
+  return format(micros - (micros % step));
+}
+
+/** Sum of any number of amounts. */
+export const sum = (values) => format(values.reduce((total, v) => total + toMicros(v), 0n));
+
+/** Number of significant decimal places, e.g. 2 for "10.50" and 0 for "7". */
+export function decimalPlaces(value) {
+  const fraction = format(value).split('.')[1];
+  return fraction ? fraction.length : 0;
+}
+
+/** True for a plain decimal string such as "12" or "-0.5". */
+export const isDecimalString = (value) => typeof value === 'string' && DECIMAL_PATTERN.test(value);
+
+/**
+ * JSON number for the legacy numeric amount format. Lossy above 2^53 micro-units.
+ */
+export const toNumber = (value) => Number(format(value));
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function numberToString(n) {
+  if (!Number.isFinite(n)) throw new RangeError(`Invalid decimal amount: ${n}`);
+  const str = String(n);
+  // Exponent notation (1e-7, 1e21): round to SCALE places first
+  return /e/i.test(str) ? n.toFixed(SCALE) : str;
+}
@@ -2,6 +2,7 @@
  * Test DB helper — sets up a test database connection and resets state between tests.
  */
 import pg from 'pg';
+import { createHash } from 'crypto';
 import 'dotenv/config';
 
 const pool = new pg.Pool({
@@ -23,11 +24,24 @@ export const query = (text, params) => pool.query(text, params);
 export async function resetDb() {
   await pool.query(`
     TRUNCATE TABLE
+      exchange_quotes,
+      exchange_rates,
+      credit_lot_draws,
+      credit_lots,
+      grant_runs,
+      grant_schedules,
+      spending_limits,
+      ledger_events,
+      webhook_deliveries,
+      webhook_events,
+      webhook_subscriptions,
+      wallet_audit_log,
       idempotency_keys,
       ledger_entries,
       transactions,
       wallets,
-      asset_types
+      asset_types,
+      api_clients
     RESTART IDENTITY CASCADE
   `);
 }
@@ -101,8 +115,21 @@ export async function seedTestData() {
       100
     )
   `);
+
+  // API clients — one with every scope, one that can only read wallets
+  await pool.query(
+    `INSERT INTO api_clients (id, name, key_prefix, key_hash, scopes)
+     VALUES ($1, 'test-admin', $2, $3, '{admin}'),
+            ($4, 'test-reader', $5, $6, '{wallets:read}')`,
+    [
+      IDS.adminClient, API_KEYS.admin.slice(0, 11), sha256(API_KEYS.admin),
+      IDS.readerClient, API_KEYS.reader.slice(0, 11), sha256(API_KEYS.reader),
+    ],
+  );
 }
 
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
 // IDs handy for tests
 export const IDS = {
   assetType:     'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa',
@@ -111,8 +138,18 @@ export const IDS = {
   revenueWallet: '99999999-9999-9999-9999-999999999999',
   aliceWallet:   'dddddddd-dddd-dddd-dddd-dddddddddddd',
   bobWallet:     '22222222-2222-2222-2222-222222222222',
+  adminClient:   '77777777-7777-7777-7777-777777777777',
+  readerClient:  '66666666-6666-6666-6666-666666666666',
 };
 
+export const API_KEYS = {
+  admin:  'wl_test_admin_key_0000000000000000',
+  reader: 'wl_test_reader_key_000000000000000',
+};
+
+// Default auth header for requests in tests
+export const AUTH = { 'X-API-Key': API_KEYS.admin };
+
 export async function closeDb() {
   await pool.end();
 }
@@ -0,0 +1,93 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+  // Beyond 2^53 micro-units, where doubles can no longer represent every six-decimal value
+  await query("UPDATE wallets SET balance = '99999999999999.999999' WHERE id = $1", [IDS.treasuryWallet]);
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+describe('Exact decimal amounts', () => {
+  it('should keep large six-decimal balances exact end to end', async () => {
+    const res = await request(app)
+      .post('/api/v1/transactions/topup')
+      .set(AUTH)
+      .set('Idempotency-Key', 'amounts-topup-001')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.treasuryWallet, amount: '0.000001', referenceId: 'ref-1' })
+      .expect(201);
+
+    expect(res.body.data.amount).toBe('0.000001');
+
+    const txn = await request(app).get(`/api/v1/transactions/${res.body.data.id}`).set(AUTH).expect(200);
+    const treasuryEntry = txn.body.data.ledgerEntries.find((e) => e.wallet_id === IDS.treasuryWallet);
+    expect(treasuryEntry.balance_before).toBe('99999999999999.999999');
+    expect(treasuryEntry.balance_after).toBe('99999999999999.999998');
+
+    const treasury = await request(app).get(`/api/v1/wallets/${IDS.treasuryWallet}`).set(AUTH).expect(200);
+    expect(treasury.body.data.balance).toBe('99999999999999.999998');
+
+    const alice = await request(app).get(`/api/v1/wallets/${IDS.aliceWallet}/balance`).set(AUTH).expect(200);
+    expect(alice.body.data.balance).toBe('500.000001');
+  });
+
+  it('should return JSON numbers when the legacy amount format is requested', async () => {
+    const res = await request(app)
+      .get(`/api/v1/wallets/${IDS.aliceWallet}/balance`)
+      .set(AUTH)
+      .set('X-Amount-Format', 'number')
+      .expect('X-Amount-Format', 'number')
+      .expect(200);
+
+    expect(res.body.data.balance).toBe(500.000001);
+    expect(res.body.data.availableBalance).toBe(500.000001);
+  });
+
+  it('should leave metadata as sent in the legacy amount format', async () => {
+    const metadata = { amount: '12.50', price: { amount: '3' } };
+    const res = await request(app)
+      .post('/api/v1/transactions/topup')
+      .set(AUTH)
+      .set('Idempotency-Key', 'amounts-topup-metadata')
+      .set('X-Amount-Format', 'number')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.treasuryWallet, amount: '5', referenceId: 'ref-2', metadata })
+      .expect(201);
+
+    expect(res.body.data.amount).toBe(5);
+    expect(res.body.data.metadata).toMatchObject(metadata);
+  });
+
+  it('should reject malformed amounts', async () => {
+    const res = await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'amounts-spend-malformed')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '1.0000001', serviceId: 'x' })
+      .expect(422);
+    expect(res.body.error.details[0].field).toBe('amount');
+  });
+
+  it("should enforce the asset type's precision", async () => {
+    await query('UPDATE asset_types SET decimal_places = 2 WHERE id = $1', [IDS.assetType]);
+
+    const res = await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'amounts-spend-precision')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '0.005', serviceId: 'x' })
+      .expect(422);
+    expect(res.body.error.message).toMatch(/2 decimal place/);
+
+    await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'amounts-spend-cents')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '0.25', serviceId: 'x' })
+      .expect(201);
+  });
+});
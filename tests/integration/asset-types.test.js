@@ -0,0 +1,114 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, API_KEYS } from '../helpers/db.js';
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+const topup = (key, amount) =>
+  request(app)
+    .post('/api/v1/transactions/topup')
+    .set(AUTH)
+    .set('Idempotency-Key', key)
+    .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.treasuryWallet, amount, referenceId: key });
+
+describe('Asset type administration', () => {
+  let gemsId;
+
+  it('should create an asset type with precision and max supply', async () => {
+    const res = await request(app)
+      .post('/api/v1/asset-types')
+      .set(AUTH)
+      .send({ name: 'Gems', symbol: 'GEM', decimalPlaces: 0, maxSupply: 1000000 })
+      .expect(201);
+
+    gemsId = res.body.data.id;
+    expect(res.body.data).toMatchObject({ symbol: 'GEM', decimalPlaces: 0, maxSupply: '1000000', isActive: true });
+  });
+
+  it('should reject a duplicate symbol', async () => {
+    const res = await request(app)
+      .post('/api/v1/asset-types')
+      .set(AUTH)
+      .send({ name: 'More Gems', symbol: 'GEM' })
+      .expect(409);
+    expect(res.body.error.message).toMatch(/symbol/);
+  });
+
+  it('should require the admin scope to create asset types', async () => {
+    await request(app)
+      .post('/api/v1/asset-types')
+      .set('X-API-Key', API_KEYS.reader)
+      .send({ name: 'Rubies', symbol: 'RBY' })
+      .expect(403);
+  });
+
+  it('should update an asset type', async () => {
+    const res = await request(app)
+      .patch(`/api/v1/asset-types/${gemsId}`)
+      .set(AUTH)
+      .send({ name: 'Shiny Gems', maxSupply: null })
+      .expect(200);
+    expect(res.body.data).toMatchObject({ name: 'Shiny Gems', symbol: 'GEM', maxSupply: null });
+  });
+
+  it('should block transactions in wallets of a deactivated asset type', async () => {
+    await request(app).post(`/api/v1/asset-types/${IDS.assetType}/deactivate`).set(AUTH).expect(200);
+
+    const list = await request(app).get('/api/v1/asset-types').set(AUTH).expect(200);
+    expect(list.body.data.map((a) => a.id)).not.toContain(IDS.assetType);
+
+    const blocked = await topup('asset-topup-inactive', 10).expect(409);
+    expect(blocked.body.error.message).toMatch(/inactive/);
+
+    await request(app).post(`/api/v1/asset-types/${IDS.assetType}/activate`).set(AUTH).expect(200);
+    await topup('asset-topup-active', 10).expect(201);
+  });
+
+  it('should enforce max supply on issuance', async () => {
+    // Circulating supply is Alice 510 + Bob 100 = 610
+    await request(app)
+      .patch(`/api/v1/asset-types/${IDS.assetType}`)
+      .set(AUTH)
+      .send({ maxSupply: 600 })
+      .expect(409);
+
+    await request(app)
+      .patch(`/api/v1/asset-types/${IDS.assetType}`)
+      .set(AUTH)
+      .send({ maxSupply: 650 })
+      .expect(200);
+
+    await topup('asset-topup-within-cap', 40).expect(201);
+    const res = await topup('asset-topup-over-cap', 0.5).expect(409);
+    expect(res.body.error.message).toMatch(/Max supply/);
+  });
+
+  it('should only lower precision when existing balances fit', async () => {
+    await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'asset-spend-fraction')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: 0.25, serviceId: 'x' })
+      .expect(201);
+
+    await request(app)
+      .patch(`/api/v1/asset-types/${IDS.assetType}`)
+      .set(AUTH)
+      .send({ decimalPlaces: 0 })
+      .expect(409);
+
+    const res = await request(app)
+      .patch(`/api/v1/asset-types/${IDS.assetType}`)
+      .set(AUTH)
+      .send({ decimalPlaces: 2 })
+      .expect(200);
+    expect(res.body.data.decimalPlaces).toBe(2);
+  });
+});
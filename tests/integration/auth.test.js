@@ -0,0 +1,73 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, API_KEYS, query } from '../helpers/db.js';
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+describe('API key authentication', () => {
+  const spend = {
+    walletId:       IDS.aliceWallet,
+    systemWalletId: IDS.revenueWallet,
+    amount:         10,
+    serviceId:      'item-auth-test',
+  };
+
+  it('should reject requests without an API key', async () => {
+    const res = await request(app).get(`/api/v1/wallets/${IDS.aliceWallet}`).expect(401);
+    expect(res.body.error.code).toBe('UNAUTHORIZED');
+  });
+
+  it('should reject an unknown or deactivated key', async () => {
+    await request(app).get('/api/v1/wallets').set('X-API-Key', 'wl_not_a_real_key').expect(401);
+
+    await query('UPDATE api_clients SET is_active = FALSE WHERE id = $1', [IDS.readerClient]);
+    await request(app).get('/api/v1/wallets').set('X-API-Key', API_KEYS.reader).expect(401);
+    await query('UPDATE api_clients SET is_active = TRUE WHERE id = $1', [IDS.readerClient]);
+  });
+
+  it('should accept the key as a bearer token', async () => {
+    await request(app)
+      .get(`/api/v1/wallets/${IDS.aliceWallet}/balance`)
+      .set('Authorization', `Bearer ${API_KEYS.reader}`)
+      .expect(200);
+  });
+
+  it('should return 403 when the client lacks the required scope', async () => {
+    const res = await request(app)
+      .post('/api/v1/transactions/spend')
+      .set('X-API-Key', API_KEYS.reader)
+      .set('Idempotency-Key', 'auth-spend-forbidden')
+      .send(spend)
+      .expect(403);
+
+    expect(res.body.error.code).toBe('FORBIDDEN');
+    await request(app).get('/api/v1/admin/ledger/verify').set('X-API-Key', API_KEYS.reader).expect(403);
+
+    const { rows } = await query('SELECT balance FROM wallets WHERE id = $1', [IDS.aliceWallet]);
+    expect(parseFloat(rows[0].balance)).toBe(500);
+  });
+
+  it('should record the calling client on the transaction', async () => {
+    const res = await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'auth-spend-001')
+      .send(spend)
+      .expect(201);
+
+    expect(res.body.data.apiClientId).toBe(IDS.adminClient);
+    const { rows } = await query('SELECT api_client_id FROM transactions WHERE id = $1', [res.body.data.id]);
+    expect(rows[0].api_client_id).toBe(IDS.adminClient);
+  });
+
+  it('should leave the health check public', async () => {
+    await request(app).get('/api/v1/health').expect(200);
+  });
+});
@@ -0,0 +1,118 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { spend } from '../../src/services/transaction.service.js';
+import { getBalanceAsOf } from '../../src/services/wallet.service.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
+
+const dbNow = async () => {
+  const { rows } = await query('SELECT NOW() AS now');
+  return rows[0].now.toISOString();
+};
+
+let beforeActivity, afterTopup, afterSpend;
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+
+  beforeActivity = await dbNow();
+  await request(app)
+    .post('/api/v1/transactions/topup')
+    .set(AUTH)
+    .set('Idempotency-Key', 'history-topup')
+    .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.treasuryWallet, amount: 100, referenceId: 'h1' })
+    .expect(201);
+  afterTopup = await dbNow();
+  await request(app)
+    .post('/api/v1/transactions/spend')
+    .set(AUTH)
+    .set('Idempotency-Key', 'history-spend')
+    .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: 250, serviceId: 'h2' })
+    .expect(201);
+  afterSpend = await dbNow();
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+describe('GET /api/v1/wallets/:id/balance?asOf=', () => {
+  it('should return the balance after the last entry before the instant', async () => {
+    const res = await request(app)
+      .get(`/api/v1/wallets/${IDS.aliceWallet}/balance`)
+      .set(AUTH)
+      .query({ asOf: afterTopup })
+      .expect(200);
+    expect(res.body.data.balance).toBe('600');
+    expect(res.body.data.asOf).toBe(afterTopup);
+    expect(res.body.data.lastEntryId).toBeTruthy();
+
+    const later = await request(app)
+      .get(`/api/v1/wallets/${IDS.aliceWallet}/balance`)
+      .set(AUTH)
+      .query({ asOf: afterSpend })
+      .expect(200);
+    expect(later.body.data.balance).toBe('350');
+  });
+
+  it('should return the opening balance before the first entry', async () => {
+    const res = await request(app)
+      .get(`/api/v1/wallets/${IDS.aliceWallet}/balance`)
+      .set(AUTH)
+      .query({ asOf: beforeActivity })
+      .expect(200);
+    expect(res.body.data.balance).toBe('500');
+    expect(res.body.data.lastEntryId).toBeNull();
+  });
+
+  it('should reject future or malformed timestamps', async () => {
+    await request(app)
+      .get(`/api/v1/wallets/${IDS.aliceWallet}/balance`)
+      .set(AUTH)
+      .query({ asOf: 'yesterday' })
+      .expect(422);
+    await request(app)
+      .get(`/api/v1/wallets/${IDS.aliceWallet}/balance`)
+      .set(AUTH)
+      .query({ asOf: new Date(Date.now() + 86_400_000).toISOString() })
+      .expect(422);
+  });
+});
+
+describe('GET /api/v1/wallets/balances', () => {
+  it('should return balances for many wallets at one instant, in request order', async () => {
+    const res = await request(app)
+      .get('/api/v1/wallets/balances')
+      .set(AUTH)
+      .query({ walletIds: `${IDS.revenueWallet},${IDS.aliceWallet},${IDS.bobWallet}`, asOf: afterTopup })
+      .expect(200);
+
+    expect(res.body.data.map((b) => [b.walletId, b.balance])).toEqual([
+      [IDS.revenueWallet, '0'],
+      [IDS.aliceWallet, '600'],
+      [IDS.bobWallet, '100'],
+    ]);
+  });
+
+  it('should 404 when any wallet is unknown', async () => {
+    await request(app)
+      .get('/api/v1/wallets/balances')
+      .set(AUTH)
+      .query({ walletIds: `${IDS.aliceWallet},00000000-0000-0000-0000-000000000000` })
+      .expect(404);
+  });
+});
+
+describe('Balances as of now after concurrent flows', () => {
+  it('should match the live balance when flows waited on the wallet lock', async () => {
+    // Spends queued on the lock post after others that began later
+    await Promise.all(Array.from({ length: 20 }, (_, i) => spend({
+      walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '1', serviceId: `history-concurrent-${i}`,
+    })));
+
+    const { rows: [wallet] } = await query('SELECT balance FROM wallets WHERE id = $1', [IDS.aliceWallet]);
+    const balance = await getBalanceAsOf(IDS.aliceWallet, new Date(await dbNow()));
+    expect(balance.balance).toBe('330');
+    expect(balance.balance).toBe(String(Number(wallet.balance)));
+  });
+});
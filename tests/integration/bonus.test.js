@@ -1,6 +1,6 @@
 import request from 'supertest';
 import app from '../../src/app.js';
-import { resetDb, seedTestData, closeDb, IDS, query } from '../helpers/db.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
 
 beforeAll(async () => {
   await resetDb();
@@ -23,13 +23,14 @@ describe('POST /api/v1/transactions/bonus', () => {
   it('should credit user and debit bonus pool', async () => {
     const res = await request(app)
       .post('/api/v1/transactions/bonus')
+      .set(AUTH)
       .set('Idempotency-Key', 'bonus-test-001')
       .send(payload)
       .expect(201);
 
     expect(res.body.data.type).toBe('bonus');
     expect(res.body.data.status).toBe('completed');
-    expect(res.body.data.amount).toBe(50);
+    expect(res.body.data.amount).toBe('50');
 
     const { rows: alice } = await query('SELECT balance FROM wallets WHERE id = $1', [IDS.aliceWallet]);
     expect(parseFloat(alice[0].balance)).toBe(550); // 500 + 50
@@ -41,6 +42,7 @@ describe('POST /api/v1/transactions/bonus', () => {
   it('should be idempotent — replaying returns same response without changing balance', async () => {
     await request(app)
       .post('/api/v1/transactions/bonus')
+      .set(AUTH)
       .set('Idempotency-Key', 'bonus-test-001')
       .send(payload)
       .expect(201);
@@ -57,6 +59,7 @@ describe('POST /api/v1/transactions/bonus', () => {
   it('should fail if bonus pool has insufficient balance', async () => {
     const res = await request(app)
       .post('/api/v1/transactions/bonus')
+      .set(AUTH)
       .set('Idempotency-Key', 'bonus-overflow')
       .send({ ...payload, amount: 999_999_999 })
       .expect(422);
@@ -10,7 +10,7 @@
  */
 import request from 'supertest';
 import app from '../../src/app.js';
-import { resetDb, seedTestData, closeDb, IDS, query } from '../helpers/db.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
 
 beforeAll(async () => {
   await resetDb();
@@ -31,6 +31,7 @@ describe('Concurrency — race conditions and deadlock avoidance', () => {
     const requests = Array.from({ length: CONCURRENT }, (_, i) =>
       request(app)
         .post('/api/v1/transactions/spend')
+        .set(AUTH)
         .set('Idempotency-Key', `concurrency-spend-${i}`) // Unique key per request
         .send({
           walletId:       IDS.aliceWallet,
@@ -86,6 +87,7 @@ describe('Concurrency — race conditions and deadlock avoidance', () => {
     const requests = Array.from({ length: CONCURRENT }, (_, i) =>
       request(app)
         .post('/api/v1/transactions/topup')
+        .set(AUTH)
         .set('Idempotency-Key', `concurrency-topup-${i}`)
         .send({
           walletId:       IDS.bobWallet,
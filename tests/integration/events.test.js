@@ -0,0 +1,146 @@
+import http from 'http';
+import request from 'supertest';
+import app from '../../src/app.js';
+import { closeEventFeed } from '../../src/services/event.service.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, API_KEYS } from '../helpers/db.js';
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await closeEventFeed();
+  await new Promise((resolve) => server.close(resolve));
+  await closeDb();
+});
+
+const topup = (amount, key) => request(app)
+  .post('/api/v1/transactions/topup')
+  .set(AUTH)
+  .set('Idempotency-Key', key)
+  .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.treasuryWallet, amount, referenceId: key });
+
+/**
+ * Open an SSE stream and resolve with the first `count` events.
+ */
+function readStream(path, count, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    let buffer = '';
+    const req = http.get(`${baseUrl}${path}`, { headers: { 'X-API-Key': API_KEYS.admin, ...headers } }, (res) => {
+      expect(res.headers['content-type']).toBe('text/event-stream');
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+        for (const frame of frames) {
+          const fields = Object.fromEntries(frame.split('\n').filter((l) => /^(id|event|data):/.test(l))
+            .map((l) => [l.slice(0, l.indexOf(':')), l.slice(l.indexOf(':') + 2)]));
+          if (fields.data) events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+        }
+        if (events.length >= count) {
+          req.destroy();
+          resolve(events.slice(0, count));
+        }
+      });
+    });
+    req.on('error', (err) => { if (events.length < count) reject(err); });
+  });
+}
+
+describe('Ledger change feed', () => {
+  let events;
+
+  it('should require the events:read scope', async () => {
+    await request(app).get('/api/v1/events').set('X-API-Key', API_KEYS.reader).expect(403);
+  });
+
+  it('should append an event with its ledger entries for each committed flow', async () => {
+    const first = await topup('10', 'events-topup-001').expect(201);
+    await request(app)
+      .post('/api/v1/transactions/bonus')
+      .set(AUTH)
+      .set('Idempotency-Key', 'events-bonus-001')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.bonusWallet, amount: '5', reason: 'referral' })
+      .expect(201);
+    await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'events-spend-001')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '3', serviceId: 'item-1' })
+      .expect(201);
+
+    // Declined: rolled back, so never in the feed
+    await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'events-spend-declined')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '100000', serviceId: 'item-1' })
+      .expect(422);
+
+    const res = await request(app).get('/api/v1/events?after=0').set(AUTH).expect(200);
+    events = res.body.data;
+
+    expect(events.map((e) => e.data.transaction.type)).toEqual(['topup', 'bonus', 'spend']);
+    expect(events.every((e) => e.type === 'transaction.completed')).toBe(true);
+    expect(events[1].seq).toBeGreaterThan(events[0].seq);
+    expect(events[2].seq).toBeGreaterThan(events[1].seq);
+    expect(res.body.next).toBe(events[2].seq);
+
+    expect(events[0].transactionId).toBe(first.body.data.id);
+    expect(events[0].data.entries).toEqual([
+      { walletId: IDS.treasuryWallet, entryType: 'debit',  amount: '10', balanceBefore: '1000000', balanceAfter: '999990' },
+      { walletId: IDS.aliceWallet,    entryType: 'credit', amount: '10', balanceBefore: '500',     balanceAfter: '510' },
+    ]);
+  });
+
+  it('should resume after a seq without repeating events', async () => {
+    const res = await request(app).get(`/api/v1/events?after=${events[0].seq}&limit=1`).set(AUTH).expect(200);
+    expect(res.body.data.map((e) => e.seq)).toEqual([events[1].seq]);
+
+    const caughtUp = await request(app).get(`/api/v1/events?after=${events[2].seq}`).set(AUTH).expect(200);
+    expect(caughtUp.body.data).toEqual([]);
+    expect(caughtUp.body.next).toBe(events[2].seq);
+  });
+
+  it('should hold a long-poll open until a new event commits', async () => {
+    const started = Date.now();
+    const pending = request(app).get(`/api/v1/events?after=${events[2].seq}&wait=10`).set(AUTH).then((res) => res);
+
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    const txn = await topup('1', 'events-topup-longpoll').expect(201);
+
+    const res = await pending;
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((e) => e.transactionId)).toEqual([txn.body.data.id]);
+    expect(Date.now() - started).toBeLessThan(5000);
+    events.push(res.body.data[0]);
+  });
+
+  it('should stream events over SSE and resume from Last-Event-ID', async () => {
+    const streamed = await readStream('/api/v1/events/stream?after=0', 4);
+    expect(streamed.map((e) => Number(e.id))).toEqual(events.map((e) => e.seq));
+    expect(streamed[0].event).toBe('transaction.completed');
+    expect(streamed[0].data.transactionId).toBe(events[0].transactionId);
+
+    const resumed = await readStream('/api/v1/events/stream', 2, { 'Last-Event-ID': String(events[1].seq) });
+    expect(resumed.map((e) => Number(e.id))).toEqual([events[2].seq, events[3].seq]);
+  });
+
+  it('should push events committed while a stream is open', async () => {
+    const streaming = readStream(`/api/v1/events/stream?after=${events[3].seq}`, 1);
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    const txn = await topup('2', 'events-topup-live').expect(201);
+
+    const [event] = await streaming;
+    expect(event.data.transactionId).toBe(txn.body.data.id);
+  });
+});
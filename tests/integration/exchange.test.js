@@ -0,0 +1,205 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, API_KEYS, query } from '../helpers/db.js';
+
+// A second asset type with two decimal places, its treasury, and Diamond wallets for Alice and Bob
+const DIAMOND = {
+  assetType:      'abababab-abab-abab-abab-abababababab',
+  treasuryWallet: 'acacacac-acac-acac-acac-acacacacacac',
+  aliceWallet:    'adadadad-adad-adad-adad-adadadadadad',
+  bobWallet:      'aeaeaeae-aeae-aeae-aeae-aeaeaeaeaeae',
+};
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+  await query(
+    `INSERT INTO asset_types (id, name, symbol, decimal_places) VALUES ($1, 'Diamond', 'DM', 2)`,
+    [DIAMOND.assetType],
+  );
+  await query(
+    `INSERT INTO wallets (id, owner_id, owner_type, asset_type_id, balance)
+     VALUES ($1, 'cccccccc-cccc-cccc-cccc-cccccccccccc', 'system', $4, 10000),
+            ($2, '11111111-1111-1111-1111-111111111111', 'user', $4, 0),
+            ($3, '33333333-3333-3333-3333-333333333333', 'user', $4, 0)`,
+    [DIAMOND.treasuryWallet, DIAMOND.aliceWallet, DIAMOND.bobWallet, DIAMOND.assetType],
+  );
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+const balanceOf = async (walletId) => {
+  const { rows: [wallet] } = await query('SELECT balance FROM wallets WHERE id = $1', [walletId]);
+  return wallet.balance;
+};
+
+const createRate = (body) => request(app)
+  .post('/api/v1/exchange/rates')
+  .set(AUTH)
+  .send({
+    fromAssetTypeId: IDS.assetType,
+    toAssetTypeId: DIAMOND.assetType,
+    fromSystemWalletId: IDS.treasuryWallet,
+    toSystemWalletId: DIAMOND.treasuryWallet,
+    ...body,
+  });
+
+const quote = (amount, toWalletId = DIAMOND.aliceWallet) => request(app)
+  .post('/api/v1/exchange/quotes')
+  .set(AUTH)
+  .send({ fromWalletId: IDS.aliceWallet, toWalletId, amount });
+
+const execute = (key, quoteId) => request(app)
+  .post('/api/v1/transactions/exchange')
+  .set(AUTH)
+  .set('Idempotency-Key', key)
+  .send({ quoteId });
+
+describe('Exchange rates', () => {
+  let futureRate;
+
+  it('should reject system wallets that do not hold the rate\'s asset types', async () => {
+    const res = await createRate({ rate: '0.05', toSystemWalletId: IDS.bonusWallet }).expect(409);
+    expect(res.body.error.message).toMatch(/asset types do not match/);
+  });
+
+  it('should use the rate in force now', async () => {
+    await createRate({ rate: '0.050' }).expect(201);
+    const future = await createRate({ rate: '0.1', validFrom: new Date(Date.now() + 86_400_000).toISOString() }).expect(201);
+    futureRate = future.body.data;
+
+    const res = await request(app)
+      .get(`/api/v1/exchange/rates?fromAssetTypeId=${IDS.assetType}&current=true`)
+      .set('X-API-Key', API_KEYS.reader)
+      .expect(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0]).toMatchObject({ rate: '0.05', isCurrent: true, validUntil: null });
+    expect(futureRate.isCurrent).toBe(false);
+  });
+});
+
+describe('Exchange flow', () => {
+  let exchangeTxn;
+
+  it('should lock in the rate and round the target amount down', async () => {
+    const res = await quote('100.5').expect(201);
+    expect(res.body.data).toMatchObject({ fromAmount: '100.5', toAmount: '5.02', rate: '0.05', transactionId: null });
+    const ttl = new Date(res.body.data.expiresAt) - Date.now();
+    expect(ttl).toBeGreaterThan(0);
+    expect(ttl).toBeLessThanOrEqual(30_000);
+  });
+
+  it('should balance each asset type through its system wallet', async () => {
+    const { body: { data: q } } = await quote('100').expect(201);
+
+    const res = await execute('exchange-001', q.id).expect(201);
+    exchangeTxn = res.body.data;
+    expect(exchangeTxn).toMatchObject({
+      type: 'exchange',
+      status: 'completed',
+      amount: '100',
+      sourceWalletId: IDS.aliceWallet,
+      destinationWalletId: DIAMOND.aliceWallet,
+      metadata: { quoteId: q.id, rate: '0.05', toAmount: '5' },
+    });
+
+    expect(await balanceOf(IDS.aliceWallet)).toBe('400.000000');
+    expect(await balanceOf(IDS.treasuryWallet)).toBe('1000100.000000');
+    expect(await balanceOf(DIAMOND.treasuryWallet)).toBe('9995.000000');
+    expect(await balanceOf(DIAMOND.aliceWallet)).toBe('5.000000');
+
+    const { rows: entries } = await query(
+      'SELECT wallet_id, entry_type, amount FROM ledger_entries WHERE transaction_id = $1',
+      [exchangeTxn.id],
+    );
+    expect(entries).toHaveLength(4);
+    expect(entries).toEqual(expect.arrayContaining([
+      { wallet_id: IDS.aliceWallet,           entry_type: 'debit',  amount: '100.000000' },
+      { wallet_id: IDS.treasuryWallet,        entry_type: 'credit', amount: '100.000000' },
+      { wallet_id: DIAMOND.treasuryWallet,    entry_type: 'debit',  amount: '5.000000' },
+      { wallet_id: DIAMOND.aliceWallet,       entry_type: 'credit', amount: '5.000000' },
+    ]));
+
+    const stored = await request(app).get(`/api/v1/exchange/quotes/${q.id}`).set(AUTH).expect(200);
+    expect(stored.body.data.transactionId).toBe(exchangeTxn.id);
+  });
+
+  it('should execute a quote only once', async () => {
+    const res = await execute('exchange-002', exchangeTxn.metadata.quoteId).expect(409);
+    expect(res.body.error.message).toBe('Exchange quote has already been used');
+    expect(await balanceOf(DIAMOND.aliceWallet)).toBe('5.000000');
+  });
+
+  it('should reject an expired quote', async () => {
+    const { body: { data: q } } = await quote('10').expect(201);
+    await query("UPDATE exchange_quotes SET expires_at = NOW() - INTERVAL '1 second' WHERE id = $1", [q.id]);
+
+    const res = await execute('exchange-003', q.id).expect(409);
+    expect(res.body.error.message).toBe('Exchange quote has expired');
+  });
+
+  it('should only exchange between wallets of the same owner', async () => {
+    const res = await quote('10', DIAMOND.bobWallet).expect(409);
+    expect(res.body.error.message).toMatch(/same owner/);
+  });
+
+  it('should reject an exchange the user cannot fund', async () => {
+    const { body: { data: q } } = await quote('1000').expect(201);
+    const res = await execute('exchange-004', q.id).expect(422);
+    expect(res.body.error.code).toBe('INSUFFICIENT_FUNDS');
+  });
+
+  it('should only reverse an exchange in full, restoring both assets', async () => {
+    await request(app)
+      .post(`/api/v1/transactions/${exchangeTxn.id}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'exchange-reverse-001')
+      .send({ amount: '50', reason: 'customer_request' })
+      .expect(409);
+
+    await request(app)
+      .post(`/api/v1/transactions/${exchangeTxn.id}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'exchange-reverse-002')
+      .send({ reason: 'customer_request' })
+      .expect(201);
+
+    expect(await balanceOf(IDS.aliceWallet)).toBe('500.000000');
+    expect(await balanceOf(DIAMOND.aliceWallet)).toBe('0.000000');
+    expect(await balanceOf(DIAMOND.treasuryWallet)).toBe('10000.000000');
+
+    const verify = await request(app).get('/api/v1/admin/ledger/verify').set(AUTH).expect(200);
+    expect(verify.body.data.healthy).toBe(true);
+  });
+});
+
+describe('Exchange rate validity', () => {
+  it('should stop quoting a rate once it has ended', async () => {
+    const { rows: [current] } = await query("SELECT id FROM exchange_rates WHERE rate = 0.05");
+    await request(app)
+      .patch(`/api/v1/exchange/rates/${current.id}`)
+      .set(AUTH)
+      .send({ validUntil: new Date().toISOString() })
+      .expect(200);
+
+    const res = await quote('10').expect(404);
+    expect(res.body.error.message).toMatch(/Exchange rate/);
+  });
+
+  it('should quote a rate once its window opens', async () => {
+    await query("UPDATE exchange_rates SET valid_from = NOW() - INTERVAL '1 second' WHERE rate = 0.1");
+
+    const res = await quote('10').expect(201);
+    expect(res.body.data).toMatchObject({ rate: '0.1', toAmount: '1' });
+  });
+
+  it('should require the transactions:exchange scope to quote', async () => {
+    await request(app)
+      .post('/api/v1/exchange/quotes')
+      .set('X-API-Key', API_KEYS.reader)
+      .send({ fromWalletId: IDS.aliceWallet, toWalletId: DIAMOND.aliceWallet, amount: '10' })
+      .expect(403);
+  });
+});
@@ -0,0 +1,201 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { expireCredits } from '../../src/services/transaction.service.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+const bonus = (key, body) => request(app)
+  .post('/api/v1/transactions/bonus')
+  .set(AUTH)
+  .set('Idempotency-Key', key)
+  .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.bonusWallet, reason: 'promo', ...body });
+
+const getWallet = async (walletId) => (await request(app).get(`/api/v1/wallets/${walletId}`).set(AUTH).expect(200)).body.data;
+
+const expireLotsOf = (walletId) => query(
+  "UPDATE credit_lots SET expires_at = NOW() - INTERVAL '1 second' WHERE wallet_id = $1 AND remaining > 0",
+  [walletId],
+);
+
+describe('Expiring credits', () => {
+  it('should track each expiring bonus as a lot on the wallet', async () => {
+    await bonus('lots-bonus-001', { amount: '100', expiresInDays: 30 }).expect(201);
+    await bonus('lots-bonus-002', { amount: '50', expiresInDays: 7 }).expect(201);
+
+    const wallet = await getWallet(IDS.aliceWallet);
+    expect(wallet).toMatchObject({ balance: '650', availableBalance: '650', expiringBalance: '150', expiredBalance: '0' });
+    // Soonest expiry first
+    expect(wallet.creditLots.map((l) => [l.amount, l.remaining])).toEqual([['50', '50'], ['100', '100']]);
+  });
+
+  it('should spend the soonest-expiring credits first', async () => {
+    await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'lots-spend-001')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '60', serviceId: 'item-1' })
+      .expect(201);
+
+    const { creditLots } = await getWallet(IDS.aliceWallet);
+    expect(creditLots).toHaveLength(1);
+    expect(creditLots[0]).toMatchObject({ amount: '100', remaining: '90' });
+  });
+
+  it('should keep the expiry of credits transferred to another wallet', async () => {
+    await request(app)
+      .post('/api/v1/transactions/transfer')
+      .set(AUTH)
+      .set('Idempotency-Key', 'lots-transfer-001')
+      .send({ fromWalletId: IDS.aliceWallet, toWalletId: IDS.bobWallet, amount: '40' })
+      .expect(201);
+
+    const alice = await getWallet(IDS.aliceWallet);
+    const bob = await getWallet(IDS.bobWallet);
+    expect(alice.creditLots[0].remaining).toBe('50');
+    expect(bob.creditLots).toHaveLength(1);
+    expect(bob.creditLots[0]).toMatchObject({ amount: '40', remaining: '40', expiresAt: alice.creditLots[0].expiresAt });
+  });
+
+  it('should not let expired credits be spent before they are swept', async () => {
+    await expireLotsOf(IDS.aliceWallet);
+
+    const wallet = await getWallet(IDS.aliceWallet);
+    expect(wallet).toMatchObject({ balance: '550', availableBalance: '500', expiredBalance: '50' });
+    expect(wallet.creditLots[0].isExpired).toBe(true);
+
+    const res = await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'lots-spend-002')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '501', serviceId: 'item-2' })
+      .expect(422);
+    expect(res.body.error.code).toBe('INSUFFICIENT_FUNDS');
+  });
+
+  it('should sweep expired remainders back to the bonus pool with ledger entries', async () => {
+    const poolBefore = (await getWallet(IDS.bonusWallet)).balance;
+
+    expect(await expireCredits()).toBe(1);
+
+    const wallet = await getWallet(IDS.aliceWallet);
+    expect(wallet).toMatchObject({ balance: '500', availableBalance: '500', expiredBalance: '0', creditLots: [] });
+    expect((await getWallet(IDS.bonusWallet)).balance).toBe(String(Number(poolBefore) + 50));
+
+    const { rows: [txn] } = await query("SELECT * FROM transactions WHERE type = 'expiry'");
+    expect(txn).toMatchObject({ status: 'completed', source_wallet_id: IDS.aliceWallet, destination_wallet_id: IDS.bonusWallet });
+    const { rows: entries } = await query('SELECT wallet_id, entry_type, amount FROM ledger_entries WHERE transaction_id = $1', [txn.id]);
+    expect(entries).toEqual(expect.arrayContaining([
+      { wallet_id: IDS.aliceWallet, entry_type: 'debit', amount: '50.000000' },
+      { wallet_id: IDS.bonusWallet, entry_type: 'credit', amount: '50.000000' },
+    ]));
+
+    const verify = await request(app).get('/api/v1/admin/ledger/verify').set(AUTH).expect(200);
+    expect(verify.body.data.healthy).toBe(true);
+
+    const res = await request(app)
+      .post(`/api/v1/transactions/${txn.id}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'lots-reverse-expiry')
+      .send({ reason: 'swept_by_mistake' })
+      .expect(409);
+    expect(res.body.error.message).toBe('Expired credits cannot be reversed');
+  });
+
+  it('should sweep a lot once when sweeps run concurrently', async () => {
+    await expireLotsOf(IDS.bobWallet);
+
+    const results = await Promise.all([expireCredits(), expireCredits(), expireCredits()]);
+    expect(results.reduce((a, b) => a + b, 0)).toBe(1);
+    expect((await getWallet(IDS.bobWallet)).balance).toBe('100');
+  });
+
+  it('should default bonus expiry to the asset type, unless the request opts out', async () => {
+    await request(app)
+      .patch(`/api/v1/asset-types/${IDS.assetType}`)
+      .set(AUTH)
+      .send({ bonusExpiryDays: 30 })
+      .expect(200);
+
+    await bonus('lots-bonus-003', { amount: '20' }).expect(201);
+    await bonus('lots-bonus-004', { amount: '5', expiresInDays: null }).expect(201);
+
+    const { creditLots, expiringBalance } = await getWallet(IDS.aliceWallet);
+    expect(expiringBalance).toBe('20');
+    const days = (new Date(creditLots[0].expiresAt) - Date.now()) / 86_400_000;
+    expect(days).toBeGreaterThan(29.9);
+    expect(days).toBeLessThanOrEqual(30);
+  });
+
+  it('should take a reversed bonus out of its own lot', async () => {
+    const soon = await bonus('lots-bonus-005', { amount: '15', expiresInDays: 2 }).expect(201);
+    const { rows: [later] } = await query("SELECT id FROM transactions WHERE idempotency_key = 'lots-bonus-003'");
+
+    await request(app)
+      .post(`/api/v1/transactions/${later.id}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'lots-reverse-001')
+      .send({ reason: 'promo_cancelled' })
+      .expect(201);
+
+    const { creditLots } = await getWallet(IDS.aliceWallet);
+    expect(creditLots).toHaveLength(1);
+    expect(creditLots[0]).toMatchObject({ transactionId: soon.body.data.id, remaining: '15' });
+  });
+
+  it('should give a refunded bonus-funded spend back as credits that still expire', async () => {
+    const before = await getWallet(IDS.aliceWallet);
+    const [lot] = before.creditLots;
+
+    const spend = await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'lots-spend-003')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '10', serviceId: 'item-3' })
+      .expect(201);
+    const refund = await request(app)
+      .post(`/api/v1/transactions/${spend.body.data.id}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'lots-reverse-002')
+      .send({ reason: 'refund' })
+      .expect(201);
+
+    const after = await getWallet(IDS.aliceWallet);
+    expect(after).toMatchObject({ balance: before.balance, expiringBalance: '15' });
+    expect(after.creditLots).toEqual(expect.arrayContaining([
+      expect.objectContaining({ transactionId: lot.transactionId, remaining: '5', expiresAt: lot.expiresAt }),
+      expect.objectContaining({ transactionId: refund.body.data.id, remaining: '10', expiresAt: lot.expiresAt }),
+    ]));
+
+    await expireLotsOf(IDS.aliceWallet);
+    expect(await expireCredits()).toBe(2);
+    expect((await getWallet(IDS.aliceWallet)).balance).toBe(String(Number(before.balance) - 15));
+  });
+
+  it('should reverse a bonus whose lot has expired but not been swept yet', async () => {
+    const granted = await bonus('lots-bonus-bob-001', { walletId: IDS.bobWallet, amount: '30', expiresInDays: 1 }).expect(201);
+    await expireLotsOf(IDS.bobWallet);
+    await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'lots-spend-bob-001')
+      .send({ walletId: IDS.bobWallet, systemWalletId: IDS.revenueWallet, amount: '100', serviceId: 'item-4' })
+      .expect(201);
+    expect(await getWallet(IDS.bobWallet)).toMatchObject({ balance: '30', availableBalance: '0', expiredBalance: '30' });
+
+    await request(app)
+      .post(`/api/v1/transactions/${granted.body.data.id}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'lots-reverse-bob-001')
+      .send({ reason: 'promo_cancelled' })
+      .expect(201);
+    expect(await getWallet(IDS.bobWallet)).toMatchObject({ balance: '0', expiredBalance: '0', creditLots: [] });
+  });
+});
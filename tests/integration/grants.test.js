@@ -0,0 +1,153 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { runDueGrants } from '../../src/services/grant.service.js';
+import { nextOccurrence } from '../../src/utils/cron.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, API_KEYS, query } from '../helpers/db.js';
+
+const ALICE_OWNER = '11111111-1111-1111-1111-111111111111';
+const BOB_OWNER   = '33333333-3333-3333-3333-333333333333';
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+const balanceOf = async (walletId) => {
+  const { rows: [wallet] } = await query('SELECT balance FROM wallets WHERE id = $1', [walletId]);
+  return Number(wallet.balance);
+};
+
+// Make a schedule's next occurrence due now
+const makeDue = (scheduleId) => query(
+  "UPDATE grant_schedules SET next_run_at = NOW() - INTERVAL '1 minute' WHERE id = $1",
+  [scheduleId],
+);
+
+const createSchedule = (body) => request(app)
+  .post('/api/v1/grant-schedules')
+  .set(AUTH)
+  .send({ systemWalletId: IDS.bonusWallet, amount: '10', reason: 'daily_login', ...body });
+
+describe('Cron expressions', () => {
+  const at = (iso) => new Date(iso);
+
+  it('should find the next matching minute in UTC', () => {
+    expect(nextOccurrence('0 0 * * *', at('2026-03-14T10:30:00Z'))).toEqual(at('2026-03-15T00:00:00Z'));
+    expect(nextOccurrence('*/15 * * * *', at('2026-03-14T10:30:00Z'))).toEqual(at('2026-03-14T10:45:00Z'));
+    expect(nextOccurrence('0 9 * * 1-5', at('2026-03-14T10:30:00Z'))).toEqual(at('2026-03-16T09:00:00Z'));
+    expect(nextOccurrence('@monthly', at('2026-12-31T23:59:00Z'))).toEqual(at('2027-01-01T00:00:00Z'));
+  });
+
+  it('should match either day field when both are restricted', () => {
+    // The 20th, or any Sunday
+    expect(nextOccurrence('0 0 20 * 0', at('2026-03-14T00:00:00Z'))).toEqual(at('2026-03-15T00:00:00Z'));
+  });
+
+  it('should reject malformed expressions and never-matching ones', () => {
+    expect(() => nextOccurrence('0 0 * *', new Date())).toThrow(RangeError);
+    expect(() => nextOccurrence('61 * * * *', new Date())).toThrow(RangeError);
+    expect(nextOccurrence('0 0 30 2 *', new Date())).toBeNull();
+  });
+});
+
+describe('Grant schedules', () => {
+  let aliceSchedule;
+  let ownerSchedule;
+
+  it('should reject an invalid cron expression', async () => {
+    const res = await createSchedule({ name: 'Broken', schedule: '0 25 * * *', walletId: IDS.aliceWallet }).expect(422);
+    expect(res.body.error.details[0].field).toBe('schedule');
+  });
+
+  it('should create a schedule due at its next occurrence', async () => {
+    const res = await createSchedule({ name: 'Daily login', schedule: '0 0 * * *', walletId: IDS.aliceWallet }).expect(201);
+    aliceSchedule = res.body.data;
+
+    expect(aliceSchedule).toMatchObject({ walletId: IDS.aliceWallet, amount: '10', isActive: true });
+    expect(new Date(aliceSchedule.nextRunAt)).toEqual(nextOccurrence('0 0 * * *', new Date()));
+  });
+
+  it('should pay an occurrence once when several instances run the scheduler', async () => {
+    await makeDue(aliceSchedule.id);
+
+    await Promise.all([runDueGrants(), runDueGrants(), runDueGrants()]);
+
+    expect(await balanceOf(IDS.aliceWallet)).toBe(510);
+    const { rows: runs } = await query('SELECT * FROM grant_runs WHERE schedule_id = $1', [aliceSchedule.id]);
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({ status: 'completed', wallet_count: 1, granted_count: 1 });
+
+    const { rows: [schedule] } = await query('SELECT next_run_at FROM grant_schedules WHERE id = $1', [aliceSchedule.id]);
+    expect(schedule.next_run_at.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should not pay again when a crashed run is resumed', async () => {
+    // The worker died mid-run and its lease has run out
+    await query(
+      "UPDATE grant_runs SET status = 'running', lease_expires_at = NOW() - INTERVAL '1 second' WHERE schedule_id = $1",
+      [aliceSchedule.id],
+    );
+
+    const result = await runDueGrants();
+    expect(result).toMatchObject({ runs: 1, granted: 1, failed: 0 });
+
+    expect(await balanceOf(IDS.aliceWallet)).toBe(510);
+    const { rows } = await query("SELECT idempotency_key FROM transactions WHERE idempotency_key LIKE 'grant:%'");
+    expect(rows).toHaveLength(1);
+    expect(rows[0].idempotency_key).toMatch(new RegExp(`^grant:${aliceSchedule.id}:.+:${IDS.aliceWallet}$`));
+  });
+
+  it('should pay each owner\'s wallet and record the ones that fail', async () => {
+    const res = await createSchedule({
+      name: 'Subscription credits',
+      schedule: '0 0 1 * *',
+      ownerIds: [ALICE_OWNER, BOB_OWNER],
+      assetTypeId: IDS.assetType,
+      amount: '25',
+      reason: 'subscription',
+    }).expect(201);
+    ownerSchedule = res.body.data;
+
+    await query("UPDATE wallets SET status = 'frozen' WHERE id = $1", [IDS.bobWallet]);
+    await makeDue(ownerSchedule.id);
+    await runDueGrants();
+    await query("UPDATE wallets SET status = 'active' WHERE id = $1", [IDS.bobWallet]);
+
+    expect(await balanceOf(IDS.aliceWallet)).toBe(535);
+    expect(await balanceOf(IDS.bobWallet)).toBe(100);
+
+    const runs = await request(app)
+      .get(`/api/v1/grant-schedules/${ownerSchedule.id}/runs`)
+      .set(AUTH)
+      .expect(200);
+    expect(runs.body.data).toHaveLength(1);
+    expect(runs.body.data[0]).toMatchObject({
+      status: 'partial', amount: '25', walletCount: 2, grantedCount: 1, failedCount: 1,
+      failures: [{ walletId: IDS.bobWallet, code: 'CONFLICT' }],
+    });
+  });
+
+  it('should not run a paused schedule', async () => {
+    const res = await request(app)
+      .patch(`/api/v1/grant-schedules/${aliceSchedule.id}`)
+      .set(AUTH)
+      .send({ isActive: false })
+      .expect(200);
+    expect(res.body.data).toMatchObject({ isActive: false, nextRunAt: null });
+
+    await makeDue(aliceSchedule.id);
+    expect(await runDueGrants()).toMatchObject({ runs: 0 });
+    expect(await balanceOf(IDS.aliceWallet)).toBe(535);
+  });
+
+  it('should require the grants:manage scope', async () => {
+    await request(app)
+      .get('/api/v1/grant-schedules')
+      .set('X-API-Key', API_KEYS.reader)
+      .expect(403);
+  });
+});
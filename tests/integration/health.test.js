@@ -0,0 +1,97 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { startDraining } from '../../src/config/lifecycle.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+const insertSchedule = (name, systemWalletId) => query(
+  `INSERT INTO grant_schedules (name, schedule, wallet_id, system_wallet_id, amount, reason, next_run_at)
+   VALUES ($1, '0 0 * * *', $2, $3, 10, 'daily_login', NOW() + INTERVAL '1 day')`,
+  [name, IDS.aliceWallet, systemWalletId],
+);
+
+describe('Liveness', () => {
+  it('should answer at the root and under /api/v1 without an API key', async () => {
+    const res = await request(app).get('/health/live').expect(200);
+    expect(res.body).toMatchObject({ success: true, status: 'alive' });
+    await request(app).get('/api/v1/health/live').expect(200);
+  });
+});
+
+describe('Readiness', () => {
+  it('should report every check passing', async () => {
+    const res = await request(app).get('/health/ready').expect(200);
+    expect(res.body).toMatchObject({ success: true, status: 'ready', ready: true });
+    expect(Object.keys(res.body.checks)).toEqual(['database', 'migrations', 'pool', 'systemWallets', 'draining']);
+    for (const check of Object.values(res.body.checks)) expect(check.status).toBe('pass');
+    expect(res.body.checks.migrations).toMatchObject({ pending: [], unknown: [] });
+    expect(res.body.checks.pool).toMatchObject({ waiting: 0 });
+  });
+
+  it('should fail on a pending migration, but not on one from a newer release', async () => {
+    const { rows: [last] } = await query('SELECT filename FROM schema_migrations ORDER BY filename DESC LIMIT 1');
+    await query('DELETE FROM schema_migrations WHERE filename = $1', [last.filename]);
+    await query("INSERT INTO schema_migrations (filename) VALUES ('999_from_a_newer_release.sql')");
+    try {
+      const res = await request(app).get('/health/ready').expect(503);
+      expect(res.body.checks.migrations).toMatchObject({
+        status: 'fail',
+        pending: [last.filename],
+        unknown: ['999_from_a_newer_release.sql'],
+      });
+
+      await query('INSERT INTO schema_migrations (filename) VALUES ($1)', [last.filename]);
+      const ready = await request(app).get('/health/ready').expect(200);
+      expect(ready.body.checks.migrations.unknown).toEqual(['999_from_a_newer_release.sql']);
+    } finally {
+      await query("DELETE FROM schema_migrations WHERE filename = '999_from_a_newer_release.sql'");
+      await query('INSERT INTO schema_migrations (filename) VALUES ($1) ON CONFLICT DO NOTHING', [last.filename]);
+    }
+  });
+
+  it('should fail when a configured system wallet is inactive or not a system wallet', async () => {
+    await insertSchedule('Daily bonus', IDS.bonusWallet);
+    await request(app).get('/health/ready').expect(200);
+
+    await insertSchedule('Misconfigured', IDS.bobWallet);
+    await query("UPDATE wallets SET status = 'frozen' WHERE id = $1", [IDS.bonusWallet]);
+
+    const res = await request(app).get('/health/ready').expect(503);
+    expect(res.body.checks.systemWallets).toMatchObject({ status: 'fail', checked: 2 });
+    expect(res.body.checks.systemWallets.problems).toEqual(expect.arrayContaining([
+      { walletId: IDS.bonusWallet, referencedBy: 'grant schedule Daily bonus', problem: 'inactive' },
+      { walletId: IDS.bobWallet, referencedBy: 'grant schedule Misconfigured', problem: 'not a system wallet' },
+    ]));
+
+    await query("UPDATE wallets SET status = 'active' WHERE id = $1", [IDS.bonusWallet]);
+    await query("UPDATE grant_schedules SET is_active = FALSE WHERE name = 'Misconfigured'");
+    await request(app).get('/health/ready').expect(200);
+  });
+
+  it('should stop being ready and take no new mutations once the process is draining', async () => {
+    startDraining();
+    const res = await request(app).get('/api/v1/health/ready').expect(503);
+    expect(res.body).toMatchObject({ success: false, status: 'not_ready' });
+    expect(res.body.checks.draining).toEqual({ status: 'fail', draining: true });
+
+    // Liveness and reads are unaffected; new mutations are turned away
+    await request(app).get('/health/live').expect(200);
+    await request(app).get(`/api/v1/wallets/${IDS.aliceWallet}`).set(AUTH).expect(200);
+
+    const spend = await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '10', serviceId: 'sword-001' })
+      .expect(503);
+    expect(spend.body.error.code).toBe('SERVICE_UNAVAILABLE');
+    expect(spend.headers['retry-after']).toBe('1');
+  });
+});
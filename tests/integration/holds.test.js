@@ -0,0 +1,114 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { expireHolds } from '../../src/services/transaction.service.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+const placeHold = (key, body = {}) =>
+  request(app)
+    .post('/api/v1/transactions/holds')
+    .set(AUTH)
+    .set('Idempotency-Key', key)
+    .send({
+      walletId:       IDS.aliceWallet,
+      systemWalletId: IDS.revenueWallet,
+      amount:         300,
+      serviceId:      'async-purchase',
+      ...body,
+    });
+
+const balances = async () => {
+  const res = await request(app).get(`/api/v1/wallets/${IDS.aliceWallet}/balance`).set(AUTH).expect(200);
+  return res.body.data;
+};
+
+describe('Authorization holds', () => {
+  let holdId;
+
+  it('should reserve funds without moving them', async () => {
+    const res = await placeHold('hold-test-001').expect(201);
+    holdId = res.body.data.id;
+
+    expect(res.body.data.type).toBe('hold');
+    expect(res.body.data.status).toBe('authorized');
+    expect(res.body.data.expiresAt).toBeDefined();
+
+    const data = await balances();
+    expect(data.ledgerBalance).toBe('500');
+    expect(data.availableBalance).toBe('200');
+    expect(data.heldBalance).toBe('300');
+  });
+
+  it('should make spend respect outstanding holds', async () => {
+    const res = await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'hold-spend-over-available')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: 250, serviceId: 'x' })
+      .expect(422);
+    expect(res.body.error.code).toBe('INSUFFICIENT_FUNDS');
+  });
+
+  it('should partially capture a hold and release the remainder', async () => {
+    const res = await request(app)
+      .post(`/api/v1/transactions/holds/${holdId}/capture`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'hold-capture-001')
+      .send({ amount: 200 })
+      .expect(200);
+
+    expect(res.body.data.status).toBe('captured');
+    expect(res.body.data.capturedAmount).toBe('200');
+
+    const data = await balances();
+    expect(data.ledgerBalance).toBe('300');
+    expect(data.availableBalance).toBe('300');
+
+    const { rows } = await query('SELECT balance FROM wallets WHERE id = $1', [IDS.revenueWallet]);
+    expect(parseFloat(rows[0].balance)).toBe(200);
+  });
+
+  it('should refuse to void or capture a hold twice', async () => {
+    await request(app).post(`/api/v1/transactions/holds/${holdId}/void`).set(AUTH).send({}).expect(409);
+    await request(app).post(`/api/v1/transactions/holds/${holdId}/capture`).set(AUTH).send({}).expect(409);
+  });
+
+  it('should void a hold and restore the available balance', async () => {
+    const res = await placeHold('hold-test-002', { amount: 100 }).expect(201);
+    expect((await balances()).availableBalance).toBe('200');
+
+    const voided = await request(app)
+      .post(`/api/v1/transactions/holds/${res.body.data.id}/void`)
+      .set(AUTH)
+      .send({ reason: 'payment_declined' })
+      .expect(200);
+    expect(voided.body.data.status).toBe('voided');
+    expect((await balances()).availableBalance).toBe('300');
+  });
+
+  it('should stop counting a hold once its TTL elapses and expire it', async () => {
+    const res = await placeHold('hold-test-003', { amount: 50, ttlSeconds: 1 }).expect(201);
+    expect((await balances()).availableBalance).toBe('250');
+
+    await new Promise((r) => setTimeout(r, 1100));
+    expect((await balances()).availableBalance).toBe('300');
+
+    await request(app)
+      .post(`/api/v1/transactions/holds/${res.body.data.id}/capture`)
+      .set(AUTH)
+      .send({})
+      .expect(409);
+
+    expect(await expireHolds()).toBe(1);
+    const { rows } = await query('SELECT status FROM transactions WHERE id = $1', [res.body.data.id]);
+    expect(rows[0].status).toBe('expired');
+  });
+});
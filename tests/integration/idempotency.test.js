@@ -0,0 +1,112 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, API_KEYS, query } from '../helpers/db.js';
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+  // The reader client doubles as a second caller that may top up
+  await query("UPDATE api_clients SET scopes = '{wallets:read,transactions:topup}' WHERE id = $1", [IDS.readerClient]);
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+const topup = (key, body, apiKey = API_KEYS.admin) => request(app)
+  .post('/api/v1/transactions/topup')
+  .set('X-API-Key', apiKey)
+  .set('Idempotency-Key', key)
+  .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.treasuryWallet, amount: '10', referenceId: `pay-${key}`, ...body });
+
+const countTransactions = async (key) => {
+  const { rows: [row] } = await query('SELECT COUNT(*)::INT AS count FROM transactions WHERE idempotency_key = $1', [key]);
+  return row.count;
+};
+
+describe('Idempotency keys', () => {
+  it('should replay the stored response for the same request, whatever the field order', async () => {
+    const first = await topup('idem-001', {}).expect(201);
+
+    const replay = await request(app)
+      .post('/api/v1/transactions/topup')
+      .set(AUTH)
+      .set('Idempotency-Key', 'idem-001')
+      .send({ referenceId: 'pay-idem-001', amount: '10.0', systemWalletId: IDS.treasuryWallet, walletId: IDS.aliceWallet })
+      .expect(201);
+
+    expect(replay.headers['x-idempotency-replayed']).toBe('true');
+    expect(replay.body.data.id).toBe(first.body.data.id);
+    expect(await countTransactions('idem-001')).toBe(1);
+  });
+
+  it('should reject a key reused with a different body or on another endpoint', async () => {
+    await topup('idem-002', { amount: '10' }).expect(201);
+
+    const res = await topup('idem-002', { amount: '20' }).expect(422);
+    expect(res.body.error.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+
+    await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'idem-002')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '10', serviceId: 'sword-001' })
+      .expect(422);
+
+    expect(await countTransactions('idem-002')).toBe(1);
+  });
+
+  it('should turn away a duplicate while the first request is in progress', async () => {
+    const [first, second] = await Promise.all([
+      topup('idem-003', {}),
+      topup('idem-003', {}),
+    ]);
+
+    // Either the duplicate arrived mid-flight (409) or after completion (replayed)
+    const statuses = [first.status, second.status].sort();
+    expect(statuses[0]).toBe(201);
+    if (statuses[1] === 409) {
+      const conflict = first.status === 409 ? first : second;
+      expect(conflict.body.error.code).toBe('IDEMPOTENCY_CONFLICT');
+    } else {
+      expect(statuses[1]).toBe(201);
+    }
+    expect(await countTransactions('idem-003')).toBe(1);
+  });
+
+  it('should answer 409 for a marker still held, and let a retry take over a lapsed one', async () => {
+    await topup('idem-004', {}).expect(201);
+    await query(
+      `UPDATE idempotency_keys
+       SET status = 'in_progress', response_status = NULL, response_body = NULL, locked_until = NOW() + INTERVAL '1 minute'
+       WHERE key = 'idem-004'`,
+    );
+
+    const held = await topup('idem-004', {}).expect(409);
+    expect(held.body.error.code).toBe('IDEMPOTENCY_CONFLICT');
+
+    await query("UPDATE idempotency_keys SET locked_until = NOW() - INTERVAL '1 second' WHERE key = 'idem-004'");
+    // The handler runs again; the transaction it had already posted is returned, not doubled
+    const retried = await topup('idem-004', {}).expect(201);
+    expect(retried.headers['x-idempotency-replayed']).toBeUndefined();
+    expect(await countTransactions('idem-004')).toBe(1);
+
+    const { rows: [stored] } = await query("SELECT status, response_status FROM idempotency_keys WHERE key = 'idem-004'");
+    expect(stored).toEqual({ status: 'completed', response_status: 201 });
+  });
+
+  it('should scope keys to the API client', async () => {
+    const admin  = await topup('idem-005', { amount: '5' }).expect(201);
+    const reader = await topup('idem-005', { amount: '7' }, API_KEYS.reader).expect(201);
+
+    expect(reader.headers['x-idempotency-replayed']).toBeUndefined();
+    expect(reader.body.data.id).not.toBe(admin.body.data.id);
+    expect(reader.body.data.amount).toBe('7');
+    expect(await countTransactions('idem-005')).toBe(2);
+  });
+
+  it('should not store failed validation, so the request can be corrected', async () => {
+    await topup('idem-006', { amount: '-5' }).expect(422);
+    await topup('idem-006', { amount: '5' }).expect(201);
+  });
+});
@@ -0,0 +1,122 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+const balanceOf = async (walletId) => {
+  const { rows } = await query('SELECT balance FROM wallets WHERE id = $1', [walletId]);
+  return parseFloat(rows[0].balance);
+};
+
+describe('POST /api/v1/transactions/journal', () => {
+  // Alice buys a creator item: 70 to revenue, 20 to the creator (Bob), 10 fee to the bonus pool
+  const splitLegs = [
+    { walletId: IDS.aliceWallet,   entryType: 'debit',  amount: 100 },
+    { walletId: IDS.revenueWallet, entryType: 'credit', amount: 70 },
+    { walletId: IDS.bobWallet,     entryType: 'credit', amount: 20 },
+    { walletId: IDS.bonusWallet,   entryType: 'credit', amount: 10 },
+  ];
+  let journalId;
+
+  it('should post every leg atomically with one ledger entry per leg', async () => {
+    const res = await request(app)
+      .post('/api/v1/transactions/journal')
+      .set(AUTH)
+      .set('Idempotency-Key', 'journal-test-001')
+      .send({ legs: splitLegs, referenceId: 'order-42', description: 'Creator item purchase' })
+      .expect(201);
+
+    journalId = res.body.data.id;
+    expect(res.body.data.type).toBe('journal');
+    expect(res.body.data.status).toBe('completed');
+    expect(res.body.data.amount).toBe('100');
+
+    expect(await balanceOf(IDS.aliceWallet)).toBe(400);
+    expect(await balanceOf(IDS.revenueWallet)).toBe(70);
+    expect(await balanceOf(IDS.bobWallet)).toBe(120);
+    expect(await balanceOf(IDS.bonusWallet)).toBe(500_010);
+
+    const { rows } = await query(
+      'SELECT COUNT(*) AS cnt FROM ledger_entries WHERE transaction_id = $1',
+      [journalId],
+    );
+    expect(parseInt(rows[0].cnt)).toBe(4);
+  });
+
+  it('should reject legs that do not balance', async () => {
+    const res = await request(app)
+      .post('/api/v1/transactions/journal')
+      .set(AUTH)
+      .set('Idempotency-Key', 'journal-unbalanced')
+      .send({
+        legs: [
+          { walletId: IDS.aliceWallet,   entryType: 'debit',  amount: 50 },
+          { walletId: IDS.revenueWallet, entryType: 'credit', amount: 49.999999 },
+        ],
+      })
+      .expect(422);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    expect(await balanceOf(IDS.aliceWallet)).toBe(400);
+  });
+
+  it('should roll back every leg when one wallet lacks funds', async () => {
+    const res = await request(app)
+      .post('/api/v1/transactions/journal')
+      .set(AUTH)
+      .set('Idempotency-Key', 'journal-overdraw')
+      .send({
+        legs: [
+          { walletId: IDS.aliceWallet,   entryType: 'debit',  amount: 10 },
+          { walletId: IDS.bobWallet,     entryType: 'debit',  amount: 1_000 },
+          { walletId: IDS.revenueWallet, entryType: 'credit', amount: 1_010 },
+        ],
+      })
+      .expect(422);
+    expect(res.body.error.code).toBe('INSUFFICIENT_FUNDS');
+    expect(await balanceOf(IDS.aliceWallet)).toBe(400);
+    expect(await balanceOf(IDS.revenueWallet)).toBe(70);
+  });
+
+  it('should return 404 when any wallet does not exist', async () => {
+    await request(app)
+      .post('/api/v1/transactions/journal')
+      .set(AUTH)
+      .set('Idempotency-Key', 'journal-missing-wallet')
+      .send({
+        legs: [
+          { walletId: IDS.aliceWallet,                      entryType: 'debit',  amount: 10 },
+          { walletId: '00000000-0000-0000-0000-000000000000', entryType: 'credit', amount: 10 },
+        ],
+      })
+      .expect(404);
+  });
+
+  it('should reverse a journal in full', async () => {
+    await request(app)
+      .post(`/api/v1/transactions/${journalId}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'journal-reverse-partial')
+      .send({ amount: 10, reason: 'refund' })
+      .expect(409);
+
+    await request(app)
+      .post(`/api/v1/transactions/${journalId}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'journal-reverse-001')
+      .send({ reason: 'refund' })
+      .expect(201);
+
+    expect(await balanceOf(IDS.aliceWallet)).toBe(500);
+    expect(await balanceOf(IDS.revenueWallet)).toBe(0);
+    expect(await balanceOf(IDS.bobWallet)).toBe(100);
+    expect(await balanceOf(IDS.bonusWallet)).toBe(500_000);
+  });
+});
@@ -0,0 +1,138 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { transfer } from '../../src/services/transaction.service.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
+
+let bobOwnerId;
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+  ({ rows: [{ owner_id: bobOwnerId }] } = await query('SELECT owner_id FROM wallets WHERE id = $1', [IDS.bobWallet]));
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+const spend = (walletId, amount, key) => request(app)
+  .post('/api/v1/transactions/spend')
+  .set(AUTH)
+  .set('Idempotency-Key', key)
+  .send({ walletId, systemWalletId: IDS.revenueWallet, amount, serviceId: 'item-1' });
+
+const topup = (amount, key) => request(app)
+  .post('/api/v1/transactions/topup')
+  .set(AUTH)
+  .set('Idempotency-Key', key)
+  .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.treasuryWallet, amount, referenceId: key });
+
+describe('Spending limits', () => {
+  let aliceLimitId;
+
+  it('should require exactly one of walletId or ownerId', async () => {
+    const res = await request(app)
+      .post('/api/v1/admin/limits')
+      .set(AUTH)
+      .send({ walletId: IDS.aliceWallet, ownerId: bobOwnerId, period: 'daily', maxCount: 1 })
+      .expect(422);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should cap the amount spent per period, counting authorized holds', async () => {
+    const created = await request(app)
+      .post('/api/v1/admin/limits')
+      .set(AUTH)
+      .send({ walletId: IDS.aliceWallet, period: 'daily', maxAmount: '50' })
+      .expect(201);
+    aliceLimitId = created.body.data.id;
+    expect(created.body.data).toMatchObject({ walletId: IDS.aliceWallet, period: 'daily', maxAmount: '50', maxCount: null });
+
+    await spend(IDS.aliceWallet, '30', 'limits-spend-001').expect(201);
+
+    const res = await spend(IDS.aliceWallet, '25', 'limits-spend-002').expect(422);
+    expect(res.body.error.code).toBe('LIMIT_EXCEEDED');
+    expect(res.body.error.details).toMatchObject({
+      limit: 'spend_amount', scope: 'wallet', period: 'daily', max: '50', used: '30', requested: '25',
+    });
+
+    await request(app)
+      .post('/api/v1/transactions/holds')
+      .set(AUTH)
+      .set('Idempotency-Key', 'limits-hold-001')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '20', serviceId: 'item-2' })
+      .expect(201);
+
+    const afterHold = await spend(IDS.aliceWallet, '1', 'limits-spend-003').expect(422);
+    expect(afterHold.body.error.details.used).toBe('50');
+  });
+
+  it('should cap the number of spends across all of an owner\'s wallets', async () => {
+    await query(
+      "INSERT INTO spending_limits (owner_id, period, max_count) VALUES ($1, 'weekly', 2)",
+      [bobOwnerId],
+    );
+
+    await spend(IDS.bobWallet, '1', 'limits-bob-001').expect(201);
+    await spend(IDS.bobWallet, '1', 'limits-bob-002').expect(201);
+
+    const res = await spend(IDS.bobWallet, '1', 'limits-bob-003').expect(422);
+    expect(res.body.error.details).toMatchObject({ limit: 'spend_count', scope: 'owner', maxCount: 2, usedCount: 2 });
+  });
+
+  it('should not let concurrent spends slip past a limit', async () => {
+    const { rows: [limit] } = await query('SELECT id FROM spending_limits WHERE owner_id = $1', [bobOwnerId]);
+    await request(app)
+      .patch(`/api/v1/admin/limits/${limit.id}`)
+      .set(AUTH)
+      .send({ maxCount: 3 })
+      .expect(200);
+
+    // Room for exactly one more
+    const results = await Promise.all(
+      [1, 2, 3, 4].map((i) => spend(IDS.bobWallet, '1', `limits-bob-concurrent-${i}`)),
+    );
+    expect(results.filter((r) => r.status === 201)).toHaveLength(1);
+    expect(results.filter((r) => r.body.error?.code === 'LIMIT_EXCEEDED')).toHaveLength(3);
+  });
+
+  it('should enforce the asset type\'s max transaction amount and max balance', async () => {
+    await request(app)
+      .patch(`/api/v1/asset-types/${IDS.assetType}`)
+      .set(AUTH)
+      .send({ maxTransactionAmount: '100', maxBalance: '600' })
+      .expect(200);
+
+    const tooLarge = await topup('150', 'limits-topup-001').expect(422);
+    expect(tooLarge.body.error.details).toMatchObject({ limit: 'max_transaction_amount', max: '100', requested: '150' });
+
+    // Alice has 470 after her 30 spend
+    await topup('100', 'limits-topup-002').expect(201);
+
+    const overCeiling = await topup('50', 'limits-topup-003').expect(422);
+    expect(overCeiling.body.error.details).toMatchObject({ limit: 'max_balance', max: '600', balance: '570' });
+  });
+
+  it('should remove a limit', async () => {
+    await request(app).delete(`/api/v1/admin/limits/${aliceLimitId}`).set(AUTH).expect(204);
+
+    const res = await request(app).get(`/api/v1/admin/limits?walletId=${IDS.aliceWallet}`).set(AUTH).expect(200);
+    expect(res.body.data).toEqual([]);
+  });
+
+  it('should limit transfers and count them towards spend limits', async () => {
+    // Alice has used 50 today: her 30 spend and 20 hold
+    await query(
+      "INSERT INTO spending_limits (wallet_id, period, max_amount) VALUES ($1, 'daily', 60)",
+      [IDS.aliceWallet],
+    );
+
+    await transfer({ fromWalletId: IDS.aliceWallet, toWalletId: IDS.bobWallet, amount: '10' });
+
+    await expect(transfer({ fromWalletId: IDS.aliceWallet, toWalletId: IDS.bobWallet, amount: '1' }))
+      .rejects.toMatchObject({
+        code: 'LIMIT_EXCEEDED',
+        details: { limit: 'spend_amount', scope: 'wallet', max: '60', used: '60', requested: '1' },
+      });
+  });
+});
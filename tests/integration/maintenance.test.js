@@ -0,0 +1,75 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { runMaintenance, MAINTENANCE_LOCK_KEY } from '../../src/services/maintenance.service.js';
+import { resetDb, seedTestData, closeDb, db, IDS, AUTH, query } from '../helpers/db.js';
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+// Completed keys for the admin client, expired `hoursAgo` hours ago
+const insertKeys = (prefix, count, hoursAgo) => query(
+  `INSERT INTO idempotency_keys
+     (key, api_client_id, request_path, request_hash, status, response_status, response_body, created_at, expires_at)
+   SELECT $1 || n, $2, '/api/v1/transactions/topup', repeat('0', 64), 'completed', 201, '{}',
+          NOW() - make_interval(hours => $4 + 24), NOW() - make_interval(hours => $4)
+   FROM generate_series(1, $3) AS n`,
+  [prefix, IDS.adminClient, count, hoursAgo],
+);
+
+const remaining = async (prefix) => {
+  const { rows: [row] } = await query('SELECT COUNT(*)::INT AS count FROM idempotency_keys WHERE key LIKE $1', [`${prefix}%`]);
+  return row.count;
+};
+
+describe('Idempotency key purge', () => {
+  it('should purge expired keys in bounded batches, keeping live and retained ones', async () => {
+    await insertKeys('old-', 7, 48);
+    await insertKeys('recent-', 2, 1);
+    await query(
+      `INSERT INTO idempotency_keys (key, api_client_id, request_path, request_hash, status, locked_until, expires_at)
+       VALUES ('live', $1, '/api/v1/transactions/topup', repeat('0', 64), 'in_progress', NOW(), NOW() + INTERVAL '1 hour')`,
+      [IDS.adminClient],
+    );
+
+    // Keep keys for 24h past expiry; two batches of three per run
+    const first = await runMaintenance({ retentionHours: 24, batchSize: 3, maxBatches: 2 });
+    expect(first).toEqual({ skipped: false, idempotencyKeysPurged: 6 });
+    expect(await remaining('old-')).toBe(1);
+
+    const second = await runMaintenance({ retentionHours: 24, batchSize: 3, maxBatches: 2 });
+    expect(second.idempotencyKeysPurged).toBe(1);
+    expect(await remaining('old-')).toBe(0);
+    expect(await remaining('recent-')).toBe(2);
+
+    await runMaintenance({ retentionHours: 0 });
+    expect(await remaining('recent-')).toBe(0);
+    expect(await remaining('live')).toBe(1);
+  });
+
+  it('should skip the run while another instance holds the lock', async () => {
+    await insertKeys('locked-', 2, 48);
+    const other = await db.connect();
+    try {
+      await other.query('SELECT pg_advisory_lock($1)', [MAINTENANCE_LOCK_KEY]);
+      expect(await runMaintenance()).toEqual({ skipped: true, idempotencyKeysPurged: 0 });
+      expect(await remaining('locked-')).toBe(2);
+    } finally {
+      await other.query('SELECT pg_advisory_unlock($1)', [MAINTENANCE_LOCK_KEY]);
+      other.release();
+    }
+
+    expect((await runMaintenance()).idempotencyKeysPurged).toBe(2);
+  });
+
+  it('should report the counters to admins', async () => {
+    const res = await request(app).get('/api/v1/admin/maintenance').set(AUTH).expect(200);
+    expect(res.body.data).toMatchObject({ runs: 4, skippedRuns: 1, idempotencyKeysPurged: 11, lastRunPurged: 2 });
+    expect(res.body.data.lastRunAt).toEqual(expect.any(String));
+  });
+});
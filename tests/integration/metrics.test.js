@@ -0,0 +1,71 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH } from '../helpers/db.js';
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+const post = (path, key, body) => request(app)
+  .post(`/api/v1/transactions/${path}`)
+  .set(AUTH)
+  .set('Idempotency-Key', key)
+  .send(body);
+
+// Value of the sample of `name` carrying all of `labels`, or undefined
+function sample(text, name, labels = {}) {
+  const line = text.split('\n').find((l) =>
+    (l.startsWith(`${name}{`) || l.startsWith(`${name} `))
+    && Object.entries(labels).every(([k, v]) => l.includes(`${k}="${v}"`)));
+  return line === undefined ? undefined : Number(line.slice(line.lastIndexOf(' ') + 1));
+}
+
+describe('GET /metrics', () => {
+  let text;
+
+  beforeAll(async () => {
+    const topup = { walletId: IDS.aliceWallet, systemWalletId: IDS.treasuryWallet, amount: '50', referenceId: 'pay-001' };
+    await post('topup', 'metrics-topup-001', topup).expect(201);
+    await post('topup', 'metrics-topup-001', topup).expect(201); // replayed
+    await post('bonus', 'metrics-bonus-001', {
+      walletId: IDS.aliceWallet, systemWalletId: IDS.bonusWallet, amount: '5', reason: 'referral',
+    }).expect(201);
+    await post('spend', 'metrics-spend-001', {
+      walletId: IDS.bobWallet, systemWalletId: IDS.revenueWallet, amount: '1000', serviceId: 'sword-001',
+    }).expect(422);
+    await request(app).get(`/api/v1/wallets/${IDS.aliceWallet}`).set(AUTH).expect(200);
+
+    const res = await request(app).get('/metrics').expect(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    text = res.text;
+  });
+
+  it('should count completed and failed flows by asset type', () => {
+    expect(sample(text, 'wallet_transactions_total', { type: 'topup', asset_type: 'TC', status: 'completed' })).toBe(1);
+    expect(sample(text, 'wallet_transactions_total', { type: 'bonus', asset_type: 'TC', status: 'completed' })).toBe(1);
+    expect(sample(text, 'wallet_transactions_total', { type: 'spend', asset_type: 'TC', status: 'failed' })).toBe(1);
+    expect(sample(text, 'wallet_insufficient_funds_total', { type: 'spend', asset_type: 'TC' })).toBe(1);
+    expect(sample(text, 'wallet_idempotency_replays_total', { layer: 'http' })).toBe(1);
+  });
+
+  it('should record latency per route template', () => {
+    expect(sample(text, 'http_request_duration_seconds_count', {
+      method: 'POST', route: '/api/v1/transactions/topup', status_code: '201',
+    })).toBe(2);
+    expect(sample(text, 'http_request_duration_seconds_count', {
+      method: 'GET', route: '/api/v1/wallets/:id', status_code: '200',
+    })).toBe(1);
+  });
+
+  it('should report lock waits and pg pool stats', () => {
+    expect(sample(text, 'wallet_lock_wait_seconds_count', { wallets: '2' })).toBe(3);
+    expect(sample(text, 'pg_pool_clients_total')).toBeGreaterThan(0);
+    expect(sample(text, 'pg_pool_clients_idle')).toEqual(expect.any(Number));
+    expect(sample(text, 'pg_pool_clients_waiting')).toBe(0);
+  });
+});
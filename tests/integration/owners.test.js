@@ -0,0 +1,107 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, API_KEYS, query } from '../helpers/db.js';
+
+const ALICE_OWNER = '11111111-1111-1111-1111-111111111111';
+const GEMS = {
+  assetType:   'abababab-abab-abab-abab-abababababab',
+  aliceWallet: 'adadadad-adad-adad-adad-adadadadadad',
+};
+
+const post = (path, key, body) => request(app)
+  .post(`/api/v1/transactions/${path}`)
+  .set(AUTH)
+  .set('Idempotency-Key', key)
+  .send(body)
+  .expect(201);
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+
+  // Alice also holds a second asset type, untouched by any transaction
+  await query("INSERT INTO asset_types (id, name, symbol) VALUES ($1, 'Gem', 'GEM')", [GEMS.assetType]);
+  await query(
+    "INSERT INTO wallets (id, owner_id, owner_type, asset_type_id, balance) VALUES ($1, $2, 'user', $3, 0)",
+    [GEMS.aliceWallet, ALICE_OWNER, GEMS.assetType],
+  );
+
+  await post('topup', 'owner-topup-001', {
+    walletId: IDS.aliceWallet, systemWalletId: IDS.treasuryWallet, amount: '100', referenceId: 'pay-001',
+  });
+  await post('bonus', 'owner-bonus-001', {
+    walletId: IDS.aliceWallet, systemWalletId: IDS.bonusWallet, amount: '20', reason: 'referral',
+  });
+  await post('spend', 'owner-spend-001', {
+    walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '30', serviceId: 'sword-001',
+  });
+  const hold = await post('holds', 'owner-hold-001', {
+    walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '15', serviceId: 'ride-001',
+  });
+  await request(app)
+    .post(`/api/v1/transactions/holds/${hold.body.data.id}/capture`)
+    .set(AUTH)
+    .send({ amount: '12.5' })
+    .expect(200);
+  // Still authorized: held, not spent
+  await post('holds', 'owner-hold-002', {
+    walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '7', serviceId: 'ride-002',
+  });
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+describe('GET /api/v1/owners/:ownerId/wallets', () => {
+  it('should list the owner\'s wallets across asset types', async () => {
+    const res = await request(app)
+      .get(`/api/v1/owners/${ALICE_OWNER}/wallets`)
+      .set('X-API-Key', API_KEYS.reader)
+      .expect(200);
+
+    expect(res.body.data.map((w) => w.assetType.symbol)).toEqual(['GEM', 'TC']);
+    const [gems, coins] = res.body.data;
+    expect(gems).toMatchObject({ id: GEMS.aliceWallet, balance: '0', lastActivityAt: null });
+    expect(coins).toMatchObject({ id: IDS.aliceWallet, balance: '577.5', availableBalance: '570.5', heldBalance: '7' });
+    expect(coins.lastActivityAt).toEqual(expect.any(String));
+  });
+
+  it('should return 404 for an owner without wallets', async () => {
+    await request(app)
+      .get('/api/v1/owners/44444444-4444-4444-4444-444444444444/wallets')
+      .set(AUTH)
+      .expect(404);
+  });
+});
+
+describe('GET /api/v1/owners/:ownerId/summary', () => {
+  it('should total top-ups, bonuses and spends per asset', async () => {
+    const res = await request(app)
+      .get(`/api/v1/owners/${ALICE_OWNER}/summary`)
+      .set(AUTH)
+      .expect(200);
+
+    const { data } = res.body;
+    expect(data).toMatchObject({ ownerId: ALICE_OWNER, walletCount: 2 });
+
+    const coins = data.assets.find((a) => a.assetType.symbol === 'TC');
+    expect(coins).toMatchObject({
+      walletId: IDS.aliceWallet,
+      balance: '577.5',
+      availableBalance: '570.5',
+      heldBalance: '7',
+      // The captured hold counts for what was captured
+      totals: { topups: '100', bonuses: '20', spends: '42.5' },
+    });
+    expect(data.lastActivityAt).toBe(coins.lastActivityAt);
+
+    const gems = data.assets.find((a) => a.assetType.symbol === 'GEM');
+    expect(gems.totals).toEqual({ topups: '0', bonuses: '0', spends: '0' });
+  });
+
+  it('should validate the owner ID', async () => {
+    const res = await request(app).get('/api/v1/owners/not-a-uuid/summary').set(AUTH).expect(422);
+    expect(res.body.error.details[0].field).toBe('ownerId');
+  });
+});
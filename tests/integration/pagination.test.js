@@ -0,0 +1,112 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
+
+const EXTRA_WALLETS = 7;
+const ENTRIES = 9;
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+
+  // Extra user wallets, three of them created in the same microsecond
+  await query(
+    `INSERT INTO wallets (owner_id, owner_type, asset_type_id, balance, created_at)
+     SELECT gen_random_uuid(), 'user', $1, 0, NOW() + make_interval(secs => LEAST(n, 5))
+     FROM generate_series(1, $2) AS n`,
+    [IDS.assetType, EXTRA_WALLETS],
+  );
+
+  // Ledger history for Alice, pairs of entries sharing a timestamp
+  const { rows: [txn] } = await query(
+    "INSERT INTO transactions (type, status, amount) VALUES ('journal', 'completed', 1) RETURNING id",
+  );
+  await query(
+    `INSERT INTO ledger_entries (transaction_id, wallet_id, entry_type, amount, balance_before, balance_after, created_at)
+     SELECT $1, $2, 'credit', n, 0, n, NOW() - make_interval(mins => n / 2)
+     FROM generate_series(1, $3) AS n`,
+    [txn.id, IDS.aliceWallet, ENTRIES],
+  );
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+// Follow one kind of cursor to the end of the list
+async function walk(path, start, direction) {
+  const pages = [start];
+  let cursor = start.pagination[direction];
+  while (cursor) {
+    const res = await request(app).get(`${path}&cursor=${cursor}`).set(AUTH).expect(200);
+    pages.push(res.body);
+    cursor = res.body.pagination[direction];
+  }
+  return pages;
+}
+
+describe('Keyset pagination', () => {
+  it('should walk every wallet once, newest first, and back again', async () => {
+    const path = '/api/v1/wallets?limit=3';
+    const first = (await request(app).get(path).set(AUTH).expect(200)).body;
+    expect(first.pagination).toMatchObject({ limit: 3, prev: null });
+    expect(first.pagination.next).toEqual(expect.any(String));
+
+    const forward = await walk(path, first, 'next');
+    const ids = forward.flatMap((p) => p.data.map((w) => w.id));
+    expect(ids).toHaveLength(5 + EXTRA_WALLETS);
+    expect(new Set(ids).size).toBe(ids.length);
+
+    const { rows } = await query('SELECT id FROM wallets ORDER BY created_at DESC, id DESC');
+    expect(ids).toEqual(rows.map((r) => r.id));
+
+    const last = forward[forward.length - 1];
+    expect(last.pagination.next).toBeNull();
+    const backward = await walk(path, last, 'prev');
+    expect(backward.reverse().map((p) => p.data.map((w) => w.id))).toEqual(forward.map((p) => p.data.map((w) => w.id)));
+  });
+
+  it('should not shift pages when wallets are created while paging', async () => {
+    const path = '/api/v1/wallets?ownerType=user&limit=4';
+    const first = (await request(app).get(path).set(AUTH).expect(200)).body;
+
+    await query(
+      "INSERT INTO wallets (owner_id, owner_type, asset_type_id, balance, created_at) VALUES (gen_random_uuid(), 'user', $1, 0, NOW() + INTERVAL '1 hour')",
+      [IDS.assetType],
+    );
+
+    const second = (await request(app).get(`${path}&cursor=${first.pagination.next}`).set(AUTH).expect(200)).body;
+    const { rows } = await query(
+      "SELECT id FROM wallets WHERE owner_type = 'user' ORDER BY created_at DESC, id DESC OFFSET 5 LIMIT 4",
+    );
+    expect(second.data.map((w) => w.id)).toEqual(rows.map((r) => r.id));
+  });
+
+  it('should page a wallet\'s ledger history by cursor', async () => {
+    const path = `/api/v1/wallets/${IDS.aliceWallet}/transactions?limit=4`;
+    const first = (await request(app).get(path).set(AUTH).expect(200)).body;
+    const pages = await walk(path, first, 'next');
+
+    expect(pages.map((p) => p.data.length)).toEqual([4, 4, 1]);
+    const amounts = pages.flatMap((p) => p.data.map((e) => Number(e.amount)));
+    expect([...amounts].sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(pages[0].data[0]).not.toHaveProperty('cursor_key');
+  });
+
+  it('should still serve offset pages when page is given', async () => {
+    const res = await request(app)
+      .get(`/api/v1/wallets/${IDS.aliceWallet}/transactions?page=2&limit=4`)
+      .set(AUTH)
+      .expect(200);
+    expect(res.body.pagination).toEqual({ page: 2, limit: 4, total: ENTRIES, pages: 3 });
+    expect(res.body.data).toHaveLength(4);
+  });
+
+  it('should reject malformed cursors, and a cursor combined with page', async () => {
+    const bad = await request(app).get('/api/v1/wallets?cursor=bm9wZQ').set(AUTH).expect(422);
+    expect(bad.body.error.details[0].field).toBe('cursor');
+
+    const first = (await request(app).get('/api/v1/wallets?limit=2').set(AUTH).expect(200)).body;
+    await request(app).get(`/api/v1/wallets?page=2&cursor=${first.pagination.next}`).set(AUTH).expect(422);
+  });
+});
@@ -0,0 +1,175 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+const balanceOf = async (walletId) => {
+  const { rows } = await query('SELECT balance FROM wallets WHERE id = $1', [walletId]);
+  return parseFloat(rows[0].balance);
+};
+
+describe('POST /api/v1/transactions/:id/reverse', () => {
+  let spendId;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'reversal-spend-001')
+      .send({
+        walletId:       IDS.aliceWallet,
+        systemWalletId: IDS.revenueWallet,
+        amount:         100,
+        serviceId:      'item-refundable',
+      })
+      .expect(201);
+    spendId = res.body.data.id;
+  });
+
+  it('should partially reverse a spend with mirrored ledger entries', async () => {
+    const res = await request(app)
+      .post(`/api/v1/transactions/${spendId}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'reversal-partial-001')
+      .send({ amount: 40, reason: 'partial_refund' })
+      .expect(201);
+
+    expect(res.body.data.type).toBe('reversal');
+    expect(res.body.data.status).toBe('completed');
+    expect(res.body.data.amount).toBe('40');
+    expect(res.body.data.reversedTransactionId).toBe(spendId);
+
+    expect(await balanceOf(IDS.aliceWallet)).toBe(440);  // 500 - 100 + 40
+    expect(await balanceOf(IDS.revenueWallet)).toBe(60); // 0 + 100 - 40
+
+    const { rows: entries } = await query(
+      'SELECT wallet_id, entry_type FROM ledger_entries WHERE transaction_id = $1 ORDER BY entry_type::TEXT',
+      [res.body.data.id],
+    );
+    expect(entries).toEqual([
+      { wallet_id: IDS.aliceWallet,   entry_type: 'credit' },
+      { wallet_id: IDS.revenueWallet, entry_type: 'debit' },
+    ]);
+  });
+
+  it('should reject a reversal larger than the unreversed remainder', async () => {
+    const res = await request(app)
+      .post(`/api/v1/transactions/${spendId}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'reversal-too-much')
+      .send({ amount: 70, reason: 'refund' })
+      .expect(409);
+    expect(res.body.error.code).toBe('CONFLICT');
+    expect(await balanceOf(IDS.aliceWallet)).toBe(440);
+  });
+
+  it('should reverse the remainder when amount is omitted, then refuse double reversal', async () => {
+    const res = await request(app)
+      .post(`/api/v1/transactions/${spendId}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'reversal-rest-001')
+      .send({ reason: 'refund' })
+      .expect(201);
+    expect(res.body.data.amount).toBe('60');
+    expect(await balanceOf(IDS.aliceWallet)).toBe(500);
+
+    await request(app)
+      .post(`/api/v1/transactions/${spendId}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'reversal-double')
+      .send({ reason: 'refund' })
+      .expect(409);
+  });
+
+  it('should refuse to reverse a reversal', async () => {
+    const { rows } = await query(
+      "SELECT id FROM transactions WHERE type = 'reversal' LIMIT 1",
+    );
+    await request(app)
+      .post(`/api/v1/transactions/${rows[0].id}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'reversal-of-reversal')
+      .send({ reason: 'oops' })
+      .expect(409);
+  });
+
+  it('should fail with insufficient funds when the credited wallet spent the money', async () => {
+    const topup = await request(app)
+      .post('/api/v1/transactions/topup')
+      .set(AUTH)
+      .set('Idempotency-Key', 'reversal-topup-001')
+      .send({
+        walletId:       IDS.bobWallet,
+        systemWalletId: IDS.treasuryWallet,
+        amount:         50,
+        referenceId:    'fraudulent-charge',
+      })
+      .expect(201);
+
+    await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'reversal-bob-spend')
+      .send({ walletId: IDS.bobWallet, systemWalletId: IDS.revenueWallet, amount: 120, serviceId: 'x' })
+      .expect(201);
+
+    const res = await request(app)
+      .post(`/api/v1/transactions/${topup.body.data.id}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'reversal-fraud-001')
+      .send({ reason: 'fraud' })
+      .expect(422);
+    expect(res.body.error.code).toBe('INSUFFICIENT_FUNDS');
+  });
+
+  it('should reverse on a frozen wallet, but not on a closed one', async () => {
+    const topup = await request(app)
+      .post('/api/v1/transactions/topup')
+      .set(AUTH)
+      .set('Idempotency-Key', 'reversal-topup-002')
+      .send({ walletId: IDS.bobWallet, systemWalletId: IDS.treasuryWallet, amount: 40, referenceId: 'fraudulent-charge-2' })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/v1/wallets/${IDS.bobWallet}/freeze`)
+      .set(AUTH)
+      .send({ reason: 'fraud investigation' })
+      .expect(200);
+
+    await request(app)
+      .post(`/api/v1/transactions/${topup.body.data.id}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'reversal-frozen-001')
+      .send({ reason: 'fraud' })
+      .expect(201);
+    expect(await balanceOf(IDS.bobWallet)).toBe(30);
+
+    await query("UPDATE wallets SET status = 'closed' WHERE id = $1", [IDS.bobWallet]);
+    const { rows: [bobSpend] } = await query("SELECT id FROM transactions WHERE idempotency_key = 'reversal-bob-spend'");
+    const res = await request(app)
+      .post(`/api/v1/transactions/${bobSpend.id}/reverse`)
+      .set(AUTH)
+      .set('Idempotency-Key', 'reversal-closed-001')
+      .send({ reason: 'refund' })
+      .expect(409);
+    expect(res.body.error.message).toBe(`Wallet ${IDS.bobWallet} is closed`);
+    await query("UPDATE wallets SET status = 'active' WHERE id = $1", [IDS.bobWallet]);
+  });
+
+  it('should return 404 for an unknown transaction', async () => {
+    await request(app)
+      .post('/api/v1/transactions/00000000-0000-0000-0000-000000000000/reverse')
+      .set(AUTH)
+      .set('Idempotency-Key', 'reversal-missing')
+      .send({ reason: 'refund' })
+      .expect(404);
+  });
+});
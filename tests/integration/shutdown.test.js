@@ -0,0 +1,125 @@
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { verifyLedger } from '../../src/services/reconciliation.service.js';
+import { bonus } from '../../src/services/transaction.service.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
+
+const SPENDS = 15;
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+const freePort = () => new Promise((resolve) => {
+  const probe = createServer().listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// Start src/server.js as its own process and wait until it answers
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['src/server.js'], {
+    env: { ...process.env, PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  const exited = new Promise((resolve) => child.on('exit', (code) => resolve(code)));
+  const logs = [];
+  child.stdout.on('data', (chunk) => logs.push(String(chunk)));
+  child.stderr.on('data', (chunk) => logs.push(String(chunk)));
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      if ((await fetch(`${baseUrl}/health/live`)).ok) return { child, exited, baseUrl, logs };
+    } catch {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  child.kill('SIGKILL');
+  throw new Error('Server did not start');
+}
+
+describe('Graceful shutdown', () => {
+  it('should finish in-flight spends and reject new ones when SIGTERM arrives mid-burst', async () => {
+    const { child, exited, baseUrl } = await startServer();
+
+    const spend = (n) => fetch(`${baseUrl}/api/v1/transactions/spend`, {
+      method: 'POST',
+      headers: { ...AUTH, 'Content-Type': 'application/json', 'Idempotency-Key': `shutdown-spend-${n}` },
+      body: JSON.stringify({
+        walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '10', serviceId: `item-${n}`,
+      }),
+    })
+      .then((res) => res.status)
+      .catch(() => 'refused'); // Sent after the server stopped listening
+
+    // SIGTERM as soon as the first spend has been answered, with the rest in flight
+    const burst = Array.from({ length: SPENDS }, (_, n) => spend(n));
+    await Promise.race(burst);
+    child.kill('SIGTERM');
+
+    const outcomes = await Promise.all(burst);
+    expect(await exited).toBe(0);
+
+    const completed = outcomes.filter((o) => o === 201).length;
+    expect(completed).toBeGreaterThan(0);
+    for (const outcome of outcomes) expect([201, 503, 'refused']).toContain(outcome);
+
+    // Every spend that was answered 201 is committed; nothing else was left behind
+    const { rows: txns } = await query(
+      "SELECT status FROM transactions WHERE idempotency_key LIKE 'shutdown-spend-%'",
+    );
+    expect(txns).toHaveLength(completed);
+    expect(txns.every((t) => t.status === 'completed')).toBe(true);
+
+    const { rows: [wallet] } = await query('SELECT balance FROM wallets WHERE id = $1', [IDS.aliceWallet]);
+    expect(Number(wallet.balance)).toBe(500 - 10 * completed);
+    expect((await verifyLedger()).healthy).toBe(true);
+
+    const { rows: inProgress } = await query("SELECT key FROM idempotency_keys WHERE status = 'in_progress'");
+    expect(inProgress).toEqual([]);
+  });
+
+  it('should wait for a running credit expiry sweep before closing the pool', async () => {
+    for (let n = 0; n < 100; n++) {
+      await bonus({ walletId: IDS.aliceWallet, systemWalletId: IDS.bonusWallet, amount: '1', reason: 'promo', expiresInDays: 1 });
+    }
+    await query("UPDATE credit_lots SET expires_at = NOW() - INTERVAL '1 second' WHERE wallet_id = $1", [IDS.aliceWallet]);
+
+    const { child, exited, logs } = await startServer({
+      NODE_ENV: 'development', LOG_LEVEL: 'info', CREDIT_EXPIRY_INTERVAL_MS: '1000',
+    });
+
+    // SIGTERM once the sweep has started on the lots
+    for (let attempt = 0; attempt < 500; attempt++) {
+      const { rows: [{ count }] } = await query("SELECT COUNT(*) FROM transactions WHERE type = 'expiry'");
+      if (count > 0) break;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    child.kill('SIGTERM');
+    expect(await exited).toBe(0);
+
+    // The sweep was waited for before the pool closed, and never ran into it
+    const output = logs.join('');
+    expect(output).not.toMatch(/error/i);
+    expect(output.indexOf('Background jobs finished')).toBeGreaterThan(-1);
+    expect(output.lastIndexOf('Credits expired')).toBeLessThan(output.indexOf('Background jobs finished'));
+    expect(output.indexOf('Background jobs finished')).toBeLessThan(output.indexOf('DB pool closed'));
+
+    // Every lot was either swept in full or left for the next sweep
+    const { rows: lots } = await query('SELECT remaining, expiry_transaction_id FROM credit_lots WHERE wallet_id = $1', [IDS.aliceWallet]);
+    expect(lots.filter((l) => l.expiry_transaction_id).length).toBeGreaterThan(0);
+    for (const lot of lots) expect(Number(lot.remaining)).toBe(lot.expiry_transaction_id ? 0 : 1);
+    const { rows: unfinished } = await query("SELECT id FROM transactions WHERE type = 'expiry' AND status <> 'completed'");
+    expect(unfinished).toEqual([]);
+    expect((await verifyLedger()).healthy).toBe(true);
+  });
+});
@@ -1,6 +1,6 @@
 import request from 'supertest';
 import app from '../../src/app.js';
-import { resetDb, seedTestData, closeDb, IDS, query } from '../helpers/db.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
 
 beforeAll(async () => {
   await resetDb();
@@ -23,6 +23,7 @@ describe('POST /api/v1/transactions/spend', () => {
   it('should debit user wallet and credit revenue wallet', async () => {
     const res = await request(app)
       .post('/api/v1/transactions/spend')
+      .set(AUTH)
       .set('Idempotency-Key', 'spend-test-001')
       .send(payload)
       .expect(201);
@@ -40,6 +41,7 @@ describe('POST /api/v1/transactions/spend', () => {
   it('should reject spend if user balance is insufficient', async () => {
     const res = await request(app)
       .post('/api/v1/transactions/spend')
+      .set(AUTH)
       .set('Idempotency-Key', 'spend-overdraft')
       .send({ ...payload, amount: 9999 })
       .expect(422);
@@ -55,6 +57,7 @@ describe('POST /api/v1/transactions/spend', () => {
     // Replay same key
     const res = await request(app)
       .post('/api/v1/transactions/spend')
+      .set(AUTH)
       .set('Idempotency-Key', 'spend-test-001')
       .send(payload)
       .expect(201);
@@ -67,6 +70,7 @@ describe('POST /api/v1/transactions/spend', () => {
   it('should fail validation if walletId is missing', async () => {
     const res = await request(app)
       .post('/api/v1/transactions/spend')
+      .set(AUTH)
       .set('Idempotency-Key', 'spend-invalid')
       .send({ amount: 10, systemWalletId: IDS.revenueWallet, serviceId: 'x' })
       .expect(422);
@@ -78,6 +82,7 @@ describe('GET /api/v1/wallets/:id/transactions', () => {
   it('should return paginated ledger entries', async () => {
     const res = await request(app)
       .get(`/api/v1/wallets/${IDS.aliceWallet}/transactions`)
+      .set(AUTH)
       .expect(200);
 
     expect(res.body.success).toBe(true);
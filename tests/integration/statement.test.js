@@ -0,0 +1,116 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { statementRecords } from '../../src/services/statement.service.js';
+import { spend } from '../../src/services/transaction.service.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
+
+let betweenFlows;
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+
+  await request(app)
+    .post('/api/v1/transactions/topup')
+    .set(AUTH)
+    .set('Idempotency-Key', 'statement-topup')
+    .send({
+      walletId: IDS.aliceWallet,
+      systemWalletId: IDS.treasuryWallet,
+      amount: 100,
+      referenceId: 'st-1',
+      description: 'Top-up, "starter pack"',
+    })
+    .expect(201);
+  const { rows } = await query('SELECT NOW() AS now');
+  betweenFlows = rows[0].now.toISOString();
+  await request(app)
+    .post('/api/v1/transactions/spend')
+    .set(AUTH)
+    .set('Idempotency-Key', 'statement-spend')
+    .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: 30.5, serviceId: 'potion' })
+    .expect(201);
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+describe('GET /api/v1/wallets/:id/statement', () => {
+  it('should stream JSON Lines with opening, entries and closing records', async () => {
+    const res = await request(app)
+      .get(`/api/v1/wallets/${IDS.aliceWallet}/statement`)
+      .set(AUTH)
+      .query({ format: 'jsonl' })
+      .expect('Content-Type', /application\/x-ndjson/)
+      .expect(200);
+
+    const records = res.text.trim().split('\n').map((line) => JSON.parse(line));
+    expect(records.map((r) => r.recordType)).toEqual(['opening', 'entry', 'entry', 'closing']);
+
+    const [opening, topup, spend, closing] = records;
+    expect(opening.balance).toBe('500');
+    expect(topup).toMatchObject({ entryType: 'credit', amount: '100', balance: '600', totalCredits: '100', totalDebits: '0' });
+    expect(spend).toMatchObject({ entryType: 'debit', amount: '30.5', balance: '569.5', totalCredits: '100', totalDebits: '30.5' });
+    expect(closing).toMatchObject({ balance: '569.5', entryCount: 2, totalCredits: '100', totalDebits: '30.5' });
+  });
+
+  it('should stream CSV with a header row and quoted descriptions', async () => {
+    const res = await request(app)
+      .get(`/api/v1/wallets/${IDS.aliceWallet}/statement`)
+      .set(AUTH)
+      .expect('Content-Type', /text\/csv/)
+      .expect('Content-Disposition', /attachment/)
+      .expect(200);
+
+    const lines = res.text.trim().split('\n');
+    expect(lines[0]).toBe(
+      'record_type,entry_id,transaction_id,transaction_type,created_at,description,entry_type,amount,balance,total_credits,total_debits',
+    );
+    expect(lines).toHaveLength(5);
+    expect(lines[2]).toContain('"Top-up, ""starter pack"""');
+    expect(lines[4].startsWith('closing,')).toBe(true);
+  });
+
+  it('should open at the balance as of `from` and exclude earlier entries', async () => {
+    const res = await request(app)
+      .get(`/api/v1/wallets/${IDS.aliceWallet}/statement`)
+      .set(AUTH)
+      .query({ format: 'jsonl', from: betweenFlows })
+      .expect(200);
+    const records = res.text.trim().split('\n').map((line) => JSON.parse(line));
+    expect(records[0].balance).toBe('600');
+    expect(records.filter((r) => r.recordType === 'entry')).toHaveLength(1);
+  });
+
+  it('should read entries through the cursor in batches', async () => {
+    const records = [];
+    for await (const record of statementRecords(IDS.aliceWallet, { batchSize: 1 })) records.push(record);
+    expect(records.map((r) => r.recordType)).toEqual(['opening', 'entry', 'entry', 'closing']);
+  });
+
+  it('should return a JSON 404 for an unknown wallet', async () => {
+    const res = await request(app)
+      .get('/api/v1/wallets/00000000-0000-0000-0000-000000000000/statement')
+      .set(AUTH)
+      .expect(404);
+    expect(res.body.error.code).toBe('NOT_FOUND');
+  });
+
+  it('should chain entry balances in posting order when flows overlap', async () => {
+    await Promise.all(Array.from({ length: 20 }, (_, i) => spend({
+      walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '1', serviceId: `statement-concurrent-${i}`,
+    })));
+
+    const records = [];
+    for await (const record of statementRecords(IDS.aliceWallet)) records.push(record);
+
+    let balance = records[0].balance;
+    for (const entry of records.filter((r) => r.recordType === 'entry')) {
+      const expected = entry.entryType === 'credit' ? Number(balance) + Number(entry.amount) : Number(balance) - Number(entry.amount);
+      expect(Number(entry.balance)).toBe(expected);
+      balance = entry.balance;
+    }
+    expect(records.at(-1)).toMatchObject({ balance: '549.5', entryCount: 22 });
+  });
+});
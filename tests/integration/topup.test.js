@@ -1,6 +1,6 @@
 import request from 'supertest';
 import app from '../../src/app.js';
-import { resetDb, seedTestData, closeDb, IDS, query } from '../helpers/db.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
 
 beforeAll(async () => {
   await resetDb();
@@ -25,6 +25,7 @@ describe('POST /api/v1/transactions/topup', () => {
   it('should credit user wallet and debit treasury wallet', async () => {
     const res = await request(app)
       .post('/api/v1/transactions/topup')
+      .set(AUTH)
       .set('Idempotency-Key', IDEMPOTENCY_KEY)
       .send(payload)
       .expect(201);
@@ -32,7 +33,7 @@ describe('POST /api/v1/transactions/topup', () => {
     expect(res.body.success).toBe(true);
     expect(res.body.data.type).toBe('topup');
     expect(res.body.data.status).toBe('completed');
-    expect(res.body.data.amount).toBe(100);
+    expect(res.body.data.amount).toBe('100');
 
     // Verify Alice's balance increased by 100
     const { rows } = await query('SELECT balance FROM wallets WHERE id = $1', [IDS.aliceWallet]);
@@ -60,6 +61,7 @@ describe('POST /api/v1/transactions/topup', () => {
   it('should return the cached response on idempotency replay (no new transaction)', async () => {
     const res = await request(app)
       .post('/api/v1/transactions/topup')
+      .set(AUTH)
       .set('Idempotency-Key', IDEMPOTENCY_KEY)
       .send(payload)
       .expect(201);
@@ -79,6 +81,7 @@ describe('POST /api/v1/transactions/topup', () => {
   it('should fail with 422 if amount is negative', async () => {
     const res = await request(app)
       .post('/api/v1/transactions/topup')
+      .set(AUTH)
       .set('Idempotency-Key', 'topup-neg')
       .send({ ...payload, amount: -50, referenceId: 'bad' })
       .expect(422);
@@ -88,6 +91,7 @@ describe('POST /api/v1/transactions/topup', () => {
   it('should fail with 422 if amount exceeds treasury balance', async () => {
     const res = await request(app)
       .post('/api/v1/transactions/topup')
+      .set(AUTH)
       .set('Idempotency-Key', 'topup-overflow')
       .send({ ...payload, amount: 999_999_999, referenceId: 'big-charge' })
       .expect(422);
@@ -0,0 +1,117 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, API_KEYS } from '../helpers/db.js';
+
+const ALICE_OWNER = '11111111-1111-1111-1111-111111111111';
+
+const post = (path, key, body) => request(app)
+  .post(`/api/v1/transactions/${path}`)
+  .set(AUTH)
+  .set('Idempotency-Key', key)
+  .send(body)
+  .expect(201);
+
+const search = (qs) => request(app).get(`/api/v1/transactions?${qs}`).set(AUTH);
+
+let txns;
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+
+  // Posted one after another, so createdAt order is posting order
+  const topup = await post('topup', 'search-topup-001', {
+    walletId: IDS.aliceWallet, systemWalletId: IDS.treasuryWallet, amount: '100', referenceId: 'pay-001',
+  });
+  const bonus = await post('bonus', 'search-bonus-001', {
+    walletId: IDS.bobWallet, systemWalletId: IDS.bonusWallet, amount: '25', reason: 'referral',
+  });
+  const spend = await post('spend', 'search-spend-001', {
+    walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: '40', serviceId: 'sword-001',
+    metadata: { channel: 'ios', level: 12 },
+  });
+  const transfer = await post('transfer', 'search-transfer-001', {
+    fromWalletId: IDS.bobWallet, toWalletId: IDS.aliceWallet, amount: '10',
+  });
+  const journal = await post('journal', 'search-journal-001', {
+    legs: [
+      { walletId: IDS.aliceWallet,   entryType: 'debit',  amount: '5' },
+      { walletId: IDS.revenueWallet, entryType: 'credit', amount: '5' },
+    ],
+  });
+  txns = { topup, bonus, spend, transfer, journal };
+  for (const [name, res] of Object.entries(txns)) txns[name] = res.body.data;
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+const ids = (res) => res.body.data.map((t) => t.id);
+
+describe('GET /api/v1/transactions', () => {
+  it('should list newest first by default', async () => {
+    const res = await search('').expect(200);
+    const { topup, bonus, spend, transfer, journal } = txns;
+    expect(ids(res)).toEqual([journal.id, transfer.id, spend.id, bonus.id, topup.id]);
+    expect(res.body.pagination).toEqual({ limit: 20, nextCursor: null });
+  });
+
+  it('should filter by type, status and reference', async () => {
+    const byType = await search('type=spend&type=bonus').expect(200);
+    expect(ids(byType)).toEqual([txns.spend.id, txns.bonus.id]);
+
+    const byReference = await search('referenceId=pay-001&status=completed').expect(200);
+    expect(ids(byReference)).toEqual([txns.topup.id]);
+  });
+
+  it('should match a wallet through its journal legs, and an owner through their wallets', async () => {
+    const byWallet = await search(`walletId=${IDS.aliceWallet}`).expect(200);
+    const { topup, spend, transfer, journal } = txns;
+    expect(ids(byWallet)).toEqual([journal.id, transfer.id, spend.id, topup.id]);
+
+    const byOwner = await search(`ownerId=${ALICE_OWNER}&type=journal`).expect(200);
+    expect(ids(byOwner)).toEqual([journal.id]);
+  });
+
+  it('should filter by amount range, date range and metadata', async () => {
+    const byAmount = await search('minAmount=10&maxAmount=40').expect(200);
+    expect(ids(byAmount)).toEqual([txns.transfer.id, txns.spend.id, txns.bonus.id]);
+
+    const from = encodeURIComponent(txns.spend.createdAt);
+    const to = encodeURIComponent(txns.journal.createdAt);
+    const byDate = await search(`from=${from}&to=${to}`).expect(200);
+    expect(ids(byDate)).toEqual([txns.transfer.id, txns.spend.id]);
+
+    const byMetadata = await search('metadata=serviceId:sword-001&metadata=level:12&metadata=channel').expect(200);
+    expect(ids(byMetadata)).toEqual([txns.spend.id]);
+  });
+
+  it('should page with a cursor without skipping or repeating rows', async () => {
+    const seen = [];
+    let cursor = '';
+    do {
+      const res = await search(`sort=amount&order=asc&limit=2${cursor ? `&cursor=${cursor}` : ''}`).expect(200);
+      expect(res.body.data.length).toBeLessThanOrEqual(2);
+      seen.push(...res.body.data.map((t) => t.amount));
+      cursor = res.body.pagination.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual(['5', '10', '25', '40', '100']);
+  });
+
+  it('should reject a cursor issued for another sort order', async () => {
+    const first = await search('sort=amount&limit=1').expect(200);
+    const res = await search(`limit=1&cursor=${first.body.pagination.nextCursor}`).expect(422);
+    expect(res.body.error.details[0].field).toBe('cursor');
+
+    await search('cursor=not-a-cursor').expect(422);
+  });
+
+  it('should require the transactions:read scope', async () => {
+    await request(app)
+      .get('/api/v1/transactions')
+      .set('X-API-Key', API_KEYS.reader)
+      .expect(403);
+  });
+});
@@ -0,0 +1,83 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, query } from '../helpers/db.js';
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+describe('POST /api/v1/transactions/transfer', () => {
+  const payload = {
+    fromWalletId: IDS.aliceWallet,
+    toWalletId:   IDS.bobWallet,
+    amount:       150,
+    description:  'Split the raid loot',
+  };
+
+  it('should debit the sender and credit the recipient', async () => {
+    const res = await request(app)
+      .post('/api/v1/transactions/transfer')
+      .set(AUTH)
+      .set('Idempotency-Key', 'transfer-test-001')
+      .send(payload)
+      .expect(201);
+
+    expect(res.body.data.type).toBe('transfer');
+    expect(res.body.data.status).toBe('completed');
+    expect(res.body.data.sourceWalletId).toBe(IDS.aliceWallet);
+    expect(res.body.data.destinationWalletId).toBe(IDS.bobWallet);
+
+    const { rows: alice } = await query('SELECT balance FROM wallets WHERE id = $1', [IDS.aliceWallet]);
+    expect(parseFloat(alice[0].balance)).toBe(350); // 500 - 150
+
+    const { rows: bob } = await query('SELECT balance FROM wallets WHERE id = $1', [IDS.bobWallet]);
+    expect(parseFloat(bob[0].balance)).toBe(250); // 100 + 150
+  });
+
+  it('should be idempotent — replay does not move funds twice', async () => {
+    await request(app)
+      .post('/api/v1/transactions/transfer')
+      .set(AUTH)
+      .set('Idempotency-Key', 'transfer-test-001')
+      .send(payload)
+      .expect(201);
+
+    const { rows } = await query('SELECT balance FROM wallets WHERE id = $1', [IDS.aliceWallet]);
+    expect(parseFloat(rows[0].balance)).toBe(350);
+  });
+
+  it('should reject a transfer exceeding the sender balance', async () => {
+    const res = await request(app)
+      .post('/api/v1/transactions/transfer')
+      .set(AUTH)
+      .set('Idempotency-Key', 'transfer-overdraw')
+      .send({ ...payload, amount: 10_000 })
+      .expect(422);
+    expect(res.body.error.code).toBe('INSUFFICIENT_FUNDS');
+  });
+
+  it('should reject transfers involving a system wallet', async () => {
+    const res = await request(app)
+      .post('/api/v1/transactions/transfer')
+      .set(AUTH)
+      .set('Idempotency-Key', 'transfer-to-system')
+      .send({ ...payload, toWalletId: IDS.revenueWallet })
+      .expect(409);
+    expect(res.body.error.code).toBe('CONFLICT');
+  });
+
+  it('should fail validation when sender and recipient are the same wallet', async () => {
+    const res = await request(app)
+      .post('/api/v1/transactions/transfer')
+      .set(AUTH)
+      .set('Idempotency-Key', 'transfer-self')
+      .send({ ...payload, toWalletId: IDS.aliceWallet })
+      .expect(422);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+  });
+});
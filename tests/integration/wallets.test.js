@@ -0,0 +1,137 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, API_KEYS, query } from '../helpers/db.js';
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+});
+
+afterAll(async () => {
+  await closeDb();
+});
+
+const CAROL = '44444444-4444-4444-4444-444444444444';
+
+describe('Wallet lifecycle', () => {
+  let carolWalletId;
+
+  it('should create a wallet for an owner and asset type', async () => {
+    const res = await request(app)
+      .post('/api/v1/wallets')
+      .set(AUTH)
+      .send({ ownerId: CAROL, assetTypeId: IDS.assetType, name: 'Carol' })
+      .expect(201);
+
+    carolWalletId = res.body.data.id;
+    expect(res.body.data.balance).toBe('0');
+    expect(res.body.data.status).toBe('active');
+    expect(res.body.data.isActive).toBe(true);
+  });
+
+  it('should reject a second wallet for the same owner and asset type', async () => {
+    const res = await request(app)
+      .post('/api/v1/wallets')
+      .set(AUTH)
+      .send({ ownerId: CAROL, assetTypeId: IDS.assetType })
+      .expect(409);
+    expect(res.body.error.code).toBe('CONFLICT');
+  });
+
+  it('should return 404 for an unknown asset type', async () => {
+    await request(app)
+      .post('/api/v1/wallets')
+      .set(AUTH)
+      .send({ ownerId: CAROL, assetTypeId: '12345678-1234-1234-1234-123456789012' })
+      .expect(404);
+  });
+
+  it('should rename a wallet', async () => {
+    const res = await request(app)
+      .patch(`/api/v1/wallets/${carolWalletId}`)
+      .set(AUTH)
+      .send({ name: 'Carol — Main' })
+      .expect(200);
+    expect(res.body.data.name).toBe('Carol — Main');
+  });
+
+  it('should block transactions on a frozen wallet until it is unfrozen', async () => {
+    const freeze = await request(app)
+      .post(`/api/v1/wallets/${IDS.aliceWallet}/freeze`)
+      .set(AUTH)
+      .send({ reason: 'Chargeback investigation' })
+      .expect(200);
+    expect(freeze.body.data.status).toBe('frozen');
+    expect(freeze.body.data.isActive).toBe(false);
+
+    const spend = { walletId: IDS.aliceWallet, systemWalletId: IDS.revenueWallet, amount: 10, serviceId: 'x' };
+    await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'lifecycle-spend-frozen')
+      .send(spend)
+      .expect(409);
+
+    await request(app)
+      .post(`/api/v1/wallets/${IDS.aliceWallet}/unfreeze`)
+      .set(AUTH)
+      .send({ reason: 'Investigation cleared' })
+      .expect(200);
+
+    await request(app)
+      .post('/api/v1/transactions/spend')
+      .set(AUTH)
+      .set('Idempotency-Key', 'lifecycle-spend-unfrozen')
+      .send(spend)
+      .expect(201);
+  });
+
+  it('should refuse to close a wallet with a non-zero balance', async () => {
+    const res = await request(app)
+      .post(`/api/v1/wallets/${IDS.aliceWallet}/close`)
+      .set(AUTH)
+      .send({ reason: 'Account deleted' })
+      .expect(409);
+    expect(res.body.error.message).toMatch(/balance must be zero/);
+  });
+
+  it('should close an empty wallet permanently', async () => {
+    const res = await request(app)
+      .post(`/api/v1/wallets/${carolWalletId}/close`)
+      .set(AUTH)
+      .send({ reason: 'Account deleted' })
+      .expect(200);
+    expect(res.body.data.status).toBe('closed');
+    expect(res.body.data.closedAt).not.toBeNull();
+
+    await request(app)
+      .post(`/api/v1/wallets/${carolWalletId}/unfreeze`)
+      .set(AUTH)
+      .send({ reason: 'Undo' })
+      .expect(409);
+  });
+
+  it('should require the wallets:manage scope to change status', async () => {
+    await request(app)
+      .post(`/api/v1/wallets/${IDS.bobWallet}/freeze`)
+      .set('X-API-Key', API_KEYS.reader)
+      .send({ reason: 'No permission' })
+      .expect(403);
+  });
+
+  it('should audit every lifecycle change', async () => {
+    const res = await request(app).get(`/api/v1/wallets/${carolWalletId}/audit-log`).set(AUTH).expect(200);
+    expect(res.body.data.map((e) => e.action)).toEqual(['created', 'renamed', 'closed']);
+    expect(res.body.data[2]).toMatchObject({ fromStatus: 'active', toStatus: 'closed', reason: 'Account deleted' });
+    expect(res.body.data[2].apiClientId).toBe(IDS.adminClient);
+
+    const { rows } = await query(
+      'SELECT action, reason FROM wallet_audit_log WHERE wallet_id = $1 ORDER BY created_at',
+      [IDS.aliceWallet],
+    );
+    expect(rows).toEqual([
+      { action: 'frozen', reason: 'Chargeback investigation' },
+      { action: 'unfrozen', reason: 'Investigation cleared' },
+    ]);
+  });
+});
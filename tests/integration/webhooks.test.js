@@ -0,0 +1,205 @@
+import http from 'http';
+import { createHmac } from 'crypto';
+import request from 'supertest';
+import app from '../../src/app.js';
+import env from '../../src/config/env.js';
+import { deliverDueWebhooks } from '../../src/services/webhook.service.js';
+import { resetDb, seedTestData, closeDb, IDS, AUTH, API_KEYS, query } from '../helpers/db.js';
+
+// Local receiver standing in for a subscriber; replies with `stub.status`
+const stub = { status: 200, received: [] };
+let server;
+let stubUrl;
+
+beforeAll(async () => {
+  await resetDb();
+  await seedTestData();
+
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      stub.received.push({ headers: req.headers, body, event: JSON.parse(body) });
+      res.writeHead(stub.status).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  stubUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await closeDb();
+});
+
+beforeEach(() => {
+  stub.status = 200;
+  stub.received = [];
+});
+
+const spend = (walletId, amount, key) => request(app)
+  .post('/api/v1/transactions/spend')
+  .set(AUTH)
+  .set('Idempotency-Key', key)
+  .send({ walletId, systemWalletId: IDS.revenueWallet, amount, serviceId: 'item-1' });
+
+describe('Webhooks', () => {
+  let subscription;
+
+  it('should require the webhooks:manage scope', async () => {
+    await request(app).get('/api/v1/webhooks').set('X-API-Key', API_KEYS.reader).expect(403);
+  });
+
+  it('should reject unknown event types', async () => {
+    const res = await request(app)
+      .post('/api/v1/webhooks')
+      .set(AUTH)
+      .send({ url: stubUrl, eventTypes: ['wallet.deleted'] })
+      .expect(422);
+    expect(res.body.error.details[0].field).toBe('eventTypes.0');
+  });
+
+  it('should create a subscription and show its secret only once', async () => {
+    const res = await request(app)
+      .post('/api/v1/webhooks')
+      .set(AUTH)
+      .send({ url: stubUrl, eventTypes: ['transaction.completed', 'transaction.failed', 'wallet.frozen', 'balance.low'] })
+      .expect(201);
+
+    subscription = res.body.data;
+    expect(subscription.secret).toMatch(/^whsec_/);
+    expect(subscription.isActive).toBe(true);
+
+    const fetched = await request(app).get(`/api/v1/webhooks/${subscription.id}`).set(AUTH).expect(200);
+    expect(fetched.body.data.secret).toBeUndefined();
+  });
+
+  it('should deliver a signed transaction.completed event', async () => {
+    const txn = await request(app)
+      .post('/api/v1/transactions/topup')
+      .set(AUTH)
+      .set('Idempotency-Key', 'webhook-topup-001')
+      .send({ walletId: IDS.aliceWallet, systemWalletId: IDS.treasuryWallet, amount: '10', referenceId: 'ref-1' })
+      .expect(201);
+
+    expect(await deliverDueWebhooks()).toEqual({ delivered: 1, failed: 0 });
+    expect(stub.received).toHaveLength(1);
+
+    const [{ headers, body, event }] = stub.received;
+    const expected = createHmac('sha256', subscription.secret)
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+    expect(headers['x-webhook-signature']).toBe(`v1=${expected}`);
+    expect(headers['x-webhook-event']).toBe('transaction.completed');
+    expect(headers['x-webhook-id']).toBe(event.id);
+    expect(event.type).toBe('transaction.completed');
+    expect(event.data.id).toBe(txn.body.data.id);
+    expect(event.data.amount).toBe('10');
+
+    // Nothing left to send
+    expect(await deliverDueWebhooks()).toEqual({ delivered: 0, failed: 0 });
+  });
+
+  it('should publish transaction.failed for a declined flow, and nothing it rolled back', async () => {
+    await spend(IDS.aliceWallet, '100000', 'webhook-spend-declined').expect(422);
+
+    await deliverDueWebhooks();
+    expect(stub.received.map((r) => r.event.type)).toEqual(['transaction.failed']);
+    expect(stub.received[0].event.data).toMatchObject({
+      flow: 'spend',
+      walletId: IDS.aliceWallet,
+      amount: '100000',
+      error: { code: 'INSUFFICIENT_FUNDS' },
+    });
+  });
+
+  it('should publish balance.low only when a debit crosses the asset threshold', async () => {
+    await request(app)
+      .patch(`/api/v1/asset-types/${IDS.assetType}`)
+      .set(AUTH)
+      .send({ lowBalanceThreshold: '100' })
+      .expect(200);
+
+    // Bob starts at exactly 100
+    await spend(IDS.bobWallet, '1', 'webhook-spend-low-1').expect(201);
+    await spend(IDS.bobWallet, '1', 'webhook-spend-low-2').expect(201);
+
+    await deliverDueWebhooks();
+    const low = stub.received.filter((r) => r.event.type === 'balance.low');
+    expect(low).toHaveLength(1);
+    expect(low[0].event.data).toMatchObject({ walletId: IDS.bobWallet, balance: '99', threshold: '100' });
+    expect(stub.received.filter((r) => r.event.type === 'transaction.completed')).toHaveLength(2);
+  });
+
+  it('should publish wallet.frozen', async () => {
+    await request(app)
+      .post(`/api/v1/wallets/${IDS.bobWallet}/freeze`)
+      .set(AUTH)
+      .send({ reason: 'chargeback review' })
+      .expect(200);
+
+    await deliverDueWebhooks();
+    expect(stub.received).toHaveLength(1);
+    expect(stub.received[0].event.data).toMatchObject({ walletId: IDS.bobWallet, fromStatus: 'active', reason: 'chargeback review' });
+  });
+
+  it('should retry failed deliveries with backoff, then park them as dead', async () => {
+    stub.status = 500;
+    await spend(IDS.aliceWallet, '1', 'webhook-spend-retry').expect(201);
+
+    expect(await deliverDueWebhooks()).toEqual({ delivered: 0, failed: 1 });
+
+    const res = await request(app)
+      .get(`/api/v1/webhooks/${subscription.id}/deliveries?status=pending`)
+      .set(AUTH)
+      .expect(200);
+    expect(res.body.data).toHaveLength(1);
+    const [delivery] = res.body.data;
+    expect(delivery).toMatchObject({ attempts: 1, responseStatus: 500, lastError: 'HTTP 500' });
+    expect(new Date(delivery.nextAttemptAt).getTime()).toBeGreaterThan(Date.now());
+
+    // Not due yet
+    expect(await deliverDueWebhooks()).toEqual({ delivered: 0, failed: 0 });
+
+    // Fast-forward to the final attempt
+    await query(
+      'UPDATE webhook_deliveries SET attempts = $2, next_attempt_at = NOW() WHERE id = $1',
+      [delivery.id, env.WEBHOOK_MAX_ATTEMPTS - 1],
+    );
+    expect(await deliverDueWebhooks()).toEqual({ delivered: 0, failed: 1 });
+
+    const dead = await request(app)
+      .get(`/api/v1/webhooks/${subscription.id}/deliveries?status=dead`)
+      .set(AUTH)
+      .expect(200);
+    expect(dead.body.data.map((d) => d.id)).toEqual([delivery.id]);
+    expect(dead.body.data[0].nextAttemptAt).toBeNull();
+  });
+
+  it('should replay a dead delivery with the same event ID', async () => {
+    const { rows: [dead] } = await query("SELECT id, event_id FROM webhook_deliveries WHERE status = 'dead'");
+
+    const res = await request(app)
+      .post(`/api/v1/webhooks/deliveries/${dead.id}/replay`)
+      .set(AUTH)
+      .expect(200);
+    expect(res.body.data).toMatchObject({ status: 'pending', attempts: 0 });
+
+    await request(app).post(`/api/v1/webhooks/deliveries/${dead.id}/replay`).set(AUTH).expect(409);
+
+    expect(await deliverDueWebhooks()).toEqual({ delivered: 1, failed: 0 });
+    expect(stub.received[0].event.id).toBe(dead.event_id);
+  });
+
+  it('should stop queueing deliveries for a deactivated subscription', async () => {
+    await request(app)
+      .patch(`/api/v1/webhooks/${subscription.id}`)
+      .set(AUTH)
+      .send({ isActive: false })
+      .expect(200);
+
+    await spend(IDS.aliceWallet, '1', 'webhook-spend-inactive').expect(201);
+    expect(await deliverDueWebhooks()).toEqual({ delivered: 0, failed: 0 });
+    expect(stub.received).toHaveLength(0);
+  });
+});